@@ -14,11 +14,9 @@ CREATE TABLE device_sessions (
 -- User preferences tied to device sessions
 CREATE TABLE user_preferences (
     id SERIAL PRIMARY KEY,
-    session_id VARCHAR(255) NOT NULL REFERENCES device_sessions(session_id) ON DELETE CASCADE,
-    favorite_genres TEXT[], -- Array of genre strings
-    preferred_authors TEXT[], -- Array of author names
-    reading_pace VARCHAR(50), -- 'slow', 'medium', 'fast'
-    content_preferences JSONB, -- Flexible storage for additional preferences
+    session_id VARCHAR(255) UNIQUE NOT NULL REFERENCES device_sessions(session_id) ON DELETE CASCADE,
+    preferences JSONB NOT NULL DEFAULT '{}', -- Values the user set, by category; merged over the defaults on read
+    version INTEGER NOT NULL DEFAULT 1, -- Bumped on every change
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -34,7 +32,24 @@ CREATE TABLE reading_history (
     status VARCHAR(20) DEFAULT 'read', -- 'read', 'reading', 'want_to_read'
     date_added TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     goodreads_book_id VARCHAR(50),
-    notes TEXT
+    notes TEXT,
+    page_count INTEGER, -- Pages in the edition being read, when known
+    pages_read INTEGER NOT NULL DEFAULT 0, -- Current page
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Pages read per book per day, for reading pace and streaks
+CREATE TABLE reading_progress (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL REFERENCES device_sessions(session_id) ON DELETE CASCADE,
+    reading_history_id INTEGER NOT NULL REFERENCES reading_history(id) ON DELETE CASCADE,
+    read_on DATE NOT NULL,
+    pages INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (reading_history_id, read_on)
 );
 
 -- Cache for book metadata to reduce API calls
@@ -43,24 +58,101 @@ CREATE TABLE book_cache (
     book_identifier VARCHAR(500) NOT NULL, -- Could be title, ISBN, or combination
     book_metadata JSONB NOT NULL, -- Store full book details
     source VARCHAR(50) NOT NULL, -- 'goodreads', 'google_books', etc.
+    is_negative BOOLEAN NOT NULL DEFAULT false, -- Cached "not found" result
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    expires_at TIMESTAMP DEFAULT (CURRENT_TIMESTAMP + INTERVAL '30 days')
+    stale_at TIMESTAMP DEFAULT (CURRENT_TIMESTAMP + INTERVAL '1 day'), -- Served as-is until here, then refreshed in the background
+    expires_at TIMESTAMP DEFAULT (CURRENT_TIMESTAMP + INTERVAL '30 days'), -- Not served after this (except when the source is down)
+    UNIQUE (source, book_identifier)
 );
 
 -- Image uploads tracking
 CREATE TABLE image_uploads (
     id SERIAL PRIMARY KEY,
     session_id VARCHAR(255) NOT NULL REFERENCES device_sessions(session_id) ON DELETE CASCADE,
+    upload_type VARCHAR(20) NOT NULL DEFAULT 'single', -- 'single', 'group' (multi-image shelf), 'frame' (one image of a group)
+    parent_upload_id INTEGER REFERENCES image_uploads(id) ON DELETE CASCADE, -- Group a frame belongs to
+    sequence_index INTEGER, -- Left-to-right position of a frame within its group
     filename VARCHAR(255) NOT NULL,
-    file_path VARCHAR(500),
+    file_path VARCHAR(500), -- NULL for groups; their images live on the frame rows
     file_size INTEGER,
     mime_type VARCHAR(100),
-    processing_status VARCHAR(50) DEFAULT 'uploaded', -- 'uploaded', 'processing', 'completed', 'failed'
+    processing_status VARCHAR(50) DEFAULT 'uploaded', -- 'uploaded', 'processing', 'completed', 'failed', 'failed_provider'
     extracted_books JSONB, -- Store recognized books from image
+    processing_error JSONB, -- Last analysis failure: {code, message, failures: [{provider, error, code, retryable}], willRetry}
+    validation_report JSONB, -- OpenAI response schema validation: {schema, valid, repairs, attempts: [{attempt, valid, errors}]}
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     processed_at TIMESTAMP
 );
 
+-- Audit trail of user corrections to detected books
+CREATE TABLE book_corrections (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL REFERENCES device_sessions(session_id) ON DELETE CASCADE,
+    image_upload_id INTEGER NOT NULL REFERENCES image_uploads(id) ON DELETE CASCADE,
+    book_index INTEGER NOT NULL, -- Index into image_uploads.extracted_books
+    action VARCHAR(20) NOT NULL, -- 'accept', 'reject', 'edit', 'merge'
+    before_value JSONB NOT NULL, -- Detected book before the correction
+    after_value JSONB NOT NULL, -- Detected book after the correction
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-session corrections of misread titles, applied to later scans
+CREATE TABLE title_aliases (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL REFERENCES device_sessions(session_id) ON DELETE CASCADE,
+    alias_key VARCHAR(500) NOT NULL, -- Normalized title as recognition read it
+    detected_title VARCHAR(500) NOT NULL,
+    corrected_title VARCHAR(500) NOT NULL,
+    corrected_author VARCHAR(300),
+    correction_id INTEGER REFERENCES book_corrections(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (session_id, alias_key)
+);
+
+-- Canonical works: one row per book regardless of edition
+CREATE TABLE works (
+    id SERIAL PRIMARY KEY,
+    work_key VARCHAR(500) UNIQUE NOT NULL, -- Normalized title key and author surname ('hobbit|tolkien')
+    title VARCHAR(500) NOT NULL,
+    author VARCHAR(300),
+    open_library_id VARCHAR(20) UNIQUE, -- Open Library work ID ('OL…W') when known
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Edition ISBNs seen for each work
+CREATE TABLE work_editions (
+    id SERIAL PRIMARY KEY,
+    work_id INTEGER NOT NULL REFERENCES works(id) ON DELETE CASCADE,
+    isbn13 VARCHAR(13) UNIQUE NOT NULL,
+    title VARCHAR(500), -- Title as printed on this edition
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Personal library: books confirmed from scans or added by hand, one row per book
+CREATE TABLE library_books (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL REFERENCES device_sessions(session_id) ON DELETE CASCADE,
+    title VARCHAR(500) NOT NULL,
+    author VARCHAR(300),
+    genre VARCHAR(100),
+    isbn VARCHAR(20),
+    work_id INTEGER REFERENCES works(id) ON DELETE SET NULL, -- Canonical work, shared across editions
+    title_key VARCHAR(500) NOT NULL, -- Normalized title used for deduplication
+    author_key VARCHAR(100) NOT NULL DEFAULT '', -- Normalized author surname; '' when unknown
+    source VARCHAR(20) NOT NULL DEFAULT 'manual', -- 'scan', 'manual'
+    source_upload_id INTEGER REFERENCES image_uploads(id) ON DELETE SET NULL, -- Scan the book was first confirmed from
+    confidence REAL, -- Best recognition confidence across scans
+    times_detected INTEGER NOT NULL DEFAULT 0, -- Number of scans that confirmed this book
+    notes TEXT,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (session_id, title_key, author_key)
+);
+
 -- Recommendations generated for users
 CREATE TABLE recommendations (
     id SERIAL PRIMARY KEY,
@@ -71,6 +163,79 @@ CREATE TABLE recommendations (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Recommended books a session saved for later (a copy of the book, so it outlives the list)
+CREATE TABLE saved_recommendations (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL REFERENCES device_sessions(session_id) ON DELETE CASCADE,
+    recommendation_id INTEGER REFERENCES recommendations(id) ON DELETE SET NULL, -- List it was saved from
+    book_index INTEGER NOT NULL, -- Position in that list
+    work_key VARCHAR(700) NOT NULL, -- Canonical work key; a work is saved once per session
+    book JSONB NOT NULL,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (session_id, work_key)
+);
+
+-- Ratings of recommended books, one per work; they re-rank and filter later recommendations
+CREATE TABLE recommendation_feedback (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL REFERENCES device_sessions(session_id) ON DELETE CASCADE,
+    recommendation_id INTEGER REFERENCES recommendations(id) ON DELETE SET NULL, -- List last rated from
+    book_index INTEGER NOT NULL,
+    work_key VARCHAR(700) NOT NULL,
+    title VARCHAR(500) NOT NULL,
+    author VARCHAR(300),
+    genre VARCHAR(100),
+    rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+    feedback TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (session_id, work_key)
+);
+
+-- Content advisories per work ('none' / 'mild' / 'strong' per kind), used to screen recommendations
+CREATE TABLE book_content_tags (
+    id SERIAL PRIMARY KEY,
+    work_key VARCHAR(700) UNIQUE NOT NULL,
+    title VARCHAR(500) NOT NULL,
+    author VARCHAR(300),
+    tags JSONB NOT NULL, -- {violence, profanity, adult, religiousContent, politicalContent}
+    evidence JSONB NOT NULL DEFAULT '{}', -- Phrases (or 'AI review') behind each tag
+    ai_tagged BOOLEAN NOT NULL DEFAULT FALSE, -- Whether the LLM pass has seen the book
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Background jobs (bookshelf analysis and other long-running work)
+CREATE TABLE jobs (
+    id SERIAL PRIMARY KEY,
+    job_type VARCHAR(50) NOT NULL, -- 'analyze_upload', ...
+    payload JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'running', 'completed', 'failed'
+    image_upload_id INTEGER REFERENCES image_uploads(id) ON DELETE CASCADE,
+    session_id VARCHAR(255),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP, -- Earliest time the job may be picked up (retry backoff)
+    locked_by VARCHAR(100), -- Worker holding the lease
+    locked_until TIMESTAMP, -- Lease expiry; expired leases are reclaimed by other workers
+    last_error TEXT,
+    result JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+-- Analysis progress events, written by whichever process runs the job and read by the SSE stream
+CREATE TABLE analysis_events (
+    id BIGSERIAL PRIMARY KEY, -- Also the SSE event ID (Last-Event-ID)
+    image_upload_id INTEGER NOT NULL REFERENCES image_uploads(id) ON DELETE CASCADE,
+    event_type VARCHAR(30) NOT NULL, -- 'status', 'stage', 'book', 'frame', 'complete', 'failed'
+    data JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Rate limiting tracking
 CREATE TABLE rate_limits (
     id SERIAL PRIMARY KEY,
@@ -83,12 +248,26 @@ CREATE TABLE rate_limits (
 -- Indexes for performance
 CREATE INDEX idx_device_sessions_session_id ON device_sessions(session_id);
 CREATE INDEX idx_device_sessions_active ON device_sessions(is_active, expires_at);
-CREATE INDEX idx_user_preferences_session ON user_preferences(session_id);
 CREATE INDEX idx_reading_history_session ON reading_history(session_id);
 CREATE INDEX idx_book_cache_identifier ON book_cache(book_identifier);
 CREATE INDEX idx_book_cache_expires ON book_cache(expires_at);
 CREATE INDEX idx_image_uploads_session ON image_uploads(session_id);
-CREATE INDEX idx_recommendations_session ON recommendations(session_id);
+CREATE INDEX idx_image_uploads_parent ON image_uploads(parent_upload_id, sequence_index);
+CREATE INDEX idx_book_corrections_upload ON book_corrections(image_upload_id);
+CREATE INDEX idx_library_books_session ON library_books(session_id, created_at);
+CREATE INDEX idx_library_books_work ON library_books(session_id, work_id);
+CREATE INDEX idx_work_editions_work ON work_editions(work_id);
+CREATE INDEX idx_reading_progress_session ON reading_progress(session_id, read_on);
+CREATE INDEX idx_recommendations_session ON recommendations(session_id, created_at);
+CREATE INDEX idx_saved_recommendations_session ON saved_recommendations(session_id, created_at);
+CREATE INDEX idx_recommendation_feedback_session ON recommendation_feedback(session_id);
+CREATE INDEX idx_jobs_claimable ON jobs(status, run_at);
+CREATE INDEX idx_jobs_lease ON jobs(status, locked_until);
+CREATE INDEX idx_jobs_image_upload ON jobs(image_upload_id);
+-- At most one pending or running job of a type per upload; enqueue reuses it
+CREATE UNIQUE INDEX idx_jobs_active_upload ON jobs(image_upload_id, job_type) WHERE status IN ('pending', 'running');
+CREATE INDEX idx_analysis_events_upload ON analysis_events(image_upload_id, id);
+CREATE INDEX idx_analysis_events_created ON analysis_events(created_at);
 CREATE INDEX idx_rate_limits_session_endpoint ON rate_limits(session_id, endpoint);
 CREATE INDEX idx_rate_limits_window ON rate_limits(window_start);
 
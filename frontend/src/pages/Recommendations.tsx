@@ -247,7 +247,8 @@ const Recommendations: React.FC = () => {
   const [readingProfile, setReadingProfile] = useState<any>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
-  const [savedBooks, setSavedBooks] = useState<Set<string>>(new Set());
+  const [savedBooks, setSavedBooks] = useState<Set<number>>(new Set());
+  const [recommendationId, setRecommendationId] = useState<number | null>(null);
   const [explanation, setExplanation] = useState<string>('');
   
   usePageTracking('recommendations', 'Recommendations - Book Suggestions');
@@ -289,6 +290,8 @@ const Recommendations: React.FC = () => {
         }));
 
         setRecommendations(enrichedRecommendations);
+        setRecommendationId(response.metadata.recommendationId);
+        setSavedBooks(new Set());
         setReadingProfile(response.readingProfile);
         setExplanation(response.explanations.why);
         console.log(`✅ Generated ${enrichedRecommendations.length} recommendations`);
@@ -322,12 +325,12 @@ const Recommendations: React.FC = () => {
     }
   };
 
-  const handleSaveBook = async (recommendation: Recommendation) => {
+  const handleSaveBook = async (recommendation: Recommendation, index: number) => {
+    if (recommendationId === null) return;
+
     try {
-      const mockRecommendationId = `${recommendation.title}-${recommendation.author}`.replace(/\s+/g, '-');
-      
-      await apiService.saveRecommendation(mockRecommendationId);
-      setSavedBooks(prev => new Set(Array.from(prev).concat(mockRecommendationId)));
+      await apiService.saveRecommendation(recommendationId, index);
+      setSavedBooks(prev => new Set(Array.from(prev).concat(index)));
       
       console.log(`📚 Saved "${recommendation.title}" for later`);
       analyticsHook.trackBookInteraction('save', recommendation.title);
@@ -422,8 +425,7 @@ const Recommendations: React.FC = () => {
 
       <RecommendationsList>
         {recommendations.map((recommendation, index) => {
-          const bookKey = `${recommendation.title}-${recommendation.author}`.replace(/\s+/g, '-');
-          const isSaved = savedBooks.has(bookKey);
+          const isSaved = savedBooks.has(index);
           
           return (
             <RecommendationCard key={index}>
@@ -472,7 +474,7 @@ const Recommendations: React.FC = () => {
                   <ActionButtons>
                     <Button 
                       variant="save" 
-                      onClick={() => handleSaveBook(recommendation)}
+                      onClick={() => handleSaveBook(recommendation, index)}
                       disabled={isSaved}
                     >
                       {isSaved ? '✅ Saved' : '📚 Save for Later'}
@@ -2,7 +2,7 @@ import React, { useRef, useState, useCallback, useEffect } from 'react';
 import styled from 'styled-components';
 import { useNavigate } from 'react-router-dom';
 import { Camera as ReactCamera } from 'react-camera-pro';
-import { apiService, Book } from '../services/api';
+import { apiService, Book, AnalysisProgressEvent } from '../services/api';
 import Button from '../components/UI/Button';
 import { FullPageLoading, LoadingOverlay } from '../components/UI/LoadingStates';
 import { CameraError, UploadError, AnalysisError, NoBooksFoundError } from '../components/UI/ErrorStates';
@@ -125,6 +125,36 @@ const ConfidenceBadge = styled.span<{ confidence: number }>`
 
 
 
+const STAGE_LABELS: Record<string, string> = {
+  validate: 'Checking the photo...',
+  preprocess: 'Preparing the image...',
+  segment: 'Finding book spines...',
+  'per-spine': 'Reading each spine...',
+  barcode: 'Reading barcodes...',
+  verify: 'Double-checking titles...',
+  enrichment: 'Looking up book details...',
+  filter: 'Finishing up...'
+};
+
+// Overlay text for a live analysis progress event, or null to keep the current text
+const describeProgress = (event: AnalysisProgressEvent, booksSoFar: number): string | null => {
+  switch (event.type) {
+    case 'status':
+      return event.status === 'queued' ? 'Waiting for the analyzer...' : 'Analyzing your photo...';
+    case 'stage':
+      if (event.status !== 'started') return null;
+      return (event.stage && STAGE_LABELS[event.stage]) || 'Detecting book spines and titles...';
+    case 'book':
+      return `Found ${booksSoFar} book${booksSoFar === 1 ? '' : 's'} so far...`;
+    case 'frame':
+      return `Photo ${(event.frameIndex ?? 0) + 1} ${event.status === 'failed' ? 'could not be read' : 'analyzed'}`;
+    case 'failed':
+      return event.willRetry ? 'Something went wrong, retrying...' : null;
+    default:
+      return null;
+  }
+};
+
 const Scanner: React.FC = () => {
   const navigate = useNavigate();
   const cameraRef = useRef<any>(null);
@@ -139,6 +169,7 @@ const Scanner: React.FC = () => {
   const [analysisComplete, setAnalysisComplete] = useState(false);
   const [cameraError, setCameraError] = useState(false);
   const [uploadError, setUploadError] = useState(false);
+  const [progressMessage, setProgressMessage] = useState<string | null>(null);
 
   const analyticsHook = useAnalytics();
 
@@ -199,6 +230,8 @@ const Scanner: React.FC = () => {
     const startTime = Date.now();
     setIsProcessing(true);
     setError(null);
+    setProgressMessage(null);
+    let stopProgress = () => {};
     
     try {
       let session = await apiService.getSession();
@@ -211,20 +244,33 @@ const Scanner: React.FC = () => {
       const file = new File([blob], 'bookshelf.jpg', { type: 'image/jpeg' });
       
       const uploadResponse = await apiService.uploadImage(file);
-      setUploadId(uploadResponse.uploadId);
+      const newUploadId = String(uploadResponse.file.id);
+      setUploadId(newUploadId);
       
-      const analysisResponse = await apiService.analyzeImage(uploadResponse.uploadId);
+      // Analysis runs as a background job; wait for it unless the upload was already analyzed
+      const analysisResponse = await apiService.analyzeImage(newUploadId);
+      let booksSoFar = 0;
+      if ('jobId' in analysisResponse) {
+        stopProgress = apiService.subscribeToAnalysis(newUploadId, (event) => {
+          if (event.type === 'book') booksSoFar++;
+          const message = describeProgress(event, booksSoFar);
+          if (message) setProgressMessage(message);
+        });
+      }
+      const books = 'jobId' in analysisResponse
+        ? await apiService.waitForAnalysis(newUploadId)
+        : analysisResponse.books;
       const processingTime = Date.now() - startTime;
       
-      if (analysisResponse.success && analysisResponse.books.length > 0) {
-        setDetectedBooks(analysisResponse.books);
+      if (books.length > 0) {
+        setDetectedBooks(books);
         setAnalysisComplete(true);
         
-        const avgConfidence = analysisResponse.books.reduce((sum, book) => sum + book.confidence, 0) / analysisResponse.books.length;
+        const avgConfidence = books.reduce((sum, book) => sum + book.confidence, 0) / books.length;
         analyticsHook.trackBookshelfScan({
           imageSize: blob.size,
           processingTime,
-          booksDetected: analysisResponse.books.length,
+          booksDetected: books.length,
           confidence: avgConfidence
         });
       } else {
@@ -238,10 +284,12 @@ const Scanner: React.FC = () => {
       
     } catch (error: any) {
       console.error('Error processing image:', error);
-      setError(error.response?.data?.error || 'Failed to process image. Please try again.');
+      setError(error.response?.data?.error || error.message || 'Failed to process image. Please try again.');
       analyticsHook.trackError('image_processing_failed', { error: error.message });
     } finally {
+      stopProgress();
       setIsProcessing(false);
+      setProgressMessage(null);
     }
   };
 
@@ -362,7 +410,7 @@ const Scanner: React.FC = () => {
       <LoadingOverlay
         isVisible={isProcessing}
         title="🔍 Analyzing your bookshelf..."
-        subtitle="Using AI to detect book spines and extract titles"
+        subtitle={progressMessage || 'Using AI to detect book spines and extract titles'}
       />
 
       {detectedBooks.length > 0 && (
@@ -75,6 +75,11 @@ export interface Recommendation {
     thumbnail?: string;
     categories?: string[];
   };
+  contentScreening?: {
+    tags: Record<string, 'none' | 'mild' | 'strong'>;
+    penalty: number;
+    reasons: string[];
+  };
   finalScore?: number;
   amazonUrl?: string;
 }
@@ -127,19 +132,113 @@ export interface Preferences {
 
 export interface UploadResponse {
   success: boolean;
-  fileId: string;
-  uploadId: string;
   message: string;
-  uploadedAt: string;
+  file: {
+    id: number;
+    filename: string;
+    originalName: string;
+    size: number;
+    type: string;
+    uploadedAt: string;
+    processingStatus: UploadProcessingStatus;
+  };
+  processing?: {
+    status: 'queued';
+    job: AnalysisJob;
+  };
+}
+
+export type UploadProcessingStatus = 'uploaded' | 'processing' | 'completed' | 'failed' | 'failed_provider';
+
+export interface AnalysisJob {
+  id: number;
+  type: string;
+  status: 'pending' | 'running' | 'completed' | 'failed';
+  attempts: number;
+  maxAttempts: number;
+  nextRunAt: string | null;
+  lastError: string | null;
+  result: Record<string, any> | null;
+  createdAt: string;
+  completedAt: string | null;
 }
 
-export interface AnalysisResponse {
+// Analysis is queued (202 with the job to wait for), unless the upload was already analyzed
+export interface AnalysisQueuedResponse {
   success: boolean;
+  message: string;
+  uploadId: string;
+  jobId: number;
+  job: AnalysisJob;
+  statusUrl: string;
+}
+
+export interface AnalysisCompletedResponse {
+  success: boolean;
+  message: string;
   books: Book[];
-  processingTime: number;
-  detectedBooks: number;
-  confidence: number;
-  aiProvider: string;
+  processingStatus: 'completed';
+}
+
+export type AnalysisResponse = AnalysisQueuedResponse | AnalysisCompletedResponse;
+
+export interface UploadStatus {
+  success: boolean;
+  uploadId: number;
+  uploadType: 'single' | 'group';
+  processingStatus: UploadProcessingStatus;
+  processedAt: string | null;
+  totalBooks: number;
+  processingError: {
+    code: string;
+    message: string;
+    failures: ProviderFailure[];
+    willRetry?: boolean;
+  } | null;
+  job: AnalysisJob | null;
+}
+
+export interface AnalysisProgressEvent {
+  type: 'snapshot' | 'status' | 'stage' | 'book' | 'frame' | 'complete' | 'failed';
+  id?: number;
+  uploadId: string | number;
+  timestamp: string;
+  status?: string;
+  stage?: string;
+  jobId?: number;
+  frameIndex?: number;
+  booksFound?: number;
+  book?: Book;
+  books?: Book[];
+  error?: string;
+  code?: string;
+  failures?: ProviderFailure[];
+  willRetry?: boolean;
+  [key: string]: any;
+}
+
+export interface ProviderFailure {
+  provider?: string;
+  stage?: string;
+  error: string;
+  code?: string | null;
+  retryable?: boolean;
+}
+
+export interface LibraryBook {
+  id: number;
+  title: string;
+  author: string | null;
+  genre: string | null;
+  isbn: string | null;
+  workId: number | null;
+  notes: string | null;
+  source: 'scan' | 'manual';
+  sourceUploadId: number | null;
+  confidence: number | null;
+  timesDetected: number;
+  addedAt: string;
+  updatedAt: string;
 }
 
 export interface RecommendationResponse {
@@ -165,9 +264,88 @@ export interface RecommendationResponse {
     basedOnBooks: number;
     aiProvider: string;
     goodreadsIntegrated: boolean;
+    filtered: { owned: number; read: number; disliked: number; content: number; total: number };
+    contentFiltered: Array<{ title: string; author: string; reasons: string[] }>;
+    feedbackRatings: number;
+    historyRatings: number;
+    recommendationId: number;
+    uploadId: number | null;
+    libraryBooks: number;
+    readingHistoryBooks: number;
   };
 }
 
+export interface SavedRecommendation {
+  id: number;
+  recommendationId: number | null;
+  bookIndex: number;
+  book: Recommendation;
+  notes: string | null;
+  savedAt: string;
+  updatedAt: string;
+}
+
+export interface RecommendationHistoryEntry {
+  id: number;
+  uploadId: number | null;
+  reasoning: string | null;
+  bookCount: number;
+  books: Array<{ index: number; title: string; author: string; genre?: string }>;
+  createdAt: string;
+}
+
+export interface ReadingHistoryEntry {
+  id: number;
+  title: string;
+  author: string | null;
+  isbn: string | null;
+  status: 'read' | 'reading' | 'want_to_read';
+  rating: number | null;
+  notes: string | null;
+  currentPage: number;
+  pageCount: number | null;
+  startedAt: string | null;
+  finishedAt: string | null;
+  goodreadsBookId: string | null;
+  addedAt: string;
+  updatedAt: string;
+}
+
+type GoalPace = 'ahead' | 'on_track' | 'behind' | null;
+
+export interface GoalProgress {
+  date: string;
+  books: {
+    target: number | null;
+    finishedThisMonth: number;
+    expectedByNow: number | null;
+    pace: GoalPace;
+    projectedThisMonth: number;
+    projectedCompletion: string | null;
+    completed: boolean;
+  };
+  pages: {
+    target: number | null;
+    today: number;
+    lastDays: number;
+    lastDaysTotal: number;
+    averagePerDay: number;
+    monthToDate: number;
+    pace: GoalPace;
+  };
+  streaks: { current: number; longest: number; lastReadOn: string | null };
+  currentlyReading: Array<{
+    id: number;
+    title: string;
+    author: string | null;
+    currentPage: number;
+    pageCount: number | null;
+    percent: number | null;
+    pagesPerDay: number;
+    projectedFinish: string | null;
+  }>;
+}
+
 // API Service Class
 class ApiService {
   // Session Management
@@ -225,19 +403,67 @@ class ApiService {
     return response.data;
   }
 
-  async getUploadStatus(uploadId: string) {
+  async getUploadStatus(uploadId: string): Promise<UploadStatus> {
     const response = await api.get(`/uploads/${uploadId}/status`);
     return response.data;
   }
 
+  async getUploadBooks(uploadId: string): Promise<Book[]> {
+    const response = await api.get(`/uploads/${uploadId}/books`);
+    return response.data.books;
+  }
+
+  // Poll a queued analysis until the upload is processed; resolves with its books, rejects if it fails
+  async waitForAnalysis(
+    uploadId: string,
+    options: { intervalMs?: number; timeoutMs?: number } = {}
+  ): Promise<Book[]> {
+    const intervalMs = options.intervalMs || 2000;
+    const deadline = Date.now() + (options.timeoutMs || 5 * 60 * 1000);
+
+    while (Date.now() < deadline) {
+      const status = await this.getUploadStatus(uploadId);
+
+      if (status.processingStatus === 'completed') {
+        return this.getUploadBooks(uploadId);
+      }
+      if (status.processingStatus === 'failed' || status.processingStatus === 'failed_provider') {
+        throw new Error(status.processingError?.message || 'Analysis failed');
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    }
+
+    throw new Error('Analysis is taking longer than expected. Please try again later.');
+  }
+
+  // Live analysis progress via Server-Sent Events; returns a function that closes the stream
+  subscribeToAnalysis(uploadId: string, onEvent: (event: AnalysisProgressEvent) => void): () => void {
+    const source = new EventSource(`${API_BASE_URL}/uploads/${uploadId}/events`, { withCredentials: true });
+    const eventTypes: AnalysisProgressEvent['type'][] = ['snapshot', 'status', 'stage', 'book', 'frame', 'complete', 'failed'];
+
+    eventTypes.forEach((type) => {
+      source.addEventListener(type, (message) => {
+        const event = JSON.parse((message as MessageEvent).data) as AnalysisProgressEvent;
+        onEvent(event);
+
+        if (type === 'complete' || (type === 'failed' && !event.willRetry)) {
+          source.close();
+        }
+      });
+    });
+
+    return () => source.close();
+  }
+
   // Recommendations
   async generateRecommendations(
-    uploadId: string,
+    uploadId: string | null,
     preferences: Partial<Preferences> = {},
     options: { maxRecommendations?: number; aiModel?: string } = {}
   ): Promise<RecommendationResponse> {
     const response = await api.post('/recommendations/generate', {
-      uploadId,
+      ...(uploadId && { uploadId }),
       preferences,
       options: {
         maxRecommendations: options.maxRecommendations || 10,
@@ -249,24 +475,66 @@ class ApiService {
     return response.data;
   }
 
-  async saveRecommendation(recommendationId: string) {
-    const response = await api.post(`/recommendations/${recommendationId}/save`);
-    return response.data;
+  async saveRecommendation(recommendationId: number, bookIndex: number, notes?: string) {
+    const response = await api.post(`/recommendations/${recommendationId}/save`, { bookIndex, notes });
+    return response.data as { success: boolean; created: boolean; saved: SavedRecommendation };
   }
 
-  async getSavedRecommendations() {
-    const response = await api.get('/recommendations/saved');
+  async getSavedRecommendations(params: { limit?: number; offset?: number } = {}) {
+    const response = await api.get('/recommendations/saved', { params });
+    return response.data as { success: boolean; savedRecommendations: SavedRecommendation[]; totalCount: number };
+  }
+
+  async updateSavedRecommendationNotes(savedId: number, notes: string | null) {
+    const response = await api.put(`/recommendations/saved/${savedId}`, { notes });
+    return response.data as { success: boolean; saved: SavedRecommendation };
+  }
+
+  async unsaveRecommendation(savedId: number) {
+    const response = await api.delete(`/recommendations/saved/${savedId}`);
     return response.data;
   }
 
-  async rateRecommendation(recommendationId: string, rating: number, feedback?: string) {
+  async getRecommendationHistory(params: { limit?: number; offset?: number } = {}) {
+    const response = await api.get('/recommendations/history', { params });
+    return response.data as { success: boolean; history: RecommendationHistoryEntry[]; totalCount: number };
+  }
+
+  async rateRecommendation(recommendationId: number, bookIndex: number, rating: number, feedback?: string) {
     const response = await api.post(`/recommendations/${recommendationId}/rate`, {
+      bookIndex,
       rating,
       feedback
     });
     return response.data;
   }
 
+  // Library
+  async getLibrary(params: { search?: string; genre?: string; limit?: number; offset?: number } = {}) {
+    const response = await api.get('/library', { params });
+    return response.data as { success: boolean; books: LibraryBook[]; totalCount: number };
+  }
+
+  async addLibraryBook(book: { title: string; author?: string; genre?: string; isbn?: string; notes?: string }) {
+    const response = await api.post('/library', book);
+    return response.data;
+  }
+
+  async acceptUploadIntoLibrary(uploadId: string, options: { bookIndexes?: number[]; minConfidence?: number } = {}) {
+    const response = await api.post(`/library/accept/${uploadId}`, options);
+    return response.data;
+  }
+
+  async updateLibraryBook(bookId: number, changes: Partial<Pick<LibraryBook, 'title' | 'author' | 'genre' | 'isbn' | 'notes'>>) {
+    const response = await api.put(`/library/${bookId}`, changes);
+    return response.data;
+  }
+
+  async removeLibraryBook(bookId: number) {
+    const response = await api.delete(`/library/${bookId}`);
+    return response.data;
+  }
+
   // Preferences
   async getPreferences(): Promise<Preferences> {
     const response = await api.get('/preferences');
@@ -303,6 +571,84 @@ class ApiService {
     return response.data;
   }
 
+  // Reading goals
+  async getGoalProgress(): Promise<{ goals: Preferences['readingGoals']; progress: GoalProgress }> {
+    const response = await api.get('/goals/progress');
+    return response.data;
+  }
+
+  async logReadingProgress(progress: {
+    readingHistoryId?: number;
+    title?: string;
+    author?: string;
+    isbn?: string;
+    pageCount?: number;
+    currentPage?: number;
+    finished?: boolean;
+    date?: string;
+  }): Promise<{ started: boolean; pagesLogged: number; entry: ReadingHistoryEntry }> {
+    const response = await api.post('/goals/progress', progress);
+    return response.data;
+  }
+
+  // Reading history
+  async getReadingHistory(params: {
+    status?: string;
+    minRating?: number;
+    search?: string;
+    sort?: 'added' | 'updated' | 'title' | 'author' | 'rating' | 'started' | 'finished';
+    order?: 'asc' | 'desc';
+    limit?: number;
+    offset?: number;
+  } = {}): Promise<{ entries: ReadingHistoryEntry[]; totalCount: number }> {
+    const response = await api.get('/reading-history', { params });
+    return response.data;
+  }
+
+  async addReadingHistoryEntry(entry: {
+    title: string;
+    author?: string;
+    isbn?: string;
+    status?: ReadingHistoryEntry['status'];
+    rating?: number;
+    notes?: string;
+    pageCount?: number;
+    startedAt?: string;
+    finishedAt?: string;
+  }): Promise<{ entry: ReadingHistoryEntry }> {
+    const response = await api.post('/reading-history', entry);
+    return response.data;
+  }
+
+  async updateReadingHistoryEntry(entryId: number, changes: {
+    title?: string;
+    author?: string | null;
+    isbn?: string | null;
+    status?: ReadingHistoryEntry['status'];
+    rating?: number | null;
+    notes?: string | null;
+    pageCount?: number | null;
+    startedAt?: string | null;
+    finishedAt?: string | null;
+  }): Promise<{ entry: ReadingHistoryEntry }> {
+    const response = await api.put(`/reading-history/${entryId}`, changes);
+    return response.data;
+  }
+
+  async removeReadingHistoryEntry(entryId: number) {
+    const response = await api.delete(`/reading-history/${entryId}`);
+    return response.data;
+  }
+
+  async importUploadIntoReadingHistory(uploadId: string, options: {
+    bookIndexes?: number[];
+    minConfidence?: number;
+    status?: ReadingHistoryEntry['status'];
+  } = {}) {
+    const response = await api.post(`/reading-history/import/${uploadId}`, options);
+    return response.data;
+  }
+
   // Goodreads Integration
   async searchBooks(query: string, limit: number = 10) {
     const response = await api.get(`/goodreads/search?q=${encodeURIComponent(query)}&limit=${limit}`);
@@ -195,15 +195,21 @@ const timeoutHandler = (timeout = 30000) => {
   return (req, res, next) => {
     // Set request timeout
     const timer = setTimeout(() => {
+      // Streaming responses (e.g. Server-Sent Events) have already started and manage their own lifetime
+      if (res.headersSent) return;
+
       const error = new Error('Request timeout');
       error.status = 408;
       next(error);
     }, timeout);
 
-    // Clear timeout when response is finished
+    // Clear timeout when response is finished or the client disconnects
     res.on('finish', () => {
       clearTimeout(timer);
     });
+    res.on('close', () => {
+      clearTimeout(timer);
+    });
 
     next();
   };
@@ -3,6 +3,9 @@ const router = express.Router();
 const bookSpineRecognition = require('../services/bookSpineRecognition');
 const recommendationEngine = require('../services/recommendationEngine');
 const imageProcessor = require('../services/imageProcessor');
+const jobQueue = require('../services/jobQueue');
+const bookCatalog = require('../services/bookCatalog');
+const metadataCache = require('../services/metadataCache');
 const { getStats: getDbStats } = require('../utils/database');
 const { getSessionStats } = require('../utils/sessionUtils');
 
@@ -17,6 +20,9 @@ router.get('/stats', async (req, res) => {
       bookRecognition: bookSpineRecognition.getStats(),
       recommendations: recommendationEngine.getStats(),
       imageProcessing: imageProcessor.getStats(),
+      jobs: jobQueue.getStats(),
+      catalog: bookCatalog.getStats(),
+      metadataCache: metadataCache.getStats(),
       database: await getDbStats(),
       sessions: await getSessionStats()
     };
@@ -91,17 +97,20 @@ router.get('/health', async (req, res) => {
 });
 
 // Clear caches
-router.post('/clear-cache', (req, res) => {
+router.post('/clear-cache', async (req, res) => {
   try {
     const recognitionCleared = bookSpineRecognition.clearCache();
     const recommendationCleared = recommendationEngine.clearCache();
+    // Metadata cache rows are only dropped once past their hard expiry; fresh and stale rows are kept
+    const metadataExpired = await metadataCache.cleanupExpired();
 
     res.json({
       success: true,
       message: 'Caches cleared successfully',
       cleared: {
         bookRecognition: recognitionCleared,
-        recommendations: recommendationCleared
+        recommendations: recommendationCleared,
+        metadataCacheExpired: metadataExpired
       }
     });
 
@@ -115,10 +124,11 @@ router.post('/clear-cache', (req, res) => {
 });
 
 // Get processing queue status
-router.get('/queue', (req, res) => {
+router.get('/queue', async (req, res) => {
   try {
     const recognitionStats = bookSpineRecognition.getStats();
     const recommendationStats = recommendationEngine.getStats();
+    const jobCounts = await jobQueue.getQueueCounts();
 
     res.json({
       success: true,
@@ -128,6 +138,10 @@ router.get('/queue', (req, res) => {
         recommendationCacheSize: recommendationStats.cacheSize || 0,
         totalProcessed: recognitionStats.totalProcessed || 0,
         totalRecommendations: recommendationStats.totalRecommendations || 0
+      },
+      jobs: {
+        counts: jobCounts,
+        worker: jobQueue.getStats()
       }
     });
 
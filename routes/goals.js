@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const { getSession } = require('../utils/sessionUtils');
+const readingHistory = require('../services/readingHistory');
+const userPreferences = require('../services/userPreferences');
+const { transaction } = require('../utils/database');
+
+// Progress towards the reading goals saved in preferences (readingGoals)
+router.get('/progress', async (req, res) => {
+  try {
+    const sessionId = req.session.deviceSessionId;
+
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
+
+    const session = await getSession(sessionId);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid session' });
+    }
+
+    const { preferences } = await userPreferences.get(sessionId);
+    const progress = await readingHistory.getProgress(sessionId, preferences.readingGoals);
+
+    res.json({
+      success: true,
+      goals: preferences.readingGoals,
+      progress: progress
+    });
+  } catch (error) {
+    console.error('Goal progress error:', error);
+    res.status(500).json({ error: 'Failed to retrieve goal progress' });
+  }
+});
+
+// Log reading: how far into a book the session is. Without readingHistoryId, starts a new book
+// ({title, author, isbn, pageCount})
+router.post('/progress', async (req, res) => {
+  try {
+    const sessionId = req.session.deviceSessionId;
+
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
+
+    const session = await getSession(sessionId);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid session' });
+    }
+
+    const { readingHistoryId, title, author, isbn, pageCount, currentPage, finished, date } = req.body || {};
+    let entry = null;
+
+    if (readingHistoryId !== undefined) {
+      entry = await readingHistory.getEntry(sessionId, readingHistoryId);
+      if (!entry) {
+        return res.status(404).json({ error: 'Reading history entry not found' });
+      }
+    } else if (!title || typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({ error: 'readingHistoryId, or the title of a book to start, is required' });
+    }
+
+    const started = !entry;
+
+    // A new book and its first progress are saved together, so rejected progress does not leave the book behind
+    const { entry: updated, pagesLogged } = await transaction(async (client) => {
+      const target = entry || await readingHistory.startBook(sessionId, { title, author, isbn, pageCount }, { date, db: client });
+
+      return readingHistory.recordProgress(sessionId, target, {
+        currentPage,
+        pageCount: started ? undefined : pageCount,
+        finished,
+        date
+      }, { db: client });
+    });
+
+    res.status(started ? 201 : 200).json({
+      success: true,
+      started: started,
+      pagesLogged: pagesLogged,
+      entry: readingHistory.formatEntry(updated)
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_READING_ENTRY') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'DUPLICATE_READING_ENTRY') {
+      return res.status(409).json({ error: error.message, readingHistoryId: error.duplicateId });
+    }
+    console.error('Goal progress update error:', error);
+    res.status(500).json({ error: 'Failed to record reading progress' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+const express = require('express');
+const router = express.Router();
+const { getSession } = require('../utils/sessionUtils');
+const userLibrary = require('../services/userLibrary');
+const { findById } = require('../utils/database');
+
+// List books in the session's library
+router.get('/', async (req, res) => {
+  try {
+    const sessionId = req.session.deviceSessionId;
+
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
+
+    const session = await getSession(sessionId);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid session' });
+    }
+
+    const { search, genre, limit, offset } = req.query;
+    const { books, totalCount } = await userLibrary.listBooks(sessionId, { search, genre, limit, offset });
+
+    res.json({
+      success: true,
+      books: books.map(book => userLibrary.formatBook(book)),
+      totalCount: totalCount
+    });
+  } catch (error) {
+    console.error('Library list error:', error);
+    res.status(500).json({ error: 'Failed to retrieve library' });
+  }
+});
+
+// Add a book by hand (merged into the existing copy if the library already has it)
+router.post('/', async (req, res) => {
+  try {
+    const sessionId = req.session.deviceSessionId;
+
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
+
+    const session = await getSession(sessionId);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid session' });
+    }
+
+    const { title, author, genre, isbn, notes } = req.body;
+
+    if (!title || typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({ error: 'Book title is required' });
+    }
+
+    const { book, created } = await userLibrary.addBook(sessionId, { title, author, genre, isbn, notes });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      created: created,
+      book: userLibrary.formatBook(book)
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_BOOK') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Library add error:', error);
+    res.status(500).json({ error: 'Failed to add book to library' });
+  }
+});
+
+// Confirm detected books from a processed upload into the library
+router.post('/accept/:uploadId', async (req, res) => {
+  try {
+    const sessionId = req.session.deviceSessionId;
+    const { uploadId } = req.params;
+
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
+
+    const session = await getSession(sessionId);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid session' });
+    }
+
+    const uploadRecord = await findById('image_uploads', uploadId);
+    if (!uploadRecord) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    // Check ownership
+    if (uploadRecord.session_id !== sessionId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (uploadRecord.processing_status !== 'completed') {
+      return res.status(400).json({
+        error: 'Image not yet processed',
+        status: uploadRecord.processing_status
+      });
+    }
+
+    const { bookIndexes, minConfidence } = req.body;
+
+    if (bookIndexes !== undefined && !Array.isArray(bookIndexes)) {
+      return res.status(400).json({ error: 'bookIndexes must be an array of detected book indexes' });
+    }
+
+    const { added, merged, skipped } = await userLibrary.acceptFromUpload(sessionId, uploadRecord, {
+      bookIndexes,
+      minConfidence: typeof minConfidence === 'number' ? minConfidence : undefined
+    });
+
+    console.log(`📚 Library updated from upload ${uploadRecord.id}: ${added.length} added, ${merged.length} already owned`);
+
+    res.json({
+      success: true,
+      uploadId: uploadRecord.id,
+      added: added.map(book => userLibrary.formatBook(book)),
+      merged: merged.map(book => userLibrary.formatBook(book)),
+      skipped: skipped
+    });
+  } catch (error) {
+    console.error('Library accept error:', error);
+    res.status(500).json({ error: 'Failed to add detected books to library' });
+  }
+});
+
+// Edit a library book
+router.put('/:bookId', async (req, res) => {
+  try {
+    const sessionId = req.session.deviceSessionId;
+    const { bookId } = req.params;
+
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
+
+    const session = await getSession(sessionId);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid session' });
+    }
+
+    const book = await userLibrary.getBook(sessionId, bookId);
+    if (!book) {
+      return res.status(404).json({ error: 'Book not found in library' });
+    }
+
+    const updated = await userLibrary.updateBook(sessionId, book, req.body || {});
+
+    res.json({
+      success: true,
+      book: userLibrary.formatBook(updated)
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_BOOK') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'DUPLICATE_BOOK') {
+      return res.status(409).json({ error: error.message, duplicateId: error.duplicateId });
+    }
+    console.error('Library edit error:', error);
+    res.status(500).json({ error: 'Failed to update library book' });
+  }
+});
+
+// Remove a book from the library
+router.delete('/:bookId', async (req, res) => {
+  try {
+    const sessionId = req.session.deviceSessionId;
+    const { bookId } = req.params;
+
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
+
+    const session = await getSession(sessionId);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid session' });
+    }
+
+    const removed = await userLibrary.removeBook(sessionId, bookId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Book not found in library' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Book removed from library',
+      bookId: bookId,
+      removedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Library remove error:', error);
+    res.status(500).json({ error: 'Failed to remove library book' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,45 @@
 const express = require('express');
 const router = express.Router();
 const { getSession, generateSessionId, createSession } = require('../utils/sessionUtils');
+const userPreferences = require('../services/userPreferences');
+
+/**
+ * Send the response for a failed preferences write
+ * @param {object} res - Express response
+ * @param {Error} error - Error from the preferences repository
+ * @param {string} message - Error message for unexpected failures
+ */
+function sendWriteError(res, error, message) {
+  if (error.code === 'PREFERENCES_CONFLICT') {
+    return res.status(409).json({ error: error.message, currentVersion: error.currentVersion });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
+
+/**
+ * Check preferences (or {category: value} changes) against the preferences schema
+ * Sends a 400 listing every invalid field when they do not match.
+ * @param {object} res - Express response
+ * @param {object} preferences - Preferences to check
+ * @returns {boolean} Whether they are valid (false once the response has been sent)
+ */
+function checkPreferences(res, preferences) {
+  const { valid, errors } = userPreferences.validate(preferences);
+  if (!valid) {
+    res.status(400).json({ error: 'Invalid preferences', errors });
+  }
+  return valid;
+}
+
+/**
+ * Version the client last read, for optimistic concurrency (optional)
+ * @param {object} body - Request body
+ * @returns {number|undefined} Expected version
+ */
+function getExpectedVersion(body) {
+  return Number.isInteger(body?.version) ? body.version : undefined;
+}
 
 // Get user preferences
 router.get('/', async (req, res) => {
@@ -42,65 +81,14 @@ router.get('/', async (req, res) => {
       }
     }
 
-    // Enhanced preferences structure for Day 4
-    const defaultPreferences = {
-      favoriteGenres: [],
-      avoidGenres: [],
-      preferredAuthors: [],
-      avoidAuthors: [],
-      themes: [],
-      readingLevel: 'any', // beginner, intermediate, advanced, any
-      ratingThresholds: {
-        minimumRating: 3.0, // Minimum Goodreads/Google Books rating
-        minimumReviewCount: 50, // Minimum number of reviews
-        preferHighlyRated: true // Prioritize books with high ratings
-      },
-      contentPreferences: {
-        violence: 'any', // avoid, limit, any
-        profanity: 'any', // avoid, limit, any
-        adult: 'any', // avoid, limit, any
-        religiousContent: 'any',
-        politicalContent: 'any'
-      },
-      discoverySettings: {
-        includeNewReleases: true, // Include books from last 2 years
-        includeClassics: true, // Include older acclaimed books
-        includeDiverseAuthors: true, // Prioritize diverse voices
-        includeTranslations: false, // Include translated works
-        experimentWithGenres: true // Try genres outside preferences
-      },
-      recommendations: {
-        maxResults: 10,
-        includePopular: true, // Include bestsellers/popular books
-        includeSimilar: true, // Include books similar to owned books
-        includeAwards: true, // Include award-winning books
-        diversityLevel: 'balanced' // conservative, balanced, adventurous
-      },
-      readingGoals: {
-        booksPerMonth: null,
-        pagesPerDay: null,
-        preferredLength: 'any', // short, medium, long, any
-        seriesPreference: 'mixed' // standalone, series, mixed
-      },
-      goodreadsIntegration: {
-        enabled: false,
-        importToRead: false,
-        importRatings: false,
-        syncProgress: false
-      },
-      privacy: {
-        shareReadingHistory: false,
-        allowDataCollection: false,
-        anonymizeRecommendations: true
-      }
-    };
+    const saved = await userPreferences.get(sessionId);
 
-    // For now, return default preferences
-    // In a real implementation, you would fetch from database based on session
     res.json({
       success: true,
-      preferences: defaultPreferences,
-      lastUpdated: new Date().toISOString()
+      preferences: saved.preferences,
+      version: saved.version,
+      customized: saved.customized,
+      lastUpdated: saved.updatedAt
     });
   } catch (error) {
     console.error('Get preferences error:', error);
@@ -127,42 +115,33 @@ router.put('/', async (req, res) => {
       await createSession(sessionId, deviceInfo);
       req.session.deviceSessionId = sessionId;
       req.session.save();
+    } else if (!(await getSession(sessionId))) {
+      return res.status(401).json({ error: 'Invalid session' });
     }
 
     const { preferences } = req.body;
     
-    if (!preferences) {
+    if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
       return res.status(400).json({ error: 'Preferences data required' });
     }
 
-    // Validate preferences structure - Enhanced for Day 4
-    const validFields = [
-      'favoriteGenres', 'avoidGenres', 'preferredAuthors', 'avoidAuthors', 
-      'themes', 'readingLevel', 'ratingThresholds', 'contentPreferences', 
-      'discoverySettings', 'recommendations', 'readingGoals', 
-      'goodreadsIntegration', 'privacy'
-    ];
-    const receivedFields = Object.keys(preferences);
-    const invalidFields = receivedFields.filter(field => !validFields.includes(field));
-    
-    if (invalidFields.length > 0) {
-      return res.status(400).json({ 
-        error: `Invalid preference fields: ${invalidFields.join(', ')}` 
-      });
-    }
+    if (!checkPreferences(res, preferences)) return;
+
+    const saved = await userPreferences.replace(sessionId, preferences, {
+      expectedVersion: getExpectedVersion(req.body)
+    });
 
-    // In a real implementation, you would save to database here
-    // For now, just acknowledge the update
-    console.log(`Preferences updated for session ${sessionId}:`, preferences);
+    console.log(`Preferences updated for session ${sessionId} (version ${saved.version})`);
 
     res.json({
       success: true,
       message: 'Preferences updated successfully',
-      updatedAt: new Date().toISOString()
+      preferences: saved.preferences,
+      version: saved.version,
+      updatedAt: saved.updatedAt
     });
   } catch (error) {
-    console.error('Update preferences error:', error);
-    res.status(500).json({ error: 'Failed to update preferences' });
+    sendWriteError(res, error, 'Failed to update preferences');
   }
 });
 
@@ -182,12 +161,7 @@ router.patch('/:category', async (req, res) => {
       return res.status(401).json({ error: 'Invalid session' });
     }
 
-    const validCategories = [
-      'favoriteGenres', 'avoidGenres', 'preferredAuthors', 'avoidAuthors',
-      'themes', 'readingLevel', 'ratingThresholds', 'contentPreferences',
-      'discoverySettings', 'recommendations', 'readingGoals',
-      'goodreadsIntegration', 'privacy'
-    ];
+    const validCategories = userPreferences.getCategories();
     
     if (!validCategories.includes(category)) {
       return res.status(400).json({ 
@@ -195,24 +169,43 @@ router.patch('/:category', async (req, res) => {
       });
     }
 
+    // Object categories take the keys to change ({violence: 'avoid'}); list and single-value
+    // categories take {value} (or a bare array)
     const updateData = req.body;
-    
-    if (!updateData || Object.keys(updateData).length === 0) {
-      return res.status(400).json({ error: 'Update data required' });
+    const isObjectCategory = userPreferences.isPlainObject(userPreferences.getDefaults()[category]);
+    let value;
+
+    if (isObjectCategory) {
+      const { version, ...fields } = updateData || {};
+      value = fields;
+    } else {
+      value = Array.isArray(updateData) ? updateData : updateData?.value;
+    }
+
+    if (value === undefined || (isObjectCategory && Object.keys(value).length === 0)) {
+      return res.status(400).json({
+        error: isObjectCategory ? 'Update data required' : `Update data required: { "value": ... }`
+      });
     }
 
-    // In a real implementation, you would update the specific category in the database
-    console.log(`Preference category '${category}' updated for session ${sessionId}:`, updateData);
+    if (!checkPreferences(res, { [category]: value })) return;
+
+    const saved = await userPreferences.update(sessionId, { [category]: value }, {
+      expectedVersion: getExpectedVersion(updateData)
+    });
+
+    console.log(`Preference category '${category}' updated for session ${sessionId} (version ${saved.version})`);
 
     res.json({
       success: true,
       message: `${category} preferences updated successfully`,
       category: category,
-      updatedAt: new Date().toISOString()
+      value: saved.preferences[category],
+      version: saved.version,
+      updatedAt: saved.updatedAt
     });
   } catch (error) {
-    console.error('Update preference category error:', error);
-    res.status(500).json({ error: 'Failed to update preference category' });
+    sendWriteError(res, error, 'Failed to update preference category');
   }
 });
 
@@ -231,77 +224,46 @@ router.post('/reset', async (req, res) => {
       return res.status(401).json({ error: 'Invalid session' });
     }
 
-    // In a real implementation, you would reset preferences in the database
+    const saved = await userPreferences.reset(sessionId, { expectedVersion: getExpectedVersion(req.body) });
+
     console.log(`Preferences reset to default for session ${sessionId}`);
 
     res.json({
       success: true,
       message: 'Preferences reset to default successfully',
-      resetAt: new Date().toISOString()
+      preferences: saved.preferences,
+      version: saved.version,
+      resetAt: saved.updatedAt
     });
   } catch (error) {
-    console.error('Reset preferences error:', error);
-    res.status(500).json({ error: 'Failed to reset preferences' });
+    sendWriteError(res, error, 'Failed to reset preferences');
   }
 });
 
 // Get available genres for selection
 router.get('/genres/available', (req, res) => {
-  const availableGenres = [
-    'Fiction', 'Non-Fiction', 'Mystery', 'Thriller', 'Romance', 'Fantasy',
-    'Science Fiction', 'Historical Fiction', 'Literary Fiction', 'Biography',
-    'Memoir', 'Self-Help', 'Business', 'Psychology', 'Philosophy',
-    'History', 'Science', 'Politics', 'Religion', 'Health',
-    'Cooking', 'Travel', 'Art', 'Music', 'Sports', 'Technology',
-    'Poetry', 'Drama', 'Horror', 'Adventure', 'Young Adult',
-    'Children\'s', 'Graphic Novel', 'True Crime', 'Essays'
-  ];
+  const { genres } = userPreferences.getOptions();
 
   res.json({
     success: true,
-    genres: availableGenres.sort(),
-    count: availableGenres.length
+    genres,
+    count: genres.length
   });
 });
 
 // Get reading level options
 router.get('/reading-levels', (req, res) => {
-  const readingLevels = [
-    { value: 'beginner', label: 'Beginner', description: 'Easy reads, shorter books' },
-    { value: 'intermediate', label: 'Intermediate', description: 'Moderate complexity' },
-    { value: 'advanced', label: 'Advanced', description: 'Complex, literary works' },
-    { value: 'any', label: 'Any Level', description: 'No preference' }
-  ];
-
   res.json({
     success: true,
-    levels: readingLevels
+    levels: userPreferences.getOptions().readingLevels
   });
 });
 
 // Get content preference options
 router.get('/content-options', (req, res) => {
-  const contentOptions = {
-    violence: [
-      { value: 'avoid', label: 'Avoid', description: 'No violent content' },
-      { value: 'limit', label: 'Limited', description: 'Mild violence only' },
-      { value: 'any', label: 'Any', description: 'No restrictions' }
-    ],
-    profanity: [
-      { value: 'avoid', label: 'Avoid', description: 'No strong language' },
-      { value: 'limit', label: 'Limited', description: 'Occasional mild language' },
-      { value: 'any', label: 'Any', description: 'No restrictions' }
-    ],
-    adult: [
-      { value: 'avoid', label: 'Avoid', description: 'No adult content' },
-      { value: 'limit', label: 'Limited', description: 'Mild adult themes' },
-      { value: 'any', label: 'Any', description: 'No restrictions' }
-    ]
-  };
-
   res.json({
     success: true,
-    options: contentOptions
+    options: userPreferences.getOptions().contentOptions
   });
 });
 
@@ -314,41 +276,37 @@ router.post('/goals', async (req, res) => {
       return res.status(401).json({ error: 'No active session' });
     }
 
-    const { booksPerMonth, pagesPerDay, preferredLength, seriesPreference } = req.body;
-    
-    // Validate input
-    if (booksPerMonth && (typeof booksPerMonth !== 'number' || booksPerMonth < 0 || booksPerMonth > 100)) {
-      return res.status(400).json({ error: 'Books per month must be a number between 0 and 100' });
-    }
-    
-    if (pagesPerDay && (typeof pagesPerDay !== 'number' || pagesPerDay < 0 || pagesPerDay > 1000)) {
-      return res.status(400).json({ error: 'Pages per day must be a number between 0 and 1000' });
-    }
+    const session = await getSession(sessionId);
 
-    const validLengths = ['short', 'medium', 'long', 'any'];
-    if (preferredLength && !validLengths.includes(preferredLength)) {
-      return res.status(400).json({ error: `Preferred length must be one of: ${validLengths.join(', ')}` });
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid session' });
     }
 
-    const validSeriesPrefs = ['standalone', 'series', 'mixed'];
-    if (seriesPreference && !validSeriesPrefs.includes(seriesPreference)) {
-      return res.status(400).json({ error: `Series preference must be one of: ${validSeriesPrefs.join(', ')}` });
-    }
+    const { booksPerMonth, pagesPerDay, preferredLength, seriesPreference } = req.body;
+    
+    // Only the goals sent are changed
+    const goals = Object.fromEntries(
+      Object.entries({ booksPerMonth, pagesPerDay, preferredLength, seriesPreference })
+        .filter(([, value]) => value !== undefined)
+    );
+
+    if (!checkPreferences(res, { readingGoals: goals })) return;
 
-    // In real implementation, save to database
-    console.log(`Reading goals updated for session ${sessionId}:`, {
-      booksPerMonth, pagesPerDay, preferredLength, seriesPreference
+    const saved = await userPreferences.update(sessionId, { readingGoals: goals }, {
+      expectedVersion: getExpectedVersion(req.body)
     });
 
+    console.log(`Reading goals updated for session ${sessionId}:`, goals);
+
     res.json({
       success: true,
       message: 'Reading goals updated successfully',
-      goals: { booksPerMonth, pagesPerDay, preferredLength, seriesPreference },
-      updatedAt: new Date().toISOString()
+      goals: saved.preferences.readingGoals,
+      version: saved.version,
+      updatedAt: saved.updatedAt
     });
   } catch (error) {
-    console.error('Set reading goals error:', error);
-    res.status(500).json({ error: 'Failed to set reading goals' });
+    sendWriteError(res, error, 'Failed to set reading goals');
   }
 });
 
@@ -371,6 +329,8 @@ router.post('/quick-setup', async (req, res) => {
       await createSession(sessionId, deviceInfo);
       req.session.deviceSessionId = sessionId;
       req.session.save();
+    } else if (!(await getSession(sessionId))) {
+      return res.status(401).json({ error: 'Invalid session' });
     }
 
     const {
@@ -385,10 +345,6 @@ router.post('/quick-setup', async (req, res) => {
       return res.status(400).json({ error: 'At least one favorite genre is required' });
     }
 
-    if (typeof minimumRating !== 'number' || minimumRating < 1 || minimumRating > 5) {
-      return res.status(400).json({ error: 'Minimum rating must be between 1 and 5' });
-    }
-
     // Create quick setup preferences
     const quickPreferences = {
       favoriteGenres,
@@ -410,17 +366,21 @@ router.post('/quick-setup', async (req, res) => {
       }
     };
 
+    if (!checkPreferences(res, quickPreferences)) return;
+
+    const saved = await userPreferences.update(sessionId, quickPreferences);
+
     console.log(`Quick preferences setup for session ${sessionId}:`, quickPreferences);
 
     res.json({
       success: true,
       message: 'Preferences configured successfully',
-      preferences: quickPreferences,
-      setupAt: new Date().toISOString()
+      preferences: saved.preferences,
+      version: saved.version,
+      setupAt: saved.updatedAt
     });
   } catch (error) {
-    console.error('Quick setup error:', error);
-    res.status(500).json({ error: 'Failed to setup preferences' });
+    sendWriteError(res, error, 'Failed to setup preferences');
   }
 });
 
@@ -0,0 +1,234 @@
+const express = require('express');
+const router = express.Router();
+const { getSession } = require('../utils/sessionUtils');
+const readingHistory = require('../services/readingHistory');
+const { findById } = require('../utils/database');
+
+/**
+ * Send the response for a failed reading history change
+ * @param {object} res - Express response
+ * @param {Error} error - Error from the reading history service
+ * @param {string} message - Error message for unexpected failures
+ */
+function sendEntryError(res, error, message) {
+  if (error.code === 'INVALID_READING_ENTRY') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.code === 'DUPLICATE_READING_ENTRY') {
+    return res.status(409).json({ error: error.message, duplicateId: error.duplicateId });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
+
+// List the session's reading history (?status=read,reading&minRating=4&search=&sort=finished&order=desc)
+router.get('/', async (req, res) => {
+  try {
+    const sessionId = req.session.deviceSessionId;
+
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
+
+    const session = await getSession(sessionId);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid session' });
+    }
+
+    const { status, minRating, search, sort, order, limit, offset } = req.query;
+    const page = await readingHistory.listEntries(sessionId, { status, minRating, search, sort, order, limit, offset });
+
+    res.json({
+      success: true,
+      entries: page.entries.map(entry => readingHistory.formatEntry(entry)),
+      totalCount: page.totalCount,
+      limit: page.limit,
+      offset: page.offset
+    });
+  } catch (error) {
+    sendEntryError(res, error, 'Failed to retrieve reading history');
+  }
+});
+
+// Add a book (status defaults to 'read')
+router.post('/', async (req, res) => {
+  try {
+    const sessionId = req.session.deviceSessionId;
+
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
+
+    const session = await getSession(sessionId);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid session' });
+    }
+
+    const entry = await readingHistory.addEntry(sessionId, req.body || {});
+
+    res.status(201).json({
+      success: true,
+      entry: readingHistory.formatEntry(entry)
+    });
+  } catch (error) {
+    sendEntryError(res, error, 'Failed to add to reading history');
+  }
+});
+
+// Add detected books from a processed upload
+router.post('/import/:uploadId', async (req, res) => {
+  try {
+    const sessionId = req.session.deviceSessionId;
+    const { uploadId } = req.params;
+
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
+
+    const session = await getSession(sessionId);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid session' });
+    }
+
+    const uploadRecord = await findById('image_uploads', uploadId);
+    if (!uploadRecord) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    // Check ownership
+    if (uploadRecord.session_id !== sessionId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (uploadRecord.processing_status !== 'completed') {
+      return res.status(400).json({
+        error: 'Image not yet processed',
+        status: uploadRecord.processing_status
+      });
+    }
+
+    const { bookIndexes, minConfidence, status } = req.body || {};
+
+    if (bookIndexes !== undefined && !Array.isArray(bookIndexes)) {
+      return res.status(400).json({ error: 'bookIndexes must be an array of detected book indexes' });
+    }
+
+    const { added, existing, skipped } = await readingHistory.importFromUpload(sessionId, uploadRecord, {
+      bookIndexes,
+      minConfidence: typeof minConfidence === 'number' ? minConfidence : undefined,
+      status
+    });
+
+    console.log(`📖 Reading history updated from upload ${uploadRecord.id}: ${added.length} added, ${existing.length} already there`);
+
+    res.json({
+      success: true,
+      uploadId: uploadRecord.id,
+      added: added.map(entry => readingHistory.formatEntry(entry)),
+      existing: existing,
+      skipped: skipped
+    });
+  } catch (error) {
+    sendEntryError(res, error, 'Failed to import detected books into reading history');
+  }
+});
+
+// Get one entry
+router.get('/:entryId', async (req, res) => {
+  try {
+    const sessionId = req.session.deviceSessionId;
+
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
+
+    const session = await getSession(sessionId);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid session' });
+    }
+
+    const entry = await readingHistory.getEntry(sessionId, req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({ error: 'Reading history entry not found' });
+    }
+
+    res.json({
+      success: true,
+      entry: readingHistory.formatEntry(entry)
+    });
+  } catch (error) {
+    sendEntryError(res, error, 'Failed to retrieve reading history entry');
+  }
+});
+
+// Edit an entry; changing status sets the start/finish dates (startedAt / finishedAt override them)
+router.put('/:entryId', async (req, res) => {
+  try {
+    const sessionId = req.session.deviceSessionId;
+
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
+
+    const session = await getSession(sessionId);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid session' });
+    }
+
+    const entry = await readingHistory.getEntry(sessionId, req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({ error: 'Reading history entry not found' });
+    }
+
+    const updated = await readingHistory.updateEntry(sessionId, entry, req.body || {});
+    if (!updated) {
+      return res.status(404).json({ error: 'Reading history entry not found' });
+    }
+
+    res.json({
+      success: true,
+      entry: readingHistory.formatEntry(updated)
+    });
+  } catch (error) {
+    sendEntryError(res, error, 'Failed to update reading history entry');
+  }
+});
+
+// Remove an entry
+router.delete('/:entryId', async (req, res) => {
+  try {
+    const sessionId = req.session.deviceSessionId;
+    const { entryId } = req.params;
+
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
+
+    const session = await getSession(sessionId);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid session' });
+    }
+
+    const removed = await readingHistory.removeEntry(sessionId, entryId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Reading history entry not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from reading history',
+      entryId: entryId,
+      removedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    sendEntryError(res, error, 'Failed to remove reading history entry');
+  }
+});
+
+module.exports = router;
@@ -3,12 +3,19 @@ const router = express.Router();
 const { getSession } = require('../utils/sessionUtils');
 const { recommendation } = require('../middleware/rateLimitMiddleware');
 const recommendationEngine = require('../services/recommendationEngine');
-const { findById, insertOne, query } = require('../utils/database');
+const userLibrary = require('../services/userLibrary');
+const bookCorrections = require('../services/bookCorrections');
+const bookIdentity = require('../services/bookIdentity');
+const recommendationHistory = require('../services/recommendationHistory');
+const recommendationFeedback = require('../services/recommendationFeedback');
+const userPreferences = require('../services/userPreferences');
+const readingHistory = require('../services/readingHistory');
+const { findById, insertOne } = require('../utils/database');
 
 // Apply recommendation-specific rate limiting
 router.use(recommendation);
 
-// Get book recommendations based on uploaded bookshelf
+// Get book recommendations based on the session's library (plus an optional just-scanned upload)
 router.post('/generate', async (req, res) => {
   try {
     const sessionId = req.session.deviceSessionId;
@@ -23,14 +30,17 @@ router.post('/generate', async (req, res) => {
       return res.status(401).json({ error: 'Invalid session' });
     }
 
-    const { imageId, uploadId, preferences = {}, options = {} } = req.body;
-    
-    if (!imageId && !uploadId) {
-      return res.status(400).json({ error: 'Image ID or Upload ID required for recommendations' });
+    const { uploadId, preferences = {}, options = {} } = req.body;
+
+    const preferenceCheck = userPreferences.validate(preferences);
+    if (!preferenceCheck.valid) {
+      return res.status(400).json({ error: 'Invalid preferences', errors: preferenceCheck.errors });
     }
 
-    // Get detected books from upload
-    let detectedBooks = [];
+    // Recommendations are based on the library; a just-scanned upload that has not been
+    // confirmed into the library yet can be passed to include its detections as well
+    let detectedBooks = await userLibrary.getBooksForRecommendations(sessionId);
+    const libraryBookCount = detectedBooks.length;
     let uploadRecord = null;
 
     if (uploadId) {
@@ -51,28 +61,30 @@ router.post('/generate', async (req, res) => {
         });
       }
 
-      detectedBooks = uploadRecord.extracted_books || [];
+      const unconfirmedBooks = (uploadRecord.extracted_books || [])
+        .filter(book => !bookCorrections.isDiscarded(book))
+        .filter(book => !detectedBooks.some(libraryBook => bookIdentity.isSameWork(libraryBook, book)));
+      detectedBooks = detectedBooks.concat(unconfirmedBooks);
     }
 
     if (detectedBooks.length === 0) {
       return res.status(400).json({ 
-        error: 'No books detected in the uploaded image. Please ensure the image contains visible book spines.' 
+        error: uploadId
+          ? 'No books detected in the uploaded image. Please ensure the image contains visible book spines.'
+          : 'Your library is empty. Scan a bookshelf and add its books to your library first.'
       });
     }
 
-    // Get user preferences from database
-    const userPrefsResult = await query(
-      'SELECT content_preferences, favorite_genres, preferred_authors FROM user_preferences WHERE session_id = $1',
-      [sessionId]
-    );
+    // Saved preferences (merged over the defaults); request preferences override them for this call
+    const savedPreferences = await userPreferences.get(sessionId);
+    const combinedPreferences = userPreferences.merge(savedPreferences.preferences, preferences);
 
-    const dbPreferences = userPrefsResult.rows[0] || {};
-    const combinedPreferences = {
-      ...dbPreferences,
-      ...preferences, // Request preferences override DB preferences
-      favoriteGenres: preferences.favoriteGenres || dbPreferences.favorite_genres || [],
-      preferredAuthors: preferences.preferredAuthors || dbPreferences.preferred_authors || []
-    };
+    // Books read or being read (not just wanted) are never recommended again
+    const readBooks = await readingHistory.getBooksForRecommendations(sessionId);
+
+    // Ratings of earlier recommendations re-rank this list and keep poorly rated books out;
+    // ratings of books read weigh their authors too
+    const feedback = await recommendationFeedback.getProfile(sessionId, { readBooks });
 
     console.log(`🎯 Generating AI recommendations for ${detectedBooks.length} detected books`);
 
@@ -80,7 +92,9 @@ router.post('/generate', async (req, res) => {
     const recommendationOptions = {
       maxRecommendations: options.maxRecommendations || 10,
       includeMetadata: options.includeMetadata !== false,
-      model: options.aiModel || 'gpt-4'
+      model: options.aiModel || 'gpt-4',
+      readBooks,
+      feedback
     };
 
     const aiRecommendations = await recommendationEngine.generateRecommendations(
@@ -94,7 +108,7 @@ router.post('/generate', async (req, res) => {
     const recommendationRecord = await insertOne('recommendations', {
       session_id: sessionId,
       image_upload_id: uploadRecord?.id || null,
-      recommended_books: aiRecommendations.recommendations,
+      recommended_books: JSON.stringify(aiRecommendations.recommendations),
       reasoning: aiRecommendations.explanations.why
     });
 
@@ -109,6 +123,9 @@ router.post('/generate', async (req, res) => {
         ...aiRecommendations.metadata,
         recommendationId: recommendationRecord.id,
         uploadId: uploadRecord?.id || null,
+        libraryBooks: libraryBookCount,
+        readingHistoryBooks: readBooks.length,
+        preferencesVersion: savedPreferences.version,
         basedOnBooks: detectedBooks.map(book => ({ 
           title: book.title, 
           author: book.author, 
@@ -127,7 +144,7 @@ router.post('/generate', async (req, res) => {
   }
 });
 
-// Get recommendation history for current session
+// Get recommendation history for current session (paginated, newest first)
 router.get('/history', async (req, res) => {
   try {
     const sessionId = req.session.deviceSessionId;
@@ -142,11 +159,14 @@ router.get('/history', async (req, res) => {
       return res.status(401).json({ error: 'Invalid session' });
     }
 
-    // In a real implementation, fetch from database
+    const { recommendations, totalCount, limit, offset } = await recommendationHistory.listHistory(sessionId, req.query);
+
     res.json({
       success: true,
-      history: [],
-      totalCount: 0,
+      history: recommendations.map(row => recommendationHistory.formatRecommendation(row)),
+      totalCount: totalCount,
+      limit: limit,
+      offset: offset,
       sessionId: sessionId
     });
   } catch (error) {
@@ -155,11 +175,10 @@ router.get('/history', async (req, res) => {
   }
 });
 
-// Save/favorite a recommendation
-router.post('/:recommendationId/save', async (req, res) => {
+// Get saved recommendations (paginated, most recently saved first)
+router.get('/saved', async (req, res) => {
   try {
     const sessionId = req.session.deviceSessionId;
-    const { recommendationId } = req.params;
     
     if (!sessionId) {
       return res.status(401).json({ error: 'No active session' });
@@ -171,25 +190,27 @@ router.post('/:recommendationId/save', async (req, res) => {
       return res.status(401).json({ error: 'Invalid session' });
     }
 
-    // In a real implementation, save to database
-    console.log(`Recommendation ${recommendationId} saved for session ${sessionId}`);
+    const { saved, totalCount, limit, offset } = await recommendationHistory.listSaved(sessionId, req.query);
 
     res.json({
       success: true,
-      message: 'Recommendation saved successfully',
-      recommendationId: recommendationId,
-      savedAt: new Date().toISOString()
+      savedRecommendations: saved.map(row => recommendationHistory.formatSaved(row)),
+      totalCount: totalCount,
+      limit: limit,
+      offset: offset,
+      sessionId: sessionId
     });
   } catch (error) {
-    console.error('Save recommendation error:', error);
-    res.status(500).json({ error: 'Failed to save recommendation' });
+    console.error('Saved recommendations error:', error);
+    res.status(500).json({ error: 'Failed to retrieve saved recommendations' });
   }
 });
 
-// Get saved recommendations
-router.get('/saved', async (req, res) => {
+// Edit the notes on a saved recommendation
+router.put('/saved/:savedId', async (req, res) => {
   try {
     const sessionId = req.session.deviceSessionId;
+    const { savedId } = req.params;
     
     if (!sessionId) {
       return res.status(401).json({ error: 'No active session' });
@@ -201,25 +222,144 @@ router.get('/saved', async (req, res) => {
       return res.status(401).json({ error: 'Invalid session' });
     }
 
-    // In a real implementation, fetch from database
+    const { notes } = req.body;
+
+    if (notes !== null && typeof notes !== 'string') {
+      return res.status(400).json({ error: 'notes must be a string or null' });
+    }
+
+    const saved = await recommendationHistory.updateNotes(sessionId, savedId, notes);
+    if (!saved) {
+      return res.status(404).json({ error: 'Saved recommendation not found' });
+    }
+
     res.json({
       success: true,
-      savedRecommendations: [],
-      totalCount: 0,
-      sessionId: sessionId
+      saved: recommendationHistory.formatSaved(saved)
     });
   } catch (error) {
-    console.error('Saved recommendations error:', error);
-    res.status(500).json({ error: 'Failed to retrieve saved recommendations' });
+    console.error('Update saved recommendation error:', error);
+    res.status(500).json({ error: 'Failed to update saved recommendation' });
   }
 });
 
-// Rate a recommendation
+// Unsave a recommendation
+router.delete('/saved/:savedId', async (req, res) => {
+  try {
+    const sessionId = req.session.deviceSessionId;
+    const { savedId } = req.params;
+    
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
+
+    const session = await getSession(sessionId);
+    
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid session' });
+    }
+
+    const removed = await recommendationHistory.removeSaved(sessionId, savedId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Saved recommendation not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Recommendation removed from saved',
+      savedId: savedId,
+      removedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Unsave recommendation error:', error);
+    res.status(500).json({ error: 'Failed to remove saved recommendation' });
+  }
+});
+
+// Get one recommendation list with its books and which of them are saved
+router.get('/:recommendationId', async (req, res) => {
+  try {
+    const sessionId = req.session.deviceSessionId;
+    const { recommendationId } = req.params;
+    
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
+
+    const session = await getSession(sessionId);
+    
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid session' });
+    }
+
+    const recommendation = await recommendationHistory.getRecommendation(sessionId, recommendationId);
+    if (!recommendation) {
+      return res.status(404).json({ error: 'Recommendation not found' });
+    }
+
+    const savedByIndex = await recommendationHistory.getSavedForList(sessionId, recommendation);
+
+    res.json({
+      success: true,
+      recommendation: recommendationHistory.formatRecommendation(recommendation, { includeBooks: true, savedByIndex })
+    });
+  } catch (error) {
+    console.error('Recommendation detail error:', error);
+    res.status(500).json({ error: 'Failed to retrieve recommendation' });
+  }
+});
+
+// Save a book from a recommendation list (200 with created: false if it was already saved)
+router.post('/:recommendationId/save', async (req, res) => {
+  try {
+    const sessionId = req.session.deviceSessionId;
+    const { recommendationId } = req.params;
+    
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
+
+    const session = await getSession(sessionId);
+    
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid session' });
+    }
+
+    const { bookIndex, notes } = req.body;
+
+    if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+      return res.status(400).json({ error: 'notes must be a string' });
+    }
+
+    const recommendation = await recommendationHistory.getRecommendation(sessionId, recommendationId);
+    if (!recommendation) {
+      return res.status(404).json({ error: 'Recommendation not found' });
+    }
+
+    const { saved, created } = await recommendationHistory.saveBook(sessionId, recommendation, bookIndex, notes);
+
+    console.log(`📌 Book ${bookIndex} of recommendation ${recommendation.id} saved for session ${sessionId}`);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      created: created,
+      saved: recommendationHistory.formatSaved(saved)
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_BOOK_INDEX') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Save recommendation error:', error);
+    res.status(500).json({ error: 'Failed to save recommendation' });
+  }
+});
+
+// Rate a book from a recommendation list; ratings re-rank and filter later recommendations
 router.post('/:recommendationId/rate', async (req, res) => {
   try {
     const sessionId = req.session.deviceSessionId;
     const { recommendationId } = req.params;
-    const { rating, feedback } = req.body;
+    const { bookIndex, rating, feedback } = req.body;
     
     if (!sessionId) {
       return res.status(401).json({ error: 'No active session' });
@@ -231,24 +371,32 @@ router.post('/:recommendationId/rate', async (req, res) => {
       return res.status(401).json({ error: 'Invalid session' });
     }
 
-    if (!rating || rating < 1 || rating > 5) {
-      return res.status(400).json({ error: 'Rating must be between 1 and 5' });
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ error: 'Rating must be a whole number between 1 and 5' });
+    }
+
+    if (feedback !== undefined && feedback !== null && typeof feedback !== 'string') {
+      return res.status(400).json({ error: 'feedback must be a string' });
     }
 
-    // In a real implementation, save rating to database for ML improvement
-    console.log(`Recommendation ${recommendationId} rated ${rating}/5 by session ${sessionId}`);
-    if (feedback) {
-      console.log(`Feedback: ${feedback}`);
+    const recommendation = await recommendationHistory.getRecommendation(sessionId, recommendationId);
+    if (!recommendation) {
+      return res.status(404).json({ error: 'Recommendation not found' });
     }
 
+    const rated = await recommendationFeedback.rateBook(sessionId, recommendation, bookIndex, rating, feedback);
+
+    console.log(`⭐ Book ${bookIndex} of recommendation ${recommendation.id} rated ${rating}/5 by session ${sessionId}`);
+
     res.json({
       success: true,
       message: 'Recommendation rated successfully',
-      recommendationId: recommendationId,
-      rating: rating,
-      ratedAt: new Date().toISOString()
+      rating: recommendationFeedback.formatFeedback(rated)
     });
   } catch (error) {
+    if (error.code === 'INVALID_BOOK_INDEX') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Rate recommendation error:', error);
     res.status(500).json({ error: 'Failed to rate recommendation' });
   }
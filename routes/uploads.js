@@ -4,8 +4,20 @@ const path = require('path');
 const fs = require('fs');
 const router = express.Router();
 const { getSession } = require('../utils/sessionUtils');
-const bookSpineRecognition = require('../services/bookSpineRecognition');
-const { insertOne, findById, updateById } = require('../utils/database');
+const {
+  queueUploadAnalysis,
+  createUploadGroup,
+  getGroupFrames,
+  formatJob,
+  ANALYZE_UPLOAD_JOB,
+  MIN_GROUP_IMAGES,
+  MAX_GROUP_IMAGES
+} = require('../services/uploadAnalysis');
+const jobQueue = require('../services/jobQueue');
+const analysisEvents = require('../services/analysisEvents');
+const bookCorrections = require('../services/bookCorrections');
+const userLibrary = require('../services/userLibrary');
+const { insertOne, findById } = require('../utils/database');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -47,6 +59,26 @@ const upload = multer({
   }
 });
 
+// Multi-image shelf uploads: overlapping left-to-right shots of one bookcase
+const groupUpload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit per image
+    files: MAX_GROUP_IMAGES
+  }
+});
+
+/**
+ * Remove uploaded files from disk (used when a multi-image upload is rejected)
+ * @param {Array} files - Multer files
+ */
+function removeUploadedFiles(files = []) {
+  for (const file of files) {
+    fs.unlink(file.path, () => {});
+  }
+}
+
 // Upload bookshelf image
 router.post('/bookshelf', async (req, res) => {
   try {
@@ -99,9 +131,9 @@ router.post('/bookshelf', async (req, res) => {
         
         console.log('File uploaded and recorded:', uploadRecord.id);
 
-        // Start AI processing in background
-        const processOptions = req.body.processImmediately === 'true' ? 
-          await processBookshelfImage(uploadRecord.id, req.file.path, sessionId) : null;
+        // Queue AI processing in the background
+        const processingJob = req.body.processImmediately === 'true' ?
+          await queueUploadAnalysis(uploadRecord) : null;
 
         res.status(201).json({
           success: true,
@@ -115,7 +147,12 @@ router.post('/bookshelf', async (req, res) => {
             uploadedAt: uploadRecord.created_at,
             processingStatus: uploadRecord.processing_status
           },
-          ...(processOptions && { processing: processOptions })
+          ...(processingJob && {
+            processing: {
+              status: 'queued',
+              job: formatJob(processingJob)
+            }
+          })
         });
 
       } catch (dbError) {
@@ -132,6 +169,93 @@ router.post('/bookshelf', async (req, res) => {
   }
 });
 
+// Upload several overlapping images of one wide bookcase, analyzed and merged as a single shelf
+router.post('/bookshelf/group', async (req, res) => {
+  try {
+    const sessionId = req.session.deviceSessionId;
+
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
+
+    const session = await getSession(sessionId);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid session' });
+    }
+
+    // Images must be sent in left-to-right shelf order
+    groupUpload.array('bookshelf', MAX_GROUP_IMAGES)(req, res, async function (err) {
+      if (err instanceof multer.MulterError) {
+        removeUploadedFiles(req.files);
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).json({ error: 'File too large. Maximum size is 10MB per image.' });
+        }
+        if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+          return res.status(400).json({ error: `Too many files. At most ${MAX_GROUP_IMAGES} images allowed.` });
+        }
+        return res.status(400).json({ error: `Upload error: ${err.message}` });
+      } else if (err) {
+        removeUploadedFiles(req.files);
+        if (err.message === 'Only image files are allowed!') {
+          return res.status(400).json({ error: 'Invalid file type. Only image files are allowed.' });
+        }
+        return res.status(400).json({ error: err.message });
+      }
+
+      const files = req.files || [];
+      if (files.length < MIN_GROUP_IMAGES) {
+        removeUploadedFiles(files);
+        return res.status(400).json({
+          error: `A shelf group needs at least ${MIN_GROUP_IMAGES} images. Use /bookshelf for a single image.`
+        });
+      }
+
+      try {
+        const { group, frames } = await createUploadGroup(sessionId, files);
+
+        console.log(`Shelf group uploaded and recorded: ${group.id} (${frames.length} images)`);
+
+        const processingJob = req.body.processImmediately === 'true' ?
+          await queueUploadAnalysis(group) : null;
+
+        res.status(201).json({
+          success: true,
+          message: 'Bookshelf images uploaded successfully',
+          group: {
+            id: group.id,
+            uploadType: group.upload_type,
+            uploadedAt: group.created_at,
+            processingStatus: group.processing_status,
+            frames: frames.map((frame, index) => ({
+              id: frame.id,
+              sequenceIndex: frame.sequence_index,
+              filename: frame.filename,
+              originalName: files[index].originalname,
+              size: frame.file_size,
+              type: frame.mime_type
+            }))
+          },
+          ...(processingJob && {
+            processing: {
+              status: 'queued',
+              job: formatJob(processingJob)
+            }
+          })
+        });
+
+      } catch (dbError) {
+        console.error('Database error during group upload:', dbError);
+        removeUploadedFiles(files);
+        res.status(500).json({ error: 'Upload successful but failed to record in database' });
+      }
+    });
+  } catch (error) {
+    console.error('Group upload error:', error);
+    res.status(500).json({ error: 'Failed to upload files' });
+  }
+});
+
 // Get uploaded file info
 router.get('/file/:fileId', async (req, res) => {
   try {
@@ -298,56 +422,192 @@ router.post('/:fileId/analyze', async (req, res) => {
       });
     }
 
-    // Update status to processing
-    await updateById('image_uploads', fileId, { 
-      processing_status: 'processing',
-      processed_at: new Date()
-    });
-
-    // Start AI processing
+    // Start AI processing in the background
     const analysisOptions = {
       includeAuthors: req.body.includeAuthors !== false,
       includeGenres: req.body.includeGenres !== false,
       maxResults: req.body.maxResults || 50,
       minConfidence: req.body.minConfidence || 0.3,
-      enrichWithGoogleBooks: req.body.enrichWithGoogleBooks === true
+      enrichWithGoogleBooks: req.body.enrichWithGoogleBooks === true,
+      mode: ['per-spine', 'barcode'].includes(req.body.mode) ? req.body.mode : 'whole-image',
+      ...(req.body.strategy === 'ensemble' || req.body.strategy === 'fallback' ? { strategy: req.body.strategy } : {}),
+      ...(typeof req.body.verifyTitles === 'boolean' ? { verifyTitles: req.body.verifyTitles } : {})
     };
 
-    console.log(`🔍 Starting AI analysis for upload ${fileId}`);
-    
-    const analysisResult = await bookSpineRecognition.recognizeBooks(
-      uploadRecord.file_path,
-      analysisOptions
-    );
+    const job = await queueUploadAnalysis(uploadRecord, analysisOptions);
+
+    console.log(`🔍 AI analysis queued for upload ${fileId} (job ${job.id})`);
 
-    // Update database with results
-    await updateById('image_uploads', fileId, {
-      processing_status: 'completed',
-      extracted_books: analysisResult.books
+    res.status(202).json({
+      success: true,
+      message: 'Bookshelf analysis queued',
+      uploadId: fileId,
+      jobId: job.id,
+      job: formatJob(job),
+      statusUrl: `/api/uploads/${fileId}/status`
     });
 
-    console.log(`✅ AI analysis completed for upload ${fileId}: ${analysisResult.books.length} books found`);
+  } catch (error) {
+    console.error('AI analysis queue error:', error);
+    res.status(500).json({ error: `Failed to queue AI analysis: ${error.message}` });
+  }
+});
+
+// Get processing status and latest analysis job for an upload
+router.get('/:fileId/status', async (req, res) => {
+  try {
+    const sessionId = req.session.deviceSessionId;
+    const { fileId } = req.params;
+
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
+
+    const uploadRecord = await findById('image_uploads', fileId);
+    if (!uploadRecord) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    // Check ownership
+    if (uploadRecord.session_id !== sessionId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const job = await jobQueue.getLatestJobForUpload(uploadRecord.id, ANALYZE_UPLOAD_JOB);
+    const frames = uploadRecord.upload_type === 'group' ? await getGroupFrames(uploadRecord.id) : null;
 
     res.json({
       success: true,
-      message: 'Bookshelf analysis completed',
-      analysis: analysisResult,
-      uploadId: fileId
+      uploadId: uploadRecord.id,
+      uploadType: uploadRecord.upload_type,
+      processingStatus: uploadRecord.processing_status,
+      processedAt: uploadRecord.processed_at,
+      totalBooks: uploadRecord.extracted_books?.length || 0,
+      processingError: uploadRecord.processing_error || null,
+      validationReport: uploadRecord.validation_report || null,
+      job: formatJob(job),
+      ...(frames && {
+        frames: frames.map(frame => ({
+          id: frame.id,
+          sequenceIndex: frame.sequence_index,
+          processingStatus: frame.processing_status,
+          totalBooks: frame.extracted_books?.length || 0,
+          processingError: frame.processing_error || null
+        }))
+      })
     });
 
   } catch (error) {
-    console.error('AI analysis error:', error);
-    
-    // Update status to failed
-    try {
-      await updateById('image_uploads', req.params.fileId, {
-        processing_status: 'failed'
+    console.error('Upload status error:', error);
+    res.status(500).json({ error: 'Failed to retrieve upload status' });
+  }
+});
+
+// Stream analysis progress as Server-Sent Events
+router.get('/:fileId/events', async (req, res) => {
+  try {
+    const sessionId = req.session.deviceSessionId;
+    const { fileId } = req.params;
+
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
+
+    const uploadRecord = await findById('image_uploads', fileId);
+    if (!uploadRecord) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    // Check ownership
+    if (uploadRecord.session_id !== sessionId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const job = await jobQueue.getLatestJobForUpload(uploadRecord.id, ANALYZE_UPLOAD_JOB);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering so events arrive immediately
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event) => {
+      if (event.id) res.write(`id: ${event.id}\n`);
+      res.write(`event: ${event.type}\n`);
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    };
+
+    let closed = false;
+    let unsubscribe = () => {};
+    let heartbeat = null;
+
+    const closeStream = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    const isTerminal = (event) =>
+      event.type === 'complete' || (event.type === 'failed' && !event.willRetry);
+
+    res.write('retry: 3000\n\n');
+
+    // Current state first, so clients can render without waiting for the next transition
+    sendEvent({
+      type: 'snapshot',
+      uploadId: uploadRecord.id,
+      processingStatus: uploadRecord.processing_status,
+      job: formatJob(job),
+      timestamp: new Date().toISOString()
+    });
+
+    if (uploadRecord.processing_status === 'completed') {
+      sendEvent({
+        type: 'complete',
+        uploadId: uploadRecord.id,
+        status: 'completed',
+        books: uploadRecord.extracted_books || [],
+        timestamp: new Date().toISOString()
       });
-    } catch (dbError) {
-      console.error('Failed to update processing status:', dbError);
+      return closeStream();
     }
 
-    res.status(500).json({ error: `AI analysis failed: ${error.message}` });
+    if (['failed', 'failed_provider'].includes(uploadRecord.processing_status)) {
+      sendEvent({
+        type: 'failed',
+        uploadId: uploadRecord.id,
+        status: uploadRecord.processing_status,
+        error: uploadRecord.processing_error?.message || job?.last_error || 'Analysis failed',
+        code: uploadRecord.processing_error?.code || null,
+        failures: uploadRecord.processing_error?.failures || [],
+        willRetry: false,
+        timestamp: new Date().toISOString()
+      });
+      return closeStream();
+    }
+
+    // Events this client has not seen yet (all of them on first connect) are replayed first
+    const lastEventId = parseInt(req.get('Last-Event-ID')) || 0;
+    unsubscribe = analysisEvents.subscribe(uploadRecord.id, (event) => {
+      sendEvent(event);
+      if (isTerminal(event)) closeStream();
+    }, lastEventId);
+
+    // Keep intermediaries from closing an idle connection
+    heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    req.on('close', closeStream);
+
+  } catch (error) {
+    console.error('Analysis event stream error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: 'Failed to open analysis event stream' });
   }
 });
 
@@ -374,17 +634,25 @@ router.get('/:fileId/books', async (req, res) => {
     if (uploadRecord.processing_status !== 'completed') {
       return res.status(400).json({ 
         error: 'Image not yet processed',
-        status: uploadRecord.processing_status
+        status: uploadRecord.processing_status,
+        processingError: uploadRecord.processing_error || null
       });
     }
 
+    // Detections keep their index for the correction endpoints; rejected and merged ones are hidden
+    const allBooks = (uploadRecord.extracted_books || []).map((book, index) => ({ ...book, index }));
+    const books = req.query.includeDiscarded === 'true'
+      ? allBooks
+      : allBooks.filter(book => !bookCorrections.isDiscarded(book));
+
     res.json({
       success: true,
-      books: uploadRecord.extracted_books || [],
+      books: books,
       metadata: {
         uploadId: uploadRecord.id,
         processedAt: uploadRecord.processed_at,
-        totalBooks: uploadRecord.extracted_books?.length || 0
+        totalBooks: books.length,
+        discardedBooks: allBooks.filter(book => bookCorrections.isDiscarded(book)).length
       }
     });
 
@@ -394,49 +662,135 @@ router.get('/:fileId/books', async (req, res) => {
   }
 });
 
-// Helper function for background processing
-async function processBookshelfImage(uploadId, imagePath, sessionId) {
+/**
+ * Shared handler for the detected-book correction endpoints
+ * Accepted books are also added to the session's library.
+ * @param {object} req - Express request (params fileId, bookIndex)
+ * @param {object} res - Express response
+ * @param {string} action - 'accept', 'reject', 'edit' or 'merge'
+ */
+async function handleBookCorrection(req, res, action) {
   try {
-    console.log(`🔄 Starting background processing for upload ${uploadId}`);
-    
-    const analysisResult = await bookSpineRecognition.recognizeBooks(imagePath, {
-      includeAuthors: true,
-      includeGenres: true,
-      maxResults: 50,
-      minConfidence: 0.3
-    });
+    const sessionId = req.session.deviceSessionId;
+    const { fileId } = req.params;
+    const bookIndex = parseInt(req.params.bookIndex);
 
-    // Update database with results
-    await updateById('image_uploads', uploadId, {
-      processing_status: 'completed',
-      extracted_books: analysisResult.books,
-      processed_at: new Date()
-    });
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
 
-    console.log(`✅ Background processing completed for upload ${uploadId}: ${analysisResult.books.length} books found`);
+    const session = await getSession(sessionId);
 
-    return {
-      status: 'completed',
-      booksFound: analysisResult.books.length,
-      processingTime: analysisResult.metadata.processingTime
-    };
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid session' });
+    }
 
-  } catch (error) {
-    console.error(`❌ Background processing failed for upload ${uploadId}:`, error);
-    
-    try {
-      await updateById('image_uploads', uploadId, {
-        processing_status: 'failed'
+    const uploadRecord = await findById('image_uploads', fileId);
+    if (!uploadRecord) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    // Check ownership
+    if (uploadRecord.session_id !== sessionId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (uploadRecord.processing_status !== 'completed') {
+      return res.status(400).json({
+        error: 'Image not yet processed',
+        status: uploadRecord.processing_status
       });
-    } catch (dbError) {
-      console.error('Failed to update failed status:', dbError);
     }
 
-    return {
-      status: 'failed',
-      error: error.message
-    };
+    if (!Number.isInteger(bookIndex) || bookIndex < 0) {
+      return res.status(400).json({ error: 'Invalid book index' });
+    }
+
+    const { book, correction } = await bookCorrections.applyCorrection(
+      sessionId,
+      uploadRecord.id,
+      bookIndex,
+      action,
+      req.body || {}
+    );
+
+    const libraryEntry = action === 'accept' && req.body?.addToLibrary !== false
+      ? await userLibrary.addBook(sessionId, {
+        title: book.title,
+        author: book.author,
+        genre: book.genre,
+        isbn: book.isbn,
+        confidence: book.confidence
+      }, { source: 'scan', uploadId: uploadRecord.id })
+      : null;
+
+    console.log(`✏️ Detected book ${bookIndex} on upload ${uploadRecord.id}: ${action}`);
+
+    res.json({
+      success: true,
+      uploadId: uploadRecord.id,
+      book: { ...book, index: bookIndex },
+      correctionId: correction.id,
+      ...(libraryEntry && { libraryBook: userLibrary.formatBook(libraryEntry.book) })
+    });
+
+  } catch (error) {
+    if (error.code === 'BOOK_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.code === 'INVALID_CORRECTION') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(`Book correction (${action}) error:`, error);
+    res.status(500).json({ error: 'Failed to apply correction' });
   }
 }
 
+// Confirm a detected book (and add it to the library unless addToLibrary is false)
+router.post('/:fileId/books/:bookIndex/accept', (req, res) => handleBookCorrection(req, res, 'accept'));
+
+// Reject a misdetection
+router.post('/:fileId/books/:bookIndex/reject', (req, res) => handleBookCorrection(req, res, 'reject'));
+
+// Fix a misread title/author; later scans of the same spine use the correction
+router.put('/:fileId/books/:bookIndex', (req, res) => handleBookCorrection(req, res, 'edit'));
+
+// Merge a duplicate detection into another one (body: { intoIndex })
+router.post('/:fileId/books/:bookIndex/merge', (req, res) => handleBookCorrection(req, res, 'merge'));
+
+// Get the correction audit trail for an upload
+router.get('/:fileId/corrections', async (req, res) => {
+  try {
+    const sessionId = req.session.deviceSessionId;
+    const { fileId } = req.params;
+
+    if (!sessionId) {
+      return res.status(401).json({ error: 'No active session' });
+    }
+
+    const uploadRecord = await findById('image_uploads', fileId);
+    if (!uploadRecord) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    // Check ownership
+    if (uploadRecord.session_id !== sessionId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const corrections = await bookCorrections.getCorrections(uploadRecord.id);
+
+    res.json({
+      success: true,
+      uploadId: uploadRecord.id,
+      corrections: corrections,
+      totalCount: corrections.length
+    });
+
+  } catch (error) {
+    console.error('Get corrections error:', error);
+    res.status(500).json({ error: 'Failed to retrieve corrections' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const express = require('express');
+const path = require('path');
+
+/**
+ * Local stand-in for the Google Books and Open Library APIs
+ * Serves the books in fixtures/catalog/books.json in each API's response format, so the catalog
+ * service can run offline:
+ *   GOOGLE_BOOKS_API_URL=http://localhost:4010/books/v1
+ *   OPEN_LIBRARY_API_URL=http://localhost:4010/openlibrary
+ * Only the endpoints and query syntax services/bookCatalog.js uses are implemented.
+ */
+
+const port = parseInt(process.env.CATALOG_STUB_PORT) || 4010;
+const fixturePath = process.env.CATALOG_STUB_FIXTURES || path.join(__dirname, '../fixtures/catalog/books.json');
+const books = require(fixturePath);
+
+/**
+ * Case-insensitive substring match
+ * @param {string} haystack - Text searched
+ * @param {string} needle - Text looked for
+ * @returns {boolean} Match
+ */
+function contains(haystack, needle) {
+  return (haystack || '').toLowerCase().includes(needle.toLowerCase());
+}
+
+/**
+ * Match a fixture book against Google Books `q` syntax (free text, intitle:, inauthor:, subject:, isbn:)
+ * @param {object} book - Fixture book
+ * @param {string} q - Google Books query
+ * @returns {boolean} Match
+ */
+function matchesGoogleQuery(book, q) {
+  const terms = [];
+  const free = q.replace(/(intitle|inauthor|subject|isbn):("([^"]*)"|\S+)/g, (match, field, raw, quoted) => {
+    terms.push({ field, value: quoted ?? raw });
+    return ' ';
+  }).trim();
+
+  const fieldMatches = terms.every(({ field, value }) => {
+    if (field === 'intitle') return contains(book.title, value);
+    if (field === 'inauthor') return book.authors.some(author => contains(author, value));
+    if (field === 'subject') return [...book.categories, ...book.subjects].some(subject => contains(subject, value));
+    return book.isbn13 === value || book.isbn10 === value;
+  });
+
+  return fieldMatches && (!free || contains(`${book.title} ${book.subtitle || ''} ${book.authors.join(' ')}`, free));
+}
+
+/**
+ * Match a fixture book against Open Library search.json parameters
+ * @param {object} book - Fixture book
+ * @param {object} params - Query parameters
+ * @returns {boolean} Match
+ */
+function matchesOpenLibraryQuery(book, params) {
+  if (params.q) {
+    const keyMatch = /^(key|edition_key):(\S+)$/.exec(params.q);
+    if (keyMatch) {
+      return keyMatch[1] === 'key' ? keyMatch[2] === `/works/${book.openLibraryId}` : false;
+    }
+    if (!contains(`${book.title} ${book.authors.join(' ')}`, params.q)) return false;
+  }
+  if (params.title && !contains(book.title, params.title)) return false;
+  if (params.author && !book.authors.some(author => contains(author, params.author))) return false;
+  if (params.subject && !book.subjects.some(subject => contains(subject, params.subject))) return false;
+  if (params.isbn && book.isbn13 !== params.isbn && book.isbn10 !== params.isbn) return false;
+  return true;
+}
+
+/**
+ * Google Books volume resource for a fixture book
+ * @param {object} book - Fixture book
+ * @returns {object} Volume
+ */
+function toGoogleVolume(book) {
+  return {
+    kind: 'books#volume',
+    id: book.googleBooksId,
+    volumeInfo: {
+      title: book.title,
+      subtitle: book.subtitle || undefined,
+      authors: book.authors,
+      publisher: book.publisher,
+      publishedDate: book.publishedDate,
+      description: book.description,
+      industryIdentifiers: [
+        { type: 'ISBN_13', identifier: book.isbn13 },
+        { type: 'ISBN_10', identifier: book.isbn10 }
+      ],
+      pageCount: book.pageCount,
+      categories: book.categories,
+      averageRating: book.averageRating,
+      ratingsCount: book.ratingsCount,
+      language: book.language,
+      imageLinks: { thumbnail: `http://localhost:${port}/covers/${book.googleBooksId}.jpg` },
+      previewLink: `http://localhost:${port}/books/v1/volumes/${book.googleBooksId}`,
+      infoLink: `http://localhost:${port}/books/v1/volumes/${book.googleBooksId}`
+    }
+  };
+}
+
+/**
+ * Open Library search document for a fixture book
+ * @param {object} book - Fixture book
+ * @returns {object} Search doc
+ */
+function toOpenLibraryDoc(book) {
+  return {
+    key: `/works/${book.openLibraryId}`,
+    title: book.title,
+    subtitle: book.subtitle || undefined,
+    author_name: book.authors,
+    first_publish_year: parseInt(book.publishedDate),
+    isbn: [book.isbn13, book.isbn10],
+    publisher: [book.publisher],
+    subject: book.subjects,
+    language: [book.language === 'en' ? 'eng' : book.language],
+    cover_i: book.coverId,
+    ratings_average: book.averageRating,
+    ratings_count: book.ratingsCount,
+    number_of_pages_median: book.pageCount,
+    edition_count: book.editionCount
+  };
+}
+
+/**
+ * Create the stub server app
+ * @returns {object} Express app
+ */
+function createApp() {
+  const app = express();
+
+  app.use((req, res, next) => {
+    console.log(`📖 Catalog stub: ${req.method} ${req.originalUrl}`);
+    next();
+  });
+
+  // Google Books
+  app.get('/books/v1/volumes', (req, res) => {
+    const q = req.query.q || '';
+    const maxResults = parseInt(req.query.maxResults) || 10;
+    let matches = books.filter(book => matchesGoogleQuery(book, q));
+
+    if (req.query.orderBy === 'newest') {
+      matches = [...matches].sort((a, b) => b.publishedDate.localeCompare(a.publishedDate));
+    }
+
+    res.json({
+      kind: 'books#volumes',
+      totalItems: matches.length,
+      ...(matches.length > 0 && { items: matches.slice(0, maxResults).map(toGoogleVolume) })
+    });
+  });
+
+  app.get('/books/v1/volumes/:volumeId', (req, res) => {
+    const book = books.find(candidate => candidate.googleBooksId === req.params.volumeId);
+    if (!book) {
+      return res.status(404).json({ error: { code: 404, message: 'The volume ID could not be found.' } });
+    }
+    res.json(toGoogleVolume(book));
+  });
+
+  // Open Library
+  app.get('/openlibrary/search.json', (req, res) => {
+    const limit = parseInt(req.query.limit) || 100;
+    const matches = books.filter(book => matchesOpenLibraryQuery(book, req.query));
+    res.json({ numFound: matches.length, start: 0, docs: matches.slice(0, limit).map(toOpenLibraryDoc) });
+  });
+
+  app.get('/openlibrary/works/:workId.json', (req, res) => {
+    const book = books.find(candidate => candidate.openLibraryId === req.params.workId);
+    if (!book) {
+      return res.status(404).json({ error: 'notfound', key: `/works/${req.params.workId}` });
+    }
+    res.json({
+      key: `/works/${book.openLibraryId}`,
+      title: book.title,
+      description: { type: '/type/text', value: book.description },
+      subjects: book.subjects,
+      covers: [book.coverId]
+    });
+  });
+
+  app.get('/openlibrary/subjects/:subject.json', (req, res) => {
+    const limit = parseInt(req.query.limit) || 12;
+    const subject = req.params.subject.replace(/_/g, ' ');
+    const matches = books
+      .filter(book => book.subjects.some(candidate => candidate.toLowerCase() === subject.toLowerCase()))
+      .sort((a, b) => b.editionCount - a.editionCount);
+
+    res.json({
+      key: `/subjects/${req.params.subject}`,
+      name: subject,
+      work_count: matches.length,
+      works: matches.slice(0, limit).map(book => ({
+        key: `/works/${book.openLibraryId}`,
+        title: book.title,
+        edition_count: book.editionCount,
+        cover_id: book.coverId,
+        subject: book.subjects,
+        authors: book.authors.map(name => ({ name })),
+        first_publish_year: parseInt(book.publishedDate)
+      }))
+    });
+  });
+
+  app.get('/openlibrary/trending/daily.json', (req, res) => {
+    const limit = parseInt(req.query.limit) || 20;
+    const trending = [...books].sort((a, b) => b.ratingsCount - a.ratingsCount);
+    res.json({ query: '/trending/daily', works: trending.slice(0, limit).map(toOpenLibraryDoc) });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  createApp().listen(port, () => {
+    console.log(`📚 Catalog stub server listening on http://localhost:${port} (${books.length} books)`);
+    console.log(`   GOOGLE_BOOKS_API_URL=http://localhost:${port}/books/v1`);
+    console.log(`   OPEN_LIBRARY_API_URL=http://localhost:${port}/openlibrary`);
+  });
+}
+
+module.exports = { createApp };
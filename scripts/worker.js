@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const jobQueue = require('../services/jobQueue');
+const { testConnection } = require('../utils/database');
+
+// Register job handlers
+require('../services/uploadAnalysis');
+
+/**
+ * Standalone job worker
+ * Run alongside the API server (with JOB_WORKER_ENABLED=false) to process the queue in its own process
+ */
+async function startWorker() {
+  console.log('👷 Starting Shelf Scanner job worker...');
+
+  const connected = await testConnection();
+  if (!connected) {
+    console.error('❌ Cannot start worker without a database connection');
+    process.exit(1);
+  }
+
+  jobQueue.start();
+}
+
+if (require.main === module) {
+  startWorker().catch(error => {
+    console.error('💥 Job worker crashed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { startWorker };
@@ -18,6 +18,13 @@ const booksRouter = require('./routes/books');
 const adminRouter = require('./routes/admin');
 const testRouter = require('./routes/test');
 const goodreadsRouter = require('./routes/goodreads');
+const libraryRouter = require('./routes/library');
+const goalsRouter = require('./routes/goals');
+const readingHistoryRouter = require('./routes/readingHistory');
+
+// Import background job processing
+const jobQueue = require('./services/jobQueue');
+require('./services/uploadAnalysis'); // Registers the bookshelf analysis job handler
 
 // Import error handling middleware
 const { 
@@ -91,6 +98,9 @@ app.use('/api/books', booksRouter);
 app.use('/api/admin', adminRouter);
 app.use('/api/test', testRouter);
 app.use('/api/goodreads', goodreadsRouter);
+app.use('/api/library', libraryRouter);
+app.use('/api/goals', goalsRouter);
+app.use('/api/reading-history', readingHistoryRouter);
 
 // Welcome route
 app.get('/', (req, res) => {
@@ -105,7 +115,10 @@ app.get('/', (req, res) => {
       recommendations: '/api/recommendations',
       books: '/api/books',
       admin: '/api/admin',
-      goodreads: '/api/goodreads'
+      goodreads: '/api/goodreads',
+      library: '/api/library',
+      goals: '/api/goals',
+      readingHistory: '/api/reading-history'
     },
     documentation: 'https://github.com/yourusername/shelf-scanner'
   });
@@ -125,4 +138,9 @@ app.listen(PORT, () => {
   console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
   console.log(`🔧 Admin panel: http://localhost:${PORT}/api/admin/stats`);
   console.log(`📚 AI Services: ${process.env.OPENAI_API_KEY ? '✅ OpenAI' : '❌ OpenAI'} | ${process.env.GOOGLE_VISION_API_KEY ? '✅ Google Vision' : '❌ Google Vision'}`);
+
+  // Run the job worker in-process unless a dedicated worker (npm run worker) handles the queue
+  if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    jobQueue.start();
+  }
 });
\ No newline at end of file
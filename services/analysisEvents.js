@@ -0,0 +1,208 @@
+const { query } = require('../utils/database');
+
+/**
+ * Event bus for bookshelf analysis progress, shared between processes through Postgres
+ * Events are written to `analysis_events` by whichever process runs the analysis (the API server
+ * or a standalone worker), and each process serving SSE streams polls that table for the uploads
+ * its clients are watching. The row ID is the event's sequence ID, so clients that connect
+ * mid-analysis (or reconnect with Last-Event-ID) still receive earlier stage transitions.
+ */
+class AnalysisEvents {
+  constructor() {
+    this.pollInterval = parseInt(process.env.ANALYSIS_EVENTS_POLL_MS) || 1000;
+    this.retention = 24 * 60 * 60 * 1000; // Keep events replayable for a day
+    this.pruneInterval = 10 * 60 * 1000;
+    this.lastPrunedAt = 0;
+
+    // Events are written one at a time so their IDs follow publish order
+    this.writeChain = Promise.resolve();
+
+    this.subscriptions = new Set();
+    this.pollTimer = null;
+    this.polling = false;
+    this.pollRequested = false;
+
+    this.stats = {
+      eventsPublished: 0,
+      eventsDelivered: 0,
+      activeSubscribers: 0,
+      publishErrors: 0,
+      pollErrors: 0
+    };
+  }
+
+  /**
+   * Publish an event for an upload
+   * Never throws: a failed write is logged and only costs the event.
+   * @param {number|string} uploadId - Upload ID
+   * @param {object} event - Event data; `type` is used as the SSE event name
+   * @returns {Promise<object|null>} Published event with sequence ID and timestamp, or null if it could not be stored
+   */
+  publish(uploadId, event) {
+    const data = {
+      uploadId: String(uploadId),
+      timestamp: new Date().toISOString(),
+      ...event
+    };
+
+    const write = this.writeChain.then(async () => {
+      try {
+        const result = await query(
+          `INSERT INTO analysis_events (image_upload_id, event_type, data)
+           VALUES ($1, $2, $3)
+           RETURNING id`,
+          [uploadId, event.type, data]
+        );
+
+        this.stats.eventsPublished++;
+        this.requestPoll();
+        this.pruneEvents();
+
+        return { id: parseInt(result.rows[0].id), ...data };
+      } catch (error) {
+        this.stats.publishErrors++;
+        console.warn(`Failed to publish ${event.type} event for upload ${uploadId}:`, error.message);
+        return null;
+      }
+    });
+
+    this.writeChain = write;
+    return write;
+  }
+
+  /**
+   * Subscribe to events for an upload
+   * The listener first receives stored events after `afterId`, then new ones as they are published
+   * (by this or any other process), in sequence order.
+   * @param {number|string} uploadId - Upload ID
+   * @param {Function} listener - Called with each event
+   * @param {number} afterId - Sequence ID of the last event the client has seen (0 for all)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(uploadId, listener, afterId = 0) {
+    const subscription = { uploadId: parseInt(uploadId), listener, lastId: afterId, active: true };
+    this.subscriptions.add(subscription);
+    this.stats.activeSubscribers++;
+    this.startPolling();
+    this.requestPoll();
+
+    return () => {
+      if (!subscription.active) return;
+      subscription.active = false;
+      this.subscriptions.delete(subscription);
+      this.stats.activeSubscribers--;
+      if (this.subscriptions.size === 0) this.stopPolling();
+    };
+  }
+
+  /**
+   * Fetch new events for every watched upload and hand them to their subscribers
+   */
+  async poll() {
+    if (this.polling) {
+      this.pollRequested = true;
+      return;
+    }
+    this.polling = true;
+
+    try {
+      do {
+        this.pollRequested = false;
+
+        // Read each watched upload from the oldest position any of its subscribers is at
+        const cursors = new Map();
+        for (const subscription of this.subscriptions) {
+          const cursor = cursors.get(subscription.uploadId);
+          cursors.set(subscription.uploadId, cursor === undefined ? subscription.lastId : Math.min(cursor, subscription.lastId));
+        }
+        if (cursors.size === 0) break;
+
+        const result = await query(
+          `SELECT e.id, e.image_upload_id, e.data
+           FROM analysis_events e
+           JOIN unnest($1::int[], $2::bigint[]) AS watched(upload_id, after_id)
+             ON e.image_upload_id = watched.upload_id AND e.id > watched.after_id
+           ORDER BY e.id ASC`,
+          [Array.from(cursors.keys()), Array.from(cursors.values())]
+        );
+
+        for (const row of result.rows) {
+          const event = { id: parseInt(row.id), ...row.data };
+          for (const subscription of Array.from(this.subscriptions)) {
+            if (!subscription.active || subscription.uploadId !== row.image_upload_id || event.id <= subscription.lastId) continue;
+
+            subscription.lastId = event.id;
+            this.stats.eventsDelivered++;
+            try {
+              subscription.listener(event);
+            } catch (error) {
+              console.warn('Analysis event listener error:', error.message);
+            }
+          }
+        }
+      } while (this.pollRequested);
+    } catch (error) {
+      this.stats.pollErrors++;
+      console.warn('Analysis event poll failed:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Poll as soon as possible, e.g. right after this process published an event
+   */
+  requestPoll() {
+    if (this.subscriptions.size === 0) return;
+    setImmediate(() => this.poll());
+  }
+
+  /**
+   * Start the poll timer while there are subscribers
+   */
+  startPolling() {
+    if (this.pollTimer) return;
+    this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+  }
+
+  /**
+   * Stop the poll timer once the last subscriber leaves
+   */
+  stopPolling() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Delete events older than the retention period, at most once per prune interval
+   */
+  async pruneEvents() {
+    if (Date.now() - this.lastPrunedAt < this.pruneInterval) return;
+    this.lastPrunedAt = Date.now();
+
+    try {
+      await query(
+        `DELETE FROM analysis_events WHERE created_at < NOW() - $1 * INTERVAL '1 millisecond'`,
+        [this.retention]
+      );
+    } catch (error) {
+      console.warn('Failed to prune analysis events:', error.message);
+    }
+  }
+
+  /**
+   * Get event bus statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      watchedUploads: new Set(Array.from(this.subscriptions, subscription => subscription.uploadId)).size
+    };
+  }
+}
+
+// Create singleton instance
+const analysisEvents = new AnalysisEvents();
+
+module.exports = analysisEvents;
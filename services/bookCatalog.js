@@ -0,0 +1,490 @@
+require('dotenv').config();
+const axios = require('axios');
+const metadataCache = require('./metadataCache');
+const bookIdentity = require('./bookIdentity');
+
+/**
+ * Book catalog service
+ * Searches Google Books and Open Library and normalizes both to one book schema. Responses are
+ * read through the shared metadata cache (`book_cache`). Base URLs are configurable so the
+ * service can be pointed at the local stub server (`npm run catalog-stub`) for offline
+ * development and testing.
+ */
+class BookCatalog {
+  constructor() {
+    this.googleBooksUrl = (process.env.GOOGLE_BOOKS_API_URL || 'https://www.googleapis.com/books/v1').replace(/\/$/, '');
+    this.openLibraryUrl = (process.env.OPEN_LIBRARY_API_URL || 'https://openlibrary.org').replace(/\/$/, '');
+    this.openLibraryCoversUrl = (process.env.OPEN_LIBRARY_COVERS_URL || 'https://covers.openlibrary.org').replace(/\/$/, '');
+    this.googleBooksApiKey = process.env.GOOGLE_BOOKS_API_KEY || null;
+    this.timeout = parseInt(process.env.CATALOG_TIMEOUT_MS) || 5000;
+    this.maxLimit = 40; // Google Books maxResults ceiling
+
+    this.stats = {
+      requests: 0,
+      sourceFailures: {}
+    };
+  }
+
+  /**
+   * Search both catalogs and merge the results
+   * @param {string} text - Free-text query
+   * @param {object} options - {author, genre, limit}
+   * @returns {Promise<object>} {books, sources}
+   */
+  async search(text, options = {}) {
+    const limit = this.clampLimit(options.limit, 10);
+    const googleQuery = [
+      text,
+      options.author ? `inauthor:"${options.author}"` : null,
+      options.genre ? `subject:"${options.genre}"` : null
+    ].filter(Boolean).join(' ');
+
+    const openLibraryParams = {
+      q: text,
+      ...(options.author && { author: options.author }),
+      ...(options.genre && { subject: options.genre })
+    };
+
+    return this.searchBoth(
+      () => this.searchGoogleBooks(googleQuery, { limit }),
+      () => this.searchOpenLibrary(openLibraryParams, { limit }),
+      limit
+    );
+  }
+
+  /**
+   * Look up one book by ISBN, Google Books volume ID or Open Library work/edition ID
+   * @param {string} identifier - ISBN-10/13, 'OL…W'/'OL…M', or Google Books ID
+   * @returns {Promise<object|null>} Book, or null when no catalog knows it
+   */
+  async getDetails(identifier) {
+    const isbn = identifier.replace(/[-\s]/g, '');
+
+    if (/^(\d{9}[\dXx]|\d{13})$/.test(isbn)) {
+      const { books } = await this.searchBoth(
+        () => this.searchGoogleBooks(`isbn:${isbn}`, { limit: 1 }),
+        () => this.searchOpenLibrary({ isbn }, { limit: 1 }),
+        1
+      );
+      return books[0] || null;
+    }
+
+    if (/^OL\d+[WM]$/i.test(identifier)) {
+      return this.getOpenLibraryWork(identifier.toUpperCase());
+    }
+
+    return this.getGoogleBooksVolume(identifier);
+  }
+
+  /**
+   * Books by an author
+   * @param {string} authorName - Author name
+   * @param {object} options - {limit}
+   * @returns {Promise<object>} {books, sources}
+   */
+  async getByAuthor(authorName, options = {}) {
+    const limit = this.clampLimit(options.limit, 10);
+    return this.searchBoth(
+      () => this.searchGoogleBooks(`inauthor:"${authorName}"`, { limit }),
+      () => this.searchOpenLibrary({ author: authorName }, { limit }),
+      limit
+    );
+  }
+
+  /**
+   * Books in a genre
+   * @param {string} genreName - Genre / subject
+   * @param {object} options - {limit, sortBy: 'rating' | 'date' | 'relevance'}
+   * @returns {Promise<object>} {books, sources}
+   */
+  async getByGenre(genreName, options = {}) {
+    const limit = this.clampLimit(options.limit, 20);
+    const result = await this.searchBoth(
+      () => this.searchGoogleBooks(`subject:"${genreName}"`, {
+        limit,
+        orderBy: options.sortBy === 'date' ? 'newest' : 'relevance'
+      }),
+      () => this.searchOpenLibrary({ subject: genreName }, { limit }),
+      limit
+    );
+
+    return { ...result, books: this.sortBooks(result.books, options.sortBy) };
+  }
+
+  /**
+   * Popular books, from Open Library's trending list or its subject listings
+   * @param {object} options - {genre: 'all' or a subject, limit}
+   * @returns {Promise<object>} {books, sources}
+   */
+  async getPopular(options = {}) {
+    const limit = this.clampLimit(options.limit, 20);
+    const genre = options.genre && options.genre !== 'all' ? options.genre : null;
+
+    const books = genre
+      ? await this.getOpenLibrarySubject(genre, { limit })
+      : await this.getOpenLibraryTrending({ limit });
+
+    return {
+      books: books.slice(0, limit).map((book, index) => ({ ...book, rank: index + 1 })),
+      sources: { 'open-library': { status: 'success', count: books.length } }
+    };
+  }
+
+  /**
+   * Best catalog match for a detected title (used to enrich recognition results)
+   * @param {string} title - Book title
+   * @param {string|null} author - Author name
+   * @returns {Promise<object|null>} Book
+   */
+  async findBook(title, author = null) {
+    const googleQuery = `intitle:"${title}"${author ? ` inauthor:"${author}"` : ''}`;
+    const { books } = await this.searchBoth(
+      () => this.searchGoogleBooks(googleQuery, { limit: 1 }),
+      () => this.searchOpenLibrary({ title, ...(author && { author }) }, { limit: 1 }),
+      1
+    );
+    return books[0] || null;
+  }
+
+  /**
+   * Query Google Books and Open Library in parallel and merge their results
+   * One catalog failing is tolerated; both failing throws CATALOG_UNAVAILABLE.
+   * @param {Function} googleSearch - Returns Promise<Array> of books
+   * @param {Function} openLibrarySearch - Returns Promise<Array> of books
+   * @param {number} limit - Maximum merged results
+   * @returns {Promise<object>} {books, sources}
+   */
+  async searchBoth(googleSearch, openLibrarySearch, limit) {
+    const [google, openLibrary] = await Promise.allSettled([googleSearch(), openLibrarySearch()]);
+
+    const sources = {};
+    const failures = [];
+    for (const [name, outcome] of [['google-books', google], ['open-library', openLibrary]]) {
+      if (outcome.status === 'fulfilled') {
+        sources[name] = { status: 'success', count: outcome.value.length };
+      } else {
+        sources[name] = { status: 'failed', error: outcome.reason.message };
+        failures.push({ source: name, error: outcome.reason.message, code: outcome.reason.code || null });
+        this.stats.sourceFailures[name] = (this.stats.sourceFailures[name] || 0) + 1;
+      }
+    }
+
+    if (failures.length === 2) {
+      const error = new Error(`Book catalogs unavailable: ${failures.map(failure => `${failure.source}: ${failure.error}`).join('; ')}`);
+      error.code = 'CATALOG_UNAVAILABLE';
+      error.failures = failures;
+      throw error;
+    }
+
+    const books = this.mergeResults(
+      google.status === 'fulfilled' ? google.value : [],
+      openLibrary.status === 'fulfilled' ? openLibrary.value : []
+    );
+
+    return { books: books.slice(0, limit), sources };
+  }
+
+  /**
+   * Merge Google Books and Open Library results, keeping one entry per book
+   * Google Books entries lead (richer descriptions and ratings); matching Open Library entries
+   * fill their gaps. Books are matched as the same work (shared ISBN, or title and first author; see
+   * bookIdentity), so different editions of one book collapse into one entry.
+   * @param {Array} googleBooks - Normalized Google Books results
+   * @param {Array} openLibraryBooks - Normalized Open Library results
+   * @returns {Array} Merged books
+   */
+  mergeResults(googleBooks, openLibraryBooks) {
+    const merged = googleBooks.map(book => ({ ...book, sources: [book.source] }));
+
+    for (const book of openLibraryBooks) {
+      const match = merged.find(candidate => bookIdentity.isSameWork(candidate, book));
+
+      if (!match) {
+        merged.push({ ...book, sources: [book.source] });
+        continue;
+      }
+
+      for (const [field, value] of Object.entries(book)) {
+        const current = match[field];
+        const missing = current === null || current === undefined || (Array.isArray(current) && current.length === 0);
+        if (missing && field !== 'source' && field !== 'id') {
+          match[field] = value;
+        }
+      }
+      match.identifiers = { ...book.identifiers, ...match.identifiers };
+      match.sources.push(book.source);
+    }
+
+    return merged;
+  }
+
+  /**
+   * Search Google Books volumes
+   * @param {string} q - Google Books query
+   * @param {object} options - {limit, orderBy}
+   * @returns {Promise<Array>} Normalized books
+   */
+  async searchGoogleBooks(q, options = {}) {
+    const data = await this.fetchJson('google_books', `${this.googleBooksUrl}/volumes`, {
+      q,
+      maxResults: options.limit || 10,
+      ...(options.orderBy && { orderBy: options.orderBy }),
+      printType: 'books'
+    });
+
+    return (data?.items || []).map(item => this.normalizeGoogleBook(item));
+  }
+
+  /**
+   * Get one Google Books volume
+   * @param {string} volumeId - Google Books volume ID
+   * @returns {Promise<object|null>} Normalized book
+   */
+  async getGoogleBooksVolume(volumeId) {
+    try {
+      const data = await this.fetchJson('google_books', `${this.googleBooksUrl}/volumes/${encodeURIComponent(volumeId)}`);
+      return data ? this.normalizeGoogleBook(data) : null;
+    } catch (error) {
+      if (error.status === 400) return null; // Malformed volume ID
+      throw error;
+    }
+  }
+
+  /**
+   * Search Open Library
+   * @param {object} params - search.json parameters (q, title, author, subject, isbn)
+   * @param {object} options - {limit}
+   * @returns {Promise<Array>} Normalized books
+   */
+  async searchOpenLibrary(params, options = {}) {
+    const data = await this.fetchJson('open_library', `${this.openLibraryUrl}/search.json`, {
+      ...params,
+      limit: options.limit || 10,
+      fields: 'key,title,subtitle,author_name,first_publish_year,isbn,publisher,subject,language,cover_i,ratings_average,ratings_count,number_of_pages_median'
+    });
+
+    return (data?.docs || []).map(doc => this.normalizeOpenLibraryDoc(doc));
+  }
+
+  /**
+   * Get an Open Library work (or the work of an edition) with its description
+   * @param {string} olid - Open Library ID ('OL…W' or 'OL…M')
+   * @returns {Promise<object|null>} Normalized book
+   */
+  async getOpenLibraryWork(olid) {
+    const field = olid.endsWith('M') ? 'edition_key' : 'key';
+    const value = olid.endsWith('M') ? olid : `/works/${olid}`;
+    const books = await this.searchOpenLibrary({ q: `${field}:${value}` }, { limit: 1 });
+    const book = books[0];
+    if (!book) return null;
+
+    // The search index has no descriptions; the work record does
+    try {
+      const work = await this.fetchJson('open_library', `${this.openLibraryUrl}/works/${book.identifiers.openLibraryId}.json`);
+      const description = typeof work?.description === 'object' ? work.description?.value : work?.description;
+      return { ...book, description: description || book.description };
+    } catch (error) {
+      console.warn(`Open Library work lookup failed for ${olid}:`, error.message);
+      return book;
+    }
+  }
+
+  /**
+   * Works listed under an Open Library subject, most edited first
+   * @param {string} subject - Subject name
+   * @param {object} options - {limit}
+   * @returns {Promise<Array>} Normalized books
+   */
+  async getOpenLibrarySubject(subject, options = {}) {
+    const slug = subject.toLowerCase().trim().replace(/\s+/g, '_');
+    const data = await this.fetchJson('open_library', `${this.openLibraryUrl}/subjects/${encodeURIComponent(slug)}.json`, {
+      limit: options.limit || 20
+    });
+
+    return (data?.works || []).map(work => this.normalizeOpenLibraryDoc({
+      key: work.key,
+      title: work.title,
+      author_name: (work.authors || []).map(author => author.name),
+      first_publish_year: work.first_publish_year,
+      subject: work.subject || [data.name || subject],
+      cover_i: work.cover_id
+    }));
+  }
+
+  /**
+   * Open Library's daily trending works
+   * @param {object} options - {limit}
+   * @returns {Promise<Array>} Normalized books
+   */
+  async getOpenLibraryTrending(options = {}) {
+    const data = await this.fetchJson('open_library', `${this.openLibraryUrl}/trending/daily.json`, {
+      limit: options.limit || 20
+    });
+
+    return (data?.works || []).map(work => this.normalizeOpenLibraryDoc(work));
+  }
+
+  /**
+   * Normalize a Google Books volume
+   * @param {object} item - Volume resource
+   * @returns {object} Book
+   */
+  normalizeGoogleBook(item) {
+    const info = item.volumeInfo || {};
+    const identifiers = info.industryIdentifiers || [];
+    const isbn13 = identifiers.find(id => id.type === 'ISBN_13')?.identifier || null;
+    const isbn10 = identifiers.find(id => id.type === 'ISBN_10')?.identifier || null;
+    const authors = info.authors || [];
+    const categories = info.categories || [];
+
+    return {
+      id: `gb:${item.id}`,
+      source: 'google-books',
+      title: info.title || null,
+      subtitle: info.subtitle || null,
+      authors: authors,
+      author: authors[0] || null,
+      isbn13: isbn13,
+      isbn10: isbn10,
+      isbn: isbn13 || isbn10,
+      publishedDate: info.publishedDate || null,
+      publishYear: this.parseYear(info.publishedDate),
+      publisher: info.publisher || null,
+      description: info.description || null,
+      pageCount: info.pageCount || null,
+      categories: categories,
+      genre: categories[0] || null,
+      language: info.language || null,
+      rating: info.averageRating ?? null,
+      ratingsCount: info.ratingsCount ?? null,
+      coverUrl: (info.imageLinks?.thumbnail || info.imageLinks?.smallThumbnail || '').replace(/^http:/, 'https:') || null,
+      previewUrl: info.previewLink || null,
+      infoUrl: info.infoLink || null,
+      identifiers: { googleBooksId: item.id }
+    };
+  }
+
+  /**
+   * Normalize an Open Library search document
+   * @param {object} doc - search.json doc (or a trending/subject work in the same shape)
+   * @returns {object} Book
+   */
+  normalizeOpenLibraryDoc(doc) {
+    const olid = (doc.key || '').replace('/works/', '');
+    const isbns = doc.isbn || [];
+    const isbn13 = isbns.find(isbn => isbn.length === 13) || null;
+    const isbn10 = isbns.find(isbn => isbn.length === 10) || null;
+    const authors = doc.author_name || [];
+    const subjects = (doc.subject || []).slice(0, 10);
+
+    return {
+      id: `ol:${olid}`,
+      source: 'open-library',
+      title: doc.title || null,
+      subtitle: doc.subtitle || null,
+      authors: authors,
+      author: authors[0] || null,
+      isbn13: isbn13,
+      isbn10: isbn10,
+      isbn: isbn13 || isbn10,
+      publishedDate: doc.first_publish_year ? String(doc.first_publish_year) : null,
+      publishYear: doc.first_publish_year || null,
+      publisher: doc.publisher?.[0] || null,
+      description: null,
+      pageCount: doc.number_of_pages_median || null,
+      categories: subjects,
+      genre: subjects[0] || null,
+      language: doc.language?.[0] || null,
+      rating: doc.ratings_average ? Math.round(doc.ratings_average * 100) / 100 : null,
+      ratingsCount: doc.ratings_count ?? null,
+      coverUrl: doc.cover_i ? `${this.openLibraryCoversUrl}/b/id/${doc.cover_i}-M.jpg` : null,
+      previewUrl: null,
+      infoUrl: olid ? `${this.openLibraryUrl}/works/${olid}` : null,
+      identifiers: { openLibraryId: olid || null }
+    };
+  }
+
+  /**
+   * GET a JSON document through the metadata cache
+   * A 404 is a cacheable "not found" and resolves null.
+   * @param {string} source - Metadata source ('google_books', 'open_library')
+   * @param {string} url - Request URL
+   * @param {object} params - Query parameters
+   * @returns {Promise<object|null>} Response body
+   */
+  async fetchJson(source, url, params = {}) {
+    const cacheKey = `${url}?${new URLSearchParams(params).toString()}`;
+
+    return metadataCache.getOrFetch(source, cacheKey, async () => {
+      this.stats.requests++;
+      try {
+        const response = await axios.get(url, {
+          params: source === 'google_books' && this.googleBooksApiKey ? { ...params, key: this.googleBooksApiKey } : params,
+          timeout: this.timeout
+        });
+        return response.data;
+      } catch (error) {
+        if (error.response?.status === 404) return null;
+
+        const failure = new Error(`${source} request failed: ${error.response?.data?.error?.message || error.message}`);
+        failure.code = error.code === 'ECONNABORTED' ? 'CATALOG_TIMEOUT' : 'CATALOG_REQUEST_FAILED';
+        failure.status = error.response?.status || null;
+        throw failure;
+      }
+    });
+  }
+
+  /**
+   * Sort books for genre listings
+   * @param {Array} books - Books
+   * @param {string} sortBy - 'rating', 'date' or anything else for catalog order
+   * @returns {Array} Sorted books
+   */
+  sortBooks(books, sortBy) {
+    if (sortBy === 'rating') {
+      return [...books].sort((a, b) => (b.rating || 0) - (a.rating || 0));
+    }
+    if (sortBy === 'date') {
+      return [...books].sort((a, b) => (b.publishYear || 0) - (a.publishYear || 0));
+    }
+    return books;
+  }
+
+  /**
+   * Clamp a requested result limit
+   * @param {*} limit - Requested limit
+   * @param {number} fallback - Default limit
+   * @returns {number} Limit between 1 and maxLimit
+   */
+  clampLimit(limit, fallback) {
+    const parsed = parseInt(limit);
+    return Math.min(Math.max(Number.isNaN(parsed) ? fallback : parsed, 1), this.maxLimit);
+  }
+
+  /**
+   * Extract the year from a catalog date ('2003', '2003-05', '2003-05-01')
+   * @param {string|null} date - Date string
+   * @returns {number|null} Year
+   */
+  parseYear(date) {
+    const match = /^(\d{4})/.exec(date || '');
+    return match ? parseInt(match[1]) : null;
+  }
+
+  /**
+   * Get catalog statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      googleBooksUrl: this.googleBooksUrl,
+      openLibraryUrl: this.openLibraryUrl
+    };
+  }
+}
+
+// Create singleton instance
+const bookCatalog = new BookCatalog();
+
+module.exports = bookCatalog;
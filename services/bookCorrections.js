@@ -0,0 +1,246 @@
+const bookSpineRecognition = require('./bookSpineRecognition');
+const { query, transaction } = require('../utils/database');
+const { parseIsbn } = require('../utils/isbn');
+
+// Review states that take a detection out of the upload's book list
+const DISCARDED_STATUSES = ['rejected', 'merged'];
+
+// Detected-book fields a user may correct
+const EDITABLE_FIELDS = ['title', 'author', 'genre', 'isbn'];
+
+/**
+ * Human-in-the-loop corrections for detected books
+ * Users accept, reject, edit or merge the books detected on an upload. Detections are never
+ * removed from `extracted_books` (clients address them by index); each one carries a `review`
+ * block instead, every change is written to the `book_corrections` audit table, and title edits
+ * become per-session aliases that recognition applies to later scans.
+ */
+class BookCorrections {
+  /**
+   * Whether a detection was rejected or merged into another one
+   * @param {object} book - Detected book
+   * @returns {boolean} Discarded
+   */
+  isDiscarded(book) {
+    return DISCARDED_STATUSES.includes(book?.review?.status);
+  }
+
+  /**
+   * Apply a correction to one detected book on an upload
+   * @param {string} sessionId - Device session ID (must own the upload)
+   * @param {number} uploadId - image_uploads ID
+   * @param {number} bookIndex - Index into extracted_books
+   * @param {string} action - 'accept', 'reject', 'edit' or 'merge'
+   * @param {object} payload - Edit changes ({title, author, genre, isbn}) or merge target ({intoIndex})
+   * @returns {Promise<object>} {book, books, correction}
+   */
+  async applyCorrection(sessionId, uploadId, bookIndex, action, payload = {}) {
+    return transaction(async (client) => {
+      // Lock the upload so concurrent corrections don't overwrite each other's extracted_books
+      const uploadResult = await client.query(
+        'SELECT * FROM image_uploads WHERE id = $1 FOR UPDATE',
+        [uploadId]
+      );
+      const uploadRecord = uploadResult.rows[0];
+      const books = [...(uploadRecord?.extracted_books || [])];
+      const original = books[bookIndex];
+
+      if (!original) {
+        throw this.createError('BOOK_NOT_FOUND', `No detected book at index ${bookIndex}`);
+      }
+
+      const reviewedAt = new Date().toISOString();
+      let updated;
+      let aliasTarget = null;
+
+      switch (action) {
+        case 'accept':
+          updated = { ...original, review: { status: 'accepted', reviewedAt } };
+          break;
+
+        case 'reject':
+          updated = { ...original, review: { status: 'rejected', reviewedAt, reason: payload.reason || null } };
+          break;
+
+        case 'edit': {
+          const changes = this.pickChanges(payload);
+          if (Object.keys(changes).length === 0) {
+            throw this.createError('INVALID_CORRECTION', `Nothing to change. Editable fields: ${EDITABLE_FIELDS.join(', ')}`);
+          }
+          if (changes.title === null) {
+            throw this.createError('INVALID_CORRECTION', 'Title cannot be empty');
+          }
+          if (changes.isbn) {
+            const isbn = parseIsbn(changes.isbn);
+            if (!isbn) {
+              throw this.createError('INVALID_CORRECTION', `Invalid ISBN: ${changes.isbn}`);
+            }
+            changes.isbn = isbn.isbn13;
+            changes.isbn10 = isbn.isbn10;
+          }
+
+          updated = {
+            ...original,
+            ...changes,
+            // Keep what recognition originally read, across repeated edits
+            correction: original.correction || { originalTitle: original.title, originalAuthor: original.author || null, source: 'user' },
+            review: { status: 'edited', reviewedAt }
+          };
+          aliasTarget = updated;
+          break;
+        }
+
+        case 'merge': {
+          const intoIndex = payload.intoIndex;
+          const target = books[intoIndex];
+          if (!Number.isInteger(intoIndex) || intoIndex === bookIndex || !target) {
+            throw this.createError('INVALID_CORRECTION', 'intoIndex must be the index of another detected book');
+          }
+          if (this.isDiscarded(target)) {
+            throw this.createError('INVALID_CORRECTION', `Detected book ${intoIndex} was ${target.review.status}`);
+          }
+
+          updated = { ...original, review: { status: 'merged', reviewedAt, mergedInto: intoIndex } };
+          books[intoIndex] = {
+            ...target,
+            author: target.author || original.author || null,
+            isbn: target.isbn || original.isbn || null,
+            confidence: Math.max(target.confidence || 0, original.confidence || 0),
+            mergedFrom: [...(target.mergedFrom || []), bookIndex]
+          };
+          // The duplicate was a misreading of the target
+          aliasTarget = books[intoIndex];
+          break;
+        }
+
+        default:
+          throw this.createError('INVALID_CORRECTION', `Unknown correction action: ${action}`);
+      }
+
+      books[bookIndex] = updated;
+
+      await client.query(
+        'UPDATE image_uploads SET extracted_books = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [uploadId, JSON.stringify(books)]
+      );
+
+      const correctionResult = await client.query(
+        `INSERT INTO book_corrections (session_id, image_upload_id, book_index, action, before_value, after_value)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [sessionId, uploadId, bookIndex, action, original, updated]
+      );
+
+      const detectedTitle = original.correction?.originalTitle || original.title;
+      if (aliasTarget && detectedTitle && this.aliasKey(detectedTitle) !== this.aliasKey(aliasTarget.title)) {
+        await this.saveAlias(client, sessionId, detectedTitle, aliasTarget, correctionResult.rows[0].id);
+      }
+
+      return { book: updated, books, correction: correctionResult.rows[0] };
+    });
+  }
+
+  /**
+   * Record (or replace) the session's alias for a misread title
+   * @param {object} client - Transaction client
+   * @param {string} sessionId - Device session ID
+   * @param {string} detectedTitle - Title as recognition read it
+   * @param {object} corrected - Corrected book {title, author}
+   * @param {number} correctionId - Audit row that produced the alias
+   */
+  async saveAlias(client, sessionId, detectedTitle, corrected, correctionId) {
+    await client.query(
+      `INSERT INTO title_aliases (session_id, alias_key, detected_title, corrected_title, corrected_author, correction_id)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (session_id, alias_key) DO UPDATE SET
+         corrected_title = EXCLUDED.corrected_title,
+         corrected_author = EXCLUDED.corrected_author,
+         correction_id = EXCLUDED.correction_id,
+         updated_at = CURRENT_TIMESTAMP`,
+      [sessionId, this.aliasKey(detectedTitle), detectedTitle, corrected.title, corrected.author || null, correctionId]
+    );
+  }
+
+  /**
+   * Get a session's title aliases in the shape recognition consumes
+   * @param {string} sessionId - Device session ID
+   * @returns {Promise<object>} Map of alias key -> {title, author}
+   */
+  async getAliasMap(sessionId) {
+    const result = await query(
+      'SELECT alias_key, corrected_title, corrected_author FROM title_aliases WHERE session_id = $1',
+      [sessionId]
+    );
+
+    const aliases = {};
+    for (const row of result.rows) {
+      aliases[row.alias_key] = { title: row.corrected_title, author: row.corrected_author };
+    }
+    return aliases;
+  }
+
+  /**
+   * Get the correction audit trail for an upload
+   * @param {number} uploadId - image_uploads ID
+   * @returns {Promise<Array>} Corrections, oldest first
+   */
+  async getCorrections(uploadId) {
+    const result = await query(
+      'SELECT * FROM book_corrections WHERE image_upload_id = $1 ORDER BY created_at ASC, id ASC',
+      [uploadId]
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      bookIndex: row.book_index,
+      action: row.action,
+      before: row.before_value,
+      after: row.after_value,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Alias key for a title (shared with recognition so lookups match)
+   * @param {string} title - Title
+   * @returns {string} Alias key
+   */
+  aliasKey(title) {
+    return bookSpineRecognition.getTitleAliasKey(title);
+  }
+
+  /**
+   * Pick the editable fields out of a request body, trimming strings
+   * @param {object} payload - Request body
+   * @returns {object} Changes; empty strings become null
+   * @throws {Error} INVALID_CORRECTION when a field is neither a string nor null
+   */
+  pickChanges(payload) {
+    const changes = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (payload[field] === undefined) continue;
+      if (payload[field] !== null && typeof payload[field] !== 'string') {
+        throw this.createError('INVALID_CORRECTION', 'Text fields must be strings');
+      }
+      changes[field] = payload[field] === null ? null : payload[field].trim() || null;
+    }
+    return changes;
+  }
+
+  /**
+   * Create a coded correction error
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   * @returns {Error} Error with `code`
+   */
+  createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+// Create singleton instance
+const bookCorrections = new BookCorrections();
+
+module.exports = bookCorrections;
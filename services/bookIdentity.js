@@ -0,0 +1,241 @@
+const { query } = require('../utils/database');
+const { parseIsbn } = require('../utils/isbn');
+const {
+  foldText,
+  parseSeries,
+  titleMatchKey,
+  stripSubtitle,
+  authorSurname,
+  isSameTitle,
+  isSameAuthor
+} = require('../utils/bookMatching');
+
+// Edition noise that does not change which work a title names (matched against folded text)
+const EDITION_MARKERS = [
+  /\b(\d+(st|nd|rd|th)|anniversary|collectors|deluxe|illustrated|special|revised|expanded|annotated|movie tie in|reissue)\b.*\bedition\b/g,
+  /\b(paperback|hardcover|hardback|mass market|kindle edition|unabridged|abridged)\b/g,
+  /\ba novel$/g
+];
+
+/**
+ * Canonical work identity
+ * Decides when two book records - scans, library entries, catalog results, Goodreads data or AI
+ * recommendations - are the same work, whatever the edition. Records are matched by shared ISBN
+ * or Open Library work ID, and otherwise by a work key built from the title (subtitle, series and
+ * edition markers stripped) and the author's surname. Works are also persisted in `works`, with
+ * every edition ISBN seen recorded in `work_editions`, so editions with different titles stay
+ * clustered once any record links them.
+ */
+class BookIdentity {
+  /**
+   * Title key of a work: no descriptive subtitle, bracketed text, series or edition markers or
+   * leading article; a volume title after a separator is kept (see stripSubtitle)
+   * "The Hobbit: or There and Back Again (Illustrated Edition)" -> "hobbit"
+   * @param {string} title - Title as printed or detected
+   * @returns {string} Title key
+   */
+  getTitleKey(title) {
+    const mainTitle = stripSubtitle(title).replace(/,\s*(the|a|an)\s*$/i, ''); // Library order: "Hobbit, The"
+
+    const simplified = EDITION_MARKERS.reduce(
+      (current, marker) => current.replace(marker, ' '),
+      foldText(mainTitle)
+    ).replace(/\s+/g, ' ').trim();
+
+    // A title that is nothing but markers keeps its words
+    return titleMatchKey(simplified || mainTitle);
+  }
+
+  /**
+   * Author key of a work: the first author's surname, particles included ("Le Guin" -> "leguin")
+   * Handles "Surname, Given" order, several authors ("A and B", "A; B") and name suffixes.
+   * @param {string|null} author - Author name(s)
+   * @returns {string} Surname, or '' when the author is unknown
+   */
+  getAuthorKey(author) {
+    return authorSurname(author);
+  }
+
+  /**
+   * Work key used when no ISBN or catalog ID links two records
+   * @param {object} book - {title, author} (or a catalog book with `authors`)
+   * @returns {string} 'titlekey|surname'
+   */
+  getWorkKey(book) {
+    return `${this.getTitleKey(book.title)}|${this.getAuthorKey(this.getAuthor(book))}`;
+  }
+
+  /**
+   * First author of any book record shape
+   * @param {object} book - Book
+   * @returns {string|null} Author
+   */
+  getAuthor(book) {
+    return book.author || (Array.isArray(book.authors) ? book.authors[0] : null) || null;
+  }
+
+  /**
+   * Every ISBN a record carries, as ISBN-13
+   * @param {object} book - Book with isbn / isbn13 / isbn10 / identifiers
+   * @returns {Array<string>} ISBN-13s
+   */
+  getIsbns(book) {
+    const candidates = [book.isbn, book.isbn13, book.isbn10, book.identifiers?.isbn13, book.identifiers?.isbn10];
+    const isbns = new Set();
+    for (const candidate of candidates) {
+      const parsed = candidate ? parseIsbn(candidate) : null;
+      if (parsed) isbns.add(parsed.isbn13);
+    }
+    return [...isbns];
+  }
+
+  /**
+   * Open Library work ID of a record, if it has one
+   * @param {object} book - Book
+   * @returns {string|null} 'OL…W'
+   */
+  getOpenLibraryWorkId(book) {
+    const id = book.openLibraryId || book.identifiers?.openLibraryId || null;
+    return id && /^OL\d+W$/i.test(id) ? id.toUpperCase() : null;
+  }
+
+  /**
+   * Whether two book records are the same work
+   * A shared ISBN or Open Library work ID decides it; different work IDs rule it out. Otherwise
+   * the title keys (and any series numbers) must match, and the author surnames too unless one
+   * author is unknown.
+   * @param {object} a - Book
+   * @param {object} b - Book
+   * @returns {boolean} Same work
+   */
+  isSameWork(a, b) {
+    const isbnsA = this.getIsbns(a);
+    if (isbnsA.length > 0 && this.getIsbns(b).some(isbn => isbnsA.includes(isbn))) return true;
+
+    const workA = this.getOpenLibraryWorkId(a);
+    const workB = this.getOpenLibraryWorkId(b);
+    if (workA && workB) return workA === workB;
+
+    const titleKey = this.getTitleKey(a.title);
+    if (!titleKey || titleKey !== this.getTitleKey(b.title)) return false;
+
+    // Volumes of one series share a title key once their markers are stripped
+    const seriesA = parseSeries(a.title).seriesNumber;
+    const seriesB = parseSeries(b.title).seriesNumber;
+    if (seriesA !== null && seriesB !== null && seriesA !== seriesB) return false;
+
+    const authorA = this.getAuthorKey(this.getAuthor(a));
+    const authorB = this.getAuthorKey(this.getAuthor(b));
+    return !authorA || !authorB || authorA === authorB;
+  }
+
+  /**
+   * Whether two records are probably the same work, tolerating misread or misspelt titles
+   * Used where a false "same" only hides a book (owned/read filtering), not where it would merge
+   * two records into one.
+   * @param {object} a - Book
+   * @param {object} b - Book
+   * @returns {boolean} Same work, or fuzzy title match with compatible authors
+   */
+  isLikelySameWork(a, b) {
+    if (this.isSameWork(a, b)) return true;
+    if (this.getOpenLibraryWorkId(a) && this.getOpenLibraryWorkId(b)) return false;
+
+    const seriesA = parseSeries(a.title).seriesNumber;
+    const seriesB = parseSeries(b.title).seriesNumber;
+    if (seriesA !== null && seriesB !== null && seriesA !== seriesB) return false;
+
+    // Title keys drop subtitles and edition markers ("The Hobblt" vs "The Hobbit: Illustrated Edition")
+    if (!isSameTitle(a.title, b.title) && !isSameTitle(this.getTitleKey(a.title), this.getTitleKey(b.title))) {
+      return false;
+    }
+
+    const authorA = this.getAuthor(a);
+    const authorB = this.getAuthor(b);
+    return !authorA || !authorB || isSameAuthor(authorA, authorB);
+  }
+
+  /**
+   * Group book records into works, keeping input order within and across clusters
+   * @param {Array} books - Book records
+   * @returns {Array} [{workKey, books}]
+   */
+  clusterBooks(books) {
+    const clusters = [];
+    for (const book of books) {
+      const cluster = clusters.find(candidate => candidate.books.some(member => this.isSameWork(member, book)));
+      if (cluster) {
+        cluster.books.push(book);
+      } else {
+        clusters.push({ workKey: this.getWorkKey(book), books: [book] });
+      }
+    }
+    return clusters;
+  }
+
+  /**
+   * Keep the first record of each work
+   * @param {Array} books - Book records
+   * @returns {Array} One record per work
+   */
+  uniqueWorks(books) {
+    return this.clusterBooks(books).map(cluster => cluster.books[0]);
+  }
+
+  /**
+   * Find or create the persisted work for a book record and record its edition
+   * Lookup order: a known edition ISBN, the Open Library work ID, then the work key.
+   * @param {object} book - Book record (needs a title)
+   * @param {object} options - {db: client for use inside a transaction}
+   * @returns {Promise<object>} works row
+   */
+  async resolveWork(book, options = {}) {
+    const db = options.db || { query };
+    const isbns = this.getIsbns(book);
+    const openLibraryId = this.getOpenLibraryWorkId(book);
+    let work = null;
+
+    if (isbns.length > 0) {
+      const result = await db.query(
+        `SELECT w.* FROM works w JOIN work_editions e ON e.work_id = w.id
+         WHERE e.isbn13 = ANY($1) ORDER BY w.id LIMIT 1`,
+        [isbns]
+      );
+      work = result.rows[0] || null;
+    }
+
+    if (!work && openLibraryId) {
+      const result = await db.query('SELECT * FROM works WHERE open_library_id = $1', [openLibraryId]);
+      work = result.rows[0] || null;
+    }
+
+    if (!work) {
+      const result = await db.query(
+        `INSERT INTO works (work_key, title, author, open_library_id)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (work_key) DO UPDATE SET
+           open_library_id = COALESCE(works.open_library_id, EXCLUDED.open_library_id),
+           updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [this.getWorkKey(book), book.title, this.getAuthor(book), openLibraryId]
+      );
+      work = result.rows[0];
+    }
+
+    for (const isbn of isbns) {
+      await db.query(
+        `INSERT INTO work_editions (work_id, isbn13, title)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (isbn13) DO NOTHING`,
+        [work.id, isbn, book.title]
+      );
+    }
+
+    return work;
+  }
+}
+
+// Create singleton instance
+const bookIdentity = new BookIdentity();
+
+module.exports = bookIdentity;
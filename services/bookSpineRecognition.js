@@ -1,7 +1,11 @@
 require('dotenv').config();
-const openaiVision = require('./openaiVision');
-const googleVision = require('./googleVision');
+const visionProviders = require('./visionProviders');
+const titleVerifier = require('./titleVerifier');
+const bookCatalog = require('./bookCatalog');
+const bookIdentity = require('./bookIdentity');
 const imageProcessor = require('./imageProcessor');
+const { parseIsbn, extractIsbns } = require('../utils/isbn');
+const bookMatching = require('../utils/bookMatching');
 const fs = require('fs');
 
 /**
@@ -17,18 +21,37 @@ class BookSpineRecognition {
     // Initialize processing statistics
     this.stats = {
       totalProcessed: 0,
-      openaiSuccesses: 0,
-      googleFallbacks: 0,
+      providerSuccesses: {},
+      providerFallbacks: 0,
       processingErrors: 0,
       averageProcessingTime: 0,
       booksDetected: 0
     };
+
+    // Per-spine mode settings
+    this.spineConcurrency = parseInt(process.env.PER_SPINE_CONCURRENCY) || 4;
+    this.maxSpinesPerImage = 60;
+    this.titleMatchThreshold = bookMatching.TITLE_MATCH_THRESHOLD;
+
+    // Ensemble mode settings
+    this.defaultStrategy = process.env.VISION_STRATEGY === 'ensemble' ? 'ensemble' : 'fallback';
+    this.ensembleProviders = ['openai-vision', 'google-vision'];
+    this.unconfirmedPenalty = 0.75; // Confidence multiplier for books only one provider saw
+
+    // OCR verification settings
+    this.verifyTitles = process.env.VISION_VERIFY_TITLES === 'true'; // Off by default: may cost an extra OCR call
+    this.ocrProviders = ['google-vision', 'tesseract'];
+    this.verificationPenalties = { verified: 1, partial: 0.85, weak: 0.6, unsupported: 0.3 };
   }
 
   /**
    * Recognize books from bookshelf image using AI pipeline
    * @param {string} imagePath - Path to bookshelf image
-   * @param {object} options - Recognition options
+   * @param {object} options - Recognition options (options.onProgress receives stage and book events;
+   *   options.mode = 'per-spine' also reads each segmented spine on its own and merges the results;
+   *   options.mode = 'barcode' reads the ISBN barcodes of back covers instead of spines;
+   *   options.verifyTitles overrides VISION_VERIFY_TITLES for this call; books not verified get
+   *   verification {status: 'skipped'})
    * @returns {Promise<object>} Recognition results
    */
   async recognizeBooks(imagePath, options = {}) {
@@ -44,6 +67,7 @@ class BookSpineRecognition {
         const cached = this.resultCache.get(cacheKey);
         if (Date.now() - cached.timestamp < this.cacheTimeout) {
           console.log(`📋 Returning cached result for ${requestId}`);
+          this.reportProgress(requestId, 'cache', 'completed', { booksFound: cached.result.books.length }, options);
           return { ...cached.result, fromCache: true, requestId };
         } else {
           this.resultCache.delete(cacheKey);
@@ -51,120 +75,73 @@ class BookSpineRecognition {
       }
 
       // Add to processing queue
-      this.processingQueue.set(requestId, { startTime, status: 'processing' });
+      this.processingQueue.set(requestId, { startTime, status: 'processing', stage: null, stages: [] });
 
       // Step 1: Validate and preprocess image
-      let preprocessing;
-      try {
-        preprocessing = await this.preprocessImage(imagePath, options);
-        if (!preprocessing.success) {
-          console.warn(`Image preprocessing warning: ${preprocessing.error}, continuing with mock data`);
-          // Use mock data if preprocessing fails
-          const mockResult = this.generateMockBooks();
-          const enhancedBooks = await this.enhanceBookResults(mockResult.books, options);
-          const filteredBooks = this.filterAndSortBooks(enhancedBooks, options);
-
-          const totalTime = Date.now() - startTime;
-          const result = {
-            success: true,
-            requestId: requestId,
-            books: filteredBooks,
-            metadata: {
-              totalBooksDetected: filteredBooks.length,
-              imageAnalyzed: imagePath,
-              aiProvider: 'mock-fallback',
-              fallbackUsed: true,
-              fallbackReason: 'preprocessing_failed',
-              processingTime: totalTime,
-              timestamp: new Date().toISOString(),
-              confidence: this.calculateOverallConfidence(filteredBooks)
-            }
-          };
-
+      const preprocessing = await this.preprocessImage(imagePath, options, requestId);
+      if (!preprocessing.success) {
+        if (visionProviders.isDemoMode()) {
+          console.warn(`Image preprocessing failed: ${preprocessing.error}, returning demo books`);
+          const demoResult = await this.createDemoResult(imagePath, 'preprocessing_failed', startTime, options, requestId);
           this.processingQueue.delete(requestId);
-          return result;
+          return demoResult;
         }
-      } catch (preprocessError) {
-        console.warn(`Image preprocessing error: ${preprocessError.message}, using mock data`);
-        // Fallback to mock data if preprocessing throws
-        const mockResult = this.generateMockBooks();
-        const enhancedBooks = await this.enhanceBookResults(mockResult.books, options);
-        const filteredBooks = this.filterAndSortBooks(enhancedBooks, options);
-
-        const totalTime = Date.now() - startTime;
-        const result = {
-          success: true,
-          requestId: requestId,
-          books: filteredBooks,
-          metadata: {
-            totalBooksDetected: filteredBooks.length,
-            imageAnalyzed: imagePath,
-            aiProvider: 'mock-fallback',
-            fallbackUsed: true,
-            fallbackReason: 'preprocessing_error',
-            processingTime: totalTime,
-            timestamp: new Date().toISOString(),
-            confidence: this.calculateOverallConfidence(filteredBooks)
-          }
-        };
 
-        this.processingQueue.delete(requestId);
-        return result;
+        const error = new Error(`Image preprocessing failed: ${preprocessing.error}`);
+        error.code = 'PREPROCESSING_FAILED';
+        error.failures = [{ stage: preprocessing.stage, error: preprocessing.error }];
+        error.retryable = false; // The same image will fail the same way
+        throw error;
       }
 
-      // Step 2: Run primary AI analysis (OpenAI Vision)
-      let primaryResult = null;
-      let fallbackUsed = false;
-      let provider = null;
+      // Back covers have no spines: barcode mode reads ISBNs and resolves them through the catalog
+      const barcodeMode = options.mode === 'barcode';
 
-      try {
-        console.log(`🤖 Running OpenAI Vision analysis for ${requestId}`);
-        primaryResult = await openaiVision.analyzeBookshelfImage(
-          preprocessing.processedImagePath,
-          {
-            detail: options.detail || 'high',
-            includeAuthors: options.includeAuthors !== false,
-            includeGenres: options.includeGenres !== false,
-            includeCondition: options.includeCondition || false
-          }
-        );
-        provider = 'openai-vision';
-        this.stats.openaiSuccesses++;
-        
-      } catch (openaiError) {
-        console.warn(`⚠️ OpenAI Vision failed for ${requestId}:`, openaiError.message);
-        console.log(`🔄 Falling back to Google Vision for ${requestId}`);
-        
-        try {
-          // Fallback to Google Vision
-          primaryResult = await googleVision.analyzeBookshelfImageWithREST(
-            preprocessing.processedImagePath,
-            {
-              maxBooks: options.maxBooks || 50,
-              includeAuthors: options.includeAuthors !== false
-            }
-          );
-          provider = 'google-vision';
-          fallbackUsed = true;
-          this.stats.googleFallbacks++;
-          
-        } catch (googleError) {
-          console.error(`❌ Both AI services failed for ${requestId}`);
-          console.log(`📚 Falling back to mock data for demonstration`);
-
-          // Fallback to mock data
-          primaryResult = this.generateMockBooks();
-          provider = 'mock-fallback';
-          fallbackUsed = true;
-          this.stats.googleFallbacks++;
-        }
+      // Step 1b: Segment the shelf into spines so detections can carry bounding boxes
+      const segmentation = options.segmentSpines === false || barcodeMode
+        ? null
+        : await this.segmentSpines(preprocessing.processedImagePath, options, requestId);
+
+      // Step 2: Run AI analysis through the configured provider chain, or cross-check providers in ensemble mode
+      const strategy = options.strategy || this.defaultStrategy;
+      const analysisOptions = { ...options, sourceImagePath: imagePath };
+      const analysis = barcodeMode
+        ? await this.readBarcodes(preprocessing.processedImagePath, analysisOptions, requestId)
+        : strategy === 'ensemble'
+        ? await this.runEnsemble(preprocessing.processedImagePath, analysisOptions, requestId)
+        : await this.runProviderChain(preprocessing.processedImagePath, analysisOptions, requestId);
+      const primaryResult = analysis.result;
+      const provider = analysis.provider;
+      const fallbackUsed = analysis.fallbackUsed;
+
+      let detectedBooks = this.attachSpineBoxes(primaryResult.books, segmentation);
+
+      // Step 2b: Per-spine pass to pick up thin spines the whole-image pass missed
+      let perSpine = null;
+      if (options.mode === 'per-spine') {
+        perSpine = await this.recognizeSpines(preprocessing.processedImagePath, segmentation, analysis.spineProvider || provider, options, requestId);
+        const merge = this.mergeSpineResults(detectedBooks, perSpine.books);
+        detectedBooks = merge.books;
+        perSpine.summary.booksConfirmed = merge.confirmed;
+        perSpine.summary.booksAdded = merge.added;
+      }
+
+      // Step 2c: Check titles against the OCR text on the spines to catch invented titles
+      let verification = null;
+      if ((options.verifyTitles ?? this.verifyTitles) && provider !== 'mock' && !barcodeMode) {
+        verification = await this.verifyAgainstOcr(detectedBooks, primaryResult, preprocessing.processedImagePath, analysisOptions, requestId);
+        detectedBooks = verification.books;
+      } else {
+        // Books carry a verification block either way, so clients see one shape
+        const reason = barcodeMode ? 'barcode_mode' : provider === 'mock' ? 'demo_mode' : 'disabled';
+        detectedBooks = detectedBooks.map(book => ({ ...book, verification: { status: 'skipped', reason } }));
       }
 
       // Step 3: Post-process and enhance results
-      const enhancedBooks = await this.enhanceBookResults(primaryResult.books, options);
+      const enhancedBooks = await this.enhanceBookResults(detectedBooks, options, requestId);
 
       // Step 4: Apply confidence filtering and quality checks
-      const filteredBooks = this.filterAndSortBooks(enhancedBooks, options);
+      const filteredBooks = this.filterAndSortBooks(enhancedBooks, options, requestId);
 
       const totalTime = Date.now() - startTime;
       
@@ -179,10 +156,26 @@ class BookSpineRecognition {
           processedImage: preprocessing.processedImagePath,
           aiProvider: provider,
           fallbackUsed: fallbackUsed,
+          providerAttempts: analysis.attempts,
+          strategy: strategy,
+          ensemble: analysis.ensemble || null,
+          verification: verification ? verification.summary : null,
+          validationReport: primaryResult.validationReport || null,
+          demoMode: provider === 'mock',
+          mode: barcodeMode || options.mode === 'per-spine' ? options.mode : 'whole-image',
+          perSpine: perSpine ? perSpine.summary : null,
+          barcode: analysis.barcode || null,
           processingTime: totalTime,
           timestamp: new Date().toISOString(),
           confidence: this.calculateOverallConfidence(filteredBooks),
-          imageProcessing: preprocessing.metadata
+          imageProcessing: preprocessing.metadata,
+          spineSegmentation: segmentation ? {
+            imageSize: segmentation.imageSize,
+            shelves: segmentation.shelves.length,
+            spinesDetected: segmentation.spines.length,
+            booksLocated: filteredBooks.filter(book => book.spineIndex !== undefined).length,
+            processingTime: segmentation.processingTime
+          } : null
         },
         statistics: {
           preprocessing: preprocessing.processingTime || 0,
@@ -213,34 +206,88 @@ class BookSpineRecognition {
       
       // Update error statistics
       this.stats.processingErrors++;
-      
-      throw new Error(`Book recognition failed: ${error.message}`);
+
+      // Keep the structured failure details for the caller
+      const recognitionError = new Error(`Book recognition failed: ${error.message}`);
+      recognitionError.code = error.code || 'RECOGNITION_FAILED';
+      recognitionError.failures = error.failures || [];
+      if (error.retryable !== undefined) recognitionError.retryable = error.retryable;
+      throw recognitionError;
     }
   }
 
+  /**
+   * Build a result from the demo books
+   * Only called in demo mode; the result is flagged so it is never mistaken for a real analysis
+   * @param {string} imagePath - Analyzed image path
+   * @param {string} reason - Why demo books are returned
+   * @param {number} startTime - Recognition start time
+   * @param {object} options - Recognition options
+   * @param {string} requestId - Recognition request ID
+   * @returns {Promise<object>} Demo recognition result
+   */
+  async createDemoResult(imagePath, reason, startTime, options = {}, requestId = null) {
+    const mockResult = this.generateMockBooks();
+    const enhancedBooks = await this.enhanceBookResults(mockResult.books, options, requestId);
+    const filteredBooks = this.filterAndSortBooks(enhancedBooks, options, requestId);
+
+    return {
+      success: true,
+      requestId: requestId,
+      books: filteredBooks,
+      metadata: {
+        totalBooksDetected: filteredBooks.length,
+        imageAnalyzed: imagePath,
+        aiProvider: 'mock',
+        fallbackUsed: true,
+        fallbackReason: reason,
+        demoMode: true,
+        processingTime: Date.now() - startTime,
+        timestamp: new Date().toISOString(),
+        confidence: this.calculateOverallConfidence(filteredBooks)
+      }
+    };
+  }
+
   /**
    * Preprocess image for optimal AI analysis
    * @param {string} imagePath - Original image path
    * @param {object} options - Processing options
+   * @param {string} requestId - Recognition request ID for progress reporting
    * @returns {Promise<object>} Preprocessing result
    */
-  async preprocessImage(imagePath, options = {}) {
+  async preprocessImage(imagePath, options = {}, requestId = null) {
+    let stage = 'validate';
+
     try {
       console.log(`🖼️ Preprocessing image: ${imagePath}`);
       
       // Validate image
+      this.reportProgress(requestId, 'validate', 'started', {}, options);
       const validation = await imageProcessor.validateImage(imagePath);
       if (!validation.valid) {
-        return { success: false, error: validation.error };
+        this.reportProgress(requestId, 'validate', 'failed', { error: validation.error }, options);
+        return { success: false, stage, error: validation.error };
       }
+      this.reportProgress(requestId, 'validate', 'completed', {
+        width: validation.metadata.width,
+        height: validation.metadata.height,
+        format: validation.metadata.format
+      }, options);
 
       // Process image for AI analysis
+      stage = 'preprocess';
+      this.reportProgress(requestId, 'preprocess', 'started', {}, options);
       const processingResult = await imageProcessor.processForAI(imagePath, {
         maxDimension: options.maxImageSize || 1920,
         quality: options.imageQuality || 92,
         brightness: options.brightness || 1.1,
         sharpen: options.sharpen || 1.0
       });
+      this.reportProgress(requestId, 'preprocess', 'completed', {
+        dimensions: processingResult.dimensions.processed,
+        processingTime: processingResult.processingTime
+      }, options);
 
       return {
         success: true,
@@ -256,27 +303,746 @@ class BookSpineRecognition {
       };
 
     } catch (error) {
-      return { success: false, error: error.message };
+      this.reportProgress(requestId, stage, 'failed', { error: error.message }, options);
+      return { success: false, stage, error: error.message };
+    }
+  }
+
+  /**
+   * Try each enabled vision provider in configured order until one succeeds
+   * @param {string} imagePath - Preprocessed image path
+   * @param {object} options - Recognition options (options.providers overrides the configured order)
+   * @param {string} requestId - Recognition request ID for progress reporting
+   * @returns {Promise<object>} Winning provider result, provider name, fallback flag and per-provider attempts
+   */
+  async runProviderChain(imagePath, options = {}, requestId = null) {
+    const chain = visionProviders.getProviderChain(options.providers);
+    const attempts = [];
+
+    for (const name of chain) {
+      const fallback = attempts.length > 0;
+      console.log(`🤖 Running ${name} analysis for ${requestId}${fallback ? ' (fallback)' : ''}`);
+      this.reportProgress(requestId, name, 'started', { fallback }, options);
+
+      try {
+        const result = await visionProviders.analyze(name, imagePath, {
+          detail: options.detail || 'high',
+          includeAuthors: options.includeAuthors !== false,
+          includeGenres: options.includeGenres !== false,
+          includeCondition: options.includeCondition || false,
+          maxBooks: options.maxBooks || 50,
+          sourceImagePath: options.sourceImagePath
+        });
+
+        attempts.push({ provider: name, status: 'succeeded', booksFound: result.books.length });
+        this.reportProgress(requestId, name, 'completed', { fallback, booksFound: result.books.length }, options);
+
+        this.stats.providerSuccesses[name] = (this.stats.providerSuccesses[name] || 0) + 1;
+        if (fallback) this.stats.providerFallbacks++;
+
+        return { result, provider: name, fallbackUsed: fallback, attempts };
+
+      } catch (error) {
+        console.warn(`⚠️ ${name} failed for ${requestId}:`, error.message);
+        attempts.push({
+          provider: name,
+          status: 'failed',
+          error: error.message,
+          code: error.code || null,
+          retryable: error.retryable !== false,
+          ...(error.validationReport ? { validationReport: error.validationReport } : {})
+        });
+        this.reportProgress(requestId, name, 'failed', { fallback, error: error.message }, options);
+      }
     }
+
+    if (chain.length === 0) {
+      const error = new Error('No vision providers are enabled');
+      error.code = 'NO_PROVIDERS';
+      error.failures = [];
+      error.retryable = false;
+      throw error;
+    }
+
+    const error = new Error(`All vision providers failed (${chain.join(', ')})`);
+    error.code = 'PROVIDER_FAILURE';
+    error.failures = attempts;
+    // Worth retrying only if some provider failed for a reason that may clear up (timeouts, rate limits, outages)
+    error.retryable = attempts.some(attempt => attempt.retryable);
+    throw error;
+  }
+
+  /**
+   * Run the ensemble providers side by side and cross-validate their books
+   * Falls back to the provider chain when fewer than two ensemble providers are enabled.
+   * @param {string} imagePath - Preprocessed image path
+   * @param {object} options - Recognition options (options.ensembleProviders overrides the pair)
+   * @param {string} requestId - Recognition request ID for progress reporting
+   * @returns {Promise<object>} Aligned result, provider name, fallback flag, attempts and ensemble summary
+   */
+  async runEnsemble(imagePath, options = {}, requestId = null) {
+    const providers = (options.ensembleProviders || this.ensembleProviders)
+      .filter(name => visionProviders.isEnabled(name))
+      .slice(0, 2);
+
+    if (providers.length < 2) {
+      console.warn(`Ensemble needs two enabled providers (have: ${providers.join(', ') || 'none'}), using the provider chain for ${requestId}`);
+      return this.runProviderChain(imagePath, options, requestId);
+    }
+
+    const attempts = [];
+    const results = await Promise.all(providers.map(async name => {
+      console.log(`🤖 Running ${name} analysis for ${requestId} (ensemble)`);
+      this.reportProgress(requestId, name, 'started', { ensemble: true }, options);
+
+      try {
+        const result = await visionProviders.analyze(name, imagePath, {
+          detail: options.detail || 'high',
+          includeAuthors: options.includeAuthors !== false,
+          includeGenres: options.includeGenres !== false,
+          includeCondition: options.includeCondition || false,
+          maxBooks: options.maxBooks || 50,
+          sourceImagePath: options.sourceImagePath
+        });
+
+        attempts.push({ provider: name, status: 'succeeded', booksFound: result.books.length });
+        this.reportProgress(requestId, name, 'completed', { ensemble: true, booksFound: result.books.length }, options);
+        this.stats.providerSuccesses[name] = (this.stats.providerSuccesses[name] || 0) + 1;
+        return result;
+
+      } catch (error) {
+        console.warn(`⚠️ ${name} failed for ${requestId}:`, error.message);
+        attempts.push({
+          provider: name,
+          status: 'failed',
+          error: error.message,
+          code: error.code || null,
+          retryable: error.retryable !== false,
+          ...(error.validationReport ? { validationReport: error.validationReport } : {})
+        });
+        this.reportProgress(requestId, name, 'failed', { ensemble: true, error: error.message }, options);
+        return null;
+      }
+    }));
+
+    const [primary, secondary] = results;
+
+    if (!primary && !secondary) {
+      const error = new Error(`All vision providers failed (${providers.join(', ')})`);
+      error.code = 'PROVIDER_FAILURE';
+      error.failures = attempts;
+      error.retryable = attempts.some(attempt => attempt.retryable);
+      throw error;
+    }
+
+    // Only one side answered: nothing to cross-check, so every book needs review
+    if (!primary || !secondary) {
+      const [name, result] = primary ? [providers[0], primary] : [providers[1], secondary];
+      const books = result.books.map(book => this.markUnconfirmed(book, name));
+      return {
+        result: { ...result, books },
+        provider: name,
+        fallbackUsed: true,
+        attempts,
+        ensemble: {
+          providers,
+          degraded: true,
+          agreed: 0,
+          conflicts: 0,
+          unconfirmed: books.length
+        }
+      };
+    }
+
+    const alignment = this.alignEnsembleBooks(primary.books, secondary.books, providers);
+
+    return {
+      result: {
+        success: true,
+        provider: 'ensemble',
+        books: alignment.books,
+        metadata: {
+          processingTime: Math.max(primary.metadata?.processingTime || 0, secondary.metadata?.processingTime || 0)
+        },
+        rawResults: secondary.rawResults || primary.rawResults || null,
+        validationReport: primary.validationReport || secondary.validationReport || null
+      },
+      provider: 'ensemble',
+      spineProvider: providers[0],
+      fallbackUsed: false,
+      attempts,
+      ensemble: {
+        providers,
+        degraded: false,
+        agreed: alignment.agreed,
+        conflicts: alignment.conflicts,
+        unconfirmed: alignment.unconfirmed
+      }
+    };
+  }
+
+  /**
+   * Align two providers' books one-to-one by fuzzy title and author similarity
+   * Agreements get a combined confidence; books only one provider saw are penalized and,
+   * like author conflicts, flagged for review.
+   * @param {Array} primaryBooks - Books from the first provider (usually the LLM)
+   * @param {Array} secondaryBooks - Books from the second provider (usually OCR)
+   * @param {Array<string>} providers - Provider names, in the same order
+   * @returns {object} Aligned books with agreed, conflicts and unconfirmed counts
+   */
+  alignEnsembleBooks(primaryBooks, secondaryBooks, providers) {
+    const [primaryName, secondaryName] = providers;
+
+    // Score every pair, then match greedily from the most similar pair down
+    const pairs = [];
+    primaryBooks.forEach((primary, i) => {
+      secondaryBooks.forEach((secondary, j) => {
+        const titleScore = bookMatching.titleSimilarity(primary.title, secondary.title);
+        if (titleScore < this.titleMatchThreshold) return;
+
+        const authorScore = primary.author && secondary.author
+          ? bookMatching.authorSimilarity(primary.author, secondary.author)
+          : null;
+        const score = authorScore === null ? titleScore : titleScore * 0.8 + authorScore * 0.2;
+        pairs.push({ i, j, score, titleScore, authorScore });
+      });
+    });
+    pairs.sort((a, b) => b.score - a.score);
+
+    const matchedPrimary = new Map();
+    const matchedSecondary = new Set();
+    for (const pair of pairs) {
+      if (matchedPrimary.has(pair.i) || matchedSecondary.has(pair.j)) continue;
+      matchedPrimary.set(pair.i, pair);
+      matchedSecondary.add(pair.j);
+    }
+
+    const books = [];
+    let agreed = 0;
+    let conflicts = 0;
+
+    primaryBooks.forEach((primary, i) => {
+      const pair = matchedPrimary.get(i);
+      if (!pair) {
+        books.push(this.markUnconfirmed(primary, primaryName));
+        return;
+      }
+
+      const secondary = secondaryBooks[pair.j];
+      const authorConflict = pair.authorScore !== null && pair.authorScore < bookMatching.AUTHOR_MATCH_THRESHOLD;
+      if (authorConflict) conflicts++;
+      else agreed++;
+
+      // Independent sightings: combine as 1 - P(both wrong)
+      const combined = 1 - (1 - (primary.confidence || 0)) * (1 - (secondary.confidence || 0));
+
+      books.push({
+        ...primary,
+        author: primary.author || secondary.author || null,
+        boundingBox: primary.boundingBox || secondary.boundingBox,
+        // Conflicting authors mean the providers may have read different books; don't boost those
+        confidence: authorConflict ? primary.confidence : Math.min(0.99, combined),
+        needsReview: authorConflict,
+        ensemble: {
+          agreement: authorConflict ? 'author_conflict' : 'confirmed',
+          providers: [primaryName, secondaryName],
+          titleSimilarity: Math.round(pair.titleScore * 100) / 100,
+          authorSimilarity: pair.authorScore === null ? null : Math.round(pair.authorScore * 100) / 100,
+          alternateTitle: secondary.title !== primary.title ? secondary.title : null,
+          alternateAuthor: authorConflict ? secondary.author : null
+        }
+      });
+    });
+
+    secondaryBooks.forEach((secondary, j) => {
+      if (!matchedSecondary.has(j)) {
+        books.push(this.markUnconfirmed(secondary, secondaryName));
+      }
+    });
+
+    return {
+      books,
+      agreed,
+      conflicts,
+      unconfirmed: books.filter(book => book.ensemble.agreement === 'unconfirmed').length
+    };
+  }
+
+  /**
+   * Flag a book that only one ensemble provider reported
+   * @param {object} book - Book
+   * @param {string} provider - Provider that reported it
+   * @returns {object} Book with reduced confidence and a review flag
+   */
+  markUnconfirmed(book, provider) {
+    return {
+      ...book,
+      confidence: (book.confidence || 0) * this.unconfirmedPenalty,
+      needsReview: true,
+      ensemble: {
+        agreement: 'unconfirmed',
+        providers: [provider]
+      }
+    };
+  }
+
+  /**
+   * Score every book against the OCR text of the image and demote or drop titles without support
+   * Every returned book carries a `verification` block; titles with no matching words at all are
+   * dropped unless options.keepUnsupported is set.
+   * @param {Array} books - Detected books
+   * @param {object} primaryResult - Provider result (its rawResults.textAnnotations are reused when present)
+   * @param {string} imagePath - Preprocessed image path, for a separate OCR pass if needed
+   * @param {object} options - Recognition options
+   * @param {string} requestId - Recognition request ID for progress reporting
+   * @returns {Promise<object>} Verified books and a summary
+   */
+  async verifyAgainstOcr(books, primaryResult, imagePath, options = {}, requestId = null) {
+    this.reportProgress(requestId, 'verify', 'started', { totalBooks: books.length }, options);
+
+    const ocr = await this.getOcrText(primaryResult, imagePath, options, requestId);
+    const index = ocr ? titleVerifier.buildOcrIndex(ocr.textAnnotations) : null;
+
+    if (!index || index.size === 0) {
+      this.reportProgress(requestId, 'verify', 'completed', { ocrAvailable: false }, options);
+      return {
+        books: books.map(book => ({ ...book, verification: { status: 'unverified', reason: 'no_ocr_text' } })),
+        summary: { ocrProvider: ocr ? ocr.provider : null, ocrTokens: 0, unverified: books.length }
+      };
+    }
+
+    const summary = { ocrProvider: ocr.provider, ocrTokens: index.size, verified: 0, partial: 0, weak: 0, unsupported: 0, dropped: [] };
+    const verified = [];
+
+    for (const book of books) {
+      const verification = { ...titleVerifier.verifyBook(book, index), source: ocr.provider };
+      summary[verification.status]++;
+
+      if (verification.status === 'unsupported' && !options.keepUnsupported) {
+        summary.dropped.push(book.title);
+        continue;
+      }
+
+      verified.push({
+        ...book,
+        confidence: (book.confidence || 0) * this.verificationPenalties[verification.status],
+        needsReview: book.needsReview || ['weak', 'unsupported'].includes(verification.status),
+        verification
+      });
+    }
+
+    if (summary.dropped.length > 0) {
+      console.warn(`Dropped ${summary.dropped.length} titles with no OCR support for ${requestId}:`, summary.dropped.join('; '));
+    }
+
+    this.reportProgress(requestId, 'verify', 'completed', {
+      verified: summary.verified,
+      dropped: summary.dropped.length
+    }, options);
+
+    return { books: verified, summary };
+  }
+
+  /**
+   * Get OCR text annotations for the image
+   * Reuses the provider's own text when it returned some (Google Vision, Tesseract, ensemble),
+   * otherwise runs the first enabled OCR provider.
+   * @param {object} primaryResult - Provider result
+   * @param {string} imagePath - Preprocessed image path
+   * @param {object} options - Recognition options
+   * @param {string} requestId - Recognition request ID
+   * @returns {Promise<object|null>} {provider, textAnnotations}, or null if no OCR text is available
+   */
+  async getOcrText(primaryResult, imagePath, options = {}, requestId = null) {
+    const existing = primaryResult.rawResults?.textAnnotations;
+    if (existing && existing.length > 0) {
+      return { provider: primaryResult.provider, textAnnotations: existing };
+    }
+
+    for (const name of this.ocrProviders.filter(provider => visionProviders.isEnabled(provider))) {
+      try {
+        const result = await visionProviders.analyze(name, imagePath, {
+          maxBooks: options.maxBooks || 50,
+          sourceImagePath: options.sourceImagePath
+        });
+        const textAnnotations = result.rawResults?.textAnnotations || [];
+        if (textAnnotations.length > 0) {
+          return { provider: name, textAnnotations };
+        }
+      } catch (error) {
+        console.warn(`OCR for verification failed with ${name} for ${requestId}:`, error.message);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the ISBN barcodes on photographed back covers and resolve each ISBN through the catalog
+   * The digits printed under an EAN-13 barcode are read with OCR; the ISBN checksum makes a
+   * detection unambiguous, so resolved books are returned with near-certain confidence.
+   * @param {string} imagePath - Preprocessed image path
+   * @param {object} options - Recognition options
+   * @param {string} requestId - Recognition request ID
+   * @returns {Promise<object>} Provider-chain shaped analysis plus a `barcode` summary
+   */
+  async readBarcodes(imagePath, options = {}, requestId = null) {
+    const startTime = Date.now();
+    this.reportProgress(requestId, 'barcode', 'started', {}, options);
+
+    const ocr = await this.getOcrText({}, imagePath, options, requestId);
+    if (!ocr) {
+      const enabled = this.ocrProviders.filter(provider => visionProviders.isEnabled(provider));
+      const error = new Error(enabled.length > 0
+        ? 'No text could be read from the image'
+        : 'Barcode mode needs an OCR provider (google-vision or tesseract)');
+      error.code = 'BARCODE_NOT_FOUND';
+      error.failures = [{ stage: 'barcode', error: error.message }];
+      error.retryable = enabled.length > 0;
+      throw error;
+    }
+
+    // Word-level OCR (Tesseract) splits the barcode digits into groups; joined with spaces they read as one run
+    const isbns = extractIsbns(ocr.textAnnotations.map(annotation => annotation.description).join(' '));
+    const books = [];
+    const unresolved = [];
+    let catalogFailures = 0;
+
+    for (const isbn of isbns) {
+      try {
+        const book = await bookCatalog.getDetails(isbn.isbn13);
+        if (!book) {
+          unresolved.push({ ...isbn, reason: 'not_in_catalog' });
+          continue;
+        }
+
+        books.push({
+          title: book.title,
+          author: book.author,
+          genre: book.genre || null,
+          isbn: isbn.isbn13,
+          isbn10: isbn.isbn10,
+          openLibraryId: book.identifiers?.openLibraryId || null,
+          publishYear: book.publishYear,
+          pageCount: book.pageCount,
+          description: book.description,
+          confidence: 0.99,
+          barcode: { raw: isbn.raw, format: isbn.format, catalogId: book.id, sources: book.sources || [book.source] }
+        });
+      } catch (error) {
+        catalogFailures++;
+        unresolved.push({ ...isbn, reason: 'catalog_error', error: error.message });
+      }
+    }
+
+    // ISBNs were read but the catalogs are down: worth another attempt later
+    if (books.length === 0 && catalogFailures > 0) {
+      const error = new Error(`Could not resolve ${catalogFailures} ISBN(s): book catalogs unavailable`);
+      error.code = 'CATALOG_UNAVAILABLE';
+      error.failures = unresolved.map(entry => ({ stage: 'barcode', isbn: entry.isbn13, error: entry.error }));
+      throw error;
+    }
+
+    const summary = { ocrProvider: ocr.provider, isbnsFound: isbns.length, resolved: books.length, unresolved };
+    this.reportProgress(requestId, 'barcode', 'completed', { isbnsFound: isbns.length, resolved: books.length }, options);
+
+    return {
+      result: {
+        provider: ocr.provider,
+        books,
+        rawResults: { textAnnotations: ocr.textAnnotations },
+        metadata: { processingTime: Date.now() - startTime }
+      },
+      provider: ocr.provider,
+      fallbackUsed: false,
+      attempts: [{ provider: ocr.provider, status: 'succeeded', booksFound: books.length }],
+      barcode: summary
+    };
+  }
+
+  /**
+   * Segment the processed image into shelf and spine boxes
+   * Segmentation only adds spatial data, so a failure here never fails recognition
+   * @param {string} processedImagePath - Preprocessed image path
+   * @param {object} options - Segmentation options
+   * @param {string} requestId - Recognition request ID for progress reporting
+   * @returns {Promise<object|null>} Segmentation result, or null if it failed
+   */
+  async segmentSpines(processedImagePath, options = {}, requestId = null) {
+    this.reportProgress(requestId, 'segment', 'started', {}, options);
+
+    try {
+      const segmentation = await imageProcessor.segmentSpines(processedImagePath, options.segmentation || {});
+      this.reportProgress(requestId, 'segment', 'completed', {
+        shelves: segmentation.shelves.length,
+        spinesDetected: segmentation.spines.length
+      }, options);
+      return segmentation;
+
+    } catch (error) {
+      console.warn(`Spine segmentation failed for ${requestId}:`, error.message);
+      this.reportProgress(requestId, 'segment', 'failed', { error: error.message }, options);
+      return null;
+    }
+  }
+
+  /**
+   * Attach the best-overlapping spine box to each book that the provider located
+   * Provider boxes (Google Vision polygons or {x, y, width, height}) are replaced by the spine box,
+   * which follows the actual spine edges; books without provider geometry are left unplaced.
+   * @param {Array} books - Raw book results from AI
+   * @param {object|null} segmentation - Spine segmentation result
+   * @returns {Array} Books with boundingBox, spineIndex and shelfIndex where a spine matched
+   */
+  attachSpineBoxes(books, segmentation) {
+    if (!segmentation || segmentation.spines.length === 0) return books;
+
+    return books.map(book => {
+      const bookRect = this.toPixelRect(book.boundingBox, segmentation.imageSize);
+      if (!bookRect) return book;
+
+      let bestSpine = null;
+      let bestOverlap = 0;
+      for (const spine of segmentation.spines) {
+        const overlapWidth = Math.min(bookRect.x + bookRect.width, spine.x + spine.width) - Math.max(bookRect.x, spine.x);
+        const overlapHeight = Math.min(bookRect.y + bookRect.height, spine.y + spine.height) - Math.max(bookRect.y, spine.y);
+        if (overlapWidth <= 0 || overlapHeight <= 0) continue;
+
+        // Fraction of the spine covered by the provider box
+        const overlap = (overlapWidth * overlapHeight) / (spine.width * spine.height);
+        if (overlap > bestOverlap) {
+          bestOverlap = overlap;
+          bestSpine = spine;
+        }
+      }
+
+      if (!bestSpine) return { ...book, boundingBox: bookRect };
+
+      return {
+        ...book,
+        boundingBox: { x: bestSpine.x, y: bestSpine.y, width: bestSpine.width, height: bestSpine.height },
+        spineIndex: bestSpine.index,
+        shelfIndex: bestSpine.shelfIndex
+      };
+    });
+  }
+
+  /**
+   * Read each segmented spine on its own with the provider that handled the whole image
+   * Crops are rotated upright and analyzed in bounded parallel; a failed crop is skipped.
+   * @param {string} processedImagePath - Preprocessed image path
+   * @param {object|null} segmentation - Spine segmentation result
+   * @param {string} provider - Provider used for the whole-image pass
+   * @param {object} options - Recognition options
+   * @param {string} requestId - Recognition request ID for progress reporting
+   * @returns {Promise<object>} Spine books (with spine boxes) and a run summary
+   */
+  async recognizeSpines(processedImagePath, segmentation, provider, options = {}, requestId = null) {
+    const summary = { spinesAnalyzed: 0, spinesRead: 0, failures: 0, skipped: null };
+
+    if (!segmentation || segmentation.spines.length === 0) {
+      summary.skipped = 'no_spines';
+      return { books: [], summary };
+    }
+    if (!visionProviders.get(provider)?.capabilities?.spineCrops) {
+      summary.skipped = 'no_provider';
+      return { books: [], summary };
+    }
+
+    const spines = segmentation.spines.slice(0, options.maxSpines || this.maxSpinesPerImage);
+    this.reportProgress(requestId, 'per-spine', 'started', { spines: spines.length, provider }, options);
+
+    let cropPaths = [];
+    try {
+      cropPaths = await imageProcessor.extractBookRegions(processedImagePath, spines, { rotateUpright: true });
+
+      const readings = await this.mapWithConcurrency(spines, options.spineConcurrency || this.spineConcurrency, async (spine, index) => {
+        try {
+          const book = await this.analyzeSpineCrop(cropPaths[index], provider, options);
+          summary.spinesAnalyzed++;
+          if (!book) return null;
+
+          summary.spinesRead++;
+          return {
+            ...book,
+            boundingBox: { x: spine.x, y: spine.y, width: spine.width, height: spine.height },
+            spineIndex: spine.index,
+            shelfIndex: spine.shelfIndex
+          };
+        } catch (error) {
+          summary.failures++;
+          console.warn(`Spine ${spine.index} analysis failed for ${requestId}:`, error.message);
+          return null;
+        }
+      });
+
+      const books = readings.filter(Boolean);
+      this.reportProgress(requestId, 'per-spine', 'completed', {
+        spinesAnalyzed: summary.spinesAnalyzed,
+        booksFound: books.length,
+        failures: summary.failures
+      }, options);
+
+      return { books, summary };
+
+    } catch (error) {
+      console.warn(`Per-spine pass failed for ${requestId}:`, error.message);
+      this.reportProgress(requestId, 'per-spine', 'failed', { error: error.message }, options);
+      summary.skipped = 'crop_failed';
+      return { books: [], summary };
+
+    } finally {
+      for (const cropPath of cropPaths) {
+        fs.unlink(cropPath, () => {});
+      }
+    }
+  }
+
+  /**
+   * Analyze a single upright spine crop
+   * @param {string} cropPath - Spine crop path
+   * @param {string} provider - Registered provider name
+   * @param {object} options - Recognition options
+   * @returns {Promise<object|null>} Most confident book reading, or null if the spine is unreadable
+   */
+  async analyzeSpineCrop(cropPath, provider, options = {}) {
+    const result = await visionProviders.analyze(provider, cropPath, {
+      // Spine crops are small; low detail keeps each call to a flat token cost
+      detail: options.spineDetail || 'low',
+      singleSpine: true,
+      includeAuthors: options.includeAuthors !== false,
+      includeGenres: options.includeGenres !== false
+    });
+
+    return result.books.reduce((best, book) => (!best || book.confidence > best.confidence ? book : best), null);
+  }
+
+  /**
+   * Merge per-spine readings into the whole-image results using fuzzy title matching
+   * Matching readings confirm a book (small confidence boost, spine box filled in);
+   * unmatched readings are added as new books.
+   * @param {Array} wholeImageBooks - Books from the whole-image pass
+   * @param {Array} spineBooks - Books from the per-spine pass
+   * @returns {object} Merged books with confirmed and added counts
+   */
+  mergeSpineResults(wholeImageBooks, spineBooks) {
+    const merged = wholeImageBooks.map(book => ({ ...book, detectionSources: ['whole-image'] }));
+    let confirmed = 0;
+    let added = 0;
+
+    for (const spineBook of spineBooks) {
+      let match = null;
+      let bestScore = 0;
+      for (const candidate of merged) {
+        const score = bookMatching.titleSimilarity(candidate.title, spineBook.title);
+        if (score > bestScore) {
+          bestScore = score;
+          match = candidate;
+        }
+      }
+
+      if (!match || bestScore < this.titleMatchThreshold) {
+        merged.push({ ...spineBook, detectionSources: ['per-spine'] });
+        added++;
+        continue;
+      }
+
+      // Already matched by another spine (usually an over-split spine); keep the first placement
+      if (match.detectionSources.includes('per-spine')) continue;
+
+      match.detectionSources.push('per-spine');
+      match.author = match.author || spineBook.author;
+      match.confidence = Math.min(1, Math.max(match.confidence || 0, spineBook.confidence || 0) + 0.05);
+      if (match.spineIndex === undefined) {
+        match.boundingBox = spineBook.boundingBox;
+        match.spineIndex = spineBook.spineIndex;
+        match.shelfIndex = spineBook.shelfIndex;
+      }
+      confirmed++;
+    }
+
+    return { books: merged, confirmed, added };
+  }
+
+  /**
+   * Map over items with at most `concurrency` mapper calls in flight
+   * @param {Array} items - Items to map
+   * @param {number} concurrency - Maximum parallel calls
+   * @param {Function} mapper - Async function (item, index)
+   * @returns {Promise<Array>} Results in item order
+   */
+  async mapWithConcurrency(items, concurrency, mapper) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const workers = Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await mapper(items[index], index);
+      }
+    });
+
+    await Promise.all(workers);
+    return results;
+  }
+
+  /**
+   * Convert a provider bounding box to a pixel rectangle
+   * @param {object} box - Bounding polygon ({vertices} or {normalizedVertices}) or {x, y, width, height}
+   * @param {object} imageSize - Image {width, height} for normalized coordinates
+   * @returns {object|null} Rectangle {x, y, width, height}
+   */
+  toPixelRect(box, imageSize) {
+    if (!box) return null;
+
+    if (typeof box.width === 'number' && typeof box.height === 'number') {
+      return { x: box.x || 0, y: box.y || 0, width: box.width, height: box.height };
+    }
+
+    let points = null;
+    if (box.vertices && box.vertices.length > 0) {
+      points = box.vertices.map(v => ({ x: v.x || 0, y: v.y || 0 }));
+    } else if (box.normalizedVertices && box.normalizedVertices.length > 0) {
+      points = box.normalizedVertices.map(v => ({ x: (v.x || 0) * imageSize.width, y: (v.y || 0) * imageSize.height }));
+    }
+    if (!points) return null;
+
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    const width = Math.max(...xs) - x;
+    const height = Math.max(...ys) - y;
+
+    return width > 0 && height > 0 ? { x: Math.round(x), y: Math.round(y), width: Math.round(width), height: Math.round(height) } : null;
   }
 
   /**
    * Enhance book results with additional metadata
    * @param {Array} books - Raw book results from AI
    * @param {object} options - Enhancement options
+   * @param {string} requestId - Recognition request ID for progress reporting
    * @returns {Promise<Array>} Enhanced book results
    */
-  async enhanceBookResults(books, options = {}) {
+  async enhanceBookResults(books, options = {}, requestId = null) {
     const enhanced = [];
+    this.reportProgress(requestId, 'enrichment', 'started', { totalBooks: books.length }, options);
 
     for (const book of books) {
       try {
+        // Titles this session has corrected before come back corrected
+        const alias = this.findTitleAlias(book.title, options.titleAliases);
+        // Providers sometimes read an ISBN off the spine; keep it only if the checksum holds
+        const isbn = book.isbn ? parseIsbn(book.isbn) : null;
+
         const enhancedBook = {
           ...book,
           // Normalize and clean title
-          title: this.normalizeTitle(book.title),
+          title: this.normalizeTitle(book.title, options.titleAliases),
           // Clean author name
-          author: book.author ? this.normalizeAuthor(book.author) : null,
+          author: alias?.author || (book.author ? this.normalizeAuthor(book.author) : null),
+          ...(book.isbn && { isbn: isbn?.isbn13 || null, isbn10: isbn?.isbn10 || null }),
+          ...(alias && { correction: { originalTitle: book.title, originalAuthor: book.author || null, source: 'session_alias' } }),
           // Add quality score
           qualityScore: this.calculateBookQuality(book),
           // Add metadata
@@ -291,12 +1057,12 @@ class BookSpineRecognition {
         };
 
         // Optional: Fetch additional metadata from Google Books API
-        if (options.enrichWithGoogleBooks && enhancedBook.qualityScore > 0.7) {
+        if (options.enrichWithGoogleBooks && enhancedBook.qualityScore > 0.7 && !book.barcode) {
           try {
             const googleBookData = await this.fetchGoogleBooksMetadata(enhancedBook.title, enhancedBook.author);
             if (googleBookData) {
               enhancedBook.googleBooks = googleBookData;
-              enhancedBook.isbn = googleBookData.isbn;
+              enhancedBook.isbn = enhancedBook.isbn || googleBookData.isbn;
               enhancedBook.publishYear = googleBookData.publishedDate;
               enhancedBook.pageCount = googleBookData.pageCount;
               enhancedBook.description = googleBookData.description;
@@ -306,15 +1072,21 @@ class BookSpineRecognition {
           }
         }
 
+        // Canonical work key, so clients can tell editions and title variants of one book apart from different books
+        enhancedBook.workKey = bookIdentity.getWorkKey(enhancedBook);
+
         enhanced.push(enhancedBook);
+        this.reportBook(requestId, enhancedBook, options);
 
       } catch (error) {
         console.warn(`Failed to enhance book result:`, error.message);
         // Add book as-is if enhancement fails
         enhanced.push(book);
+        this.reportBook(requestId, book, options);
       }
     }
 
+    this.reportProgress(requestId, 'enrichment', 'completed', { totalBooks: enhanced.length }, options);
     return enhanced;
   }
 
@@ -322,13 +1094,16 @@ class BookSpineRecognition {
    * Filter and sort books based on quality and confidence
    * @param {Array} books - Enhanced book results
    * @param {object} options - Filtering options
+   * @param {string} requestId - Recognition request ID for progress reporting
    * @returns {Array} Filtered and sorted books
    */
-  filterAndSortBooks(books, options = {}) {
+  filterAndSortBooks(books, options = {}, requestId = null) {
     const minConfidence = options.minConfidence || 0.3;
     const maxResults = options.maxResults || 100;
 
-    return books
+    this.reportProgress(requestId, 'filter', 'started', { totalBooks: books.length }, options);
+
+    const filtered = books
       .filter(book => {
         // Basic validation
         if (!book.title || book.title.length < 2) return false;
@@ -344,6 +1119,13 @@ class BookSpineRecognition {
         return scoreB - scoreA;
       })
       .slice(0, maxResults);
+
+    this.reportProgress(requestId, 'filter', 'completed', {
+      booksKept: filtered.length,
+      booksDropped: books.length - filtered.length
+    }, options);
+
+    return filtered;
   }
 
   /**
@@ -373,10 +1155,15 @@ class BookSpineRecognition {
   /**
    * Normalize book title
    * @param {string} title - Raw title
+   * @param {object|null} aliases - Session title aliases (see getTitleAliasKey); a matching alias
+   *   replaces the title with the user's correction
    * @returns {string} Normalized title
    */
-  normalizeTitle(title) {
+  normalizeTitle(title, aliases = null) {
     if (!title) return null;
+
+    const alias = this.findTitleAlias(title, aliases);
+    if (alias) return alias.title;
     
     return title
       .trim()
@@ -387,71 +1174,66 @@ class BookSpineRecognition {
   }
 
   /**
-   * Normalize author name
+   * Key a detected title for alias lookup
+   * Case, punctuation and spacing differences between scans of the same spine map to the same key.
+   * @param {string} title - Detected title
+   * @returns {string} Alias key
+   */
+  getTitleAliasKey(title) {
+    return bookMatching.foldText(title);
+  }
+
+  /**
+   * Look up a user correction for a detected title
+   * @param {string} title - Detected title
+   * @param {object|null} aliases - Map of alias key -> {title, author}
+   * @returns {object|null} Alias {title, author}
+   */
+  findTitleAlias(title, aliases) {
+    if (!aliases || !title) return null;
+    return aliases[this.getTitleAliasKey(title)] || null;
+  }
+
+  /**
+   * Normalize author name ("by" prefix dropped, "Last, First" turned around)
    * @param {string} author - Raw author name
    * @returns {string} Normalized author name
    */
   normalizeAuthor(author) {
     if (!author) return null;
-    
-    return author
-      .trim()
-      .replace(/\s+/g, ' ')
-      .replace(/^by\s+/i, '') // Remove "by" prefix
-      .trim();
+
+    return bookMatching.normalizeAuthorName(author.replace(/\s+/g, ' '));
   }
 
   /**
-   * Fetch additional metadata from Google Books API
+   * Fetch additional metadata from the book catalog (Google Books, completed by Open Library)
    * @param {string} title - Book title
    * @param {string} author - Book author
-   * @returns {Promise<object|null>} Google Books metadata
+   * @returns {Promise<object|null>} Catalog metadata
    */
   async fetchGoogleBooksMetadata(title, author = null) {
     try {
-      const axios = require('axios');
-      const apiKey = process.env.GOOGLE_BOOKS_API_KEY;
-      
-      if (!apiKey) {
-        console.warn('Google Books API key not configured');
-        return null;
-      }
-
-      let query = `intitle:"${title}"`;
-      if (author) {
-        query += `+inauthor:"${author}"`;
-      }
+      const book = await bookCatalog.findBook(title, author);
+      if (!book) return null;
 
-      const response = await axios.get('https://www.googleapis.com/books/v1/volumes', {
-        params: {
-          q: query,
-          key: apiKey,
-          maxResults: 1
-        },
-        timeout: 5000
-      });
-
-      if (response.data.items && response.data.items.length > 0) {
-        const book = response.data.items[0].volumeInfo;
-        return {
-          title: book.title,
-          authors: book.authors || [],
-          publishedDate: book.publishedDate,
-          description: book.description,
-          pageCount: book.pageCount,
-          categories: book.categories || [],
-          averageRating: book.averageRating,
-          ratingsCount: book.ratingsCount,
-          isbn: book.industryIdentifiers?.find(id => id.type === 'ISBN_13')?.identifier,
-          thumbnail: book.imageLinks?.thumbnail,
-          googleBooksId: response.data.items[0].id
-        };
-      }
-
-      return null;
+      return {
+        title: book.title,
+        authors: book.authors,
+        publishedDate: book.publishedDate,
+        description: book.description,
+        pageCount: book.pageCount,
+        categories: book.categories,
+        averageRating: book.rating,
+        ratingsCount: book.ratingsCount,
+        isbn: book.isbn13,
+        thumbnail: book.coverUrl,
+        googleBooksId: book.identifiers.googleBooksId || null,
+        openLibraryId: book.identifiers.openLibraryId || null,
+        sources: book.sources
+      };
 
     } catch (error) {
-      console.warn('Google Books API request failed:', error.message);
+      console.warn('Book catalog request failed:', error.message);
       return null;
     }
   }
@@ -509,6 +1291,49 @@ class BookSpineRecognition {
       (this.stats.averageProcessingTime * (this.stats.totalProcessed - 1) + newTime) / this.stats.totalProcessed;
   }
 
+  /**
+   * Record a stage transition and forward it to the caller's progress listener
+   * @param {string|null} requestId - Recognition request ID
+   * @param {string} stage - Pipeline stage (validate, preprocess, segment, <provider name>, per-spine, verify, enrichment, filter)
+   * @param {string} status - Stage status (started, completed, failed)
+   * @param {object} details - Extra event data
+   * @param {object} options - Recognition options carrying onProgress
+   */
+  reportProgress(requestId, stage, status, details = {}, options = {}) {
+    const entry = this.processingQueue.get(requestId);
+    if (entry) {
+      entry.stage = stage;
+      entry.stages.push({ stage, status, timestamp: new Date().toISOString() });
+    }
+
+    this.notifyProgress({ type: 'stage', requestId, stage, status, ...details }, options);
+  }
+
+  /**
+   * Forward a single detected book to the caller's progress listener
+   * @param {string|null} requestId - Recognition request ID
+   * @param {object} book - Detected book
+   * @param {object} options - Recognition options carrying onProgress
+   */
+  reportBook(requestId, book, options = {}) {
+    this.notifyProgress({ type: 'book', requestId, book }, options);
+  }
+
+  /**
+   * Invoke the progress listener without letting listener errors break recognition
+   * @param {object} event - Progress event
+   * @param {object} options - Recognition options carrying onProgress
+   */
+  notifyProgress(event, options = {}) {
+    if (typeof options.onProgress !== 'function') return;
+
+    try {
+      options.onProgress(event);
+    } catch (error) {
+      console.warn('Progress listener error:', error.message);
+    }
+  }
+
   /**
    * Get processing status for a request
    * @param {string} requestId - Request ID
@@ -527,6 +1352,7 @@ class BookSpineRecognition {
       ...this.stats,
       cacheSize: this.resultCache.size,
       activeRequests: this.processingQueue.size,
+      providers: visionProviders.describe(),
       uptime: process.uptime()
     };
   }
@@ -537,57 +1363,7 @@ class BookSpineRecognition {
    * @returns {object} Mock analysis result
    */
   generateMockBooks() {
-    const mockBooks = [
-      {
-        id: 'mock_1',
-        title: 'The Great Gatsby',
-        author: 'F. Scott Fitzgerald',
-        genre: 'Literary Fiction',
-        confidence: 0.92,
-        isbn: '0743273567'
-      },
-      {
-        id: 'mock_2',
-        title: 'To Kill a Mockingbird',
-        author: 'Harper Lee',
-        genre: 'Literary Fiction',
-        confidence: 0.88,
-        isbn: '0061120081'
-      },
-      {
-        id: 'mock_3',
-        title: 'Dune',
-        author: 'Frank Herbert',
-        genre: 'Science Fiction',
-        confidence: 0.91,
-        isbn: '0441172717'
-      },
-      {
-        id: 'mock_4',
-        title: 'Murder on the Orient Express',
-        author: 'Agatha Christie',
-        genre: 'Mystery',
-        confidence: 0.85,
-        isbn: '0062693735'
-      },
-      {
-        id: 'mock_5',
-        title: '1984',
-        author: 'George Orwell',
-        genre: 'Science Fiction',
-        confidence: 0.93,
-        isbn: '0451524934'
-      }
-    ];
-
-    return {
-      books: mockBooks,
-      metadata: {
-        processingTime: 150,
-        source: 'mock-data',
-        timestamp: new Date().toISOString()
-      }
-    };
+    return visionProviders.get('mock').generateMockResult();
   }
 
   /**
@@ -0,0 +1,93 @@
+// Result merging is pure; keep the vision providers, catalog and image processing out of the test run
+jest.mock('./visionProviders', () => ({}));
+jest.mock('./titleVerifier', () => ({}));
+jest.mock('./bookCatalog', () => ({}));
+jest.mock('./imageProcessor', () => ({}));
+jest.mock('../utils/database', () => ({}));
+
+const bookSpineRecognition = require('./bookSpineRecognition');
+
+const titles = books => books.map(book => book.title);
+
+describe('mergeSpineResults', () => {
+  test('confirms whole-image books with their spine readings', () => {
+    const { books, confirmed, added } = bookSpineRecognition.mergeSpineResults(
+      [{ title: 'The Hobbit', author: 'J.R.R. Tolkien', confidence: 0.8 }],
+      [{ title: 'THE HOBBLT', confidence: 0.7, spineIndex: 3, boundingBox: { x: 10 } }]
+    );
+
+    expect(confirmed).toBe(1);
+    expect(added).toBe(0);
+    expect(books).toHaveLength(1);
+    expect(books[0]).toMatchObject({ title: 'The Hobbit', spineIndex: 3, detectionSources: ['whole-image', 'per-spine'] });
+    expect(books[0].confidence).toBeCloseTo(0.85);
+  });
+
+  test('keeps adjacent volumes of a series as separate books', () => {
+    const { books, confirmed, added } = bookSpineRecognition.mergeSpineResults(
+      [
+        { title: 'Dune', author: 'Frank Herbert', confidence: 0.9 },
+        { title: 'Foundation', author: 'Isaac Asimov', confidence: 0.9 }
+      ],
+      [
+        { title: 'Dune', confidence: 0.8, spineIndex: 0 },
+        { title: 'Dune Messiah', confidence: 0.8, spineIndex: 1 },
+        { title: 'Foundation', confidence: 0.8, spineIndex: 2 },
+        { title: 'Foundation and Empire', confidence: 0.8, spineIndex: 3 }
+      ]
+    );
+
+    expect(titles(books)).toEqual(['Dune', 'Foundation', 'Dune Messiah', 'Foundation and Empire']);
+    expect(confirmed).toBe(2);
+    expect(added).toBe(2);
+  });
+});
+
+describe('alignEnsembleBooks', () => {
+  const providers = ['openai-vision', 'google-vision'];
+
+  test('counts matching readings from both providers as agreement', () => {
+    const { books, agreed, unconfirmed } = bookSpineRecognition.alignEnsembleBooks(
+      [{ title: 'The Hobbit', author: 'J.R.R. Tolkien', confidence: 0.8 }],
+      [{ title: 'THE HOBBIT', author: 'Tolkien', confidence: 0.5 }],
+      providers
+    );
+
+    expect(agreed).toBe(1);
+    expect(unconfirmed).toBe(0);
+    expect(books[0].ensemble).toMatchObject({ agreement: 'confirmed', providers, alternateTitle: 'THE HOBBIT' });
+    expect(books[0].confidence).toBeCloseTo(0.9);
+  });
+
+  test('keeps a sequel only one provider saw as a separate book', () => {
+    const { books, agreed, unconfirmed } = bookSpineRecognition.alignEnsembleBooks(
+      [{ title: 'Dune', author: 'Frank Herbert', confidence: 0.8 }],
+      [
+        { title: 'Dune Messiah', author: 'Frank Herbert', confidence: 0.6 },
+        { title: 'DUNE', author: 'Frank Herbert', confidence: 0.6 }
+      ],
+      providers
+    );
+
+    expect(agreed).toBe(1);
+    expect(unconfirmed).toBe(1);
+    expect(books.map(book => [book.title, book.ensemble.agreement])).toEqual([
+      ['Dune', 'confirmed'],
+      ['Dune Messiah', 'unconfirmed']
+    ]);
+  });
+
+  test('does not align a sequel with the first book when that is all the other provider saw', () => {
+    const { books, agreed } = bookSpineRecognition.alignEnsembleBooks(
+      [{ title: 'Dune', author: 'Frank Herbert', confidence: 0.8 }],
+      [{ title: 'Dune Messiah', author: 'Frank Herbert', confidence: 0.6 }],
+      providers
+    );
+
+    expect(agreed).toBe(0);
+    expect(books.map(book => book.ensemble)).toEqual([
+      { agreement: 'unconfirmed', providers: ['openai-vision'] },
+      { agreement: 'unconfirmed', providers: ['google-vision'] }
+    ]);
+  });
+});
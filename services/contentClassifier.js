@@ -0,0 +1,329 @@
+require('dotenv').config();
+const OpenAI = require('openai');
+const bookIdentity = require('./bookIdentity');
+const schemaValidator = require('../utils/schemaValidator');
+const { foldText } = require('../utils/bookMatching');
+const { query } = require('../utils/database');
+
+// Kinds of content users can avoid or limit (the keys of preferences.contentPreferences)
+const CONTENT_KINDS = {
+  violence: 'violence',
+  profanity: 'profanity',
+  adult: 'sexual content',
+  religiousContent: 'religious themes',
+  politicalContent: 'political themes'
+};
+
+// How much of a kind of content a book has, from least to most
+const LEVELS = ['none', 'mild', 'strong'];
+
+/**
+ * Phrases in folded categories / descriptions that indicate content, strongest first
+ * Matched against foldText output, so patterns are lowercase words separated by single spaces.
+ */
+const CONTENT_RULES = {
+  violence: [
+    { level: 'strong', pattern: /\b(graphic violence|gore|gory|torture\w*|massacre|serial killers?|slasher|brutal\w* (murder|killing)s?|genocide|war crimes?)\b/ },
+    { level: 'mild', pattern: /\b(horror|true crime|murders?|killers?|killings?|violen(ce|t)|war|battles?|assassins?|kidnap\w*|crime)\b/ }
+  ],
+  profanity: [
+    { level: 'strong', pattern: /\b(strong language|explicit language|profanity|profane|foul mouthed|vulgar\w*|obscen\w*)\b/ },
+    { level: 'mild', pattern: /\b(crude|coarse language|swear\w*|cursing|irreverent)\b/ }
+  ],
+  adult: [
+    { level: 'strong', pattern: /\b(erotica|erotic|sexually explicit|explicit sex\w*|bdsm)\b/ },
+    { level: 'mild', pattern: /\b(romance|sexual\w*|sensual\w*|steamy|seduc\w*|affairs?|desire)\b/ }
+  ],
+  religiousContent: [
+    { level: 'strong', pattern: /\b(religion|christian\w*|theology|bible|biblical|islam\w*|judaism|buddhis\w*|spirituality|devotional)\b/ },
+    { level: 'mild', pattern: /\b(faith|god|gods|church|prayer|religious|spiritual|sacred)\b/ }
+  ],
+  politicalContent: [
+    { level: 'strong', pattern: /\b(political science|politics|propaganda|political memoir|public policy)\b/ },
+    { level: 'mild', pattern: /\b(political|elections?|government|activis\w*|regime|dictator\w*|revolution)\b/ }
+  ]
+};
+
+// Score penalties for content a user limits or avoids but which does not exclude the book
+const PENALTIES = {
+  avoid: { mild: 0.2 },
+  limit: { strong: 0.2 }
+};
+
+/**
+ * JSON schema of the LLM tag pass, enforced as an OpenAI structured output and re-checked on receipt
+ */
+const CONTENT_TAGS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['books'],
+  properties: {
+    books: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['index', ...Object.keys(CONTENT_KINDS)],
+        properties: {
+          index: { type: 'integer' },
+          ...Object.fromEntries(Object.keys(CONTENT_KINDS).map(kind => [kind, { type: 'string', enum: LEVELS }]))
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Book content classification
+ * Tags books with how much violence, profanity, sexual content, religious and political
+ * themes they contain ('none', 'mild' or 'strong'), first from catalog categories and descriptions
+ * and then from one LLM pass over the batch; each kind keeps the stronger of the two. Tags are
+ * stored per work in `book_content_tags`, so a book is only sent to the LLM once. Storage and LLM
+ * failures never fail a classification: the metadata tags are used on their own.
+ */
+class ContentClassifier {
+  constructor() {
+    this.openai = null; // Created on first use, so the service loads without OPENAI_API_KEY
+  }
+
+  /**
+   * Get the OpenAI client
+   * @returns {OpenAI} Client
+   */
+  getClient() {
+    if (!this.openai) {
+      this.openai = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY
+      });
+    }
+    return this.openai;
+  }
+
+  /**
+   * Content kinds and their readable names
+   * @returns {object} {kind: label}
+   */
+  getKinds() {
+    return { ...CONTENT_KINDS };
+  }
+
+  /**
+   * Classify books, using stored tags where a work was classified before
+   * @param {Array} books - Books or recommendations ({title, author, genre, themes, metadata: {categories, description}})
+   * @returns {Promise<Array>} One {tags, evidence} per book, in input order
+   */
+  async classifyBooks(books) {
+    const workKeys = books.map(book => bookIdentity.getWorkKey(book));
+    const stored = await this.getStoredTags(workKeys);
+
+    const results = books.map((book, index) => stored.get(workKeys[index]) || {
+      ...this.classifyFromMetadata(book),
+      aiTagged: false
+    });
+
+    const untagged = results
+      .map((result, index) => ({ result, index }))
+      .filter(({ result }) => !result.aiTagged);
+    if (untagged.length === 0) return results.map(({ tags, evidence }) => ({ tags, evidence }));
+
+    const aiTags = await this.tagWithAI(untagged.map(({ index }) => books[index]));
+
+    for (const [position, { result, index }] of untagged.entries()) {
+      const tags = aiTags[position];
+      if (tags) {
+        for (const kind of Object.keys(CONTENT_KINDS)) {
+          if (LEVELS.indexOf(tags[kind]) > LEVELS.indexOf(result.tags[kind])) {
+            result.tags[kind] = tags[kind];
+            result.evidence[kind] = [...result.evidence[kind], 'AI review'];
+          }
+        }
+        result.aiTagged = true;
+      }
+      await this.saveTags(workKeys[index], books[index], result);
+    }
+
+    return results.map(({ tags, evidence }) => ({ tags, evidence }));
+  }
+
+  /**
+   * Tag a book from its genre, themes, catalog categories and description
+   * @param {object} book - Book or recommendation
+   * @returns {object} {tags: {kind: level}, evidence: {kind: [matched phrases]}}
+   */
+  classifyFromMetadata(book) {
+    const text = foldText([
+      book.genre,
+      ...(book.themes || []),
+      ...(book.metadata?.categories || []),
+      book.metadata?.description
+    ].filter(Boolean).join(' | '));
+
+    const tags = {};
+    const evidence = {};
+    for (const [kind, rules] of Object.entries(CONTENT_RULES)) {
+      const rule = rules.find(candidate => candidate.pattern.test(text));
+      tags[kind] = rule ? rule.level : 'none';
+      evidence[kind] = rule ? [text.match(rule.pattern)[0]] : [];
+    }
+    return { tags, evidence };
+  }
+
+  /**
+   * Ask the LLM to tag a batch of books
+   * @param {Array} books - Books
+   * @returns {Promise<Array>} {kind: level} per book (null where the model gave none), or all nulls on failure
+   */
+  async tagWithAI(books) {
+    const tagged = books.map(() => null);
+    if (books.length === 0) return tagged;
+
+    const bookList = books.map((book, index) => {
+      const description = (book.metadata?.description || '').replace(/\s+/g, ' ').slice(0, 300);
+      return `${index}. "${book.title}"${book.author ? ` by ${book.author}` : ''}${book.genre ? ` (${book.genre})` : ''}${description ? ` - ${description}` : ''}`;
+    }).join('\n');
+
+    try {
+      const response = await this.getClient().chat.completions.create({
+        model: 'gpt-4o-mini',
+        messages: [
+          {
+            role: 'system',
+            content: 'You are a librarian who writes content advisories for books. Rate only what the book actually contains, as a reader would experience it.'
+          },
+          {
+            role: 'user',
+            content: `For each book, rate each kind of content as "none", "mild" or "strong":
+- violence: violence, gore, abuse
+- profanity: strong or frequent swearing
+- adult: sexual content
+- religiousContent: religious themes or messaging
+- politicalContent: political themes or messaging
+
+Use the index of each book in your answer.
+
+${bookList}`
+          }
+        ],
+        max_tokens: 1500,
+        temperature: 0,
+        response_format: {
+          type: 'json_schema',
+          json_schema: {
+            name: 'content_tags',
+            strict: true,
+            schema: CONTENT_TAGS_SCHEMA
+          }
+        }
+      });
+
+      const reply = JSON.parse(response.choices[0].message.content || '{}');
+      const validation = schemaValidator.validate(reply, CONTENT_TAGS_SCHEMA);
+      if (!validation.valid) {
+        console.warn(`Content tag response failed validation:\n${schemaValidator.formatErrors(validation.errors)}`);
+        return tagged;
+      }
+
+      for (const { index, ...tags } of reply.books) {
+        if (index >= 0 && index < books.length) tagged[index] = tags;
+      }
+      return tagged;
+    } catch (error) {
+      console.warn('AI content tagging failed, using metadata tags only:', error.message);
+      return books.map(() => null);
+    }
+  }
+
+  /**
+   * Decide what a book's content means for a user
+   * 'avoid' excludes books with strong content of that kind and penalizes mild content;
+   * 'limit' penalizes strong content; 'any' ignores it.
+   * @param {object} classification - {tags, evidence} from classifyBooks
+   * @param {object} contentPreferences - preferences.contentPreferences
+   * @returns {object} {excluded, penalty, reasons: [readable strings]}
+   */
+  assess(classification, contentPreferences = {}) {
+    let excluded = false;
+    let penalty = 0;
+    const reasons = [];
+
+    for (const [kind, label] of Object.entries(CONTENT_KINDS)) {
+      const setting = contentPreferences[kind] || 'any';
+      const level = classification.tags[kind] || 'none';
+      if (setting === 'any' || level === 'none') continue;
+
+      const excludes = setting === 'avoid' && level === 'strong';
+      const kindPenalty = PENALTIES[setting]?.[level] || 0;
+      if (!excludes && kindPenalty === 0) continue;
+
+      excluded = excluded || excludes;
+      penalty += kindPenalty;
+
+      const evidence = classification.evidence?.[kind]?.length ? ` (${classification.evidence[kind].join(', ')})` : '';
+      reasons.push(`${level === 'strong' ? 'Strong' : 'Some'} ${label}${evidence}; you ${setting === 'avoid' ? 'avoid' : 'limit'} ${label}`);
+    }
+
+    return { excluded, penalty: Math.round(penalty * 100) / 100, reasons };
+  }
+
+  /**
+   * Whether any content setting restricts recommendations
+   * @param {object} contentPreferences - preferences.contentPreferences
+   * @returns {boolean} Some kind is set to avoid or limit
+   */
+  isRestricted(contentPreferences = {}) {
+    return Object.keys(CONTENT_KINDS).some(kind => ['avoid', 'limit'].includes(contentPreferences[kind]));
+  }
+
+  /**
+   * Load stored tags for works
+   * @param {Array<string>} workKeys - Work keys
+   * @returns {Promise<Map>} workKey -> {tags, evidence, aiTagged} (empty when storage is unavailable)
+   */
+  async getStoredTags(workKeys) {
+    try {
+      const result = await query(
+        'SELECT work_key, tags, evidence, ai_tagged FROM book_content_tags WHERE work_key = ANY($1)',
+        [workKeys]
+      );
+      return new Map(result.rows.map(row => [row.work_key, { tags: row.tags, evidence: row.evidence || {}, aiTagged: row.ai_tagged }]));
+    } catch (error) {
+      console.warn('Content tag lookup failed:', error.message);
+      return new Map();
+    }
+  }
+
+  /**
+   * Store a work's tags
+   * @param {string} workKey - Work key
+   * @param {object} book - Book (title and author are stored for reference)
+   * @param {object} classification - {tags, evidence, aiTagged}
+   */
+  async saveTags(workKey, book, classification) {
+    try {
+      await query(
+        `INSERT INTO book_content_tags (work_key, title, author, tags, evidence, ai_tagged)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (work_key) DO UPDATE SET
+           tags = EXCLUDED.tags,
+           evidence = EXCLUDED.evidence,
+           ai_tagged = EXCLUDED.ai_tagged,
+           updated_at = CURRENT_TIMESTAMP`,
+        [
+          workKey,
+          book.title,
+          bookIdentity.getAuthor(book),
+          JSON.stringify(classification.tags),
+          JSON.stringify(classification.evidence),
+          classification.aiTagged
+        ]
+      );
+    } catch (error) {
+      console.warn(`Failed to store content tags for "${book.title}":`, error.message);
+    }
+  }
+}
+
+// Create singleton instance
+const contentClassifier = new ContentClassifier();
+
+module.exports = contentClassifier;
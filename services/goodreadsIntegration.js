@@ -1,6 +1,9 @@
 require('dotenv').config();
 const axios = require('axios');
 const xml2js = require('xml2js');
+const { parseIsbn } = require('../utils/isbn');
+const bookIdentity = require('./bookIdentity');
+const { foldText } = require('../utils/bookMatching');
 
 /**
  * Goodreads API Integration Service
@@ -125,10 +128,12 @@ class GoodreadsIntegration {
       // Simulate API call with mock data
       await new Promise(resolve => setTimeout(resolve, 300)); // Simulate network delay
 
+      // Accent- and punctuation-insensitive ("Garcia Marquez" finds "García Márquez")
+      const text = foldText(query);
       const results = this.mockGoodreadsData.popularBooks
         .filter(book => 
-          book.title.toLowerCase().includes(query.toLowerCase()) ||
-          book.author.toLowerCase().includes(query.toLowerCase()) ||
+          foldText(book.title).includes(text) ||
+          foldText(book.author).includes(text) ||
           book.isbn === query
         )
         .slice(0, options.limit || 10);
@@ -355,13 +360,9 @@ class GoodreadsIntegration {
 
       recommendations.push(...highlyRated);
 
-      // Remove duplicates and books already read
-      const readTitles = readBooks.map(book => book.title.toLowerCase());
-      const uniqueRecs = recommendations
-        .filter((book, index, arr) => 
-          arr.findIndex(b => b.title === book.title) === index &&
-          !readTitles.includes(book.title.toLowerCase())
-        )
+      // Remove duplicates (including other editions) and books already read, misspellings included
+      const uniqueRecs = bookIdentity.uniqueWorks(recommendations)
+        .filter(book => !readBooks.some(readBook => bookIdentity.isLikelySameWork(readBook, book)))
         .slice(0, 20);
 
       this.stats.successfulRequests++;
@@ -414,8 +415,8 @@ class GoodreadsIntegration {
       validation.confidence -= 0.3;
     }
 
-    if (book.isbn && !/^\d{10}(\d{3})?$/.test(book.isbn.replace(/[-\s]/g, ''))) {
-      validation.issues.push('Invalid ISBN format');
+    if (book.isbn && !parseIsbn(book.isbn)) {
+      validation.issues.push('Invalid ISBN (format or checksum)');
       validation.confidence -= 0.1;
     }
 
@@ -2,6 +2,7 @@ require('dotenv').config();
 const vision = require('@google-cloud/vision');
 const axios = require('axios');
 const fs = require('fs');
+const { isSameTitle, titleSimilarity } = require('../utils/bookMatching');
 
 // Initialize Google Vision client using API key
 const visionClient = new vision.ImageAnnotatorClient({
@@ -144,6 +145,11 @@ async function analyzeBookshelfImageWithREST(imagePath, options = {}) {
         imageAnalyzed: imagePath,
         timestamp: new Date().toISOString(),
         confidence: calculateAverageConfidence(books)
+      },
+      rawResults: {
+        textAnnotations: result.textAnnotations || [],
+        documentText: result.fullTextAnnotation || null,
+        objects: result.localizedObjectAnnotations || []
       }
     };
 
@@ -200,7 +206,7 @@ function extractBooksFromVisionResults(textResult, documentResult, objectResult,
     // Merge with existing books, avoiding duplicates
     for (const fallbackBook of fallbackBooks) {
       const isDuplicate = books.some(existingBook => 
-        similarTitles(existingBook.title, fallbackBook.title)
+        isSameTitle(existingBook.title, fallbackBook.title)
       );
       
       if (!isDuplicate) {
@@ -237,7 +243,8 @@ function extractBooksFromRESTResults(result, options = {}) {
         books.push({
           ...bookInfo,
           confidence: bookObj.score || 0.6,
-          position: describePosition(bookObj.boundingPoly)
+          position: describePosition(bookObj.boundingPoly),
+          boundingBox: bookObj.boundingPoly
         });
       }
     }
@@ -460,18 +467,8 @@ function extractAuthorFromNearbyText(texts) {
 }
 
 function findMatchingAuthor(title, authors) {
-  // Simple matching - could be enhanced with fuzzy matching
-  return Array.from(authors)[0] || null;
-}
-
-function similarTitles(title1, title2) {
-  const clean1 = title1.toLowerCase().replace(/[^\w]/g, '');
-  const clean2 = title2.toLowerCase().replace(/[^\w]/g, '');
-  
-  // Simple similarity check
-  return clean1 === clean2 || 
-         clean1.includes(clean2) || 
-         clean2.includes(clean1);
+  // Name-like text that is really the title read again is not an author
+  return Array.from(authors).find(author => titleSimilarity(title, author) < 0.5) || null;
 }
 
 function calculateAverageConfidence(books) {
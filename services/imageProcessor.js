@@ -185,20 +185,187 @@ class ImageProcessor {
     }
   }
 
+  /**
+   * Segment a bookshelf image into individual spine boxes
+   * Finds horizontal shelf lines from a row projection of vertical gradients, then
+   * vertical spine boundaries inside each shelf from a column projection of horizontal gradients.
+   * @param {string} inputPath - Path to input image
+   * @param {object} options - Segmentation options
+   * @returns {Promise<object>} Shelves and spine boxes {x, y, width, height} in input image pixels
+   */
+  async segmentSpines(inputPath, options = {}) {
+    try {
+      const startTime = Date.now();
+      const metadata = await sharp(inputPath).metadata();
+
+      // Analyze a downscaled greyscale copy; boxes are scaled back to input pixels
+      const analysisWidth = Math.min(options.analysisWidth || 800, metadata.width);
+      const { data, info } = await sharp(inputPath)
+        .resize({ width: analysisWidth })
+        .greyscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      const { width, height } = info;
+      const scaleX = metadata.width / width;
+      const scaleY = metadata.height / height;
+      const edgeThreshold = options.edgeThreshold || 24;
+
+      // 1. Horizontal shelf lines: rows where most columns show a strong vertical gradient
+      // Central differences so one-pixel edges stay at full strength in neighbouring rows/columns
+      const rowCoverage = new Array(height).fill(0);
+      for (let y = 1; y < height - 1; y++) {
+        let strong = 0;
+        for (let x = 0; x < width; x++) {
+          if (Math.abs(data[(y + 1) * width + x] - data[(y - 1) * width + x]) > edgeThreshold) strong++;
+        }
+        rowCoverage[y] = strong / width;
+      }
+
+      const minShelfHeight = Math.max(20, Math.floor(height * (options.minShelfHeightRatio || 0.12)));
+      const shelfLines = this.findProfilePeaks(this.smoothProfile(rowCoverage, 1), {
+        minDistance: minShelfHeight,
+        minValue: options.shelfLineCoverage || 0.4
+      }).map(peak => peak.index);
+
+      const shelfEdges = [0, ...shelfLines, height];
+      const shelves = [];
+      for (let i = 0; i < shelfEdges.length - 1; i++) {
+        const top = shelfEdges[i];
+        const bottom = shelfEdges[i + 1];
+        if (bottom - top >= minShelfHeight) {
+          shelves.push({ top, bottom });
+        }
+      }
+
+      // 2. Vertical spine boundaries: columns with a strong horizontal gradient along most of the shelf height
+      const minSpineWidth = Math.max(4, Math.floor(width * (options.minSpineWidthRatio || 0.012)));
+      const spines = [];
+
+      shelves.forEach((shelf, shelfIndex) => {
+        const bandHeight = shelf.bottom - shelf.top;
+        const columnCoverage = new Array(width).fill(0);
+
+        for (let y = shelf.top; y < shelf.bottom; y++) {
+          const rowOffset = y * width;
+          for (let x = 1; x < width - 1; x++) {
+            if (Math.abs(data[rowOffset + x + 1] - data[rowOffset + x - 1]) > edgeThreshold) {
+              columnCoverage[x]++;
+            }
+          }
+        }
+
+        const profile = this.smoothProfile(columnCoverage.map(count => count / bandHeight), 1);
+        const mean = profile.reduce((sum, value) => sum + value, 0) / profile.length;
+        const std = Math.sqrt(profile.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / profile.length);
+
+        const boundaries = this.findProfilePeaks(profile, {
+          minDistance: minSpineWidth,
+          minValue: Math.max(options.spineEdgeCoverage || 0.25, mean + (options.spineEdgeSigma || 0.5) * std)
+        });
+
+        const edges = [{ index: 0, value: 1 }, ...boundaries, { index: width, value: 1 }];
+        for (let i = 0; i < edges.length - 1; i++) {
+          const left = edges[i].index;
+          const right = edges[i + 1].index;
+          if (right - left < minSpineWidth) continue;
+
+          spines.push({
+            index: spines.length,
+            shelfIndex,
+            x: Math.round(left * scaleX),
+            y: Math.round(shelf.top * scaleY),
+            width: Math.round((right - left) * scaleX),
+            height: Math.round(bandHeight * scaleY),
+            // Weakest of the two boundaries; low values suggest an uncertain split
+            boundaryStrength: Math.round(Math.min(edges[i].value, edges[i + 1].value) * 100) / 100
+          });
+        }
+      });
+
+      const processingTime = Date.now() - startTime;
+      console.log(`Segmented ${spines.length} spines on ${shelves.length} shelves in ${processingTime}ms`);
+
+      return {
+        success: true,
+        imageSize: { width: metadata.width, height: metadata.height },
+        shelves: shelves.map((shelf, index) => ({
+          index,
+          y: Math.round(shelf.top * scaleY),
+          height: Math.round((shelf.bottom - shelf.top) * scaleY)
+        })),
+        spines,
+        processingTime
+      };
+
+    } catch (error) {
+      throw new Error(`Spine segmentation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Smooth a 1D projection profile with a moving average
+   * @param {Array<number>} profile - Projection values
+   * @param {number} radius - Window radius
+   * @returns {Array<number>} Smoothed profile
+   */
+  smoothProfile(profile, radius = 1) {
+    return profile.map((_, index) => {
+      const start = Math.max(0, index - radius);
+      const end = Math.min(profile.length - 1, index + radius);
+      let sum = 0;
+      for (let i = start; i <= end; i++) sum += profile[i];
+      return sum / (end - start + 1);
+    });
+  }
+
+  /**
+   * Find local maxima in a profile, keeping the strongest peak within each minimum distance
+   * @param {Array<number>} profile - Projection values
+   * @param {object} options - minDistance and minValue
+   * @returns {Array<object>} Peaks {index, value} sorted by index
+   */
+  findProfilePeaks(profile, { minDistance = 1, minValue = 0 } = {}) {
+    const candidates = [];
+    for (let i = 0; i < profile.length; i++) {
+      const value = profile[i];
+      if (value < minValue) continue;
+      const prev = i > 0 ? profile[i - 1] : -Infinity;
+      const next = i < profile.length - 1 ? profile[i + 1] : -Infinity;
+      if (value >= prev && value >= next) {
+        candidates.push({ index: i, value });
+      }
+    }
+
+    // Non-maximum suppression: strongest peaks first
+    const peaks = [];
+    for (const candidate of candidates.sort((a, b) => b.value - a.value)) {
+      if (peaks.every(peak => Math.abs(peak.index - candidate.index) >= minDistance)) {
+        peaks.push(candidate);
+      }
+    }
+
+    return peaks.sort((a, b) => a.index - b.index);
+  }
+
   /**
    * Extract multiple crops from bookshelf for detailed analysis
    * @param {string} inputPath - Path to input image
-   * @param {Array} regions - Array of crop regions {x, y, width, height}
-   * @returns {Promise<Array>} Array of cropped image paths
+   * @param {Array} regions - Array of crop regions {x, y, width, height}; defaults to segmented spines
+   * @param {object} options - Crop options (rotateUpright turns tall spine crops so their text runs horizontally)
+   * @returns {Promise<Array>} Array of cropped image paths, in region order
    */
-  async extractBookRegions(inputPath, regions = []) {
+  async extractBookRegions(inputPath, regions = [], options = {}) {
     try {
       const croppedPaths = [];
       const metadata = await sharp(inputPath).metadata();
 
-      // If no regions specified, create grid-based crops
+      // If no regions specified, crop individual spines, falling back to a grid
       if (regions.length === 0) {
-        regions = this.generateGridRegions(metadata.width, metadata.height);
+        const segmentation = await this.segmentSpines(inputPath);
+        regions = segmentation.spines.length > 0
+          ? segmentation.spines
+          : this.generateGridRegions(metadata.width, metadata.height);
       }
 
       for (let i = 0; i < regions.length; i++) {
@@ -206,13 +373,20 @@ class ImageProcessor {
         const timestamp = Date.now();
         const cropPath = path.join(this.tempDir, `crop_${i}_${timestamp}.jpg`);
 
-        await sharp(inputPath)
+        let crop = sharp(inputPath)
           .extract({
             left: Math.max(0, region.x),
             top: Math.max(0, region.y),
             width: Math.min(region.width, metadata.width - region.x),
             height: Math.min(region.height, metadata.height - region.y)
-          })
+          });
+
+        // Spine titles usually run top-to-bottom; a quarter turn counter-clockwise makes them read left-to-right
+        if (options.rotateUpright && region.height > region.width) {
+          crop = crop.rotate(270);
+        }
+
+        await crop
           .jpeg({ quality: 90 })
           .toFile(cropPath);
 
@@ -0,0 +1,439 @@
+require('dotenv').config();
+const os = require('os');
+const { query, findById } = require('../utils/database');
+
+/**
+ * Postgres-backed background job queue
+ * Jobs are claimed with a time-limited lease so work survives restarts:
+ * a job whose worker dies is picked up again once its lease expires.
+ */
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}-${process.pid}`;
+
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+    this.leaseDuration = parseInt(process.env.JOB_LEASE_MS) || 5 * 60 * 1000; // 5 minutes
+    this.concurrency = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 1;
+    this.retryBaseDelay = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 30 * 1000; // 30 seconds
+    this.retryMaxDelay = 60 * 60 * 1000; // 1 hour
+
+    this.running = false;
+    this.polling = false;
+    this.pollTimer = null;
+    this.activeJobs = new Map();
+
+    // Worker statistics
+    this.stats = {
+      jobsEnqueued: 0,
+      jobsSwept: 0,
+      jobsClaimed: 0,
+      jobsCompleted: 0,
+      jobsRetried: 0,
+      jobsFailed: 0,
+      leasesReclaimed: 0,
+      leasesLost: 0,
+      pollErrors: 0
+    };
+  }
+
+  /**
+   * Register a handler for a job type
+   * @param {string} jobType - Job type name
+   * @param {Function} handler - Async function receiving the job row, returns a JSON-serializable result
+   * @param {object} hooks - Optional hooks: onFailure(job, error, willRetry), and sweep() to enqueue
+   *   work left outside the queue, run when the worker starts and on every poll
+   */
+  registerHandler(jobType, handler, hooks = {}) {
+    this.handlers.set(jobType, { handler, hooks });
+  }
+
+  /**
+   * Add a job to the queue
+   * A job for an upload is only added when the upload has no pending or running job of that type
+   * (enforced by a unique index, so concurrent callers cannot both add one); otherwise that job is
+   * returned, flagged `existing: true`.
+   * @param {string} jobType - Job type name
+   * @param {object} payload - Job payload
+   * @param {object} options - Job options (imageUploadId, sessionId, maxAttempts, delayMs)
+   * @returns {Promise<object>} Inserted job row, or the upload's active job
+   */
+  async enqueue(jobType, payload = {}, options = {}) {
+    const imageUploadId = options.imageUploadId || null;
+
+    // The active job can finish between the insert and the lookup; the insert then succeeds on retry
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const result = await query(
+        `INSERT INTO jobs (job_type, payload, image_upload_id, session_id, max_attempts, run_at)
+         VALUES ($1, $2, $3, $4, $5, NOW() + $6 * INTERVAL '1 millisecond')
+         ON CONFLICT (image_upload_id, job_type) WHERE status IN ('pending', 'running') DO NOTHING
+         RETURNING *`,
+        [
+          jobType,
+          payload,
+          imageUploadId,
+          options.sessionId || null,
+          options.maxAttempts || 3,
+          options.delayMs || 0
+        ]
+      );
+
+      if (result.rows.length > 0) {
+        this.stats.jobsEnqueued++;
+        console.log(`📥 Job ${result.rows[0].id} (${jobType}) enqueued`);
+
+        // Nudge the worker so freshly queued work starts without waiting a full poll interval
+        if (this.running) {
+          setImmediate(() => this.poll());
+        }
+
+        return result.rows[0];
+      }
+
+      const active = await query(
+        `SELECT * FROM jobs
+         WHERE image_upload_id = $1 AND job_type = $2 AND status IN ('pending', 'running')`,
+        [imageUploadId, jobType]
+      );
+      if (active.rows.length > 0) {
+        return { ...active.rows[0], existing: true };
+      }
+    }
+
+    throw new Error(`Failed to enqueue ${jobType} job for upload ${imageUploadId}`);
+  }
+
+  /**
+   * Get a job by ID
+   * @param {number} jobId - Job ID
+   * @returns {Promise<object|null>} Job row
+   */
+  async getJob(jobId) {
+    return findById('jobs', jobId);
+  }
+
+  /**
+   * Get the most recent job attached to an upload
+   * @param {number} imageUploadId - Upload ID
+   * @param {string} jobType - Optional job type filter
+   * @returns {Promise<object|null>} Job row
+   */
+  async getLatestJobForUpload(imageUploadId, jobType = null) {
+    const result = await query(
+      `SELECT * FROM jobs
+       WHERE image_upload_id = $1 AND ($2::varchar IS NULL OR job_type = $2)
+       ORDER BY created_at DESC, id DESC
+       LIMIT 1`,
+      [imageUploadId, jobType]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Claim the next runnable job, taking a lease on it
+   * Picks pending jobs whose backoff has elapsed, and running jobs whose lease expired
+   * @returns {Promise<object|null>} Claimed job row
+   */
+  async claimNextJob() {
+    const jobTypes = Array.from(this.handlers.keys());
+    if (jobTypes.length === 0) return null;
+
+    const result = await query(
+      `WITH next_job AS (
+         SELECT id, status AS previous_status FROM jobs
+         WHERE job_type = ANY($3)
+           AND ((status = 'pending' AND run_at <= NOW())
+             OR (status = 'running' AND locked_until < NOW()))
+         ORDER BY run_at, id
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1
+       )
+       UPDATE jobs
+       SET status = 'running',
+           attempts = attempts + 1,
+           locked_by = $1,
+           locked_until = NOW() + $2 * INTERVAL '1 millisecond',
+           updated_at = NOW()
+       FROM next_job
+       WHERE jobs.id = next_job.id
+       RETURNING jobs.*, next_job.previous_status`,
+      [this.workerId, this.leaseDuration, jobTypes]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Extend the lease on a job the worker is still processing
+   * @param {number} jobId - Job ID
+   * @returns {Promise<boolean>} Whether the lease is still held
+   */
+  async renewLease(jobId) {
+    const result = await query(
+      `UPDATE jobs
+       SET locked_until = NOW() + $2 * INTERVAL '1 millisecond', updated_at = NOW()
+       WHERE id = $1 AND status = 'running' AND locked_by = $3`,
+      [jobId, this.leaseDuration, this.workerId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Mark a job as completed, if this worker still holds its lease
+   * A worker whose lease expired and was reclaimed must not overwrite the new owner's result.
+   * @param {object} job - Job row
+   * @param {object} result - Handler result
+   * @returns {Promise<boolean>} Whether the lease was still held (false: the result was discarded)
+   */
+  async completeJob(job, result) {
+    const update = await query(
+      `UPDATE jobs
+       SET status = 'completed', result = $2, last_error = NULL,
+           locked_by = NULL, locked_until = NULL,
+           completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'running' AND locked_by = $3`,
+      [job.id, result || {}, this.workerId]
+    );
+
+    if (update.rowCount === 0) {
+      this.leaseLost(job, 'result discarded');
+      return false;
+    }
+
+    this.stats.jobsCompleted++;
+    return true;
+  }
+
+  /**
+   * Record a job failure, scheduling a retry with exponential backoff while attempts remain
+   * Errors flagged with `retryable = false` fail the job immediately. Like completion, this only
+   * applies while the worker still holds the lease.
+   * @param {object} job - Job row
+   * @param {Error} error - Failure
+   * @returns {Promise<boolean|null>} Whether the job will be retried, or null if the lease was lost
+   */
+  async failJob(job, error) {
+    const willRetry = error.retryable !== false && job.attempts < job.max_attempts;
+
+    if (willRetry) {
+      const delay = this.calculateBackoff(job.attempts);
+      const update = await query(
+        `UPDATE jobs
+         SET status = 'pending', last_error = $2,
+             locked_by = NULL, locked_until = NULL,
+             run_at = NOW() + $3 * INTERVAL '1 millisecond', updated_at = NOW()
+         WHERE id = $1 AND status = 'running' AND locked_by = $4`,
+        [job.id, error.message, delay, this.workerId]
+      );
+      if (update.rowCount === 0) {
+        this.leaseLost(job, `failure not recorded: ${error.message}`);
+        return null;
+      }
+      this.stats.jobsRetried++;
+      console.warn(`🔁 Job ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+    } else {
+      const update = await query(
+        `UPDATE jobs
+         SET status = 'failed', last_error = $2,
+             locked_by = NULL, locked_until = NULL,
+             completed_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND status = 'running' AND locked_by = $3`,
+        [job.id, error.message, this.workerId]
+      );
+      if (update.rowCount === 0) {
+        this.leaseLost(job, `failure not recorded: ${error.message}`);
+        return null;
+      }
+      this.stats.jobsFailed++;
+      console.error(`❌ Job ${job.id} failed permanently after ${job.attempts} attempts: ${error.message}`);
+    }
+
+    return willRetry;
+  }
+
+  /**
+   * Log a job whose lease another worker took over before this one finished
+   * @param {object} job - Job row
+   * @param {string} outcome - What happened to this worker's outcome
+   */
+  leaseLost(job, outcome) {
+    this.stats.leasesLost++;
+    console.warn(`⚠️ Lost the lease on job ${job.id} before finishing (${outcome})`);
+  }
+
+  /**
+   * Calculate retry delay for a given attempt number
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  calculateBackoff(attempts) {
+    const exponential = this.retryBaseDelay * Math.pow(2, Math.max(0, attempts - 1));
+    const jitter = Math.random() * this.retryBaseDelay * 0.2;
+    return Math.min(this.retryMaxDelay, exponential + jitter);
+  }
+
+  /**
+   * Run a claimed job through its handler
+   * @param {object} job - Claimed job row
+   */
+  async runJob(job) {
+    const { handler, hooks } = this.handlers.get(job.job_type);
+    this.activeJobs.set(job.id, { jobType: job.job_type, startedAt: Date.now() });
+
+    // Keep the lease alive while the handler works
+    const leaseTimer = setInterval(() => {
+      this.renewLease(job.id).catch(error => {
+        console.warn(`Failed to renew lease for job ${job.id}:`, error.message);
+      });
+    }, Math.floor(this.leaseDuration / 2));
+
+    try {
+      // A job whose worker died after its final attempt is not run again
+      if (job.attempts > job.max_attempts) {
+        throw new Error('Job lease expired after the final attempt');
+      }
+
+      console.log(`⚙️ Running job ${job.id} (${job.job_type}), attempt ${job.attempts}/${job.max_attempts}`);
+      const result = await handler(job);
+      if (await this.completeJob(job, result)) {
+        console.log(`✅ Job ${job.id} completed`);
+      }
+
+    } catch (error) {
+      try {
+        const willRetry = await this.failJob(job, error);
+        // The worker that took the job over records its outcome
+        if (willRetry !== null && hooks.onFailure) {
+          await hooks.onFailure(job, error, willRetry);
+        }
+      } catch (dbError) {
+        console.error(`Failed to record failure for job ${job.id}:`, dbError);
+      }
+    } finally {
+      clearInterval(leaseTimer);
+      this.activeJobs.delete(job.id);
+    }
+  }
+
+  /**
+   * Claim and start jobs until the concurrency limit is reached
+   */
+  async poll() {
+    if (!this.running || this.polling) return;
+    this.polling = true;
+
+    try {
+      await this.sweep();
+
+      while (this.running && this.activeJobs.size < this.concurrency) {
+        const job = await this.claimNextJob();
+        if (!job) break;
+
+        this.stats.jobsClaimed++;
+        if (job.previous_status === 'running') {
+          this.stats.leasesReclaimed++;
+        }
+
+        this.runJob(job).finally(() => {
+          if (this.running) setImmediate(() => this.poll());
+        });
+      }
+    } catch (error) {
+      this.stats.pollErrors++;
+      console.error('Job queue poll error:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Run the registered sweep hooks so work that never reached the queue gets enqueued
+   * A failing sweep is logged and does not stop the poll.
+   */
+  async sweep() {
+    for (const [jobType, { hooks }] of this.handlers.entries()) {
+      if (!hooks.sweep) continue;
+
+      try {
+        const swept = await hooks.sweep();
+        if (swept > 0) {
+          this.stats.jobsSwept += swept;
+          console.log(`🧹 Swept ${swept} ${jobType} job(s) into the queue`);
+        }
+      } catch (error) {
+        this.stats.pollErrors++;
+        console.error(`Job queue sweep error (${jobType}):`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Start the worker loop
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const loop = async () => {
+      await this.poll();
+      if (this.running) {
+        this.pollTimer = setTimeout(loop, this.pollInterval);
+      }
+    };
+
+    console.log(`👷 Job worker ${this.workerId} started (${Array.from(this.handlers.keys()).join(', ') || 'no handlers'})`);
+    loop();
+  }
+
+  /**
+   * Stop the worker loop; running jobs finish or are reclaimed after their lease expires
+   */
+  stop() {
+    this.running = false;
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Get job counts by type and status
+   * @returns {Promise<object>} Queue counts
+   */
+  async getQueueCounts() {
+    const result = await query(
+      `SELECT job_type, status, COUNT(*) AS count FROM jobs GROUP BY job_type, status`
+    );
+
+    const counts = {};
+    for (const row of result.rows) {
+      counts[row.job_type] = counts[row.job_type] || {};
+      counts[row.job_type][row.status] = parseInt(row.count);
+    }
+    return counts;
+  }
+
+  /**
+   * Get worker statistics
+   * @returns {object} Worker statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      workerId: this.workerId,
+      running: this.running,
+      concurrency: this.concurrency,
+      activeJobs: Array.from(this.activeJobs.entries()).map(([id, info]) => ({
+        id,
+        jobType: info.jobType,
+        runningFor: Date.now() - info.startedAt
+      })),
+      handlers: Array.from(this.handlers.keys())
+    };
+  }
+}
+
+// Create singleton instance
+const jobQueue = new JobQueue();
+
+module.exports = jobQueue;
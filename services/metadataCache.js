@@ -0,0 +1,251 @@
+require('dotenv').config();
+const { query } = require('../utils/database');
+
+// Freshness windows per metadata source, in hours. Override with
+// METADATA_CACHE_<SOURCE>_TTL_HOURS, _STALE_HOURS and _NEGATIVE_TTL_HOURS (e.g. METADATA_CACHE_GOOGLE_BOOKS_TTL_HOURS).
+const DEFAULT_POLICIES = {
+  google_books: { ttlHours: 24, staleHours: 24 * 7, negativeTtlHours: 6 },
+  open_library: { ttlHours: 24 * 3, staleHours: 24 * 14, negativeTtlHours: 6 },
+  default: { ttlHours: 24, staleHours: 24 * 7, negativeTtlHours: 1 }
+};
+
+/**
+ * Book metadata cache
+ * Read-through repository over the `book_cache` table shared by every metadata lookup.
+ * - Fresh entries (younger than the source's TTL) are returned directly.
+ * - Stale entries (past the TTL but inside the stale window) are returned immediately while a
+ *   background refresh updates the row (stale-while-revalidate).
+ * - Lookups that found nothing are cached as negative entries with their own, shorter TTL.
+ * - If the upstream fails, any cached copy is served rather than the error.
+ * The cache never makes a lookup fail: database errors are logged and treated as misses.
+ */
+class MetadataCache {
+  constructor() {
+    this.policies = {};
+    this.revalidations = new Map(); // In-flight background refreshes, keyed by source + identifier
+    this.stats = {};
+  }
+
+  /**
+   * Get the cache policy for a source
+   * @param {string} source - Metadata source ('google_books', 'open_library', ...)
+   * @returns {object} {ttlHours, staleHours, negativeTtlHours}
+   */
+  getPolicy(source) {
+    if (!this.policies[source]) {
+      const defaults = DEFAULT_POLICIES[source] || DEFAULT_POLICIES.default;
+      const prefix = `METADATA_CACHE_${source.toUpperCase()}`;
+      const hours = (name, fallback) => {
+        const value = parseFloat(process.env[`${prefix}_${name}`]);
+        return Number.isNaN(value) ? fallback : value;
+      };
+
+      this.policies[source] = {
+        ttlHours: hours('TTL_HOURS', defaults.ttlHours),
+        staleHours: hours('STALE_HOURS', defaults.staleHours),
+        negativeTtlHours: hours('NEGATIVE_TTL_HOURS', defaults.negativeTtlHours)
+      };
+    }
+    return this.policies[source];
+  }
+
+  /**
+   * Get cached metadata, fetching (and caching) it on a miss
+   * @param {string} source - Metadata source
+   * @param {string} identifier - Lookup key within the source (request URL, ISBN, ...)
+   * @param {Function} fetcher - Loads the metadata; resolves null when the source has none
+   * @returns {Promise<object|null>} Metadata, or null for a (cached) negative result
+   */
+  async getOrFetch(source, identifier, fetcher) {
+    const key = identifier.slice(0, 500);
+    const entry = await this.read(source, key);
+    const now = Date.now();
+
+    if (entry && now < new Date(entry.stale_at).getTime()) {
+      this.record(source, entry.is_negative ? 'negativeHits' : 'hits');
+      return entry.is_negative ? null : entry.book_metadata;
+    }
+
+    if (entry && now < new Date(entry.expires_at).getTime()) {
+      this.record(source, 'staleHits');
+      this.revalidate(source, key, fetcher);
+      return entry.is_negative ? null : entry.book_metadata;
+    }
+
+    this.record(source, 'misses');
+    try {
+      return await this.refresh(source, key, fetcher);
+    } catch (error) {
+      if (entry) {
+        // An expired copy beats no answer; the row is replaced once the source is back
+        this.record(source, 'staleOnError');
+        console.warn(`Serving expired ${source} cache entry after fetch failure: ${error.message}`);
+        return entry.is_negative ? null : entry.book_metadata;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch from the source and store the result (negative when the fetcher returns null)
+   * @param {string} source - Metadata source
+   * @param {string} key - Cache key
+   * @param {Function} fetcher - Loader
+   * @returns {Promise<object|null>} Fetched metadata
+   */
+  async refresh(source, key, fetcher) {
+    let data;
+    try {
+      data = await fetcher();
+    } catch (error) {
+      this.record(source, 'fetchErrors');
+      throw error;
+    }
+
+    await this.write(source, key, data ?? null);
+    return data ?? null;
+  }
+
+  /**
+   * Refresh a stale entry in the background, at most once at a time per key
+   * @param {string} source - Metadata source
+   * @param {string} key - Cache key
+   * @param {Function} fetcher - Loader
+   */
+  revalidate(source, key, fetcher) {
+    const revalidationKey = `${source}:${key}`;
+    if (this.revalidations.has(revalidationKey)) return;
+
+    this.record(source, 'revalidations');
+    const refresh = this.refresh(source, key, fetcher)
+      .catch(error => console.warn(`Background refresh of ${source} cache entry failed: ${error.message}`))
+      .finally(() => this.revalidations.delete(revalidationKey));
+
+    this.revalidations.set(revalidationKey, refresh);
+  }
+
+  /**
+   * Read the cache row for a key
+   * @param {string} source - Metadata source
+   * @param {string} key - Cache key
+   * @returns {Promise<object|null>} book_cache row (expired rows included, for stale-on-error)
+   */
+  async read(source, key) {
+    try {
+      const result = await query(
+        'SELECT book_metadata, is_negative, stale_at, expires_at FROM book_cache WHERE source = $1 AND book_identifier = $2',
+        [source, key]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      this.record(source, 'cacheErrors');
+      console.warn('Metadata cache read failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Insert or replace the cache row for a key
+   * @param {string} source - Metadata source
+   * @param {string} key - Cache key
+   * @param {object|null} data - Metadata; null stores a negative entry
+   */
+  async write(source, key, data) {
+    const policy = this.getPolicy(source);
+    const negative = data === null;
+    const freshHours = negative ? policy.negativeTtlHours : policy.ttlHours;
+    // Negative entries are not served stale: a book that now exists should show up promptly
+    const expiryHours = negative ? freshHours : freshHours + policy.staleHours;
+
+    try {
+      await query(
+        `INSERT INTO book_cache (book_identifier, book_metadata, source, is_negative, stale_at, expires_at)
+         VALUES ($1, $2, $3, $4, NOW() + make_interval(secs => $5::double precision), NOW() + make_interval(secs => $6::double precision))
+         ON CONFLICT (source, book_identifier) DO UPDATE SET
+           book_metadata = EXCLUDED.book_metadata,
+           is_negative = EXCLUDED.is_negative,
+           stale_at = EXCLUDED.stale_at,
+           expires_at = EXCLUDED.expires_at,
+           created_at = CURRENT_TIMESTAMP`,
+        [key, negative ? {} : data, source, negative, freshHours * 3600, expiryHours * 3600]
+      );
+    } catch (error) {
+      this.record(source, 'cacheErrors');
+      console.warn('Metadata cache write failed:', error.message);
+    }
+  }
+
+  /**
+   * Delete rows past their hard expiry (schema function cleanup_expired_cache)
+   * @returns {Promise<number|null>} Rows deleted, or null if the cache table could not be reached
+   */
+  async cleanupExpired() {
+    try {
+      const result = await query('SELECT cleanup_expired_cache() AS deleted');
+      return result.rows[0].deleted;
+    } catch (error) {
+      console.warn('Metadata cache cleanup failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Count a cache event for a source
+   * @param {string} source - Metadata source
+   * @param {string} event - Counter name
+   */
+  record(source, event) {
+    if (!this.stats[source]) {
+      this.stats[source] = {
+        hits: 0,
+        staleHits: 0,
+        negativeHits: 0,
+        misses: 0,
+        staleOnError: 0,
+        revalidations: 0,
+        fetchErrors: 0,
+        cacheErrors: 0
+      };
+    }
+    this.stats[source][event]++;
+  }
+
+  /**
+   * Get cache statistics with hit rates per source
+   * A lookup counts as a hit when it was answered from the cache (fresh, stale or negative).
+   * @returns {object} {sources: {<source>: counters + hitRate + policy}, overall: {lookups, hitRate}}
+   */
+  getStats() {
+    const sources = {};
+    let lookups = 0;
+    let answeredFromCache = 0;
+
+    for (const [source, counters] of Object.entries(this.stats)) {
+      const cached = counters.hits + counters.staleHits + counters.negativeHits;
+      const total = cached + counters.misses;
+      lookups += total;
+      answeredFromCache += cached;
+
+      sources[source] = {
+        ...counters,
+        lookups: total,
+        hitRate: total > 0 ? Math.round((cached / total) * 1000) / 1000 : null,
+        policy: this.getPolicy(source)
+      };
+    }
+
+    return {
+      sources,
+      overall: {
+        lookups,
+        hitRate: lookups > 0 ? Math.round((answeredFromCache / lookups) * 1000) / 1000 : null,
+        revalidationsInFlight: this.revalidations.size
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const metadataCache = new MetadataCache();
+
+module.exports = metadataCache;
@@ -2,11 +2,86 @@ require('dotenv').config();
 const OpenAI = require('openai');
 const fs = require('fs');
 const path = require('path');
+const schemaValidator = require('../utils/schemaValidator');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// OpenAI client, created on first use so the module loads without OPENAI_API_KEY
+let openai = null;
+
+/**
+ * Get the OpenAI client
+ * @returns {OpenAI} Client
+ */
+function getClient() {
+  if (!openai) {
+    openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY
+    });
+  }
+  return openai;
+}
+
+// Repair round-trips allowed after a response fails schema validation
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.OPENAI_MAX_REPAIR_ATTEMPTS) || 2;
+
+/**
+ * JSON schema for the book list, enforced as an OpenAI structured output and re-checked on receipt
+ * Structured outputs need every property listed as required; optional fields are nullable instead.
+ */
+const BOOK_LIST_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['books', 'summary'],
+  properties: {
+    books: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['title', 'author', 'series', 'volume', 'genre', 'confidence', 'spineColor', 'position', 'condition'],
+        properties: {
+          title: { type: 'string' },
+          author: { type: ['string', 'null'] },
+          series: { type: ['string', 'null'] },
+          volume: { type: ['string', 'null'] },
+          genre: { type: ['string', 'null'] },
+          confidence: { type: 'number' },
+          spineColor: { type: ['string', 'null'] },
+          position: { type: ['string', 'null'] },
+          condition: { type: ['string', 'null'] }
+        }
+      }
+    },
+    summary: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['totalBooksIdentified', 'averageConfidence', 'notes'],
+      properties: {
+        totalBooksIdentified: { type: 'integer' },
+        averageConfidence: { type: 'number' },
+        notes: { type: 'string' }
+      }
+    }
+  }
+};
+
+// Response-side checks that structured outputs cannot express
+const BOOK_LIST_RESPONSE_SCHEMA = {
+  ...BOOK_LIST_SCHEMA,
+  properties: {
+    ...BOOK_LIST_SCHEMA.properties,
+    books: {
+      ...BOOK_LIST_SCHEMA.properties.books,
+      items: {
+        ...BOOK_LIST_SCHEMA.properties.books.items,
+        properties: {
+          ...BOOK_LIST_SCHEMA.properties.books.items.properties,
+          title: { type: 'string', minLength: 1 },
+          confidence: { type: 'number', minimum: 0, maximum: 1 }
+        }
+      }
+    }
+  }
+};
 
 /**
  * Analyze bookshelf image using OpenAI GPT-4 Vision
@@ -32,37 +107,86 @@ async function analyzeBookshelfImage(imagePath, options = {}) {
     // Create the vision prompt
     const visionPrompt = createBookshelfAnalysisPrompt(options);
 
-    // Make request to OpenAI Vision API
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        {
-          role: "user",
-          content: [
-            {
-              type: "text",
-              text: visionPrompt
-            },
-            {
-              type: "image_url",
-              image_url: {
-                url: `data:${mimeType};base64,${base64Image}`,
-                detail: options.detail || "high"
-              }
+    const messages = [
+      {
+        role: "user",
+        content: [
+          {
+            type: "text",
+            text: visionPrompt
+          },
+          {
+            type: "image_url",
+            image_url: {
+              url: `data:${mimeType};base64,${base64Image}`,
+              detail: options.detail || "high"
             }
-          ]
+          }
+        ]
+      }
+    ];
+
+    // Request structured output; re-validate the reply and ask the model to repair it if needed
+    const validationReport = { schema: 'bookshelf_analysis', valid: false, attempts: [] };
+    let analysisResult = null;
+    let rawResponse = null;
+    let tokensUsed = 0;
+
+    for (let attempt = 1; attempt <= MAX_REPAIR_ATTEMPTS + 1; attempt++) {
+      const response = await getClient().chat.completions.create({
+        model: "gpt-4o",
+        messages,
+        max_tokens: 2000,
+        temperature: 0.1, // Low temperature for consistent results
+        response_format: {
+          type: "json_schema",
+          json_schema: {
+            name: "bookshelf_analysis",
+            strict: true,
+            schema: BOOK_LIST_SCHEMA
+          }
         }
-      ],
-      max_tokens: 2000,
-      temperature: 0.1 // Low temperature for consistent results
-    });
+      });
 
-    const rawResponse = response.choices[0].message.content;
-    console.log('OpenAI Vision raw response:', rawResponse);
+      const message = response.choices[0].message;
+      tokensUsed += response.usage?.total_tokens || 0;
+      rawResponse = message.content || '';
+      console.log(`OpenAI Vision raw response (attempt ${attempt}):`, rawResponse || message.refusal);
+
+      if (message.refusal) {
+        validationReport.attempts.push({ attempt, valid: false, refusal: message.refusal, errors: [] });
+        const refusalError = new Error(`OpenAI refused the request: ${message.refusal}`);
+        refusalError.code = 'MODEL_REFUSAL';
+        refusalError.retryable = false;
+        refusalError.validationReport = validationReport;
+        throw refusalError;
+      }
+
+      const parsed = parseBookshelfAnalysis(rawResponse);
+      validationReport.attempts.push({ attempt, valid: parsed.validation.valid, errors: parsed.validation.errors });
+
+      if (parsed.validation.valid) {
+        analysisResult = parsed;
+        break;
+      }
+
+      console.warn(`OpenAI response failed validation (attempt ${attempt}):\n${schemaValidator.formatErrors(parsed.validation.errors)}`);
+      messages.push(
+        { role: "assistant", content: rawResponse },
+        { role: "user", content: createRepairPrompt(parsed.validation.errors) }
+      );
+    }
+
+    validationReport.valid = !!analysisResult;
+    validationReport.repairs = validationReport.attempts.length - 1;
+
+    if (!analysisResult) {
+      const validationError = new Error(`Response failed schema validation after ${validationReport.attempts.length} attempts`);
+      validationError.code = 'SCHEMA_VALIDATION_FAILED';
+      validationError.validationReport = validationReport;
+      throw validationError;
+    }
 
-    // Parse the structured response
-    const analysisResult = parseBookshelfAnalysis(rawResponse);
-    
     return {
       success: true,
       provider: 'openai-vision',
@@ -71,21 +195,31 @@ async function analyzeBookshelfImage(imagePath, options = {}) {
         totalBooksDetected: analysisResult.books.length,
         imageAnalyzed: imagePath,
         timestamp: new Date().toISOString(),
-        tokensUsed: response.usage.total_tokens,
+        tokensUsed: tokensUsed,
         confidence: analysisResult.confidence,
         processingTime: analysisResult.processingTime
       },
+      validationReport: validationReport,
       rawResponse: rawResponse
     };
 
   } catch (error) {
     console.error('OpenAI Vision analysis error:', error);
+
+    // Already structured (validation failures, refusals)
+    if (error.validationReport) {
+      throw error;
+    }
     
     // Handle specific OpenAI errors
     if (error.code === 'insufficient_quota') {
-      throw new Error('OpenAI API quota exceeded. Please check your billing.');
+      const quotaError = new Error('OpenAI API quota exceeded. Please check your billing.');
+      quotaError.retryable = false;
+      throw quotaError;
     } else if (error.code === 'invalid_api_key') {
-      throw new Error('Invalid OpenAI API key. Please check your configuration.');
+      const keyError = new Error('Invalid OpenAI API key. Please check your configuration.');
+      keyError.retryable = false;
+      throw keyError;
     } else if (error.code === 'rate_limit_exceeded') {
       throw new Error('OpenAI API rate limit exceeded. Please try again later.');
     }
@@ -104,6 +238,10 @@ function createBookshelfAnalysisPrompt(options = {}) {
   const includeGenres = options.includeGenres !== false;
   const includeCondition = options.includeCondition || false;
 
+  if (options.singleSpine) {
+    return createSingleSpinePrompt(options);
+  }
+
   return `
 Please analyze this bookshelf image and identify all visible book titles. I need you to extract the following information in JSON format:
 
@@ -120,6 +258,8 @@ ${includeCondition ? '- "condition": Physical condition (new/good/fair/poor) (op
 - "spineColor": Dominant color of the book spine (optional)
 - "position": Approximate position description (e.g., "top shelf, left side")
 
+Every field must be present on every book; use null for optional values you cannot determine.
+
 Please be very careful about:
 1. Only include books where you can read at least part of the title clearly
 2. Don't guess or make up titles - if unsure, skip that book
@@ -149,104 +289,127 @@ Focus on accuracy over quantity. It's better to identify fewer books with high c
 }
 
 /**
- * Parse the OpenAI response and extract book information
+ * Create a prompt for a single cropped book spine
+ * @param {object} options - Analysis options
+ * @returns {string} Formatted prompt
+ */
+function createSingleSpinePrompt(options = {}) {
+  const includeAuthors = options.includeAuthors !== false;
+  const includeGenres = options.includeGenres !== false;
+
+  return `
+This image is a single book spine cropped from a bookshelf photo and rotated so the text runs horizontally. The text may still be upside down.
+
+IMPORTANT: Return only valid JSON. Do not include any markdown formatting or code blocks.
+
+Identify the book on this spine and provide:
+- "title": The complete book title (required)
+- "author": Author name if visible (${includeAuthors ? 'required' : 'optional'})
+- "series": Series name if applicable (optional)
+- "volume": Volume/book number if part of series (optional)
+${includeGenres ? '- "genre": Estimated genre based on title/spine design (optional)' : ''}
+- "confidence": Your confidence level in this identification (0.1-1.0)
+- "spineColor": Dominant color of the spine (optional)
+
+Every field must be present; use null for optional values you cannot determine.
+If the crop shows no readable title (a gap, a bookend, or part of a neighbouring spine only), return an empty "books" array.
+
+Return the response as a JSON object with this structure:
+{
+  "books": [
+    {
+      "title": "Book Title Here",
+      "author": "Author Name",
+      "confidence": 0.9
+    }
+  ],
+  "summary": {
+    "totalBooksIdentified": 1,
+    "averageConfidence": 0.9,
+    "notes": ""
+  }
+}
+`.trim();
+}
+
+/**
+ * Build the follow-up prompt asking the model to fix a response that failed validation
+ * @param {Array} errors - Validation errors [{path, message}]
+ * @returns {string} Repair prompt
+ */
+function createRepairPrompt(errors) {
+  return `
+Your previous response did not match the required JSON schema:
+${schemaValidator.formatErrors(errors.slice(0, 20))}
+
+Return the corrected JSON object only. Keep the same books; fix only what is listed above.
+`.trim();
+}
+
+/**
+ * Parse and validate the OpenAI response
  * @param {string} rawResponse - Raw response from OpenAI
- * @returns {object} Parsed book data
+ * @returns {object} Parsed book data with a validation result {valid, errors}
  */
 function parseBookshelfAnalysis(rawResponse) {
   const startTime = Date.now();
-  
+
+  let parsed;
   try {
-    // Clean the response - remove any markdown code blocks
-    let cleanResponse = rawResponse.trim();
-    
-    // Remove markdown code block markers if present
-    cleanResponse = cleanResponse.replace(/^```json\s*\n?/i, '');
-    cleanResponse = cleanResponse.replace(/\n?```$/i, '');
-    cleanResponse = cleanResponse.replace(/^```\s*\n?/i, '');
-    
-    // Parse JSON
-    const parsed = JSON.parse(cleanResponse);
-    
-    // Validate and normalize the structure
-    const books = parsed.books || [];
-    const validBooks = books
-      .filter(book => book.title && book.title.trim().length > 0)
-      .map(book => ({
-        title: book.title.trim(),
-        author: book.author ? book.author.trim() : null,
-        series: book.series ? book.series.trim() : null,
-        volume: book.volume || null,
-        genre: book.genre ? book.genre.trim() : null,
-        confidence: Math.max(0.1, Math.min(1.0, book.confidence || 0.7)),
-        spineColor: book.spineColor ? book.spineColor.trim() : null,
-        position: book.position ? book.position.trim() : null,
-        condition: book.condition ? book.condition.trim() : null
-      }));
-
-    const processingTime = Date.now() - startTime;
-    const averageConfidence = validBooks.length > 0 
-      ? validBooks.reduce((sum, book) => sum + book.confidence, 0) / validBooks.length 
-      : 0;
+    // Structured output should be bare JSON; strip markdown fences in case the model added them anyway
+    const cleanResponse = (rawResponse || '')
+      .trim()
+      .replace(/^```(?:json)?\s*\n?/i, '')
+      .replace(/\n?```$/i, '');
 
+    parsed = JSON.parse(cleanResponse);
+  } catch (error) {
     return {
-      books: validBooks,
-      confidence: averageConfidence,
-      processingTime: processingTime,
-      summary: parsed.summary || {
-        totalBooksIdentified: validBooks.length,
-        averageConfidence: averageConfidence,
-        notes: 'Analysis completed successfully'
-      }
+      books: [],
+      confidence: 0,
+      processingTime: Date.now() - startTime,
+      summary: null,
+      validation: { valid: false, errors: [{ path: '$', message: `is not valid JSON (${error.message})` }] }
     };
+  }
 
-  } catch (error) {
-    console.error('Failed to parse OpenAI response:', error);
-    console.error('Raw response was:', rawResponse);
-    
-    // Attempt to extract books using regex as fallback
-    const fallbackBooks = extractBooksWithRegex(rawResponse);
-    
+  const validation = schemaValidator.validate(parsed, BOOK_LIST_RESPONSE_SCHEMA);
+  if (!validation.valid) {
     return {
-      books: fallbackBooks,
-      confidence: 0.5,
+      books: [],
+      confidence: 0,
       processingTime: Date.now() - startTime,
-      summary: {
-        totalBooksIdentified: fallbackBooks.length,
-        averageConfidence: 0.5,
-        notes: 'Parsed using fallback method due to JSON parsing error'
-      }
+      summary: null,
+      validation
     };
   }
-}
 
-/**
- * Fallback method to extract books using regex patterns
- * @param {string} text - Text to extract books from
- * @returns {Array} Array of book objects
- */
-function extractBooksWithRegex(text) {
-  const books = [];
-  const lines = text.split('\n');
-  
-  for (const line of lines) {
-    // Look for title patterns
-    const titleMatch = line.match(/(?:title|book):\s*["']?([^"'\n]+)["']?/i);
-    const authorMatch = line.match(/author:\s*["']?([^"'\n]+)["']?/i);
-    
-    if (titleMatch) {
-      books.push({
-        title: titleMatch[1].trim(),
-        author: authorMatch ? authorMatch[1].trim() : null,
-        confidence: 0.6,
-        position: null,
-        spineColor: null,
-        genre: null
-      });
-    }
-  }
-  
-  return books;
+  // Normalize the structure
+  const validBooks = parsed.books
+    .filter(book => book.title.trim().length > 0)
+    .map(book => ({
+      title: book.title.trim(),
+      author: book.author ? book.author.trim() : null,
+      series: book.series ? book.series.trim() : null,
+      volume: book.volume || null,
+      genre: book.genre ? book.genre.trim() : null,
+      confidence: Math.max(0.1, Math.min(1.0, book.confidence || 0.7)),
+      spineColor: book.spineColor ? book.spineColor.trim() : null,
+      position: book.position ? book.position.trim() : null,
+      condition: book.condition ? book.condition.trim() : null
+    }));
+
+  const averageConfidence = validBooks.length > 0
+    ? validBooks.reduce((sum, book) => sum + book.confidence, 0) / validBooks.length
+    : 0;
+
+  return {
+    books: validBooks,
+    confidence: averageConfidence,
+    processingTime: Date.now() - startTime,
+    summary: parsed.summary,
+    validation
+  };
 }
 
 /**
@@ -319,5 +482,6 @@ module.exports = {
   validateImageForAnalysis,
   getUsageStats,
   createBookshelfAnalysisPrompt,
-  parseBookshelfAnalysis
+  parseBookshelfAnalysis,
+  BOOK_LIST_SCHEMA
 };
\ No newline at end of file
@@ -0,0 +1,763 @@
+const bookCorrections = require('./bookCorrections');
+const bookIdentity = require('./bookIdentity');
+const { query, transaction, findById } = require('../utils/database');
+const { parseIsbn } = require('../utils/isbn');
+
+const STATUSES = ['want_to_read', 'reading', 'read'];
+
+// Sort options for listing, mapped to columns
+const SORT_COLUMNS = {
+  added: 'date_added',
+  updated: 'updated_at',
+  title: 'book_title',
+  author: 'book_author',
+  rating: 'rating',
+  started: 'started_at',
+  finished: 'finished_at'
+};
+
+// Actual / expected ratios at or above which a goal counts as ahead or on track
+const AHEAD_RATIO = 1.1;
+const ON_TRACK_RATIO = 0.9;
+
+// Days of logged reading the pages-per-day pace is averaged over
+const PACE_WINDOW_DAYS = 7;
+
+/**
+ * Reading history and progress
+ * Books a session wants to read, is reading or has read live in `reading_history`, one entry per
+ * work, with their rating, current page, page count and start/finish dates. Status changes set
+ * those dates (see getStatusChanges). Each progress update also adds the pages read to that day's row in
+ * `reading_progress`, which pace and streaks are computed from. Dates are calendar days in the
+ * server's time zone ('YYYY-MM-DD').
+ */
+class ReadingHistory {
+  /**
+   * Start reading a book that is not in the history yet
+   * @param {string} sessionId - Device session ID
+   * @param {object} book - {title, author, isbn, pageCount}
+   * @param {object} options - {date: 'YYYY-MM-DD' it was started, default today; db: client for use inside a transaction}
+   * @returns {Promise<object>} reading_history row
+   * @throws {Error} INVALID_READING_ENTRY or DUPLICATE_READING_ENTRY
+   */
+  async startBook(sessionId, book, options = {}) {
+    return this.addEntry(sessionId, { ...book, status: 'reading', startedAt: options.date }, { db: options.db });
+  }
+
+  /**
+   * Get one reading history entry owned by a session
+   * @param {string} sessionId - Device session ID
+   * @param {number|string} entryId - reading_history ID
+   * @returns {Promise<object|null>} Row, or null if missing or owned by another session
+   */
+  async getEntry(sessionId, entryId) {
+    const id = parseInt(entryId);
+    if (!Number.isInteger(id)) return null;
+
+    const entry = await findById('reading_history', id);
+    return entry && entry.session_id === sessionId ? entry : null;
+  }
+
+  /**
+   * Page through a session's reading history
+   * @param {string} sessionId - Device session ID
+   * @param {object} options - {status, minRating, search, sort (see SORT_COLUMNS), order: 'asc'|'desc', limit, offset}
+   * @returns {Promise<object>} {entries: rows, totalCount, limit, offset}
+   * @throws {Error} INVALID_READING_ENTRY for an unknown status or sort
+   */
+  async listEntries(sessionId, options = {}) {
+    const conditions = ['session_id = $1'];
+    const params = [sessionId];
+
+    if (options.status) {
+      const statuses = String(options.status).split(',');
+      if (statuses.some(status => !STATUSES.includes(status))) {
+        throw this.invalidEntry(`status must be one of: ${STATUSES.join(', ')}`);
+      }
+      params.push(statuses);
+      conditions.push(`status = ANY($${params.length})`);
+    }
+
+    if (options.minRating) {
+      params.push(parseInt(options.minRating) || 1);
+      conditions.push(`rating >= $${params.length}`);
+    }
+
+    if (options.search) {
+      params.push(`%${options.search}%`);
+      conditions.push(`(book_title ILIKE $${params.length} OR book_author ILIKE $${params.length})`);
+    }
+
+    const sort = options.sort || 'added';
+    if (!SORT_COLUMNS[sort]) {
+      throw this.invalidEntry(`sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}`);
+    }
+    const order = String(options.order || (['title', 'author'].includes(sort) ? 'asc' : 'desc')).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+
+    const where = conditions.join(' AND ');
+    const countResult = await query(`SELECT COUNT(*) AS count FROM reading_history WHERE ${where}`, params);
+
+    const limit = Math.min(Math.max(parseInt(options.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(options.offset) || 0, 0);
+    const result = await query(
+      `SELECT * FROM reading_history WHERE ${where}
+       ORDER BY ${SORT_COLUMNS[sort]} ${order} NULLS LAST, id DESC
+       LIMIT ${limit} OFFSET ${offset}`,
+      params
+    );
+
+    return {
+      entries: result.rows,
+      totalCount: parseInt(countResult.rows[0].count),
+      limit,
+      offset
+    };
+  }
+
+  /**
+   * Add a book to the reading history
+   * @param {string} sessionId - Device session ID
+   * @param {object} fields - {title, author, isbn, status (default 'read'), rating, notes, pageCount, goodreadsBookId, startedAt, finishedAt}
+   * @param {object} options - {db: client for use inside a transaction}
+   * @returns {Promise<object>} reading_history row
+   * @throws {Error} INVALID_READING_ENTRY, or DUPLICATE_READING_ENTRY (with duplicateId) when the work is already in the history
+   */
+  async addEntry(sessionId, fields, options = {}) {
+    const db = options.db || { query };
+    const values = this.parseFields(fields);
+    if (!values.book_title) {
+      throw this.invalidEntry('Book title is required');
+    }
+
+    await this.assertNotDuplicate(db, sessionId, values);
+
+    const empty = { status: null, started_at: null, finished_at: null, pages_read: 0, page_count: values.page_count ?? null };
+    const changes = this.getStatusChanges(empty, values.status || 'read', fields);
+
+    const row = { session_id: sessionId, ...values, ...changes };
+    const columns = Object.keys(row);
+    const result = await db.query(
+      `INSERT INTO reading_history (${columns.join(', ')})
+       VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})
+       RETURNING *`,
+      Object.values(row)
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Edit a reading history entry
+   * Changing the status sets the start/finish dates and current page to match; startedAt and
+   * finishedAt ('YYYY-MM-DD') set them explicitly. The edit runs in a transaction on the locked row;
+   * editing the title, author or ISBN locks all the session's entries for the duplicate check.
+   * @param {string} sessionId - Device session ID
+   * @param {object} entry - Current reading_history row
+   * @param {object} changes - Any of the fields addEntry takes (null clears rating, notes, pageCount)
+   * @returns {Promise<object|null>} Updated row, or null if the entry was removed meanwhile
+   * @throws {Error} INVALID_READING_ENTRY or DUPLICATE_READING_ENTRY
+   */
+  async updateEntry(sessionId, entry, changes) {
+    const values = this.parseFields(changes);
+    if (values.book_title === null) {
+      throw this.invalidEntry('Book title cannot be empty');
+    }
+
+    const identityChanging = values.book_title !== undefined || values.book_author !== undefined || Boolean(values.isbn);
+
+    return transaction(async (client) => {
+      // Same lock order as assertNotDuplicate (session rows by ID), so concurrent edits cannot deadlock
+      const locked = identityChanging
+        ? await client.query('SELECT * FROM reading_history WHERE session_id = $1 ORDER BY id FOR UPDATE', [sessionId])
+        : await client.query('SELECT * FROM reading_history WHERE id = $1 AND session_id = $2 FOR UPDATE', [entry.id, sessionId]);
+      const current = locked.rows.find(row => row.id === entry.id);
+      if (!current) return null;
+
+      if (identityChanging) {
+        await this.assertNotDuplicate(client, sessionId, {
+          book_title: values.book_title ?? current.book_title,
+          book_author: values.book_author !== undefined ? values.book_author : current.book_author,
+          isbn: values.isbn !== undefined ? values.isbn : current.isbn
+        }, current.id);
+      }
+
+      const statusChanging = values.status !== undefined && values.status !== current.status;
+      const datesGiven = changes.startedAt !== undefined || changes.finishedAt !== undefined;
+      const updates = { ...values };
+      if (statusChanging || datesGiven) {
+        Object.assign(updates, this.getStatusChanges(
+          { ...current, page_count: values.page_count !== undefined ? values.page_count : current.page_count },
+          values.status || current.status,
+          changes
+        ));
+      }
+
+      const columns = Object.keys(updates);
+      if (columns.length === 0) return current;
+
+      const result = await client.query(
+        `UPDATE reading_history SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')},
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [current.id, ...Object.values(updates)]
+      );
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Remove an entry (and its logged progress)
+   * @param {string} sessionId - Device session ID
+   * @param {number|string} entryId - reading_history ID
+   * @returns {Promise<boolean>} Whether a row was removed
+   */
+  async removeEntry(sessionId, entryId) {
+    const id = parseInt(entryId);
+    if (!Number.isInteger(id)) return false;
+
+    const result = await query('DELETE FROM reading_history WHERE id = $1 AND session_id = $2', [id, sessionId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Add detected books from a completed upload to the reading history
+   * Rejected and merged detections are never added, and books already in the history are left as
+   * they are; without bookIndexes, books the user accepted or edited are added whatever their confidence.
+   * @param {string} sessionId - Device session ID
+   * @param {object} uploadRecord - image_uploads row
+   * @param {object} options - {bookIndexes, minConfidence (default 0.5), status (default 'read')}
+   * @returns {Promise<object>} {added: rows, existing: [{title, author, entryId}], skipped}
+   */
+  async importFromUpload(sessionId, uploadRecord, options = {}) {
+    const status = options.status || 'read';
+    if (!STATUSES.includes(status)) {
+      throw this.invalidEntry(`status must be one of: ${STATUSES.join(', ')}`);
+    }
+
+    const detectedBooks = uploadRecord.extracted_books || [];
+    const minConfidence = options.minConfidence ?? 0.5;
+    const selected = (Array.isArray(options.bookIndexes)
+      ? options.bookIndexes
+        .filter(index => Number.isInteger(index) && index >= 0 && index < detectedBooks.length)
+        .map(index => detectedBooks[index])
+      : detectedBooks.filter(book =>
+        ['accepted', 'edited'].includes(book.review?.status) || (book.confidence || 0) >= minConfidence
+      ))
+      .filter(book => book.title && !bookCorrections.isDiscarded(book));
+
+    return transaction(async (client) => {
+      const added = [];
+      const existing = [];
+
+      for (const book of selected) {
+        try {
+          added.push(await this.addEntry(sessionId, {
+            title: book.title,
+            author: book.author,
+            isbn: parseIsbn(book.isbn || '') ? book.isbn : undefined,
+            status
+          }, { db: client }));
+        } catch (error) {
+          if (error.code !== 'DUPLICATE_READING_ENTRY') throw error;
+          existing.push({ title: book.title, author: book.author || null, entryId: error.duplicateId });
+        }
+      }
+
+      return { added, existing, skipped: detectedBooks.length - selected.length };
+    });
+  }
+
+  /**
+   * Column values for a status, keeping the entry's dates where they still apply
+   * - want_to_read: no dates, page 0
+   * - reading: started today unless already started (re-reading a read book restarts it)
+   * - read: finished today when it was being read (a book added or marked read without finishedAt
+   *   keeps no finish date, so it does not count towards this month's goal), current page at the end when known
+   * @param {object} entry - Current row ({status, started_at, finished_at, pages_read, page_count})
+   * @param {string} status - New status
+   * @param {object} dates - {startedAt, finishedAt}: 'YYYY-MM-DD' overrides (null clears)
+   * @returns {object} {status, started_at, finished_at, pages_read}
+   * @throws {Error} INVALID_READING_ENTRY for bad dates or a finish before the start
+   */
+  getStatusChanges(entry, status, dates = {}) {
+    const today = this.parseDay();
+    const day = (value, field) => {
+      if (value === undefined) return undefined;
+      if (value === null) return null;
+      try {
+        return this.parseDay(value);
+      } catch (error) {
+        throw this.invalidEntry(error.message.replace(/^date/, field));
+      }
+    };
+    const startedAt = day(dates.startedAt, 'startedAt');
+    const finishedAt = day(dates.finishedAt, 'finishedAt');
+    const rereading = entry.status === 'read' && status === 'reading';
+
+    let changes;
+    if (status === 'want_to_read') {
+      changes = { status, started_at: null, finished_at: null, pages_read: 0 };
+    } else if (status === 'reading') {
+      changes = {
+        status,
+        started_at: startedAt !== undefined ? startedAt : (!rereading && entry.started_at) || today,
+        finished_at: null,
+        pages_read: rereading ? 0 : entry.pages_read
+      };
+    } else {
+      changes = {
+        status,
+        started_at: startedAt !== undefined ? startedAt : entry.started_at,
+        finished_at: finishedAt !== undefined ? finishedAt
+          : entry.status === 'read' ? entry.finished_at
+            : entry.status === 'reading' ? today : null,
+        pages_read: entry.page_count || entry.pages_read
+      };
+    }
+
+    if (changes.started_at && changes.finished_at && new Date(changes.finished_at) < new Date(changes.started_at)) {
+      throw this.invalidEntry('finishedAt cannot be before startedAt');
+    }
+    return changes;
+  }
+
+  /**
+   * Validate editable fields from a request and map them to columns
+   * Fields not given are left out; status is returned as given for getStatusChanges.
+   * @param {object} fields - {title, author, isbn, status, rating, notes, pageCount, goodreadsBookId}
+   * @returns {object} Column values
+   * @throws {Error} INVALID_READING_ENTRY
+   */
+  parseFields(fields) {
+    const values = {};
+    const text = (value, maxLength) => {
+      if (value === null) return null;
+      if (typeof value !== 'string') throw this.invalidEntry('Text fields must be strings');
+      return value.trim().slice(0, maxLength) || null;
+    };
+
+    if (fields.title !== undefined) values.book_title = text(fields.title, 500);
+    if (fields.author !== undefined) values.book_author = text(fields.author, 300);
+    if (fields.notes !== undefined) values.notes = text(fields.notes, 5000);
+    if (fields.goodreadsBookId !== undefined) values.goodreads_book_id = text(fields.goodreadsBookId, 50);
+
+    if (fields.isbn !== undefined) {
+      const isbn = fields.isbn ? parseIsbn(fields.isbn) : null;
+      if (fields.isbn && !isbn) throw this.invalidEntry(`Invalid ISBN: ${fields.isbn}`);
+      values.isbn = isbn ? isbn.isbn13 : null;
+    }
+
+    if (fields.status !== undefined) {
+      if (!STATUSES.includes(fields.status)) {
+        throw this.invalidEntry(`status must be one of: ${STATUSES.join(', ')}`);
+      }
+      values.status = fields.status;
+    }
+
+    if (fields.rating !== undefined) {
+      if (fields.rating !== null && !(Number.isInteger(fields.rating) && fields.rating >= 1 && fields.rating <= 5)) {
+        throw this.invalidEntry('rating must be a whole number from 1 to 5');
+      }
+      values.rating = fields.rating;
+    }
+
+    if (fields.pageCount !== undefined) values.page_count = this.parsePageCount(fields.pageCount);
+
+    return values;
+  }
+
+  /**
+   * Throw DUPLICATE_READING_ENTRY if the session's history already has the work
+   * Inside a transaction the session's entries stay locked until it ends, so concurrent adds and
+   * edits of the same session check one after the other.
+   * @param {object} db - Database client or module exposing query()
+   * @param {string} sessionId - Device session ID
+   * @param {object} book - {book_title, book_author, isbn}
+   * @param {number|null} exceptId - Entry being edited
+   */
+  async assertNotDuplicate(db, sessionId, book, exceptId = null) {
+    const result = await db.query(
+      'SELECT id, book_title, book_author, isbn FROM reading_history WHERE session_id = $1 ORDER BY id FOR UPDATE',
+      [sessionId]
+    );
+    const asBook = row => ({ title: row.book_title, author: row.book_author, isbn: row.isbn });
+    const duplicate = result.rows.find(row => row.id !== exceptId && bookIdentity.isSameWork(asBook(row), asBook(book)));
+
+    if (duplicate) {
+      const error = new Error(`"${duplicate.book_title}" is already in your reading history`);
+      error.code = 'DUPLICATE_READING_ENTRY';
+      error.duplicateId = duplicate.id;
+      throw error;
+    }
+  }
+
+  /**
+   * Books the recommendation engine should treat as read: status read or reading
+   * @param {string} sessionId - Device session ID
+   * @returns {Promise<Array>} [{title, author, isbn, rating}]
+   */
+  async getBooksForRecommendations(sessionId) {
+    const result = await query(
+      `SELECT book_title, book_author, isbn, rating FROM reading_history
+       WHERE session_id = $1 AND status IN ('read', 'reading')`,
+      [sessionId]
+    );
+    return result.rows.map(row => ({
+      title: row.book_title,
+      author: row.book_author,
+      isbn: row.isbn,
+      rating: row.rating
+    }));
+  }
+
+  /**
+   * Record how far a session has got in a book
+   * Pages past the previous position are credited to the day read; moving back (a correction)
+   * changes the position but not the logged days. Reaching the last page, or `finished`, marks
+   * the book read. A book already read stays read, with its finish date, unless `finished: false`
+   * is sent to reopen it.
+   * @param {string} sessionId - Device session ID
+   * @param {object} entry - reading_history row owned by the session
+   * @param {object} progress - {currentPage, pageCount, finished, date: 'YYYY-MM-DD', default today}
+   * @param {object} options - {db: client of a transaction to run in, default a transaction of its own}
+   * @returns {Promise<object>} {entry: updated row, pagesLogged}
+   * @throws {Error} INVALID_READING_ENTRY for pages outside the book or dates in the future
+   */
+  async recordProgress(sessionId, entry, progress, options = {}) {
+    const readOn = this.parseDay(progress.date);
+
+    const record = async (client) => {
+      const current = (await client.query('SELECT * FROM reading_history WHERE id = $1 FOR UPDATE', [entry.id])).rows[0];
+
+      const pageCount = progress.pageCount !== undefined ? this.parsePageCount(progress.pageCount) : current.page_count;
+      let currentPage = current.pages_read;
+      if (progress.currentPage !== undefined) {
+        currentPage = progress.currentPage;
+        if (!Number.isInteger(currentPage) || currentPage < 0 || (pageCount && currentPage > pageCount)) {
+          throw this.invalidEntry(`currentPage must be a whole number from 0 to ${pageCount || 'the page count'}`);
+        }
+      }
+
+      const staysRead = current.status === 'read' && progress.finished !== false;
+      const finished = staysRead || progress.finished === true || Boolean(pageCount && currentPage >= pageCount);
+      if (finished && pageCount) currentPage = pageCount;
+
+      let finishedAt = null;
+      if (staysRead) finishedAt = current.finished_at;
+      else if (finished) finishedAt = current.finished_at || readOn;
+
+      const result = await client.query(
+        `UPDATE reading_history SET
+           pages_read = $2,
+           page_count = $3,
+           status = $4,
+           started_at = COALESCE(started_at, $5),
+           finished_at = $6,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [current.id, currentPage, pageCount, finished ? 'read' : 'reading', readOn, finishedAt]
+      );
+
+      const pagesLogged = Math.max(0, currentPage - current.pages_read);
+      if (pagesLogged > 0) {
+        await client.query(
+          `INSERT INTO reading_progress (session_id, reading_history_id, read_on, pages)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (reading_history_id, read_on) DO UPDATE SET
+             pages = reading_progress.pages + EXCLUDED.pages,
+             updated_at = CURRENT_TIMESTAMP`,
+          [sessionId, current.id, this.toDateKey(readOn), pagesLogged]
+        );
+      }
+
+      return { entry: result.rows[0], pagesLogged };
+    };
+
+    return options.db ? record(options.db) : transaction(record);
+  }
+
+  /**
+   * Progress towards a session's reading goals
+   * @param {string} sessionId - Device session ID
+   * @param {object} goals - preferences.readingGoals
+   * @param {Date} now - Current time
+   * @returns {Promise<object>} See buildProgress
+   */
+  async getProgress(sessionId, goals = {}, now = new Date()) {
+    const finishedResult = await query(
+      `SELECT finished_at FROM reading_history
+       WHERE session_id = $1 AND status = 'read' AND finished_at IS NOT NULL`,
+      [sessionId]
+    );
+    const daysResult = await query(
+      `SELECT read_on, SUM(pages) AS pages FROM reading_progress
+       WHERE session_id = $1 GROUP BY read_on ORDER BY read_on`,
+      [sessionId]
+    );
+    const readingResult = await query(
+      `SELECT * FROM reading_history WHERE session_id = $1 AND status = 'reading'
+       ORDER BY started_at DESC NULLS LAST, id DESC`,
+      [sessionId]
+    );
+
+    return this.buildProgress({
+      finishedDates: finishedResult.rows.map(row => row.finished_at),
+      days: daysResult.rows.map(row => ({ date: this.toDateKey(row.read_on), pages: parseInt(row.pages) })),
+      reading: readingResult.rows,
+      goals,
+      today: this.toDateKey(now)
+    });
+  }
+
+  /**
+   * Compute pace, projections and streaks
+   * Books are measured against booksPerMonth for the current calendar month, pages against
+   * pagesPerDay using the average of the last PACE_WINDOW_DAYS days. Projections assume the
+   * pace so far continues.
+   * @param {object} data - {finishedDates, days: [{date, pages}], reading: reading_history rows, goals, today: 'YYYY-MM-DD'}
+   * @returns {object} {date, books, pages, streaks, currentlyReading}
+   */
+  buildProgress({ finishedDates, days, reading, goals = {}, today }) {
+    const [year, month, dayOfMonth] = today.split('-').map(Number);
+    const daysInMonth = new Date(year, month, 0).getDate();
+    const monthPrefix = today.slice(0, 7);
+
+    // Books this month
+    const finishedThisMonth = finishedDates
+      .map(date => this.toDateKey(date))
+      .filter(date => date.startsWith(monthPrefix) && date <= today)
+      .sort();
+    const booksTarget = goals.booksPerMonth || null;
+    const booksExpected = booksTarget ? booksTarget * dayOfMonth / daysInMonth : null;
+    const booksPerDay = finishedThisMonth.length / dayOfMonth;
+
+    let projectedCompletion = null;
+    if (booksTarget && finishedThisMonth.length >= booksTarget) {
+      projectedCompletion = finishedThisMonth[Math.ceil(booksTarget) - 1];
+    } else if (booksTarget && booksPerDay > 0) {
+      projectedCompletion = this.addDays(today, Math.ceil((booksTarget - finishedThisMonth.length) / booksPerDay));
+    }
+
+    // Pages
+    const pagesByDay = new Map(days.filter(day => day.pages > 0).map(day => [day.date, day.pages]));
+    const windowStart = this.addDays(today, -(PACE_WINDOW_DAYS - 1));
+    const sumPages = (from, to) => [...pagesByDay]
+      .filter(([date]) => date >= from && date <= to)
+      .reduce((sum, [, pages]) => sum + pages, 0);
+    const lastWindow = sumPages(windowStart, today);
+    const averagePerDay = Math.round((lastWindow / PACE_WINDOW_DAYS) * 10) / 10;
+    const pagesTarget = goals.pagesPerDay || null;
+
+    return {
+      date: today,
+      books: {
+        target: booksTarget,
+        finishedThisMonth: finishedThisMonth.length,
+        expectedByNow: booksExpected === null ? null : Math.round(booksExpected * 10) / 10,
+        pace: this.getPace(finishedThisMonth.length, booksExpected),
+        projectedThisMonth: Math.round(booksPerDay * daysInMonth * 10) / 10,
+        projectedCompletion,
+        completed: Boolean(booksTarget && finishedThisMonth.length >= booksTarget)
+      },
+      pages: {
+        target: pagesTarget,
+        today: pagesByDay.get(today) || 0,
+        lastDays: PACE_WINDOW_DAYS,
+        lastDaysTotal: lastWindow,
+        averagePerDay,
+        monthToDate: sumPages(`${monthPrefix}-01`, today),
+        pace: this.getPace(averagePerDay, pagesTarget)
+      },
+      streaks: this.getStreaks([...pagesByDay.keys()], today),
+      currentlyReading: reading.map(entry => this.projectBook(entry, today))
+    };
+  }
+
+  /**
+   * Where a book in progress stands and when it will be finished at its reading rate so far
+   * @param {object} entry - reading_history row
+   * @param {string} today - 'YYYY-MM-DD'
+   * @returns {object} {id, title, author, currentPage, pageCount, percent, pagesPerDay, projectedFinish}
+   */
+  projectBook(entry, today) {
+    const startedOn = entry.started_at ? this.toDateKey(entry.started_at) : today;
+    const daysReading = this.daysBetween(startedOn, today) + 1;
+    const pagesPerDay = entry.pages_read / Math.max(1, daysReading);
+    const remaining = entry.page_count ? entry.page_count - entry.pages_read : null;
+
+    return {
+      id: entry.id,
+      title: entry.book_title,
+      author: entry.book_author,
+      currentPage: entry.pages_read,
+      pageCount: entry.page_count,
+      percent: entry.page_count ? Math.round((entry.pages_read / entry.page_count) * 100) : null,
+      pagesPerDay: Math.round(pagesPerDay * 10) / 10,
+      projectedFinish: remaining !== null && pagesPerDay > 0
+        ? this.addDays(today, Math.ceil(remaining / pagesPerDay))
+        : null
+    };
+  }
+
+  /**
+   * Consecutive days with reading logged
+   * Today not being logged yet does not break the current streak.
+   * @param {Array<string>} dates - Days with pages read ('YYYY-MM-DD')
+   * @param {string} today - 'YYYY-MM-DD'
+   * @returns {object} {current, longest, lastReadOn}
+   */
+  getStreaks(dates, today) {
+    const logged = new Set(dates);
+    const sorted = [...logged].filter(date => date <= today).sort();
+
+    let longest = 0;
+    let run = 0;
+    sorted.forEach((date, index) => {
+      run = index > 0 && this.addDays(sorted[index - 1], 1) === date ? run + 1 : 1;
+      longest = Math.max(longest, run);
+    });
+
+    let current = 0;
+    let day = logged.has(today) ? today : this.addDays(today, -1);
+    while (logged.has(day)) {
+      current++;
+      day = this.addDays(day, -1);
+    }
+
+    return { current, longest, lastReadOn: sorted[sorted.length - 1] || null };
+  }
+
+  /**
+   * Compare actual progress with what the target calls for by now
+   * @param {number} actual - Actual value
+   * @param {number|null} expected - Expected value (null when there is no target)
+   * @returns {string|null} 'ahead', 'on_track', 'behind', or null without a target
+   */
+  getPace(actual, expected) {
+    if (expected === null || expected === undefined) return null;
+    if (expected === 0) return 'on_track';
+
+    const ratio = actual / expected;
+    if (ratio >= AHEAD_RATIO) return 'ahead';
+    if (ratio >= ON_TRACK_RATIO) return 'on_track';
+    return 'behind';
+  }
+
+  /**
+   * API shape of a reading history entry
+   * @param {object} row - reading_history row
+   * @returns {object} Entry
+   */
+  formatEntry(row) {
+    return {
+      id: row.id,
+      title: row.book_title,
+      author: row.book_author,
+      isbn: row.isbn,
+      status: row.status,
+      rating: row.rating,
+      notes: row.notes,
+      currentPage: row.pages_read,
+      pageCount: row.page_count,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      goodreadsBookId: row.goodreads_book_id,
+      addedAt: row.date_added,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Parse a day from a request ('YYYY-MM-DD'); today when none is given
+   * @param {string|undefined} value - Day
+   * @returns {Date} Local midnight of the day
+   * @throws {Error} INVALID_READING_ENTRY for malformed or future days
+   */
+  parseDay(value) {
+    const today = this.toDateKey(new Date());
+    const key = value === undefined || value === null ? today : value;
+
+    if (typeof key !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(key) || this.toDateKey(this.fromDateKey(key)) !== key) {
+      throw this.invalidEntry('date must be a day in YYYY-MM-DD format');
+    }
+    if (key > today) {
+      throw this.invalidEntry('date cannot be in the future');
+    }
+    return this.fromDateKey(key);
+  }
+
+  /**
+   * Parse a page count from a request
+   * @param {*} value - Page count (null clears it)
+   * @returns {number|null} Page count
+   * @throws {Error} INVALID_READING_ENTRY unless a positive whole number or null
+   */
+  parsePageCount(value) {
+    if (value === undefined || value === null) return null;
+    if (!Number.isInteger(value) || value < 1 || value > 20000) {
+      throw this.invalidEntry('pageCount must be a whole number from 1 to 20000');
+    }
+    return value;
+  }
+
+  /**
+   * INVALID_READING_ENTRY error
+   * @param {string} message - Message
+   * @returns {Error} Error with code
+   */
+  invalidEntry(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_READING_ENTRY';
+    return error;
+  }
+
+  /**
+   * Calendar day of a date in the server's time zone
+   * @param {Date|string} date - Date (strings already in 'YYYY-MM-DD' form pass through)
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  toDateKey(date) {
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+    const value = new Date(date);
+    const pad = number => String(number).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+
+  /**
+   * Local midnight of a calendar day
+   * @param {string} key - 'YYYY-MM-DD'
+   * @returns {Date} Date
+   */
+  fromDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * Shift a calendar day
+   * @param {string} key - 'YYYY-MM-DD'
+   * @param {number} days - Days to add (negative to go back)
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  addDays(key, days) {
+    const date = this.fromDateKey(key);
+    date.setDate(date.getDate() + days);
+    return this.toDateKey(date);
+  }
+
+  /**
+   * Whole days from one calendar day to another
+   * @param {string} from - 'YYYY-MM-DD'
+   * @param {string} to - 'YYYY-MM-DD'
+   * @returns {number} Days (negative if `to` is earlier)
+   */
+  daysBetween(from, to) {
+    return Math.round((this.fromDateKey(to) - this.fromDateKey(from)) / (24 * 60 * 60 * 1000));
+  }
+}
+
+// Create singleton instance
+const readingHistory = new ReadingHistory();
+
+module.exports = readingHistory;
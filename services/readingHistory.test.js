@@ -0,0 +1,361 @@
+// The date logic is pure; keep the database and correction lookups out of the test run
+jest.mock('../utils/database', () => ({}));
+jest.mock('./bookCorrections', () => ({ isDiscarded: () => false }));
+
+const readingHistory = require('./readingHistory');
+
+// Fixed clock for everything that defaults to today: noon on 18 October 2026, local time
+const NOW = new Date(2026, 9, 18, 12);
+const TODAY = '2026-10-18';
+
+const day = key => readingHistory.fromDateKey(key);
+
+/**
+ * buildProgress input with nothing logged
+ * @param {object} overrides - Fields to replace
+ * @returns {object} Progress data
+ */
+function progressData(overrides = {}) {
+  return { finishedDates: [], days: [], reading: [], goals: {}, today: TODAY, ...overrides };
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(NOW);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('calendar helpers', () => {
+  test('addDays crosses month and year boundaries', () => {
+    expect(readingHistory.addDays('2026-01-31', 1)).toBe('2026-02-01');
+    expect(readingHistory.addDays('2026-03-01', -1)).toBe('2026-02-28');
+    expect(readingHistory.addDays('2024-03-01', -1)).toBe('2024-02-29');
+    expect(readingHistory.addDays('2025-12-31', 1)).toBe('2026-01-01');
+    expect(readingHistory.addDays('2026-01-01', -1)).toBe('2025-12-31');
+  });
+
+  test('addDays and daysBetween count calendar days across a daylight saving change', () => {
+    expect(readingHistory.addDays('2026-03-28', 2)).toBe('2026-03-30');
+    expect(readingHistory.daysBetween('2026-03-28', '2026-03-30')).toBe(2);
+    expect(readingHistory.daysBetween('2026-10-24', '2026-10-26')).toBe(2);
+  });
+
+  test('daysBetween is negative when the second day is earlier', () => {
+    expect(readingHistory.daysBetween('2026-02-01', '2026-01-31')).toBe(-1);
+    expect(readingHistory.daysBetween('2025-12-31', '2026-01-01')).toBe(1);
+  });
+
+  test('toDateKey uses the local calendar day', () => {
+    expect(readingHistory.toDateKey(new Date(2026, 9, 1, 0, 30))).toBe('2026-10-01');
+    expect(readingHistory.toDateKey(new Date(2026, 8, 30, 23, 30))).toBe('2026-09-30');
+    expect(readingHistory.toDateKey('2026-10-01')).toBe('2026-10-01');
+  });
+});
+
+describe('parseDay', () => {
+  test('defaults to local midnight today', () => {
+    expect(readingHistory.parseDay()).toEqual(day(TODAY));
+    expect(readingHistory.parseDay(null)).toEqual(day(TODAY));
+  });
+
+  test('parses past days and today', () => {
+    expect(readingHistory.parseDay('2026-09-30')).toEqual(new Date(2026, 8, 30));
+    expect(readingHistory.parseDay(TODAY)).toEqual(new Date(2026, 9, 18));
+    expect(readingHistory.parseDay('2024-02-29')).toEqual(new Date(2024, 1, 29));
+  });
+
+  test('rejects malformed and impossible days', () => {
+    for (const value of ['2026-02-30', '2025-02-29', '2026-13-01', '2026-10-1', '18/10/2026', '', 20261018]) {
+      expect(() => readingHistory.parseDay(value)).toThrow('date must be a day in YYYY-MM-DD format');
+    }
+  });
+
+  test('rejects future days', () => {
+    expect(() => readingHistory.parseDay('2026-10-19')).toThrow('date cannot be in the future');
+    expect(() => readingHistory.parseDay('2027-01-01')).toThrow('date cannot be in the future');
+  });
+
+  test('throws INVALID_READING_ENTRY errors', () => {
+    expect.assertions(1);
+    try {
+      readingHistory.parseDay('2026-02-30');
+    } catch (error) {
+      expect(error.code).toBe('INVALID_READING_ENTRY');
+    }
+  });
+});
+
+describe('getStatusChanges', () => {
+  const reading = { status: 'reading', started_at: day('2026-10-01'), finished_at: null, pages_read: 120, page_count: 300 };
+  const read = { status: 'read', started_at: day('2026-09-01'), finished_at: day('2026-09-20'), pages_read: 300, page_count: 300 };
+  const wanted = { status: 'want_to_read', started_at: null, finished_at: null, pages_read: 0, page_count: 250 };
+
+  test('finishing a book being read sets today as the finish date', () => {
+    expect(readingHistory.getStatusChanges(reading, 'read')).toEqual({
+      status: 'read',
+      started_at: day('2026-10-01'),
+      finished_at: day(TODAY),
+      pages_read: 300
+    });
+  });
+
+  test('a book added or marked read without a finish date keeps none', () => {
+    const added = { status: null, started_at: null, finished_at: null, pages_read: 0, page_count: null };
+    expect(readingHistory.getStatusChanges(added, 'read').finished_at).toBeNull();
+    expect(readingHistory.getStatusChanges(wanted, 'read')).toEqual({
+      status: 'read',
+      started_at: null,
+      finished_at: null,
+      pages_read: 250
+    });
+  });
+
+  test('editing a read book keeps its finish date', () => {
+    expect(readingHistory.getStatusChanges(read, 'read').finished_at).toEqual(day('2026-09-20'));
+  });
+
+  test('re-reading a read book restarts it today', () => {
+    expect(readingHistory.getStatusChanges(read, 'reading')).toEqual({
+      status: 'reading',
+      started_at: day(TODAY),
+      finished_at: null,
+      pages_read: 0
+    });
+  });
+
+  test('re-reading a read book can start on a given day', () => {
+    expect(readingHistory.getStatusChanges(read, 'reading', { startedAt: '2026-10-10' }).started_at).toEqual(day('2026-10-10'));
+  });
+
+  test('a book already being read keeps its start date and page', () => {
+    const changes = readingHistory.getStatusChanges(reading, 'reading');
+    expect(changes.started_at).toEqual(day('2026-10-01'));
+    expect(changes.pages_read).toBe(120);
+  });
+
+  test('starting a book starts it today', () => {
+    expect(readingHistory.getStatusChanges(wanted, 'reading').started_at).toEqual(day(TODAY));
+  });
+
+  test('going back to want_to_read clears dates and progress', () => {
+    expect(readingHistory.getStatusChanges(read, 'want_to_read')).toEqual({
+      status: 'want_to_read',
+      started_at: null,
+      finished_at: null,
+      pages_read: 0
+    });
+  });
+
+  test('given dates override the defaults, and null clears them', () => {
+    const changes = readingHistory.getStatusChanges(reading, 'read', { startedAt: null, finishedAt: '2026-09-30' });
+    expect(changes.started_at).toBeNull();
+    expect(changes.finished_at).toEqual(day('2026-09-30'));
+  });
+
+  test('a finish date before the start date is rejected', () => {
+    expect(() => readingHistory.getStatusChanges(reading, 'read', { finishedAt: '2026-09-30' }))
+      .toThrow('finishedAt cannot be before startedAt');
+    expect(() => readingHistory.getStatusChanges(read, 'read', { startedAt: '2026-09-21' }))
+      .toThrow('finishedAt cannot be before startedAt');
+    expect(() => readingHistory.getStatusChanges(wanted, 'read', { startedAt: '2026-10-02', finishedAt: '2026-10-01' }))
+      .toThrow('finishedAt cannot be before startedAt');
+  });
+
+  test('finishing on the day a book was started is allowed', () => {
+    const changes = readingHistory.getStatusChanges(wanted, 'read', { startedAt: '2026-10-01', finishedAt: '2026-10-01' });
+    expect(changes.started_at).toEqual(day('2026-10-01'));
+    expect(changes.finished_at).toEqual(day('2026-10-01'));
+  });
+
+  test('bad dates are reported by field name', () => {
+    expect(() => readingHistory.getStatusChanges(reading, 'read', { finishedAt: '2026-02-30' }))
+      .toThrow('finishedAt must be a day in YYYY-MM-DD format');
+    expect(() => readingHistory.getStatusChanges(wanted, 'reading', { startedAt: '2026-10-19' }))
+      .toThrow('startedAt cannot be in the future');
+  });
+});
+
+describe('getStreaks', () => {
+  test('counts the current streak up to today', () => {
+    expect(readingHistory.getStreaks(['2026-10-16', '2026-10-17', TODAY], TODAY))
+      .toEqual({ current: 3, longest: 3, lastReadOn: TODAY });
+  });
+
+  test('today not being logged yet keeps the streak that ended yesterday', () => {
+    expect(readingHistory.getStreaks(['2026-10-15', '2026-10-16', '2026-10-17'], TODAY))
+      .toEqual({ current: 3, longest: 3, lastReadOn: '2026-10-17' });
+  });
+
+  test('a missed day ends the current streak but not the longest', () => {
+    expect(readingHistory.getStreaks(['2026-10-10', '2026-10-11', '2026-10-12', '2026-10-16'], TODAY))
+      .toEqual({ current: 0, longest: 3, lastReadOn: '2026-10-16' });
+  });
+
+  test('streaks run across month and year boundaries', () => {
+    expect(readingHistory.getStreaks(['2026-09-29', '2026-09-30', '2026-10-01'], '2026-10-01').current).toBe(3);
+    expect(readingHistory.getStreaks(['2025-12-30', '2025-12-31', '2026-01-01'], '2026-01-02'))
+      .toEqual({ current: 3, longest: 3, lastReadOn: '2026-01-01' });
+  });
+
+  test('days after today are ignored', () => {
+    expect(readingHistory.getStreaks(['2026-10-17', TODAY, '2026-10-19', '2026-10-20'], TODAY))
+      .toEqual({ current: 2, longest: 2, lastReadOn: TODAY });
+  });
+
+  test('nothing logged', () => {
+    expect(readingHistory.getStreaks([], TODAY)).toEqual({ current: 0, longest: 0, lastReadOn: null });
+  });
+});
+
+describe('getPace', () => {
+  test('compares actual with expected progress', () => {
+    expect(readingHistory.getPace(11, 10)).toBe('ahead');
+    expect(readingHistory.getPace(9, 10)).toBe('on_track');
+    expect(readingHistory.getPace(8, 10)).toBe('behind');
+  });
+
+  test('has no pace without a target and is on track when nothing is expected yet', () => {
+    expect(readingHistory.getPace(3, null)).toBeNull();
+    expect(readingHistory.getPace(0, 0)).toBe('on_track');
+  });
+});
+
+describe('buildProgress', () => {
+  test('only counts books finished this month', () => {
+    const progress = readingHistory.buildProgress(progressData({
+      finishedDates: [day('2026-09-30'), day('2026-10-01'), day('2026-10-18'), day('2025-10-05')],
+      goals: { booksPerMonth: 4 }
+    }));
+    expect(progress.books.finishedThisMonth).toBe(2);
+  });
+
+  test('on the first of the month, the previous day is last month', () => {
+    const progress = readingHistory.buildProgress(progressData({
+      finishedDates: [day('2026-09-30'), day('2026-10-01')],
+      days: [{ date: '2026-09-30', pages: 40 }, { date: '2026-10-01', pages: 10 }],
+      goals: { booksPerMonth: 31 },
+      today: '2026-10-01'
+    }));
+    expect(progress.books.finishedThisMonth).toBe(1);
+    expect(progress.books.expectedByNow).toBe(1);
+    expect(progress.books.pace).toBe('on_track');
+    expect(progress.pages.monthToDate).toBe(10);
+    expect(progress.pages.lastDaysTotal).toBe(50);
+  });
+
+  test('expects the target in proportion to the days of the month gone', () => {
+    const endOfFebruary = readingHistory.buildProgress(progressData({ goals: { booksPerMonth: 4 }, today: '2026-02-28' }));
+    expect(endOfFebruary.books.expectedByNow).toBe(4);
+
+    const leapYear = readingHistory.buildProgress(progressData({ goals: { booksPerMonth: 4 }, today: '2024-02-28' }));
+    expect(leapYear.books.expectedByNow).toBe(3.9);
+
+    const midMonth = readingHistory.buildProgress(progressData({ goals: { booksPerMonth: 3 }, today: '2026-04-15' }));
+    expect(midMonth.books.expectedByNow).toBe(1.5);
+    expect(midMonth.books.pace).toBe('behind');
+  });
+
+  test('projects when the books target will be reached', () => {
+    const progress = readingHistory.buildProgress(progressData({
+      finishedDates: [day('2026-10-05'), day('2026-10-12')],
+      goals: { booksPerMonth: 4 }
+    }));
+    expect(progress.books.projectedThisMonth).toBe(3.4);
+    expect(progress.books.projectedCompletion).toBe('2026-11-05');
+    expect(progress.books.completed).toBe(false);
+  });
+
+  test('a reached target completes on the day of the book that reached it', () => {
+    const progress = readingHistory.buildProgress(progressData({
+      finishedDates: [day('2026-10-15'), day('2026-10-03'), day('2026-10-09')],
+      goals: { booksPerMonth: 2 }
+    }));
+    expect(progress.books.projectedCompletion).toBe('2026-10-09');
+    expect(progress.books.completed).toBe(true);
+  });
+
+  test('averages pages over the last seven days, across the month boundary', () => {
+    const progress = readingHistory.buildProgress(progressData({
+      days: [
+        { date: '2026-09-26', pages: 100 },
+        { date: '2026-09-27', pages: 21 },
+        { date: '2026-09-30', pages: 14 },
+        { date: '2026-10-03', pages: 35 }
+      ],
+      goals: { pagesPerDay: 10 },
+      today: '2026-10-03'
+    }));
+    expect(progress.pages.lastDaysTotal).toBe(70);
+    expect(progress.pages.averagePerDay).toBe(10);
+    expect(progress.pages.pace).toBe('on_track');
+    expect(progress.pages.today).toBe(35);
+    expect(progress.pages.monthToDate).toBe(35);
+  });
+
+  test('streaks only count days with pages read', () => {
+    const progress = readingHistory.buildProgress(progressData({
+      days: [{ date: '2026-10-16', pages: 0 }, { date: '2026-10-17', pages: 12 }]
+    }));
+    expect(progress.streaks).toEqual({ current: 1, longest: 1, lastReadOn: '2026-10-17' });
+  });
+
+  test('has no pace without goals', () => {
+    const progress = readingHistory.buildProgress(progressData());
+    expect(progress.books.target).toBeNull();
+    expect(progress.books.pace).toBeNull();
+    expect(progress.books.projectedCompletion).toBeNull();
+    expect(progress.pages.pace).toBeNull();
+  });
+});
+
+describe('recordProgress', () => {
+  /**
+   * Client that returns the given row for the locking SELECT and echoes the UPDATE
+   * @param {object} row - reading_history row
+   * @returns {object} Client whose query calls are recorded
+   */
+  function fakeClient(row) {
+    return {
+      query: jest.fn(async (sql, params) => {
+        if (sql.startsWith('SELECT')) return { rows: [row] };
+        if (sql.startsWith('UPDATE')) {
+          const [id, pagesRead, pageCount, status, , finishedAt] = params;
+          return { rows: [{ ...row, id, pages_read: pagesRead, page_count: pageCount, status, finished_at: finishedAt }] };
+        }
+        return { rows: [] };
+      })
+    };
+  }
+
+  const readBook = { id: 7, status: 'read', pages_read: 120, page_count: null, finished_at: day('2026-09-30') };
+
+  test('keeps a read book read when progress is logged without finished', async () => {
+    const db = fakeClient(readBook);
+    const { entry, pagesLogged } = await readingHistory.recordProgress('s1', readBook, { currentPage: 150 }, { db });
+
+    expect(entry.status).toBe('read');
+    expect(entry.finished_at).toEqual(day('2026-09-30'));
+    expect(pagesLogged).toBe(30);
+  });
+
+  test('reopens a read book only when finished is false', async () => {
+    const db = fakeClient(readBook);
+    const { entry } = await readingHistory.recordProgress('s1', readBook, { currentPage: 80, finished: false }, { db });
+
+    expect(entry.status).toBe('reading');
+    expect(entry.finished_at).toBeNull();
+  });
+
+  test('marks a book read on its last page, finished today', async () => {
+    const reading = { id: 8, status: 'reading', pages_read: 250, page_count: 300, finished_at: null };
+    const db = fakeClient(reading);
+    const { entry, pagesLogged } = await readingHistory.recordProgress('s1', reading, { currentPage: 300 }, { db });
+
+    expect(entry.status).toBe('read');
+    expect(entry.finished_at).toEqual(day(TODAY));
+    expect(pagesLogged).toBe(50);
+  });
+});
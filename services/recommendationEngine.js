@@ -1,7 +1,17 @@
 require('dotenv').config();
 const OpenAI = require('openai');
-const axios = require('axios');
 const goodreadsIntegration = require('./goodreadsIntegration');
+const bookCatalog = require('./bookCatalog');
+const bookIdentity = require('./bookIdentity');
+const contentClassifier = require('./contentClassifier');
+const recommendationFeedback = require('./recommendationFeedback');
+
+// Page ranges for readingGoals.preferredLength, in order ('any' has no range)
+const BOOK_LENGTHS = [
+  { name: 'short', label: 'under 250 pages', maxPages: 249 },
+  { name: 'medium', label: '250-450 pages', maxPages: 450 },
+  { name: 'long', label: 'over 450 pages', maxPages: Infinity }
+];
 
 /**
  * AI-powered book recommendation engine
@@ -9,9 +19,7 @@ const goodreadsIntegration = require('./goodreadsIntegration');
  */
 class RecommendationEngine {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    this.openai = null; // Created on first use, so the service loads without OPENAI_API_KEY
 
     this.recommendationCache = new Map();
     this.cacheTimeout = 2 * 60 * 60 * 1000; // 2 hours cache
@@ -27,12 +35,26 @@ class RecommendationEngine {
     };
   }
 
+  /**
+   * Get the OpenAI client
+   * @returns {OpenAI} Client
+   */
+  getClient() {
+    if (!this.openai) {
+      this.openai = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY
+      });
+    }
+    return this.openai;
+  }
+
   /**
    * Generate personalized book recommendations based on bookshelf analysis
    * @param {Array} detectedBooks - Books detected from bookshelf
    * @param {object} userPreferences - User preferences (optional)
    * @param {string} sessionId - User session ID
-   * @param {object} options - Recommendation options
+   * @param {object} options - Recommendation options (readBooks: reading history books to leave out,
+   *   with their ratings; feedback: the session's feedback profile from recommendationFeedback.getProfile)
    * @returns {Promise<object>} Recommendation results
    */
   async generateRecommendations(detectedBooks, userPreferences = {}, sessionId, options = {}) {
@@ -70,24 +92,38 @@ class RecommendationEngine {
         options
       );
 
-      // Step 4: Combine AI and Goodreads recommendations
+      // Step 4: Drop books the user already owns, has read or rated poorly, before they take up slots
+      const exclusion = this.excludeKnownBooks(
+        [...aiRecommendations, ...goodreadsRecommendations],
+        detectedBooks,
+        options.readBooks || [],
+        options.feedback?.suppressed || []
+      );
+
+      // Step 5: Combine AI and Goodreads recommendations
       const combinedRecommendations = this.combineRecommendations(
-        aiRecommendations,
-        goodreadsRecommendations,
+        aiRecommendations.filter(rec => exclusion.kept.includes(rec)),
+        goodreadsRecommendations.filter(rec => exclusion.kept.includes(rec)),
         options
       );
 
-      // Step 5: Fetch detailed book metadata for recommendations
+      // Step 6: Fetch detailed book metadata for recommendations
       const enrichedRecommendations = await this.enrichRecommendations(
         combinedRecommendations, 
         options.includeMetadata !== false
       );
 
-      // Step 6: Score and rank recommendations
+      // Step 7: Drop or demote books whose content clashes with the user's content settings
+      const screening = await this.screenContent(enrichedRecommendations, userPreferences.contentPreferences);
+      const { total, ...known } = exclusion.filtered;
+      const filtered = { ...known, content: screening.excluded.length, total: total + screening.excluded.length };
+
+      // Step 8: Score and rank recommendations
       const rankedRecommendations = this.rankRecommendations(
-        enrichedRecommendations,
+        screening.kept,
         readingProfile,
-        userPreferences
+        userPreferences,
+        options.feedback
       );
 
       const processingTime = Date.now() - startTime;
@@ -104,10 +140,14 @@ class RecommendationEngine {
           confidence: this.calculateRecommendationConfidence(rankedRecommendations),
           basedOnBooks: detectedBooks.length,
           aiProvider: 'openai-gpt4',
-          goodreadsIntegrated: true
+          goodreadsIntegrated: true,
+          filtered,
+          contentFiltered: screening.excluded,
+          feedbackRatings: options.feedback?.ratingsCount || 0,
+          historyRatings: options.feedback?.historyRatingsCount || 0
         },
         explanations: {
-          why: this.generateExplanation(detectedBooks, rankedRecommendations, readingProfile),
+          why: this.generateExplanation(detectedBooks, rankedRecommendations, readingProfile, filtered),
           topGenres: readingProfile.topGenres,
           readingStyle: readingProfile.readingStyle
         }
@@ -130,6 +170,92 @@ class RecommendationEngine {
     }
   }
 
+  /**
+   * Split candidates into new books and books the user already owns, has read or rated poorly
+   * Matching is fuzzy (other editions, misread or misspelt titles), so a scanned "The Hobblt"
+   * still rules out "The Hobbit", while "Dune" does not rule out its sequel "Dune Messiah".
+   * Poorly rated books only suppress the same work (the work key the rating is stored by), never
+   * a merely similar title. A book in several groups counts in the first (owned, read, disliked).
+   * @param {Array} candidates - Recommendation candidates
+   * @param {Array} ownedBooks - Library books and scan detections
+   * @param {Array} readBooks - Reading history books ({title, author, isbn})
+   * @param {Array} dislikedBooks - Earlier recommendations rated poorly ({workKey, title, author})
+   * @returns {object} {kept, filtered: {owned, read, disliked, total}} - counts are distinct works
+   */
+  excludeKnownBooks(candidates, ownedBooks, readBooks, dislikedBooks = []) {
+    const kept = [];
+    const owned = [];
+    const read = [];
+    const disliked = [];
+    const matchesAny = (books, candidate) => books.some(book => bookIdentity.isLikelySameWork(book, candidate));
+    const isDisliked = candidate => {
+      const workKey = bookIdentity.getWorkKey(candidate);
+      return dislikedBooks.some(book => book.workKey === workKey || bookIdentity.isSameWork(book, candidate));
+    };
+
+    for (const candidate of candidates) {
+      if (matchesAny(ownedBooks, candidate)) {
+        owned.push(candidate);
+      } else if (matchesAny(readBooks, candidate)) {
+        read.push(candidate);
+      } else if (isDisliked(candidate)) {
+        disliked.push(candidate);
+      } else {
+        kept.push(candidate);
+      }
+    }
+
+    // AI and Goodreads often suggest the same owned book; count it once
+    const filtered = {
+      owned: bookIdentity.uniqueWorks(owned).length,
+      read: bookIdentity.uniqueWorks(read).length,
+      disliked: bookIdentity.uniqueWorks(disliked).length
+    };
+    filtered.total = filtered.owned + filtered.read + filtered.disliked;
+
+    if (filtered.total > 0) {
+      console.log(`🚫 Filtered ${filtered.owned} owned, ${filtered.read} already-read and ${filtered.disliked} poorly rated recommendation candidates`);
+    }
+
+    return { kept, filtered };
+  }
+
+  /**
+   * Classify recommendations' content and apply the user's content settings
+   * Books with strong content of a kind the user avoids are left out; milder clashes only lower
+   * the score (see contentClassifier.assess). Nothing is classified when no kind is restricted.
+   * @param {Array} recommendations - Enriched recommendations
+   * @param {object} contentPreferences - preferences.contentPreferences
+   * @returns {Promise<object>} {kept: recommendations with `contentScreening` {tags, penalty, reasons}, excluded: [{title, author, reasons}]}
+   */
+  async screenContent(recommendations, contentPreferences = {}) {
+    if (!contentClassifier.isRestricted(contentPreferences) || recommendations.length === 0) {
+      return { kept: recommendations, excluded: [] };
+    }
+
+    const classifications = await contentClassifier.classifyBooks(recommendations);
+    const kept = [];
+    const excluded = [];
+
+    recommendations.forEach((rec, index) => {
+      const assessment = contentClassifier.assess(classifications[index], contentPreferences);
+      if (assessment.excluded) {
+        excluded.push({ title: rec.title, author: rec.author, reasons: assessment.reasons });
+      } else {
+        kept.push({
+          ...rec,
+          contentScreening: { tags: classifications[index].tags, penalty: assessment.penalty, reasons: assessment.reasons }
+        });
+      }
+    });
+
+    if (excluded.length > 0) {
+      console.log(`🚫 Filtered ${excluded.length} recommendations for content settings`);
+    }
+
+    return { kept, excluded };
+  }
+
   /**
    * Analyze user's reading profile from detected books
    * @param {Array} books - Detected books
@@ -200,7 +326,7 @@ class RecommendationEngine {
 
       const prompt = this.createRecommendationPrompt(detectedBooks, readingProfile, userPreferences, options);
 
-      const response = await this.openai.chat.completions.create({
+      const response = await this.getClient().chat.completions.create({
         model: options.model || 'gpt-4o-mini',
         messages: [
           {
@@ -250,6 +376,16 @@ class RecommendationEngine {
       .map(g => `${g.genre} (${g.percentage}%)`)
       .join(', ');
 
+    const formatList = books => books
+      .slice(0, 30)
+      .map(book => `"${book.title}"${book.author ? ` by ${book.author}` : ''}`)
+      .join(', ');
+    const readBooks = options.readBooks || [];
+    const readList = formatList(readBooks);
+    const lovedList = formatList(readBooks.filter(book => book.rating >= 4));
+    const unlovedList = formatList(readBooks.filter(book => book.rating && book.rating <= 2));
+    const dislikedList = formatList(options.feedback?.suppressed || []);
+
     return `
 Based on this user's bookshelf containing ${books.length} books, please provide ${options.maxRecommendations || 10} personalized book recommendations.
 
@@ -262,10 +398,15 @@ READING PROFILE:
 - Average detection confidence: ${(profile.averageConfidence * 100).toFixed(1)}%
 
 USER PREFERENCES:
-${preferences.favoriteGenres ? `- Favorite genres: ${preferences.favoriteGenres.join(', ')}` : '- No specific genre preferences stated'}
-${preferences.avoidGenres ? `- Genres to avoid: ${preferences.avoidGenres.join(', ')}` : ''}
+${preferences.favoriteGenres?.length ? `- Favorite genres: ${preferences.favoriteGenres.join(', ')}` : '- No specific genre preferences stated'}
+${preferences.avoidGenres?.length ? `- Genres to avoid: ${preferences.avoidGenres.join(', ')}` : ''}
 ${preferences.readingLevel ? `- Reading level: ${preferences.readingLevel}` : ''}
-${preferences.contentPreferences ? `- Content preferences: ${JSON.stringify(preferences.contentPreferences)}` : ''}
+${this.describePreferredLength(preferences.readingGoals?.preferredLength)}
+${this.describeContentPreferences(preferences.contentPreferences)}
+${readList ? `\nALREADY READ (do not recommend): ${readList}\n` : ''}
+${lovedList ? `\nREAD AND RATED HIGHLY (recommend more like these): ${lovedList}\n` : ''}
+${unlovedList ? `\nREAD AND RATED POORLY (steer away from similar books): ${unlovedList}\n` : ''}
+${dislikedList ? `\nPREVIOUS RECOMMENDATIONS THE USER RATED POORLY (do not recommend again, and avoid close matches): ${dislikedList}\n` : ''}
 
 Please respond with a JSON object containing:
 {
@@ -289,7 +430,7 @@ Please respond with a JSON object containing:
 }
 
 Focus on:
-1. Books that complement their existing collection without being too repetitive
+1. Books that complement their existing collection without being too repetitive, and never books already on their shelf or already read
 2. A mix of popular and lesser-known titles
 3. Consider the diversity of their current collection
 4. Provide clear, specific reasons for each recommendation
@@ -297,6 +438,45 @@ Focus on:
 `.trim();
   }
 
+  /**
+   * Content settings as prompt lines
+   * @param {object} contentPreferences - preferences.contentPreferences
+   * @returns {string} One line each for avoided and limited content, or '' when nothing is restricted
+   */
+  describeContentPreferences(contentPreferences = {}) {
+    const kinds = contentClassifier.getKinds();
+    const labelsFor = setting => Object.keys(kinds)
+      .filter(kind => contentPreferences[kind] === setting)
+      .map(kind => kinds[kind]);
+
+    const lines = [];
+    const avoided = labelsFor('avoid');
+    const limited = labelsFor('limit');
+    if (avoided.length > 0) lines.push(`- Avoid books containing ${avoided.join(', ')}`);
+    if (limited.length > 0) lines.push(`- Only recommend books with at most mild ${limited.join(', ')}`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Preferred book length as a prompt line
+   * @param {string|undefined} preferredLength - readingGoals.preferredLength
+   * @returns {string} Prompt line, or '' for no preference
+   */
+  describePreferredLength(preferredLength) {
+    const length = BOOK_LENGTHS.find(candidate => candidate.name === preferredLength);
+    return length ? `- Preferred book length: ${length.name} (${length.label})` : '';
+  }
+
+  /**
+   * Length band of a book
+   * @param {number|undefined} pageCount - Page count
+   * @returns {number} Index into BOOK_LENGTHS, or -1 when the page count is unknown
+   */
+  getLengthIndex(pageCount) {
+    if (!pageCount || pageCount < 1) return -1;
+    return BOOK_LENGTHS.findIndex(length => pageCount <= length.maxPages);
+  }
+
   /**
    * Parse AI recommendations response
    * @param {object} aiResponse - Raw AI response
@@ -427,7 +607,7 @@ Focus on:
   }
 
   /**
-   * Enrich recommendations with metadata from Google Books
+   * Enrich recommendations with catalog metadata (Google Books / Open Library)
    * @param {Array} recommendations - Basic recommendations
    * @param {boolean} includeMetadata - Whether to fetch metadata
    * @returns {Promise<Array>} Enriched recommendations
@@ -436,13 +616,12 @@ Focus on:
     if (!includeMetadata) return recommendations;
 
     const enriched = [];
-    const apiKey = process.env.GOOGLE_BOOKS_API_KEY;
 
     for (const rec of recommendations) {
       try {
         const enrichedRec = { ...rec };
 
-        if (apiKey && rec.title && rec.author) {
+        if (rec.title && rec.author) {
           const googleBookData = await this.fetchGoogleBookMetadata(rec.title, rec.author);
           if (googleBookData) {
             enrichedRec.metadata = {
@@ -473,38 +652,26 @@ Focus on:
   }
 
   /**
-   * Fetch book metadata from Google Books API
+   * Fetch book metadata from the book catalog (read through the metadata cache)
    * @param {string} title - Book title
    * @param {string} author - Author name
    * @returns {Promise<object|null>} Book metadata
    */
   async fetchGoogleBookMetadata(title, author) {
     try {
-      const query = `intitle:"${title}"+inauthor:"${author}"`;
-      const response = await axios.get('https://www.googleapis.com/books/v1/volumes', {
-        params: {
-          q: query,
-          key: process.env.GOOGLE_BOOKS_API_KEY,
-          maxResults: 1
-        },
-        timeout: 5000
-      });
-
-      if (response.data.items && response.data.items.length > 0) {
-        const book = response.data.items[0].volumeInfo;
-        return {
-          isbn: book.industryIdentifiers?.find(id => id.type === 'ISBN_13')?.identifier,
-          publishedDate: book.publishedDate,
-          pageCount: book.pageCount,
-          averageRating: book.averageRating,
-          ratingsCount: book.ratingsCount,
-          description: book.description,
-          thumbnail: book.imageLinks?.thumbnail,
-          categories: book.categories || []
-        };
-      }
-
-      return null;
+      const book = await bookCatalog.findBook(title, author);
+      if (!book) return null;
+
+      return {
+        isbn: book.isbn13 || book.isbn10 || null,
+        publishedDate: book.publishedDate,
+        pageCount: book.pageCount,
+        averageRating: book.rating,
+        ratingsCount: book.ratingsCount,
+        description: book.description,
+        thumbnail: book.coverUrl,
+        categories: book.categories || []
+      };
     } catch (error) {
       return null;
     }
@@ -515,13 +682,14 @@ Focus on:
    * @param {Array} recommendations - Raw recommendations
    * @param {object} profile - Reading profile
    * @param {object} preferences - User preferences
+   * @param {object|null} feedback - Feedback profile from earlier ratings
    * @returns {Array} Ranked recommendations
    */
-  rankRecommendations(recommendations, profile, preferences) {
+  rankRecommendations(recommendations, profile, preferences, feedback = null) {
     return recommendations
       .map(rec => ({
         ...rec,
-        finalScore: this.calculateRecommendationScore(rec, profile, preferences)
+        finalScore: this.calculateRecommendationScore(rec, profile, preferences, feedback)
       }))
       .sort((a, b) => b.finalScore - a.finalScore);
   }
@@ -531,9 +699,10 @@ Focus on:
    * @param {object} rec - Recommendation
    * @param {object} profile - Reading profile
    * @param {object} preferences - User preferences
+   * @param {object|null} feedback - Feedback profile from earlier ratings
    * @returns {number} Score (0-1)
    */
-  calculateRecommendationScore(rec, profile, preferences) {
+  calculateRecommendationScore(rec, profile, preferences, feedback = null) {
     let score = rec.confidence || 0.5;
 
     // Boost score for preferred genres
@@ -615,6 +784,26 @@ Focus on:
       }
     }
 
+    // Preferred length: boost books in the band, lower the score more the further off they are
+    const preferredLength = BOOK_LENGTHS.findIndex(length => length.name === preferences.readingGoals?.preferredLength);
+    const lengthIndex = this.getLengthIndex(rec.metadata?.pageCount);
+    if (preferredLength !== -1 && lengthIndex !== -1) {
+      const distance = Math.abs(preferredLength - lengthIndex);
+      score += distance === 0 ? 0.08 : -0.05 * distance;
+    }
+
+    // Content the user limits or avoids, but not enough to leave the book out
+    if (rec.contentScreening?.penalty) {
+      score -= rec.contentScreening.penalty;
+    }
+
+    // Learn from the user's ratings of earlier recommendations (weights are -1..1)
+    if (feedback) {
+      const weights = recommendationFeedback.getWeights(feedback, rec);
+      score += weights.genre * 0.2;
+      score += weights.author * 0.25;
+    }
+
     return Math.max(0, Math.min(1, score));
   }
 
@@ -623,9 +812,10 @@ Focus on:
    * @param {Array} detectedBooks - User's books
    * @param {Array} recommendations - Generated recommendations
    * @param {object} profile - Reading profile
+   * @param {object} filtered - Candidates left out ({owned, read, disliked, content, total})
    * @returns {string} Explanation text
    */
-  generateExplanation(detectedBooks, recommendations, profile) {
+  generateExplanation(detectedBooks, recommendations, profile, filtered = { owned: 0, read: 0, disliked: 0, content: 0, total: 0 }) {
     const topGenre = profile.topGenres[0];
     const diversity = profile.diversity;
 
@@ -643,6 +833,18 @@ Focus on:
 
     explanation += `These ${recommendations.length} recommendations are carefully selected to complement your existing library.`;
 
+    if (filtered.total > 0) {
+      const reasons = [];
+      if (filtered.owned > 0) reasons.push(`${filtered.owned} you already own`);
+      if (filtered.read > 0) reasons.push(`${filtered.read} you've already read`);
+      if (filtered.disliked > 0) reasons.push(`${filtered.disliked} you rated poorly before`);
+      if (filtered.content > 0) reasons.push(`${filtered.content} with content you asked to avoid`);
+      const reasonText = reasons.length > 1
+        ? `${reasons.slice(0, -1).join(', ')} and ${reasons[reasons.length - 1]}`
+        : reasons[0];
+      explanation += ` We left out ${filtered.total} ${filtered.total === 1 ? 'suggestion' : 'suggestions'}: ${reasonText}.`;
+    }
+
     return explanation;
   }
 
@@ -722,10 +924,8 @@ Focus on:
     try {
       console.log('📚 Getting Goodreads-based recommendations');
 
-      const goodreadsRecs = await goodreadsIntegration.getRecommendations(
-        userPreferences,
-        detectedBooks
-      );
+      // Owned and read books are left in here and filtered by excludeKnownBooks, which counts them
+      const goodreadsRecs = await goodreadsIntegration.getRecommendations(userPreferences);
 
       // Apply rating thresholds if specified
       let filteredRecs = goodreadsRecs;
@@ -777,7 +977,8 @@ Focus on:
     console.log(`🔀 Combining ${aiRecs.length} AI recs with ${goodreadsRecs.length} Goodreads recs`);
 
     const combined = [];
-    const seenTitles = new Set();
+    // Editions and title variants of one work count once ("Dune" / "Dune: Deluxe Edition")
+    const isNew = rec => !combined.some(existing => bookIdentity.isSameWork(existing, rec));
 
     // Strategy: Interleave AI and Goodreads recommendations
     // Prioritize AI recommendations but include Goodreads for validation/enhancement
@@ -789,19 +990,15 @@ Focus on:
 
     // Add AI recommendations first (they're more personalized)
     for (const rec of aiRecs.slice(0, targetAI)) {
-      const titleKey = rec.title.toLowerCase();
-      if (!seenTitles.has(titleKey)) {
+      if (isNew(rec)) {
         combined.push({ ...rec, combinationSource: 'ai-primary' });
-        seenTitles.add(titleKey);
       }
     }
 
     // Add Goodreads recommendations for diversity
     for (const rec of goodreadsRecs.slice(0, targetGoodreads)) {
-      const titleKey = rec.title.toLowerCase();
-      if (!seenTitles.has(titleKey)) {
+      if (isNew(rec)) {
         combined.push({ ...rec, combinationSource: 'goodreads-diversity' });
-        seenTitles.add(titleKey);
       }
     }
 
@@ -810,10 +1007,8 @@ Focus on:
     for (const rec of remaining) {
       if (combined.length >= maxRecs) break;
       
-      const titleKey = rec.title.toLowerCase();
-      if (!seenTitles.has(titleKey)) {
+      if (isNew(rec)) {
         combined.push({ ...rec, combinationSource: 'mixed-fill' });
-        seenTitles.add(titleKey);
       }
     }
 
@@ -0,0 +1,86 @@
+// Known-book filtering only needs work identity; keep the catalog clients and database out of the test run
+jest.mock('../utils/database', () => ({}));
+jest.mock('./goodreadsIntegration', () => ({}));
+jest.mock('./bookCatalog', () => ({}));
+jest.mock('./contentClassifier', () => ({}));
+jest.mock('./recommendationFeedback', () => ({}));
+
+const recommendationEngine = require('./recommendationEngine');
+
+const titles = books => books.map(book => book.title);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('excludeKnownBooks', () => {
+  test('filters owned, read and poorly rated books', () => {
+    const candidates = [
+      { title: 'The Hobbit', author: 'J.R.R. Tolkien' },
+      { title: 'Neuromancer', author: 'William Gibson' },
+      { title: 'Emma', author: 'Jane Austen' },
+      { title: 'Piranesi', author: 'Susanna Clarke' }
+    ];
+
+    const { kept, filtered } = recommendationEngine.excludeKnownBooks(
+      candidates,
+      [{ title: 'THE HOBBLT', author: 'Tolkien' }],
+      [{ title: 'Neuromancer', author: 'Gibson, William' }],
+      [{ title: 'Emma', author: 'Jane Austen' }]
+    );
+
+    expect(titles(kept)).toEqual(['Piranesi']);
+    expect(filtered).toEqual({ owned: 1, read: 1, disliked: 1, total: 3 });
+  });
+
+  test('an owned subtitle-less edition rules out the full title', () => {
+    const { kept } = recommendationEngine.excludeKnownBooks(
+      [{ title: 'Sapiens: A Brief History of Humankind', author: 'Yuval Noah Harari' }],
+      [{ title: 'Sapiens', author: 'Harari' }],
+      []
+    );
+    expect(kept).toEqual([]);
+  });
+
+  test('owning or having read book 1 of a series keeps its sequels', () => {
+    const sequels = [
+      { title: 'Dune Messiah', author: 'Frank Herbert' },
+      { title: 'Foundation and Empire', author: 'Isaac Asimov' },
+      { title: 'The Hunger Games: Catching Fire', author: 'Suzanne Collins' },
+      { title: 'Catching Fire (The Hunger Games, #2)', author: 'Suzanne Collins' }
+    ];
+    const firstBooks = [
+      { title: 'Dune', author: 'Frank Herbert' },
+      { title: 'Foundation', author: 'Isaac Asimov' },
+      { title: 'The Hunger Games (The Hunger Games, #1)', author: 'Suzanne Collins' }
+    ];
+
+    const owned = recommendationEngine.excludeKnownBooks(sequels, firstBooks, []);
+    expect(titles(owned.kept)).toEqual(titles(sequels));
+    expect(owned.filtered.total).toBe(0);
+
+    const read = recommendationEngine.excludeKnownBooks(sequels, [], firstBooks);
+    expect(titles(read.kept)).toEqual(titles(sequels));
+  });
+
+  test('a poorly rated book only suppresses the same work', () => {
+    const disliked = [{ workKey: 'dune|herbert', title: 'Dune', author: 'Frank Herbert' }];
+    const { kept, filtered } = recommendationEngine.excludeKnownBooks(
+      [
+        { title: 'Dune - Deluxe Edition', author: 'Frank Herbert' },
+        { title: 'Dune Messiah', author: 'Frank Herbert' },
+        { title: 'Dune Road', author: 'Jonathan Tropper' }
+      ],
+      [],
+      [],
+      disliked
+    );
+
+    expect(titles(kept)).toEqual(['Dune Messiah', 'Dune Road']);
+    expect(filtered.disliked).toBe(1);
+  });
+});
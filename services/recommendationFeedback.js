@@ -0,0 +1,165 @@
+const bookIdentity = require('./bookIdentity');
+const recommendationHistory = require('./recommendationHistory');
+const { foldText } = require('../utils/bookMatching');
+const { query } = require('../utils/database');
+
+// Ratings at or below this never get the same book recommended again
+const SUPPRESS_AT_OR_BELOW = 2;
+
+/**
+ * Recommendation feedback
+ * Stores a session's 1-5 ratings (and free-text feedback) of recommended books, one per work, and
+ * turns them into a feedback profile the recommendation engine ranks with: a weight per genre and
+ * per author, and the books rated poorly enough never to suggest again. Ratings of books in the
+ * reading history count towards the author weights as well.
+ */
+class RecommendationFeedback {
+  /**
+   * Rate a book from a recommendation list
+   * Rating the same work again (from any list) replaces the earlier rating.
+   * @param {string} sessionId - Device session ID
+   * @param {object} recommendation - recommendations row owned by the session
+   * @param {number} bookIndex - Index of the book in the list
+   * @param {number} rating - 1-5
+   * @param {string|null} feedback - Optional free-text feedback
+   * @returns {Promise<object>} recommendation_feedback row
+   */
+  async rateBook(sessionId, recommendation, bookIndex, rating, feedback) {
+    const book = recommendationHistory.getListBook(recommendation, bookIndex);
+
+    const result = await query(
+      `INSERT INTO recommendation_feedback
+         (session_id, recommendation_id, book_index, work_key, title, author, genre, rating, feedback)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (session_id, work_key) DO UPDATE SET
+         recommendation_id = EXCLUDED.recommendation_id,
+         book_index = EXCLUDED.book_index,
+         rating = EXCLUDED.rating,
+         feedback = EXCLUDED.feedback,
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [
+        sessionId,
+        recommendation.id,
+        bookIndex,
+        bookIdentity.getWorkKey(book),
+        book.title,
+        book.author || null,
+        book.genre || null,
+        rating,
+        typeof feedback === 'string' && feedback.trim() ? feedback.trim() : null
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Load a session's feedback profile
+   * @param {string} sessionId - Device session ID
+   * @param {object} options - {readBooks: reading history books ({title, author, rating})}
+   * @returns {Promise<object>} Profile (see buildProfile)
+   */
+  async getProfile(sessionId, options = {}) {
+    const result = await query(
+      'SELECT work_key, title, author, genre, rating FROM recommendation_feedback WHERE session_id = $1 ORDER BY updated_at',
+      [sessionId]
+    );
+    return this.buildProfile(result.rows, options.readBooks || []);
+  }
+
+  /**
+   * Turn ratings into ranking weights
+   * Each rating contributes (rating - 3) / 2, i.e. -1 for one star to +1 for five, to its genre and
+   * author. Sums are divided by (count + 1) so a single rating moves a weight only halfway and
+   * repeated ratings in the same direction strengthen it. Rated reading history books add to their
+   * author's weight only: they have no genre, and being read already keeps them out of lists.
+   * @param {Array} rows - recommendation_feedback rows ({work_key, title, author, genre, rating})
+   * @param {Array} readBooks - Reading history books ({title, author, rating}); unrated ones are ignored
+   * @returns {object} {ratingsCount, historyRatingsCount, genres: {genreKey: weight}, authors: {surname: weight}, suppressed: [{workKey, title, author}]}
+   */
+  buildProfile(rows, readBooks = []) {
+    const genreTotals = {};
+    const authorTotals = {};
+    const suppressed = [];
+
+    const add = (totals, key, value) => {
+      if (!key) return;
+      totals[key] = totals[key] || { sum: 0, count: 0 };
+      totals[key].sum += value;
+      totals[key].count++;
+    };
+
+    for (const row of rows) {
+      const value = (row.rating - 3) / 2;
+      add(genreTotals, this.getGenreKey(row.genre), value);
+      add(authorTotals, bookIdentity.getAuthorKey(row.author), value);
+
+      if (row.rating <= SUPPRESS_AT_OR_BELOW) {
+        suppressed.push({ workKey: row.work_key, title: row.title, author: row.author });
+      }
+    }
+
+    const ratedReads = readBooks.filter(book => Number.isInteger(book.rating));
+    for (const book of ratedReads) {
+      add(authorTotals, bookIdentity.getAuthorKey(book.author), (book.rating - 3) / 2);
+    }
+
+    const toWeights = totals => Object.fromEntries(
+      Object.entries(totals).map(([key, { sum, count }]) => [key, Math.round((sum / (count + 1)) * 1000) / 1000])
+    );
+
+    return {
+      ratingsCount: rows.length,
+      historyRatingsCount: ratedReads.length,
+      genres: toWeights(genreTotals),
+      authors: toWeights(authorTotals),
+      suppressed
+    };
+  }
+
+  /**
+   * Feedback weights that apply to a recommendation
+   * @param {object} profile - Feedback profile
+   * @param {object} rec - Recommendation
+   * @returns {object} {genre, author} weights between -1 and 1 (0 when nothing was rated)
+   */
+  getWeights(profile, rec) {
+    return {
+      genre: profile?.genres?.[this.getGenreKey(rec.genre)] || 0,
+      author: profile?.authors?.[bookIdentity.getAuthorKey(rec.author)] || 0
+    };
+  }
+
+  /**
+   * Comparison key for a genre ("Science Fiction" / "science-fiction")
+   * @param {string|null} genre - Genre
+   * @returns {string} Folded genre
+   */
+  getGenreKey(genre) {
+    return foldText(genre);
+  }
+
+  /**
+   * API shape of a rating
+   * @param {object} row - recommendation_feedback row
+   * @returns {object} Rating
+   */
+  formatFeedback(row) {
+    return {
+      id: row.id,
+      recommendationId: row.recommendation_id,
+      bookIndex: row.book_index,
+      title: row.title,
+      author: row.author,
+      genre: row.genre,
+      rating: row.rating,
+      feedback: row.feedback,
+      ratedAt: row.updated_at
+    };
+  }
+}
+
+// Create singleton instance
+const recommendationFeedback = new RecommendationFeedback();
+
+module.exports = recommendationFeedback;
@@ -0,0 +1,243 @@
+const bookIdentity = require('./bookIdentity');
+const { query, findById } = require('../utils/database');
+
+/**
+ * Recommendation history and saved recommendations
+ * Every generated list is stored in `recommendations`. Books a session saves from a list are copied
+ * into `saved_recommendations`, one row per work, so they outlive the list and saving the same book
+ * again from a later list only updates the existing row.
+ */
+class RecommendationHistory {
+  /**
+   * Page through a session's generated recommendation lists, newest first
+   * @param {string} sessionId - Device session ID
+   * @param {object} options - {limit, offset}
+   * @returns {Promise<object>} {recommendations: rows, totalCount, limit, offset}
+   */
+  async listHistory(sessionId, options = {}) {
+    const { limit, offset } = this.getPage(options, 20);
+
+    const countResult = await query('SELECT COUNT(*) AS count FROM recommendations WHERE session_id = $1', [sessionId]);
+    const result = await query(
+      `SELECT * FROM recommendations WHERE session_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT ${limit} OFFSET ${offset}`,
+      [sessionId]
+    );
+
+    return {
+      recommendations: result.rows,
+      totalCount: parseInt(countResult.rows[0].count),
+      limit,
+      offset
+    };
+  }
+
+  /**
+   * Get one recommendation list owned by a session
+   * @param {string} sessionId - Device session ID
+   * @param {number|string} recommendationId - Recommendation list ID
+   * @returns {Promise<object|null>} recommendations row, or null if missing or owned by another session
+   */
+  async getRecommendation(sessionId, recommendationId) {
+    const id = parseInt(recommendationId);
+    if (!Number.isInteger(id)) return null;
+
+    const recommendation = await findById('recommendations', id);
+    return recommendation && recommendation.session_id === sessionId ? recommendation : null;
+  }
+
+  /**
+   * Page through a session's saved books, most recently saved first
+   * @param {string} sessionId - Device session ID
+   * @param {object} options - {limit, offset}
+   * @returns {Promise<object>} {saved: rows, totalCount, limit, offset}
+   */
+  async listSaved(sessionId, options = {}) {
+    const { limit, offset } = this.getPage(options, 50);
+
+    const countResult = await query('SELECT COUNT(*) AS count FROM saved_recommendations WHERE session_id = $1', [sessionId]);
+    const result = await query(
+      `SELECT * FROM saved_recommendations WHERE session_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT ${limit} OFFSET ${offset}`,
+      [sessionId]
+    );
+
+    return {
+      saved: result.rows,
+      totalCount: parseInt(countResult.rows[0].count),
+      limit,
+      offset
+    };
+  }
+
+  /**
+   * Save a book from a recommendation list
+   * A book already saved (from this or an earlier list) is not duplicated; its notes are
+   * replaced when new notes are given.
+   * @param {string} sessionId - Device session ID
+   * @param {object} recommendation - recommendations row owned by the session
+   * @param {number} bookIndex - Index of the book in the list
+   * @param {string|null} notes - Optional notes
+   * @returns {Promise<object>} {saved: row, created}
+   */
+  async saveBook(sessionId, recommendation, bookIndex, notes) {
+    const book = this.getListBook(recommendation, bookIndex);
+    const result = await query(
+      `INSERT INTO saved_recommendations (session_id, recommendation_id, book_index, work_key, book, notes)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (session_id, work_key) DO UPDATE SET
+         notes = COALESCE(EXCLUDED.notes, saved_recommendations.notes),
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING *, (xmax = 0) AS created`,
+      [sessionId, recommendation.id, bookIndex, bookIdentity.getWorkKey(book), JSON.stringify(book), this.cleanNotes(notes)]
+    );
+
+    const { created, ...saved } = result.rows[0];
+    return { saved, created };
+  }
+
+  /**
+   * Get a book from a recommendation list by index
+   * @param {object} recommendation - recommendations row
+   * @param {number} bookIndex - Index of the book in the list
+   * @returns {object} Recommended book
+   * @throws {Error} INVALID_BOOK_INDEX when the index is not in the list
+   */
+  getListBook(recommendation, bookIndex) {
+    const books = recommendation.recommended_books || [];
+    if (!Number.isInteger(bookIndex) || bookIndex < 0 || bookIndex >= books.length) {
+      const error = new Error(`bookIndex must be the index of one of the list's ${books.length} books`);
+      error.code = 'INVALID_BOOK_INDEX';
+      throw error;
+    }
+    return books[bookIndex];
+  }
+
+  /**
+   * Replace the notes on a saved book
+   * @param {string} sessionId - Device session ID
+   * @param {number|string} savedId - Saved recommendation ID
+   * @param {string|null} notes - New notes; empty clears them
+   * @returns {Promise<object|null>} Updated row, or null if not found for this session
+   */
+  async updateNotes(sessionId, savedId, notes) {
+    const id = parseInt(savedId);
+    if (!Number.isInteger(id)) return null;
+
+    const result = await query(
+      `UPDATE saved_recommendations SET notes = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND session_id = $2
+       RETURNING *`,
+      [id, sessionId, this.cleanNotes(notes)]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Unsave a book
+   * @param {string} sessionId - Device session ID
+   * @param {number|string} savedId - Saved recommendation ID
+   * @returns {Promise<boolean>} Whether a row was removed
+   */
+  async removeSaved(sessionId, savedId) {
+    const id = parseInt(savedId);
+    if (!Number.isInteger(id)) return false;
+
+    const result = await query('DELETE FROM saved_recommendations WHERE id = $1 AND session_id = $2', [id, sessionId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Saved rows for the books of one list, keyed by book index
+   * Books saved from another list that recommended the same work count as saved too.
+   * @param {string} sessionId - Device session ID
+   * @param {object} recommendation - recommendations row
+   * @returns {Promise<Map>} bookIndex -> saved row
+   */
+  async getSavedForList(sessionId, recommendation) {
+    const books = recommendation.recommended_books || [];
+    const workKeys = books.map(book => bookIdentity.getWorkKey(book));
+    if (workKeys.length === 0) return new Map();
+
+    const result = await query(
+      'SELECT * FROM saved_recommendations WHERE session_id = $1 AND work_key = ANY($2)',
+      [sessionId, workKeys]
+    );
+
+    const savedByIndex = new Map();
+    workKeys.forEach((workKey, index) => {
+      const saved = result.rows.find(row => row.work_key === workKey);
+      if (saved) savedByIndex.set(index, saved);
+    });
+    return savedByIndex;
+  }
+
+  /**
+   * API shape of a recommendation list
+   * @param {object} row - recommendations row
+   * @param {object} options - {includeBooks: full book objects, savedByIndex: Map from getSavedForList}
+   * @returns {object} Recommendation list
+   */
+  formatRecommendation(row, options = {}) {
+    const books = row.recommended_books || [];
+    return {
+      id: row.id,
+      uploadId: row.image_upload_id,
+      reasoning: row.reasoning,
+      bookCount: books.length,
+      books: books.map((book, index) => {
+        const saved = options.savedByIndex?.get(index) || null;
+        return options.includeBooks
+          ? { ...book, index, saved: Boolean(saved), savedId: saved?.id || null }
+          : { index, title: book.title, author: book.author, genre: book.genre };
+      }),
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * API shape of a saved book
+   * @param {object} row - saved_recommendations row
+   * @returns {object} Saved recommendation
+   */
+  formatSaved(row) {
+    return {
+      id: row.id,
+      recommendationId: row.recommendation_id,
+      bookIndex: row.book_index,
+      book: row.book,
+      notes: row.notes,
+      savedAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Parse pagination options
+   * @param {object} options - {limit, offset} (strings from the query string allowed)
+   * @param {number} defaultLimit - Limit when none is given
+   * @returns {object} {limit, offset}
+   */
+  getPage(options, defaultLimit) {
+    return {
+      limit: Math.min(Math.max(parseInt(options.limit) || defaultLimit, 1), 100),
+      offset: Math.max(parseInt(options.offset) || 0, 0)
+    };
+  }
+
+  /**
+   * Trim notes; empty notes become null
+   * @param {*} notes - Notes from a request body
+   * @returns {string|null} Notes
+   */
+  cleanNotes(notes) {
+    return typeof notes === 'string' && notes.trim() ? notes.trim() : null;
+  }
+}
+
+// Create singleton instance
+const recommendationHistory = new RecommendationHistory();
+
+module.exports = recommendationHistory;
@@ -0,0 +1,158 @@
+const { titleSimilarity, TITLE_MATCH_THRESHOLD } = require('../utils/bookMatching');
+
+/**
+ * Shelf stitcher
+ * Merges the books recognized in overlapping left-to-right photos of one bookcase into a
+ * single inventory. Neighbouring frames share an overlap, so the same physical book shows up
+ * at the right edge of one frame and the left edge of the next; those sightings are matched by
+ * an order-preserving alignment on title similarity and collapsed into one entry.
+ */
+
+/**
+ * Order a frame's books left to right
+ * Books without a bounding box keep their provider order, after the located ones
+ * @param {Array} books - Books recognized in one frame
+ * @returns {Array} Books in shelf order
+ */
+function orderBooks(books) {
+  return books
+    .map((book, index) => ({ book, index }))
+    .sort((a, b) => {
+      const ax = a.book.boundingBox ? a.book.boundingBox.x : Infinity;
+      const bx = b.book.boundingBox ? b.book.boundingBox.x : Infinity;
+      if (ax !== bx) return ax - bx;
+      return a.index - b.index;
+    })
+    .map(entry => entry.book);
+}
+
+/**
+ * Order-preserving alignment of two book sequences (longest common subsequence weighted by similarity)
+ * @param {Array} previous - Entries seen in the previous frame, in shelf order
+ * @param {Array} current - Books of the current frame, in shelf order
+ * @param {number} threshold - Minimum title similarity for a match
+ * @returns {Map<number, number>} Matches: index in current -> index in previous
+ */
+function alignSequences(previous, current, threshold) {
+  const rows = previous.length;
+  const cols = current.length;
+  const similarity = previous.map(entry =>
+    current.map(book => titleSimilarity(entry.title, book.title))
+  );
+
+  // score[i][j]: best total similarity aligning previous[0..i) with current[0..j)
+  const score = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+  for (let i = 1; i <= rows; i++) {
+    for (let j = 1; j <= cols; j++) {
+      const pair = similarity[i - 1][j - 1];
+      score[i][j] = Math.max(
+        score[i - 1][j],
+        score[i][j - 1],
+        pair >= threshold ? score[i - 1][j - 1] + pair : -Infinity
+      );
+    }
+  }
+
+  const matches = new Map();
+  let i = rows;
+  let j = cols;
+  while (i > 0 && j > 0) {
+    const pair = similarity[i - 1][j - 1];
+    if (pair >= threshold && score[i][j] === score[i - 1][j - 1] + pair) {
+      matches.set(j - 1, i - 1);
+      i--;
+      j--;
+    } else if (score[i][j] === score[i - 1][j]) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Stitch per-frame recognition results into one shelf inventory
+ * @param {Array} frames - Frames in left-to-right order: {sequenceIndex, uploadId, books}
+ * @param {object} options - Stitching options (titleMatchThreshold)
+ * @returns {object} Merged books in shelf order and a stitching summary
+ */
+function stitchFrames(frames, options = {}) {
+  const threshold = options.titleMatchThreshold || TITLE_MATCH_THRESHOLD;
+  const inventory = [];
+  let previousEntries = [];
+  let duplicatesMerged = 0;
+
+  for (const frame of frames) {
+    const books = orderBooks(frame.books || []);
+    const matches = alignSequences(previousEntries, books, threshold);
+    const frameEntries = [];
+
+    // Unmatched books go right after the last matched entry (or before the first one, for books
+    // left of the overlap), keeping shelf order. Without any overlap the frame is appended.
+    let insertAt = matches.size > 0
+      ? inventory.indexOf(previousEntries[Math.min(...matches.values())])
+      : inventory.length;
+
+    books.forEach((book, index) => {
+      if (matches.has(index)) {
+        const entry = previousEntries[matches.get(index)];
+        entry.frames.push(frame.sequenceIndex);
+        entry.sightings.push(book);
+        if ((book.confidence || 0) > (entry.confidence || 0)) {
+          entry.best = book;
+          entry.confidence = book.confidence;
+          entry.title = book.title;
+        }
+        duplicatesMerged++;
+        frameEntries.push(entry);
+        insertAt = inventory.indexOf(entry) + 1;
+        return;
+      }
+
+      const entry = {
+        best: book,
+        title: book.title,
+        confidence: book.confidence,
+        frames: [frame.sequenceIndex],
+        sightings: [book]
+      };
+      inventory.splice(insertAt, 0, entry);
+      insertAt++;
+      frameEntries.push(entry);
+    });
+
+    previousEntries = frameEntries;
+  }
+
+  const books = inventory.map((entry, position) => ({
+    ...entry.best,
+    // Per-frame coordinates are not comparable across frames; keep them under `stitch`
+    boundingBox: undefined,
+    shelfPosition: position,
+    stitch: {
+      frames: entry.frames,
+      sightings: entry.sightings.length,
+      boundingBoxes: entry.sightings
+        .map((sighting, index) => (sighting.boundingBox ? { frame: entry.frames[index], ...sighting.boundingBox } : null))
+        .filter(Boolean)
+    }
+  }));
+
+  return {
+    books,
+    summary: {
+      frames: frames.length,
+      booksBeforeMerge: frames.reduce((sum, frame) => sum + (frame.books || []).length, 0),
+      duplicatesMerged,
+      totalBooks: books.length
+    }
+  };
+}
+
+module.exports = {
+  stitchFrames,
+  alignSequences,
+  orderBooks
+};
@@ -0,0 +1,49 @@
+const { stitchFrames } = require('./shelfStitcher');
+
+/**
+ * Frame with books placed left to right
+ * @param {number} sequenceIndex - Frame position
+ * @param {Array<string>} titles - Titles in shelf order
+ * @returns {object} Frame
+ */
+function frame(sequenceIndex, titles) {
+  return {
+    sequenceIndex,
+    books: titles.map((title, index) => ({ title, confidence: 0.8, boundingBox: { x: index * 100, y: 0, width: 80, height: 400 } }))
+  };
+}
+
+const titles = result => result.books.map(book => book.title);
+
+describe('stitchFrames', () => {
+  test('collapses the books two frames share', () => {
+    const result = stitchFrames([
+      frame(0, ['Emma', 'Persuasion', 'Middlemarch']),
+      frame(1, ['Persuasion', 'Middlemarch', 'Beloved'])
+    ]);
+
+    expect(titles(result)).toEqual(['Emma', 'Persuasion', 'Middlemarch', 'Beloved']);
+    expect(result.summary).toMatchObject({ booksBeforeMerge: 6, duplicatesMerged: 2, totalBooks: 4 });
+    expect(result.books[1].stitch.frames).toEqual([0, 1]);
+  });
+
+  test('keeps neighbouring volumes of a series apart across the overlap', () => {
+    const result = stitchFrames([
+      frame(0, ['Emma', 'Foundation']),
+      frame(1, ['Foundation', 'Foundation and Empire', 'Second Foundation'])
+    ]);
+
+    expect(titles(result)).toEqual(['Emma', 'Foundation', 'Foundation and Empire', 'Second Foundation']);
+    expect(result.summary.duplicatesMerged).toBe(1);
+  });
+
+  test('does not match the first volume with its sequel in the next frame', () => {
+    const result = stitchFrames([
+      frame(0, ['Emma', 'Dune']),
+      frame(1, ['Dune Messiah', 'Children of Dune'])
+    ]);
+
+    expect(titles(result)).toEqual(['Emma', 'Dune', 'Dune Messiah', 'Children of Dune']);
+    expect(result.summary.duplicatesMerged).toBe(0);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Title verification against OCR text
+ * Scores each detected title by how many of its words actually appear in the spine text
+ * read by OCR, so titles the LLM invented (no textual support) can be demoted or dropped.
+ */
+
+const { tokenize, levenshtein } = require('../utils/bookMatching');
+
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'of', 'and', 'or', 'in', 'on', 'at', 'to', 'for', 'with', 'by', 'from',
+  'de', 'la', 'le', 'el', 'der', 'die', 'das'
+]);
+
+/**
+ * Tokens worth matching: stopwords and single letters are dropped unless nothing else is left
+ * @param {string} text - Title or author
+ * @returns {Array<string>} Significant tokens
+ */
+function significantTokens(text) {
+  const tokens = tokenize(text);
+  const significant = tokens.filter(token => token.length > 1 && !STOPWORDS.has(token));
+  return significant.length > 0 ? significant : tokens;
+}
+
+/**
+ * Build a lookup index from OCR text annotations
+ * @param {Array} textAnnotations - Google Vision style annotations ({description})
+ * @returns {object} Token index {tokens: Set, compact: string, size}
+ */
+function buildOcrIndex(textAnnotations = []) {
+  const tokens = new Set();
+
+  for (const annotation of textAnnotations) {
+    for (const token of tokenize(annotation.description)) {
+      tokens.add(token);
+    }
+  }
+
+  // Spine text often runs words together ("THEHOBBIT"); keep each OCR line joined up for substring checks
+  const compact = textAnnotations
+    .flatMap(annotation => (annotation.description || '').split('\n'))
+    .map(line => tokenize(line).join(''))
+    .join(' ');
+
+  return { tokens, compact, size: tokens.size };
+}
+
+/**
+ * Whether a token is supported by the OCR text
+ * @param {string} token - Title token
+ * @param {object} index - OCR index
+ * @returns {boolean} Supported
+ */
+function tokenSupported(token, index) {
+  if (index.tokens.has(token)) return true;
+
+  // Longer words: allow the word run together with its neighbours, or a single OCR misread
+  if (token.length >= 5 && index.compact.includes(token)) return true;
+  if (token.length >= 4) {
+    for (const ocrToken of index.tokens) {
+      if (Math.abs(token.length - ocrToken.length) <= 1 && levenshtein(token, ocrToken) <= 1) return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Score a text (title or author) by the fraction of its tokens found in the OCR text
+ * @param {string} text - Title or author
+ * @param {object} index - OCR index
+ * @returns {object} {score, matched, missing}
+ */
+function scoreText(text, index) {
+  const tokens = significantTokens(text);
+  if (tokens.length === 0) {
+    return { score: 0, matched: [], missing: [] };
+  }
+
+  const matched = tokens.filter(token => tokenSupported(token, index));
+  return {
+    score: matched.length / tokens.length,
+    matched,
+    missing: tokens.filter(token => !matched.includes(token))
+  };
+}
+
+/**
+ * Verify one book against the OCR index
+ * @param {object} book - Detected book
+ * @param {object} index - OCR index
+ * @param {object} thresholds - {verified, partial} title score thresholds
+ * @returns {object} Verification block
+ */
+function verifyBook(book, index, thresholds = {}) {
+  const verifiedThreshold = thresholds.verified || 0.6;
+  const partialThreshold = thresholds.partial || 0.3;
+
+  const title = scoreText(book.title, index);
+  const author = book.author ? scoreText(book.author, index) : null;
+
+  let status;
+  if (title.score >= verifiedThreshold) status = 'verified';
+  else if (title.score >= partialThreshold) status = 'partial';
+  else if (title.score > 0) status = 'weak';
+  else status = 'unsupported';
+
+  return {
+    status,
+    titleScore: Math.round(title.score * 100) / 100,
+    authorScore: author ? Math.round(author.score * 100) / 100 : null,
+    matchedTokens: title.matched,
+    missingTokens: title.missing
+  };
+}
+
+module.exports = {
+  tokenize,
+  buildOcrIndex,
+  scoreText,
+  verifyBook
+};
@@ -0,0 +1,441 @@
+const bookSpineRecognition = require('./bookSpineRecognition');
+const jobQueue = require('./jobQueue');
+const analysisEvents = require('./analysisEvents');
+const shelfStitcher = require('./shelfStitcher');
+const bookCorrections = require('./bookCorrections');
+const { query, transaction, findById, updateById } = require('../utils/database');
+
+const ANALYZE_UPLOAD_JOB = 'analyze_upload';
+
+// A wide bookcase photographed in overlapping shots, left to right
+const MIN_GROUP_IMAGES = 2;
+const MAX_GROUP_IMAGES = 5;
+
+// Uploads left in `uploaded` state this long without a job are queued by the worker's sweep;
+// until then the client can still queue them itself with its own analysis options
+const UPLOAD_SWEEP_DELAY_MS = parseInt(process.env.UPLOAD_SWEEP_DELAY_MS) || 60 * 1000;
+const UPLOAD_SWEEP_BATCH_SIZE = 20;
+
+/**
+ * Default recognition options for queued bookshelf analysis
+ */
+const defaultAnalysisOptions = {
+  includeAuthors: true,
+  includeGenres: true,
+  maxResults: 50,
+  minConfidence: 0.3,
+  enrichWithGoogleBooks: false
+};
+
+/**
+ * Queue a bookshelf upload for background analysis
+ * Reuses the upload's pending or running job if there is one (see jobQueue.enqueue)
+ * @param {object} uploadRecord - image_uploads row
+ * @param {object} options - Recognition options
+ * @returns {Promise<object>} Job row
+ */
+async function queueUploadAnalysis(uploadRecord, options = {}) {
+  const job = await jobQueue.enqueue(
+    ANALYZE_UPLOAD_JOB,
+    { options: { ...defaultAnalysisOptions, ...options } },
+    {
+      imageUploadId: uploadRecord.id,
+      sessionId: uploadRecord.session_id
+    }
+  );
+
+  if (!job.existing) {
+    analysisEvents.publish(uploadRecord.id, { type: 'status', status: 'queued', jobId: job.id });
+  }
+
+  return job;
+}
+
+/**
+ * Sweep hook: queue uploads (and upload groups) still in `uploaded` state that have no pending or
+ * running analysis job, e.g. uploaded without processImmediately or left behind by a crash
+ * @returns {Promise<number>} Number of uploads queued
+ */
+async function queueUploadedImages() {
+  const result = await query(
+    `SELECT * FROM image_uploads u
+     WHERE u.processing_status = 'uploaded'
+       AND u.upload_type <> 'frame'
+       AND u.created_at < NOW() - $1 * INTERVAL '1 millisecond'
+       AND NOT EXISTS (
+         SELECT 1 FROM jobs j
+         WHERE j.image_upload_id = u.id AND j.job_type = $2 AND j.status IN ('pending', 'running')
+       )
+     ORDER BY u.created_at ASC, u.id ASC
+     LIMIT ${UPLOAD_SWEEP_BATCH_SIZE}`,
+    [UPLOAD_SWEEP_DELAY_MS, ANALYZE_UPLOAD_JOB]
+  );
+
+  for (const uploadRecord of result.rows) {
+    await queueUploadAnalysis(uploadRecord);
+  }
+  return result.rows.length;
+}
+
+/**
+ * Create a multi-image upload: one `group` parent row plus a `frame` row per image
+ * @param {string} sessionId - Device session ID
+ * @param {Array} files - Multer files, in left-to-right shelf order
+ * @returns {Promise<object>} {group, frames} rows
+ */
+async function createUploadGroup(sessionId, files) {
+  return transaction(async (client) => {
+    const groupResult = await client.query(
+      `INSERT INTO image_uploads (session_id, upload_type, filename, file_size, mime_type, processing_status)
+       VALUES ($1, 'group', $2, $3, $4, 'uploaded')
+       RETURNING *`,
+      [
+        sessionId,
+        `shelf-group-${files.length}-images`,
+        files.reduce((sum, file) => sum + file.size, 0),
+        'multipart/mixed'
+      ]
+    );
+    const group = groupResult.rows[0];
+
+    const frames = [];
+    for (const [index, file] of files.entries()) {
+      const frameResult = await client.query(
+        `INSERT INTO image_uploads
+           (session_id, upload_type, parent_upload_id, sequence_index, filename, file_path, file_size, mime_type, processing_status)
+         VALUES ($1, 'frame', $2, $3, $4, $5, $6, $7, 'uploaded')
+         RETURNING *`,
+        [sessionId, group.id, index, file.filename, file.path, file.size, file.mimetype]
+      );
+      frames.push(frameResult.rows[0]);
+    }
+
+    return { group, frames };
+  });
+}
+
+/**
+ * Get the frames of an upload group in shelf order
+ * @param {number} groupId - Parent upload ID
+ * @returns {Promise<Array>} Frame rows
+ */
+async function getGroupFrames(groupId) {
+  const result = await query(
+    `SELECT * FROM image_uploads
+     WHERE parent_upload_id = $1
+     ORDER BY sequence_index ASC, id ASC`,
+    [groupId]
+  );
+  return result.rows;
+}
+
+/**
+ * Job handler: run book recognition for an upload still in `uploaded` state
+ * @param {object} job - Claimed job row
+ * @returns {Promise<object>} Job result summary
+ */
+async function analyzeUploadJob(job) {
+  const uploadId = job.image_upload_id;
+  const uploadRecord = await findById('image_uploads', uploadId);
+
+  if (!uploadRecord) {
+    return { skipped: true, reason: 'upload_deleted' };
+  }
+
+  if (uploadRecord.processing_status === 'completed') {
+    return { skipped: true, reason: 'already_completed' };
+  }
+
+  if (uploadRecord.upload_type === 'group') {
+    return analyzeUploadGroup(job, uploadRecord);
+  }
+
+  await updateById('image_uploads', uploadId, {
+    processing_status: 'processing',
+    processed_at: new Date()
+  });
+
+  console.log(`🔄 Starting background processing for upload ${uploadId} (job ${job.id})`);
+  analysisEvents.publish(uploadId, {
+    type: 'status',
+    status: 'processing',
+    jobId: job.id,
+    attempt: job.attempts,
+    maxAttempts: job.max_attempts
+  });
+
+  const analysisResult = await bookSpineRecognition.recognizeBooks(uploadRecord.file_path, {
+    ...(job.payload.options || defaultAnalysisOptions),
+    titleAliases: await bookCorrections.getAliasMap(uploadRecord.session_id),
+    onProgress: event => analysisEvents.publish(uploadId, { ...event, jobId: job.id })
+  });
+
+  await updateById('image_uploads', uploadId, {
+    processing_status: 'completed',
+    extracted_books: JSON.stringify(analysisResult.books),
+    processing_error: null,
+    validation_report: analysisResult.metadata.validationReport || null,
+    processed_at: new Date()
+  });
+
+  console.log(`✅ Background processing completed for upload ${uploadId}: ${analysisResult.books.length} books found`);
+  analysisEvents.publish(uploadId, {
+    type: 'complete',
+    status: 'completed',
+    jobId: job.id,
+    books: analysisResult.books,
+    metadata: analysisResult.metadata
+  });
+
+  return {
+    requestId: analysisResult.requestId,
+    booksFound: analysisResult.books.length,
+    aiProvider: analysisResult.metadata.aiProvider,
+    fallbackUsed: analysisResult.metadata.fallbackUsed,
+    demoMode: analysisResult.metadata.demoMode || false,
+    processingTime: analysisResult.metadata.processingTime
+  };
+}
+
+/**
+ * Analyze every frame of an upload group and stitch the results into one shelf inventory
+ * Frames completed on an earlier attempt are not re-analyzed. A frame that fails with a retryable
+ * error fails the job while attempts remain, so only the missing frames run again; after that the
+ * group is stitched from whatever frames succeeded and the failed frames are listed in processing_error.
+ * @param {object} job - Claimed job row
+ * @param {object} groupRecord - image_uploads row of the group
+ * @returns {Promise<object>} Job result summary
+ */
+async function analyzeUploadGroup(job, groupRecord) {
+  const groupId = groupRecord.id;
+  const startTime = Date.now();
+  const options = job.payload.options || defaultAnalysisOptions;
+
+  await updateById('image_uploads', groupId, {
+    processing_status: 'processing',
+    processed_at: new Date()
+  });
+
+  const frames = await getGroupFrames(groupId);
+  const titleAliases = await bookCorrections.getAliasMap(groupRecord.session_id);
+  console.log(`🔄 Starting background processing for upload group ${groupId}: ${frames.length} frames (job ${job.id})`);
+  analysisEvents.publish(groupId, {
+    type: 'status',
+    status: 'processing',
+    jobId: job.id,
+    attempt: job.attempts,
+    maxAttempts: job.max_attempts,
+    frames: frames.length
+  });
+
+  const analyzedFrames = [];
+  const frameFailures = [];
+
+  for (const frame of frames) {
+    const frameContext = { jobId: job.id, frameId: frame.id, frameIndex: frame.sequence_index };
+
+    if (frame.processing_status === 'completed') {
+      analyzedFrames.push({ frame, books: frame.extracted_books || [] });
+      continue;
+    }
+
+    try {
+      await updateById('image_uploads', frame.id, {
+        processing_status: 'processing',
+        processed_at: new Date()
+      });
+
+      const analysisResult = await bookSpineRecognition.recognizeBooks(frame.file_path, {
+        ...options,
+        titleAliases,
+        onProgress: event => analysisEvents.publish(groupId, { ...event, ...frameContext })
+      });
+
+      await updateById('image_uploads', frame.id, {
+        processing_status: 'completed',
+        extracted_books: JSON.stringify(analysisResult.books),
+        processing_error: null,
+        validation_report: analysisResult.metadata.validationReport || null,
+        processed_at: new Date()
+      });
+
+      analyzedFrames.push({ frame, books: analysisResult.books });
+      analysisEvents.publish(groupId, {
+        type: 'frame',
+        status: 'completed',
+        ...frameContext,
+        booksFound: analysisResult.books.length
+      });
+    } catch (error) {
+      const failure = {
+        frameId: frame.id,
+        sequenceIndex: frame.sequence_index,
+        code: error.code || 'ANALYSIS_FAILED',
+        message: error.message,
+        failures: error.failures || [],
+        retryable: error.retryable !== false
+      };
+      frameFailures.push(failure);
+
+      await updateById('image_uploads', frame.id, {
+        processing_status: getFailureStatus(error),
+        processing_error: { ...failure, failedAt: new Date().toISOString() }
+      });
+
+      console.warn(`⚠️ Frame ${frame.sequence_index} of upload group ${groupId} failed: ${error.message}`);
+      analysisEvents.publish(groupId, {
+        type: 'frame',
+        status: 'failed',
+        ...frameContext,
+        error: error.message,
+        code: failure.code
+      });
+    }
+  }
+
+  const canRetry = job.attempts < job.max_attempts && frameFailures.some(failure => failure.retryable);
+  if (frameFailures.length > 0 && (analyzedFrames.length === 0 || canRetry)) {
+    const allProviderFailures = frameFailures.every(failure => ['PROVIDER_FAILURE', 'NO_PROVIDERS'].includes(failure.code));
+    const error = new Error(
+      `${frameFailures.length} of ${frames.length} frames in upload group ${groupId} could not be analyzed`
+    );
+    error.code = allProviderFailures ? 'PROVIDER_FAILURE' : 'GROUP_ANALYSIS_FAILED';
+    error.failures = frameFailures.flatMap(failure =>
+      failure.failures.length > 0
+        ? failure.failures.map(providerFailure => ({ ...providerFailure, frameIndex: failure.sequenceIndex }))
+        : [{ error: failure.message, code: failure.code, retryable: failure.retryable, frameIndex: failure.sequenceIndex }]
+    );
+    error.retryable = frameFailures.some(failure => failure.retryable);
+    throw error;
+  }
+
+  analyzedFrames.sort((a, b) => a.frame.sequence_index - b.frame.sequence_index);
+  const stitched = shelfStitcher.stitchFrames(analyzedFrames.map(({ frame, books }) => ({
+    sequenceIndex: frame.sequence_index,
+    uploadId: frame.id,
+    books
+  })));
+
+  const metadata = {
+    uploadType: 'group',
+    stitching: stitched.summary,
+    failedFrames: frameFailures.map(failure => failure.sequenceIndex),
+    processingTime: Date.now() - startTime
+  };
+
+  await updateById('image_uploads', groupId, {
+    processing_status: 'completed',
+    extracted_books: JSON.stringify(stitched.books),
+    processing_error: frameFailures.length > 0 ? {
+      code: 'FRAMES_FAILED',
+      message: `${frameFailures.length} of ${frames.length} frames could not be analyzed`,
+      frames: frameFailures,
+      failedAt: new Date().toISOString()
+    } : null,
+    processed_at: new Date()
+  });
+
+  console.log(`✅ Background processing completed for upload group ${groupId}: ${stitched.books.length} books from ${analyzedFrames.length} frames (${stitched.summary.duplicatesMerged} duplicates merged)`);
+  analysisEvents.publish(groupId, {
+    type: 'complete',
+    status: 'completed',
+    jobId: job.id,
+    books: stitched.books,
+    metadata
+  });
+
+  return {
+    booksFound: stitched.books.length,
+    framesAnalyzed: analyzedFrames.length,
+    framesFailed: frameFailures.length,
+    duplicatesMerged: stitched.summary.duplicatesMerged,
+    processingTime: metadata.processingTime
+  };
+}
+
+/**
+ * Upload status for a failed analysis that will not be retried
+ * Provider failures get their own status so clients can tell "no vision service could read this"
+ * apart from crashes and unreadable images.
+ * @param {Error} error - Failure
+ * @returns {string} processing_status value
+ */
+function getFailureStatus(error) {
+  return ['PROVIDER_FAILURE', 'NO_PROVIDERS'].includes(error.code) ? 'failed_provider' : 'failed';
+}
+
+/**
+ * Job failure hook: put the upload back in `uploaded` state for a retry, or mark it failed,
+ * recording the structured failure either way
+ * @param {object} job - Job row
+ * @param {Error} error - Failure
+ * @param {boolean} willRetry - Whether the queue will retry the job
+ */
+async function handleAnalyzeUploadFailure(job, error, willRetry) {
+  const processingError = {
+    code: error.code || 'ANALYSIS_FAILED',
+    message: error.message,
+    failures: error.failures || [],
+    willRetry,
+    attempt: job.attempts,
+    maxAttempts: job.max_attempts,
+    failedAt: new Date().toISOString()
+  };
+  const status = willRetry ? 'uploaded' : getFailureStatus(error);
+  const failedValidation = processingError.failures.find(failure => failure.validationReport);
+
+  await updateById('image_uploads', job.image_upload_id, {
+    processing_status: status,
+    processing_error: processingError,
+    ...(failedValidation ? { validation_report: failedValidation.validationReport } : {})
+  });
+
+  analysisEvents.publish(job.image_upload_id, {
+    type: 'failed',
+    status: willRetry ? 'retrying' : status,
+    jobId: job.id,
+    error: error.message,
+    code: processingError.code,
+    failures: processingError.failures,
+    willRetry
+  });
+}
+
+/**
+ * Summarize a job row for API responses
+ * @param {object|null} job - Job row
+ * @returns {object|null} Job summary
+ */
+function formatJob(job) {
+  if (!job) return null;
+
+  return {
+    id: job.id,
+    type: job.job_type,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    nextRunAt: job.status === 'pending' ? job.run_at : null,
+    lastError: job.last_error,
+    result: job.result,
+    createdAt: job.created_at,
+    completedAt: job.completed_at
+  };
+}
+
+jobQueue.registerHandler(ANALYZE_UPLOAD_JOB, analyzeUploadJob, {
+  onFailure: handleAnalyzeUploadFailure,
+  sweep: queueUploadedImages
+});
+
+module.exports = {
+  ANALYZE_UPLOAD_JOB,
+  MIN_GROUP_IMAGES,
+  MAX_GROUP_IMAGES,
+  queueUploadAnalysis,
+  queueUploadedImages,
+  createUploadGroup,
+  getGroupFrames,
+  analyzeUploadJob,
+  formatJob
+};
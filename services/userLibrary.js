@@ -0,0 +1,398 @@
+const bookCorrections = require('./bookCorrections');
+const bookIdentity = require('./bookIdentity');
+const { query, transaction, findById } = require('../utils/database');
+const { parseIsbn } = require('../utils/isbn');
+
+// Columns clients may edit on a library book
+const EDITABLE_FIELDS = ['title', 'author', 'genre', 'isbn', 'notes'];
+
+/**
+ * Personal book library
+ * Books confirmed from scans (or added by hand) for a device session, deduplicated by canonical
+ * work (see bookIdentity) so re-scanning the same shelf, or adding another edition, never creates
+ * a second copy.
+ */
+class UserLibrary {
+  constructor() {
+    this.defaultMinConfidence = 0.5;
+  }
+
+  /**
+   * Build the deduplication keys for a book
+   * @param {string} title - Book title
+   * @param {string|null} author - Author name
+   * @returns {object} {titleKey, authorKey}; authorKey is '' when the author is unknown
+   */
+  getBookKeys(title, author) {
+    // Scans disagree on subtitles, initials and first names; the work's title key and surname are stable
+    return {
+      titleKey: bookIdentity.getTitleKey(title),
+      authorKey: bookIdentity.getAuthorKey(author)
+    };
+  }
+
+  /**
+   * Normalize an ISBN to ISBN-13
+   * @param {string|null} value - ISBN-10 or ISBN-13, separators allowed
+   * @param {boolean} strict - Throw INVALID_BOOK for an invalid ISBN instead of dropping it
+   * @returns {string|null} ISBN-13
+   */
+  normalizeIsbn(value, strict = false) {
+    if (!value) return null;
+
+    const isbn = parseIsbn(value);
+    if (!isbn && strict) {
+      const error = new Error(`Invalid ISBN: ${value}`);
+      error.code = 'INVALID_BOOK';
+      throw error;
+    }
+    return isbn ? isbn.isbn13 : null;
+  }
+
+  /**
+   * Find a library book that is the same book as the given one
+   * The same canonical work or ISBN always matches. A book with an unknown author matches the
+   * same title by any author, and vice versa.
+   * @param {object} db - Database client or module exposing query()
+   * @param {string} sessionId - Device session ID
+   * @param {object} identity - {titleKey, authorKey, isbn, workId}
+   * @returns {Promise<object|null>} Existing library row
+   */
+  async findDuplicate(db, sessionId, identity) {
+    const result = await db.query(
+      `SELECT * FROM library_books
+       WHERE session_id = $1
+         AND ((title_key = $2 AND (author_key = $3 OR author_key = '' OR $3 = ''))
+           OR isbn = $4 OR work_id = $5)
+       ORDER BY COALESCE(work_id = $5, false) DESC, COALESCE(isbn = $4, false) DESC, (author_key = $3) DESC, id ASC
+       LIMIT 1`,
+      [sessionId, identity.titleKey, identity.authorKey, identity.isbn || null, identity.workId || null]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Resolve the canonical work and dedup keys of a book
+   * @param {object} db - Database client or module exposing query()
+   * @param {object} book - {title, author, isbn (ISBN-13), openLibraryId}
+   * @returns {Promise<object>} {titleKey, authorKey, isbn, workId}
+   */
+  async getIdentity(db, book) {
+    const work = await bookIdentity.resolveWork(book, { db });
+    return { ...this.getBookKeys(book.title, book.author), isbn: book.isbn || null, workId: work.id };
+  }
+
+  /**
+   * Add a book to a session's library, or merge it into the existing copy
+   * @param {string} sessionId - Device session ID
+   * @param {object} book - {title, author, genre, isbn, confidence, notes, metadata}
+   * @param {object} options - {source: 'manual'|'scan', uploadId, db}
+   * @returns {Promise<object>} {book, created}
+   */
+  async addBook(sessionId, book, options = {}) {
+    const db = options.db || { query };
+    const title = (book.title || '').trim();
+
+    if (!title) {
+      const error = new Error('Book title is required');
+      error.code = 'INVALID_BOOK';
+      throw error;
+    }
+
+    const author = book.author ? String(book.author).trim() : null;
+    // A misread ISBN from a scan is dropped; one typed in by hand is an error
+    const isbn = this.normalizeIsbn(book.isbn, options.source !== 'scan');
+    const identity = await this.getIdentity(db, { title, author, isbn, openLibraryId: book.openLibraryId });
+    const existing = await this.findDuplicate(db, sessionId, identity);
+
+    if (existing) {
+      // Fill gaps from the new sighting; never overwrite what the user already has
+      const result = await db.query(
+        `UPDATE library_books SET
+           author = COALESCE(author, $2),
+           author_key = CASE WHEN author_key = '' THEN $3 ELSE author_key END,
+           genre = COALESCE(genre, $4),
+           isbn = COALESCE(isbn, $5),
+           confidence = GREATEST(COALESCE(confidence, 0), COALESCE($6, 0)),
+           times_detected = times_detected + $7,
+           work_id = COALESCE(work_id, $8),
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [
+          existing.id,
+          author,
+          identity.authorKey,
+          book.genre || null,
+          isbn,
+          book.confidence ?? null,
+          options.source === 'scan' ? 1 : 0,
+          identity.workId
+        ]
+      );
+      return { book: result.rows[0], created: false };
+    }
+
+    const result = await db.query(
+      `INSERT INTO library_books
+         (session_id, title, author, genre, isbn, work_id, title_key, author_key, source, source_upload_id,
+          confidence, times_detected, notes, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+       RETURNING *`,
+      [
+        sessionId,
+        title,
+        author,
+        book.genre || null,
+        isbn,
+        identity.workId,
+        identity.titleKey,
+        identity.authorKey,
+        options.source || 'manual',
+        options.uploadId || null,
+        book.confidence ?? null,
+        options.source === 'scan' ? 1 : 0,
+        book.notes || null,
+        book.metadata || {}
+      ]
+    );
+    return { book: result.rows[0], created: true };
+  }
+
+  /**
+   * Confirm detected books from a completed upload into the library
+   * @param {string} sessionId - Device session ID
+   * @param {object} uploadRecord - image_uploads row
+   * Rejected and merged detections are never added; without bookIndexes, books the user accepted
+   * or edited are added whatever their confidence.
+   * @param {object} options - {bookIndexes: indexes into extracted_books, minConfidence}
+   * @returns {Promise<object>} {added, merged, skipped}
+   */
+  async acceptFromUpload(sessionId, uploadRecord, options = {}) {
+    const detectedBooks = uploadRecord.extracted_books || [];
+    const minConfidence = options.minConfidence ?? this.defaultMinConfidence;
+
+    const selected = (Array.isArray(options.bookIndexes)
+      ? options.bookIndexes
+        .filter(index => Number.isInteger(index) && index >= 0 && index < detectedBooks.length)
+        .map(index => detectedBooks[index])
+      : detectedBooks.filter(book =>
+        ['accepted', 'edited'].includes(book.review?.status) || (book.confidence || 0) >= minConfidence
+      ))
+      .filter(book => !bookCorrections.isDiscarded(book));
+
+    const skipped = detectedBooks.length - selected.length;
+
+    return transaction(async (client) => {
+      const added = [];
+      const merged = [];
+
+      for (const book of selected) {
+        if (!book.title) continue;
+
+        const result = await this.addBook(sessionId, {
+          title: book.title,
+          author: book.author,
+          genre: book.genre,
+          isbn: book.isbn,
+          openLibraryId: book.openLibraryId,
+          confidence: book.confidence,
+          metadata: {
+            spineIndex: book.spineIndex ?? null,
+            shelfPosition: book.shelfPosition ?? null
+          }
+        }, { source: 'scan', uploadId: uploadRecord.id, db: client });
+
+        (result.created ? added : merged).push(result.book);
+      }
+
+      return { added, merged, skipped };
+    });
+  }
+
+  /**
+   * List a session's library
+   * @param {string} sessionId - Device session ID
+   * @param {object} options - {search, genre, limit, offset}
+   * @returns {Promise<object>} {books, totalCount}
+   */
+  async listBooks(sessionId, options = {}) {
+    const conditions = ['session_id = $1'];
+    const params = [sessionId];
+
+    if (options.search) {
+      params.push(`%${options.search}%`);
+      conditions.push(`(title ILIKE $${params.length} OR author ILIKE $${params.length})`);
+    }
+
+    if (options.genre) {
+      params.push(options.genre);
+      conditions.push(`genre = $${params.length}`);
+    }
+
+    const where = conditions.join(' AND ');
+    const countResult = await query(`SELECT COUNT(*) AS count FROM library_books WHERE ${where}`, params);
+
+    const limit = Math.min(parseInt(options.limit) || 100, 500);
+    const offset = Math.max(parseInt(options.offset) || 0, 0);
+    const result = await query(
+      `SELECT * FROM library_books WHERE ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ${limit} OFFSET ${offset}`,
+      params
+    );
+
+    return {
+      books: result.rows,
+      totalCount: parseInt(countResult.rows[0].count)
+    };
+  }
+
+  /**
+   * Get one library book owned by a session
+   * @param {string} sessionId - Device session ID
+   * @param {number|string} bookId - Library book ID
+   * @returns {Promise<object|null>} Library row, or null if missing or owned by another session
+   */
+  async getBook(sessionId, bookId) {
+    const id = parseInt(bookId);
+    if (!Number.isInteger(id)) return null;
+
+    const book = await findById('library_books', id);
+    return book && book.session_id === sessionId ? book : null;
+  }
+
+  /**
+   * Edit a library book
+   * Changing the title or author re-keys the book; if that makes it a duplicate of another
+   * library book the edit is rejected.
+   * @param {string} sessionId - Device session ID
+   * @param {object} book - Current library row
+   * @param {object} changes - Fields to change (title, author, genre, isbn, notes)
+   * @returns {Promise<object>} Updated row
+   */
+  async updateBook(sessionId, book, changes) {
+    const updates = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (changes[field] !== undefined) {
+        updates[field] = typeof changes[field] === 'string' ? changes[field].trim() || null : changes[field];
+      }
+    }
+
+    if (updates.title === null) {
+      const error = new Error('Book title cannot be empty');
+      error.code = 'INVALID_BOOK';
+      throw error;
+    }
+
+    if (updates.isbn !== undefined) {
+      updates.isbn = this.normalizeIsbn(updates.isbn, true);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return book;
+    }
+
+    // Resolving the work creates works/work_editions rows, so a rejected edit must roll them back
+    return transaction(async (client) => {
+      if (updates.title !== undefined || updates.author !== undefined || updates.isbn) {
+        const identity = await this.getIdentity(client, {
+          title: updates.title ?? book.title,
+          author: updates.author !== undefined ? updates.author : book.author,
+          isbn: updates.isbn !== undefined ? updates.isbn : book.isbn
+        });
+        const duplicate = await this.findDuplicate(client, sessionId, identity);
+
+        if (duplicate && duplicate.id !== book.id) {
+          const error = new Error('Another book in the library already has this title and author, or this ISBN');
+          error.code = 'DUPLICATE_BOOK';
+          error.duplicateId = duplicate.id;
+          throw error;
+        }
+
+        updates.title_key = identity.titleKey;
+        updates.author_key = identity.authorKey;
+        updates.work_id = identity.workId;
+      }
+
+      const columns = Object.keys(updates);
+      const result = await client.query(
+        `UPDATE library_books
+         SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [book.id, ...columns.map(column => updates[column])]
+      );
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Remove a book from a session's library
+   * @param {string} sessionId - Device session ID
+   * @param {number|string} bookId - Library book ID
+   * @returns {Promise<boolean>} Whether a book was removed
+   */
+  async removeBook(sessionId, bookId) {
+    const id = parseInt(bookId);
+    if (!Number.isInteger(id)) return false;
+
+    const result = await query(
+      'DELETE FROM library_books WHERE id = $1 AND session_id = $2',
+      [id, sessionId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Library books in the shape the recommendation engine expects from a scan
+   * @param {string} sessionId - Device session ID
+   * @returns {Promise<Array>} Books {title, author, genre, isbn, confidence}
+   */
+  async getBooksForRecommendations(sessionId) {
+    const result = await query(
+      `SELECT title, author, genre, isbn FROM library_books
+       WHERE session_id = $1
+       ORDER BY created_at ASC, id ASC`,
+      [sessionId]
+    );
+
+    // Confirmed books are certain, whatever the scan's confidence was
+    return result.rows.map(row => ({
+      title: row.title,
+      author: row.author,
+      genre: row.genre,
+      isbn: row.isbn,
+      confidence: 1,
+      fromLibrary: true
+    }));
+  }
+
+  /**
+   * Format a library row for API responses
+   * @param {object} row - library_books row
+   * @returns {object} Library book
+   */
+  formatBook(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      author: row.author,
+      genre: row.genre,
+      isbn: row.isbn,
+      workId: row.work_id,
+      notes: row.notes,
+      source: row.source,
+      sourceUploadId: row.source_upload_id,
+      confidence: row.confidence,
+      timesDetected: row.times_detected,
+      addedAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+// Create singleton instance
+const userLibrary = new UserLibrary();
+
+module.exports = userLibrary;
@@ -0,0 +1,362 @@
+const { query, transaction } = require('../utils/database');
+const schemaValidator = require('../utils/schemaValidator');
+
+// Genres users can pick as favorites or avoid
+const AVAILABLE_GENRES = [
+  'Fiction', 'Non-Fiction', 'Mystery', 'Thriller', 'Romance', 'Fantasy',
+  'Science Fiction', 'Historical Fiction', 'Literary Fiction', 'Biography',
+  'Memoir', 'Self-Help', 'Business', 'Psychology', 'Philosophy',
+  'History', 'Science', 'Politics', 'Religion', 'Health',
+  'Cooking', 'Travel', 'Art', 'Music', 'Sports', 'Technology',
+  'Poetry', 'Drama', 'Horror', 'Adventure', 'Young Adult',
+  'Children\'s', 'Graphic Novel', 'True Crime', 'Essays'
+].sort();
+
+const READING_LEVELS = [
+  { value: 'beginner', label: 'Beginner', description: 'Easy reads, shorter books' },
+  { value: 'intermediate', label: 'Intermediate', description: 'Moderate complexity' },
+  { value: 'advanced', label: 'Advanced', description: 'Complex, literary works' },
+  { value: 'any', label: 'Any Level', description: 'No preference' }
+];
+
+// Sensitivity settings per kind of content, with what each level means for it
+const CONTENT_OPTIONS = {
+  violence: [
+    { value: 'avoid', label: 'Avoid', description: 'No violent content' },
+    { value: 'limit', label: 'Limited', description: 'Mild violence only' },
+    { value: 'any', label: 'Any', description: 'No restrictions' }
+  ],
+  profanity: [
+    { value: 'avoid', label: 'Avoid', description: 'No strong language' },
+    { value: 'limit', label: 'Limited', description: 'Occasional mild language' },
+    { value: 'any', label: 'Any', description: 'No restrictions' }
+  ],
+  adult: [
+    { value: 'avoid', label: 'Avoid', description: 'No adult content' },
+    { value: 'limit', label: 'Limited', description: 'Mild adult themes' },
+    { value: 'any', label: 'Any', description: 'No restrictions' }
+  ],
+  religiousContent: [
+    { value: 'avoid', label: 'Avoid', description: 'No religious themes' },
+    { value: 'limit', label: 'Limited', description: 'Religion in the background only' },
+    { value: 'any', label: 'Any', description: 'No restrictions' }
+  ],
+  politicalContent: [
+    { value: 'avoid', label: 'Avoid', description: 'No political themes' },
+    { value: 'limit', label: 'Limited', description: 'Politics in the background only' },
+    { value: 'any', label: 'Any', description: 'No restrictions' }
+  ]
+};
+
+// Preferences every session starts with; stored documents only hold what the user changed
+const DEFAULT_PREFERENCES = {
+  favoriteGenres: [],
+  avoidGenres: [],
+  preferredAuthors: [],
+  avoidAuthors: [],
+  themes: [],
+  readingLevel: 'any', // beginner, intermediate, advanced, any
+  ratingThresholds: {
+    minimumRating: 3.0, // Minimum Goodreads/Google Books rating
+    minimumReviewCount: 50, // Minimum number of reviews
+    preferHighlyRated: true // Prioritize books with high ratings
+  },
+  contentPreferences: {
+    violence: 'any', // avoid, limit, any
+    profanity: 'any', // avoid, limit, any
+    adult: 'any', // avoid, limit, any
+    religiousContent: 'any',
+    politicalContent: 'any'
+  },
+  discoverySettings: {
+    includeNewReleases: true, // Include books from last 2 years
+    includeClassics: true, // Include older acclaimed books
+    includeDiverseAuthors: true, // Prioritize diverse voices
+    includeTranslations: false, // Include translated works
+    experimentWithGenres: true // Try genres outside preferences
+  },
+  recommendations: {
+    maxResults: 10,
+    includePopular: true, // Include bestsellers/popular books
+    includeSimilar: true, // Include books similar to owned books
+    includeAwards: true, // Include award-winning books
+    diversityLevel: 'balanced' // conservative, balanced, adventurous
+  },
+  readingGoals: {
+    booksPerMonth: null,
+    pagesPerDay: null,
+    preferredLength: 'any', // short, medium, long, any
+    seriesPreference: 'mixed' // standalone, series, mixed
+  },
+  goodreadsIntegration: {
+    enabled: false,
+    importToRead: false,
+    importRatings: false,
+    syncProgress: false
+  },
+  privacy: {
+    shareReadingHistory: false,
+    allowDataCollection: false,
+    anonymizeRecommendations: true
+  }
+};
+
+const genreList = { type: 'array', maxItems: AVAILABLE_GENRES.length, uniqueItems: true, items: { enum: AVAILABLE_GENRES } };
+const authorList = { type: 'array', maxItems: 50, uniqueItems: true, items: { type: 'string', minLength: 1, maxLength: 200 } };
+const flags = names => ({
+  type: 'object',
+  additionalProperties: false,
+  properties: Object.fromEntries(names.map(name => [name, { type: 'boolean' }]))
+});
+
+/**
+ * JSON schema of the preferences document
+ * Nothing is required: categories and keys left out keep their stored or default values.
+ */
+const PREFERENCES_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    favoriteGenres: genreList,
+    avoidGenres: genreList,
+    preferredAuthors: authorList,
+    avoidAuthors: authorList,
+    themes: { type: 'array', maxItems: 20, uniqueItems: true, items: { type: 'string', minLength: 1, maxLength: 50 } },
+    readingLevel: { enum: READING_LEVELS.map(level => level.value) },
+    ratingThresholds: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        minimumRating: { type: 'number', minimum: 1, maximum: 5 },
+        minimumReviewCount: { type: 'integer', minimum: 0, maximum: 1000000 },
+        preferHighlyRated: { type: 'boolean' }
+      }
+    },
+    contentPreferences: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(
+        Object.entries(CONTENT_OPTIONS).map(([name, options]) => [name, { enum: options.map(option => option.value) }])
+      )
+    },
+    discoverySettings: flags(['includeNewReleases', 'includeClassics', 'includeDiverseAuthors', 'includeTranslations', 'experimentWithGenres']),
+    recommendations: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        maxResults: { type: 'integer', minimum: 1, maximum: 50 },
+        includePopular: { type: 'boolean' },
+        includeSimilar: { type: 'boolean' },
+        includeAwards: { type: 'boolean' },
+        diversityLevel: { enum: ['conservative', 'balanced', 'adventurous'] }
+      }
+    },
+    readingGoals: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        booksPerMonth: { type: ['number', 'null'], minimum: 0, maximum: 100 },
+        pagesPerDay: { type: ['number', 'null'], minimum: 0, maximum: 1000 },
+        preferredLength: { enum: ['short', 'medium', 'long', 'any'] },
+        seriesPreference: { enum: ['standalone', 'series', 'mixed'] }
+      }
+    },
+    goodreadsIntegration: flags(['enabled', 'importToRead', 'importRatings', 'syncProgress']),
+    privacy: flags(['shareReadingHistory', 'allowDataCollection', 'anonymizeRecommendations'])
+  }
+};
+
+/**
+ * User preferences repository
+ * One JSONB document per device session in `user_preferences`, holding only the values the user
+ * set; reads merge it over the defaults, so new default settings reach existing users. Every
+ * change bumps `version`, and writers may pass the version they read to reject concurrent edits
+ * (PREFERENCES_CONFLICT). PREFERENCES_SCHEMA describes valid documents; routes validate input with it.
+ */
+class UserPreferences {
+  /**
+   * Preference categories (top-level keys of the document)
+   * @returns {Array<string>} Category names
+   */
+  getCategories() {
+    return Object.keys(DEFAULT_PREFERENCES);
+  }
+
+  /**
+   * A fresh copy of the default preferences
+   * @returns {object} Default preferences document
+   */
+  getDefaults() {
+    return JSON.parse(JSON.stringify(DEFAULT_PREFERENCES));
+  }
+
+  /**
+   * Validate preferences, or changes to some categories, against the schema
+   * Partial documents are valid; every error carries the JSON path of the offending value.
+   * @param {object} preferences - Document or {category: value} changes
+   * @returns {object} {valid, errors: [{path, message}]} - paths like '$.contentPreferences.violence'
+   */
+  validate(preferences) {
+    return schemaValidator.validate(preferences, PREFERENCES_SCHEMA);
+  }
+
+  /**
+   * Choices for the enumerated settings, from the same lists the schema enforces
+   * @returns {object} {genres, readingLevels, contentOptions}
+   */
+  getOptions() {
+    return {
+      genres: [...AVAILABLE_GENRES],
+      readingLevels: READING_LEVELS.map(level => ({ ...level })),
+      contentOptions: JSON.parse(JSON.stringify(CONTENT_OPTIONS))
+    };
+  }
+
+  /**
+   * Get a session's preferences merged over the defaults
+   * @param {string} sessionId - Device session ID
+   * @returns {Promise<object>} {preferences, version, updatedAt, customized}; version 0 means never saved
+   */
+  async get(sessionId) {
+    const result = await query(
+      'SELECT preferences, version, updated_at FROM user_preferences WHERE session_id = $1',
+      [sessionId]
+    );
+    return this.format(result.rows[0] || null);
+  }
+
+  /**
+   * Replace the whole stored document (PUT)
+   * @param {string} sessionId - Device session ID
+   * @param {object} preferences - Preferences; categories left out fall back to defaults
+   * @param {object} options - {expectedVersion}
+   * @returns {Promise<object>} Same shape as get()
+   */
+  async replace(sessionId, preferences, options = {}) {
+    return this.write(sessionId, () => preferences, options);
+  }
+
+  /**
+   * Update some categories, keeping the rest as stored
+   * Object categories are merged key by key ({violence: 'avoid'} keeps the other content settings);
+   * list and single-value categories are replaced.
+   * @param {string} sessionId - Device session ID
+   * @param {object} changes - {category: value}
+   * @param {object} options - {expectedVersion}
+   * @returns {Promise<object>} Same shape as get()
+   */
+  async update(sessionId, changes, options = {}) {
+    return this.write(sessionId, stored => this.merge(stored, changes), options);
+  }
+
+  /**
+   * Drop everything the user set, back to the defaults (the version still advances)
+   * @param {string} sessionId - Device session ID
+   * @param {object} options - {expectedVersion}
+   * @returns {Promise<object>} Same shape as get()
+   */
+  async reset(sessionId, options = {}) {
+    return this.write(sessionId, () => ({}), options);
+  }
+
+  /**
+   * Read-modify-write the stored document under a row lock
+   * @param {string} sessionId - Device session ID
+   * @param {Function} change - stored document -> new stored document
+   * @param {object} options - {expectedVersion}
+   * @returns {Promise<object>} Same shape as get()
+   */
+  async write(sessionId, change, options = {}) {
+    const row = await transaction(async (client) => {
+      const current = await client.query(
+        'SELECT preferences, version FROM user_preferences WHERE session_id = $1 FOR UPDATE',
+        [sessionId]
+      );
+      const stored = current.rows[0] || { preferences: {}, version: 0 };
+
+      if (options.expectedVersion !== undefined && options.expectedVersion !== stored.version) {
+        const error = new Error(`Preferences were changed elsewhere (version ${stored.version}, expected ${options.expectedVersion})`);
+        error.code = 'PREFERENCES_CONFLICT';
+        error.currentVersion = stored.version;
+        throw error;
+      }
+
+      const preferences = this.pickKnown(change(stored.preferences));
+      const result = await client.query(
+        `INSERT INTO user_preferences (session_id, preferences, version)
+         VALUES ($1, $2, 1)
+         ON CONFLICT (session_id) DO UPDATE SET
+           preferences = EXCLUDED.preferences,
+           version = user_preferences.version + 1,
+           updated_at = CURRENT_TIMESTAMP
+         RETURNING preferences, version, updated_at`,
+        [sessionId, JSON.stringify(preferences)]
+      );
+      return result.rows[0];
+    });
+
+    return this.format(row);
+  }
+
+  /**
+   * Merge preference changes over a document: objects key by key, everything else replaced
+   * @param {object} base - Document
+   * @param {object} changes - Changes
+   * @returns {object} New document
+   */
+  merge(base, changes) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(changes || {})) {
+      merged[key] = this.isPlainObject(value) && this.isPlainObject(base?.[key])
+        ? this.merge(base[key], value)
+        : value;
+    }
+    return merged;
+  }
+
+  /**
+   * Keep only known categories, and known keys inside object categories
+   * @param {object} preferences - Document
+   * @returns {object} Document without unknown keys
+   */
+  pickKnown(preferences) {
+    const known = {};
+    for (const [category, value] of Object.entries(preferences || {})) {
+      if (!(category in DEFAULT_PREFERENCES)) continue;
+
+      const defaults = DEFAULT_PREFERENCES[category];
+      known[category] = this.isPlainObject(defaults) && this.isPlainObject(value)
+        ? Object.fromEntries(Object.entries(value).filter(([key]) => key in defaults))
+        : value;
+    }
+    return known;
+  }
+
+  /**
+   * API shape of a stored row
+   * @param {object|null} row - {preferences, version, updated_at}, or null when nothing is stored
+   * @returns {object} {preferences, version, updatedAt, customized}
+   */
+  format(row) {
+    return {
+      preferences: this.merge(this.getDefaults(), row?.preferences || {}),
+      version: row?.version || 0,
+      updatedAt: row?.updated_at || null,
+      customized: Boolean(row && Object.keys(row.preferences || {}).length > 0)
+    };
+  }
+
+  /**
+   * Whether a value is a plain object (not an array or null)
+   * @param {*} value - Value
+   * @returns {boolean} Plain object
+   */
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+// Create singleton instance
+const userPreferences = new UserPreferences();
+
+module.exports = userPreferences;
@@ -0,0 +1,31 @@
+const googleVision = require('../googleVision');
+
+/**
+ * Google Cloud Vision provider (REST API: text and object detection)
+ */
+module.exports = {
+  name: 'google-vision',
+  description: 'Google Cloud Vision OCR and object detection',
+  capabilities: { spineCrops: true },
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean} Configured
+   */
+  isConfigured() {
+    return !!process.env.GOOGLE_VISION_API_KEY;
+  },
+
+  /**
+   * Analyze a bookshelf image or spine crop
+   * @param {string} imagePath - Path to image
+   * @param {object} options - Common provider options
+   * @returns {Promise<object>} Provider result {success, provider, books, metadata, rawResults}
+   */
+  async analyze(imagePath, options = {}) {
+    return googleVision.analyzeBookshelfImageWithREST(imagePath, {
+      maxBooks: options.singleSpine ? 3 : (options.maxBooks || 50),
+      includeAuthors: options.includeAuthors !== false
+    });
+  }
+};
@@ -0,0 +1,197 @@
+require('dotenv').config();
+
+/**
+ * Vision provider registry
+ * Providers share one contract — `analyze(imagePath, options)` resolving to
+ * `{ success, provider, books, metadata, rawResults? }` — and are tried in configured order.
+ *
+ * Configuration (environment):
+ *   VISION_PROVIDERS                      Comma-separated fallback order
+ *   VISION_PROVIDER_TIMEOUT_MS            Default per-call timeout
+ *   VISION_PROVIDER_<NAME>_TIMEOUT_MS     Per-provider timeout (NAME e.g. OPENAI_VISION, TESSERACT)
+ *   VISION_PROVIDER_<NAME>_ENABLED        Set to "false" to disable a provider
+ *   VISION_FIXTURE_RECORD                 Set to "true" to record successful results as replay fixtures
+ *   SHELF_SCANNER_DEMO_MODE               Set to "true" to allow the mock provider (appended as last resort)
+ */
+class VisionProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+
+    this.defaultOrder = ['openai-vision', 'google-vision'];
+    this.defaultTimeout = parseInt(process.env.VISION_PROVIDER_TIMEOUT_MS) || 60 * 1000;
+    this.recordFixtures = process.env.VISION_FIXTURE_RECORD === 'true';
+
+    // Per-provider call statistics
+    this.stats = {};
+  }
+
+  /**
+   * Register a provider
+   * @param {object} provider - Provider with name, analyze(imagePath, options) and optional isConfigured(), capabilities
+   */
+  register(provider) {
+    if (!provider || !provider.name || typeof provider.analyze !== 'function') {
+      throw new Error('Vision providers need a name and an analyze(imagePath, options) function');
+    }
+
+    this.providers.set(provider.name, provider);
+    this.stats[provider.name] = { calls: 0, successes: 0, failures: 0, timeouts: 0 };
+  }
+
+  /**
+   * Get a registered provider
+   * @param {string} name - Provider name
+   * @returns {object|null} Provider
+   */
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * Environment variable prefix for a provider's settings
+   * @param {string} name - Provider name
+   * @returns {string} Prefix, e.g. VISION_PROVIDER_OPENAI_VISION
+   */
+  envPrefix(name) {
+    return `VISION_PROVIDER_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+  }
+
+  /**
+   * Whether a provider is registered, not disabled by config and has its credentials
+   * @param {string} name - Provider name
+   * @returns {boolean} Enabled
+   */
+  isEnabled(name) {
+    const provider = this.get(name);
+    if (!provider) return false;
+    if (process.env[`${this.envPrefix(name)}_ENABLED`] === 'false') return false;
+    return typeof provider.isConfigured === 'function' ? provider.isConfigured() : true;
+  }
+
+  /**
+   * Timeout for a provider call
+   * @param {string} name - Provider name
+   * @returns {number} Timeout in ms
+   */
+  getTimeout(name) {
+    return parseInt(process.env[`${this.envPrefix(name)}_TIMEOUT_MS`]) || this.defaultTimeout;
+  }
+
+  /**
+   * Whether demo mode is on; it is the only mode in which mock books may be returned
+   * @returns {boolean} Demo mode
+   */
+  isDemoMode() {
+    return process.env.SHELF_SCANNER_DEMO_MODE === 'true';
+  }
+
+  /**
+   * Configured provider order, before enable checks
+   * @returns {Array<string>} Provider names
+   */
+  getConfiguredOrder() {
+    const configured = (process.env.VISION_PROVIDERS || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    return configured.length > 0 ? configured : this.defaultOrder;
+  }
+
+  /**
+   * Enabled providers in fallback order
+   * @param {Array<string>} order - Optional explicit order (e.g. from request options)
+   * @returns {Array<string>} Provider names
+   */
+  getProviderChain(order = null) {
+    const chain = (order || this.getConfiguredOrder()).filter(name => this.isEnabled(name));
+
+    if (this.isDemoMode() && !chain.includes('mock')) {
+      chain.push('mock');
+    }
+
+    return chain;
+  }
+
+  /**
+   * Run a single provider with its timeout
+   * @param {string} name - Provider name
+   * @param {string} imagePath - Path to image
+   * @param {object} options - Common provider options
+   * @returns {Promise<object>} Provider result
+   */
+  async analyze(name, imagePath, options = {}) {
+    const provider = this.get(name);
+    if (!provider) {
+      throw new Error(`Unknown vision provider: ${name}`);
+    }
+
+    const timeout = options.timeout || this.getTimeout(name);
+    const stats = this.stats[name];
+    stats.calls++;
+
+    let timer;
+    try {
+      const result = await Promise.race([
+        provider.analyze(imagePath, { ...options, timeout }),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => {
+            const error = new Error(`${name} timed out after ${timeout}ms`);
+            error.code = 'PROVIDER_TIMEOUT';
+            reject(error);
+          }, timeout);
+        })
+      ]);
+
+      stats.successes++;
+
+      if (this.recordFixtures && name !== 'fixture' && !options.singleSpine) {
+        // Recording is a development aid; a write failure must not fail a successful analysis
+        try {
+          this.get('fixture').recordFixture(options.sourceImagePath || imagePath, result);
+        } catch (error) {
+          console.warn(`Failed to record ${name} fixture for ${imagePath}:`, error.message);
+        }
+      }
+
+      return { ...result, provider: result.provider || name };
+
+    } catch (error) {
+      stats.failures++;
+      if (error.code === 'PROVIDER_TIMEOUT') stats.timeouts++;
+      throw error;
+
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Describe registered providers and their configuration
+   * @returns {Array<object>} Provider descriptions
+   */
+  describe() {
+    const chain = this.getProviderChain();
+
+    return Array.from(this.providers.values()).map(provider => ({
+      name: provider.name,
+      description: provider.description || null,
+      enabled: this.isEnabled(provider.name),
+      position: chain.indexOf(provider.name),
+      timeout: this.getTimeout(provider.name),
+      capabilities: provider.capabilities || {},
+      stats: this.stats[provider.name]
+    }));
+  }
+}
+
+// Create singleton instance and register built-in providers
+const visionProviders = new VisionProviderRegistry();
+
+visionProviders.register(require('./openai'));
+visionProviders.register(require('./google'));
+visionProviders.register(require('./tesseract'));
+visionProviders.register(require('./fixture'));
+visionProviders.register(require('./mock'));
+
+module.exports = visionProviders;
@@ -0,0 +1,80 @@
+/**
+ * Mock provider returning a fixed set of well-known books
+ * Lets the app be demonstrated without any vision API credentials. Only enabled in demo mode
+ * (SHELF_SCANNER_DEMO_MODE=true) so fake books are never stored as a real analysis.
+ */
+const mockBooks = [
+  {
+    id: 'mock_1',
+    title: 'The Great Gatsby',
+    author: 'F. Scott Fitzgerald',
+    genre: 'Literary Fiction',
+    confidence: 0.92,
+    isbn: '0743273567'
+  },
+  {
+    id: 'mock_2',
+    title: 'To Kill a Mockingbird',
+    author: 'Harper Lee',
+    genre: 'Literary Fiction',
+    confidence: 0.88,
+    isbn: '0061120081'
+  },
+  {
+    id: 'mock_3',
+    title: 'Dune',
+    author: 'Frank Herbert',
+    genre: 'Science Fiction',
+    confidence: 0.91,
+    isbn: '0441172717'
+  },
+  {
+    id: 'mock_4',
+    title: 'Murder on the Orient Express',
+    author: 'Agatha Christie',
+    genre: 'Mystery',
+    confidence: 0.85,
+    isbn: '0062693735'
+  },
+  {
+    id: 'mock_5',
+    title: '1984',
+    author: 'George Orwell',
+    genre: 'Science Fiction',
+    confidence: 0.93,
+    isbn: '0451524934'
+  }
+];
+
+/**
+ * Build a mock analysis result
+ * @returns {object} Mock analysis result
+ */
+function generateMockResult() {
+  return {
+    success: true,
+    provider: 'mock',
+    books: mockBooks.map(book => ({ ...book, demo: true })),
+    metadata: {
+      processingTime: 150,
+      source: 'mock-data',
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+module.exports = {
+  name: 'mock',
+  description: 'Fixed demonstration books',
+  capabilities: { spineCrops: false },
+
+  isConfigured() {
+    return process.env.SHELF_SCANNER_DEMO_MODE === 'true';
+  },
+
+  async analyze() {
+    return generateMockResult();
+  },
+
+  generateMockResult
+};
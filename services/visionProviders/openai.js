@@ -0,0 +1,34 @@
+const openaiVision = require('../openaiVision');
+
+/**
+ * OpenAI GPT-4o vision provider
+ */
+module.exports = {
+  name: 'openai-vision',
+  description: 'OpenAI GPT-4o vision',
+  capabilities: { spineCrops: true },
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean} Configured
+   */
+  isConfigured() {
+    return !!process.env.OPENAI_API_KEY;
+  },
+
+  /**
+   * Analyze a bookshelf image or spine crop
+   * @param {string} imagePath - Path to image
+   * @param {object} options - Common provider options
+   * @returns {Promise<object>} Provider result {success, provider, books, metadata}
+   */
+  async analyze(imagePath, options = {}) {
+    return openaiVision.analyzeBookshelfImage(imagePath, {
+      detail: options.detail || 'high',
+      includeAuthors: options.includeAuthors !== false,
+      includeGenres: options.includeGenres !== false,
+      includeCondition: options.includeCondition || false,
+      singleSpine: options.singleSpine || false
+    });
+  }
+};
@@ -0,0 +1,165 @@
+require('dotenv').config();
+const { execFile, execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { extractBooksFromText } = require('../googleVision');
+
+const tesseractPath = process.env.TESSERACT_PATH || 'tesseract';
+const tesseractLanguage = process.env.TESSERACT_LANG || 'eng';
+
+/**
+ * Local offline OCR provider using the Tesseract CLI
+ * Spine text usually runs vertically, so the image is read as-is and rotated a quarter turn;
+ * words from both passes are mapped back to original image coordinates.
+ */
+
+// Whether the binary runs; checked on first use (null until then)
+let tesseractAvailable = null;
+
+/**
+ * Check once whether the tesseract binary runs (`tesseract --version`)
+ * @returns {boolean} Available
+ */
+function isTesseractAvailable() {
+  if (tesseractAvailable === null) {
+    try {
+      execFileSync(tesseractPath, ['--version'], { timeout: 5000, stdio: 'ignore' });
+      tesseractAvailable = true;
+    } catch (error) {
+      tesseractAvailable = false;
+      console.warn(`Tesseract not available at "${tesseractPath}" (set TESSERACT_PATH); local OCR disabled`);
+    }
+  }
+  return tesseractAvailable;
+}
+
+/**
+ * Run the tesseract binary and return its TSV output
+ * @param {string} imagePath - Path to image
+ * @param {number} timeout - Process timeout in ms
+ * @returns {Promise<string>} TSV output
+ */
+function runTesseract(imagePath, timeout) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      tesseractPath,
+      [imagePath, 'stdout', '-l', tesseractLanguage, '--psm', '11', 'tsv'],
+      { timeout, maxBuffer: 10 * 1024 * 1024 },
+      (error, stdout, stderr) => {
+        if (error) {
+          const reason = error.code === 'ENOENT'
+            ? `Tesseract not found at "${tesseractPath}" (set TESSERACT_PATH)`
+            : (stderr || error.message).trim();
+          const ocrError = new Error(`Tesseract OCR failed: ${reason}`);
+          ocrError.retryable = error.code !== 'ENOENT'; // A missing binary won't appear on retry
+          return reject(ocrError);
+        }
+        resolve(stdout);
+      }
+    );
+  });
+}
+
+/**
+ * Parse tesseract TSV output into Google Vision style text annotations
+ * @param {string} tsv - TSV output
+ * @param {Function} mapPoint - Maps a point from the OCR'd image to original image coordinates
+ * @returns {Array} Text annotations {description, confidence, boundingPoly: {vertices}}
+ */
+function parseTsv(tsv, mapPoint = point => point) {
+  const annotations = [];
+  const lines = tsv.split('\n').slice(1);
+
+  for (const line of lines) {
+    const columns = line.split('\t');
+    if (columns.length < 12) continue;
+
+    const [left, top, width, height, conf] = columns.slice(6, 11).map(Number);
+    const text = columns[11].trim();
+    if (!text || conf < 0) continue;
+
+    annotations.push({
+      description: text,
+      confidence: conf / 100,
+      boundingPoly: {
+        vertices: [
+          mapPoint({ x: left, y: top }),
+          mapPoint({ x: left + width, y: top }),
+          mapPoint({ x: left + width, y: top + height }),
+          mapPoint({ x: left, y: top + height })
+        ]
+      }
+    });
+  }
+
+  return annotations;
+}
+
+module.exports = {
+  name: 'tesseract',
+  description: 'Local Tesseract OCR (offline)',
+  capabilities: { spineCrops: true },
+
+  /**
+   * Whether the tesseract binary is installed (checked once, then cached)
+   * @returns {boolean} Configured
+   */
+  isConfigured() {
+    return isTesseractAvailable();
+  },
+
+  /**
+   * OCR a bookshelf image or spine crop
+   * @param {string} imagePath - Path to image
+   * @param {object} options - Common provider options (timeout is passed by the registry)
+   * @returns {Promise<object>} Provider result {success, provider, books, metadata, rawResults}
+   */
+  async analyze(imagePath, options = {}) {
+    const startTime = Date.now();
+    const timeout = options.timeout || 60000;
+    const { width } = await sharp(imagePath).metadata();
+
+    const rotatedPath = path.join(path.dirname(imagePath), `${path.parse(imagePath).name}_tesseract_rot.png`);
+    await sharp(imagePath).rotate(270).png().toFile(rotatedPath);
+
+    let textAnnotations;
+    try {
+      const [uprightTsv, rotatedTsv] = await Promise.all([
+        runTesseract(imagePath, timeout),
+        runTesseract(rotatedPath, timeout)
+      ]);
+
+      // rotate(270) maps (x, y) to (y, width - x); invert that for the rotated pass
+      textAnnotations = [
+        ...parseTsv(uprightTsv),
+        ...parseTsv(rotatedTsv, point => ({ x: width - point.y, y: point.x }))
+      ];
+    } finally {
+      fs.unlink(rotatedPath, () => {});
+    }
+
+    const books = extractBooksFromText(textAnnotations, {
+      maxBooks: options.singleSpine ? 3 : (options.maxBooks || 50),
+      includeAuthors: options.includeAuthors !== false
+    }).map(book => ({ ...book, confidence: Math.min(book.confidence, 0.6) }));
+
+    return {
+      success: true,
+      provider: 'tesseract',
+      books,
+      metadata: {
+        totalBooksDetected: books.length,
+        imageAnalyzed: imagePath,
+        timestamp: new Date().toISOString(),
+        processingTime: Date.now() - startTime,
+        wordsRecognized: textAnnotations.length
+      },
+      rawResults: {
+        textAnnotations
+      }
+    };
+  },
+
+  parseTsv
+};
@@ -0,0 +1,459 @@
+/**
+ * Fuzzy book matching
+ * One set of text folding, string similarity and title/author comparison helpers for everything
+ * that decides whether two readings name the same book: provider ensembles, per-spine merging,
+ * frame stitching, OCR verification, work identity and recommendation sources.
+ */
+
+// Scores at or above these count as the same title / author
+const TITLE_MATCH_THRESHOLD = 0.8;
+const AUTHOR_MATCH_THRESHOLD = 0.8;
+
+// Leading articles ignored when comparing titles ("The Hobbit" == "Hobbit")
+const LEADING_ARTICLES = /^(the|a|an) /;
+
+// Letters NFKD does not decompose into a base letter plus accent
+const SPECIAL_LETTERS = { 'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ı': 'i' };
+
+// Name suffixes that are not surnames
+const NAME_SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'phd', 'md']);
+
+// Particles that belong to the surname ("Le Guin", "van Gogh", "de la Cruz")
+const SURNAME_PARTICLES = new Set(['le', 'la', 'de', 'del', 'della', 'di', 'da', 'du', 'van', 'von', 'der', 'den', 'st', 'mac']);
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+// Goodreads-style series suffix: "Catching Fire (The Hunger Games, #2)"
+const SERIES_SUFFIX = /\s*\(([^()]*?)[,\s]*#\s*(\d+(?:\.\d+)?)\s*\)\s*$/;
+
+// Inline series markers: "Book 2", "Vol. III", "(Volume One)", "Part 3", "#4"
+const SERIES_MARKER = new RegExp(
+  `[\\s,([]*\\b(?:book|volume|vol|part)\\.?\\s*#?\\s*(\\d+|[ivx]+|${Object.keys(NUMBER_WORDS).join('|')})\\b[)\\]]?|\\s*#\\s*(\\d+)\\b`,
+  'i'
+);
+
+// Where a subtitle starts: "Sapiens: A Brief History", "Dune - Deluxe Edition"
+const SUBTITLE_SEPARATOR = /\s*[:;]\s+|\s+[-–—]\s+/;
+
+// Subtitles that describe the book rather than name another one ("A Brief History of Humankind",
+// "or There and Back Again", "Deluxe Edition"); matched against folded text. A short subtitle that
+// is not one of these is taken as a volume title ("The Hunger Games: Catching Fire").
+const DESCRIPTIVE_SUBTITLE = /^(a|an|or|being|how|why|what|notes|stories|essays|poems|memoir|novel)\b|\b(edition|novel|memoir|stories|essays|poems)$/;
+const DESCRIPTIVE_SUBTITLE_WORDS = 4;
+
+/**
+ * Fold text to lowercase ASCII words: accents removed, apostrophes dropped, punctuation as spaces
+ * "Gödel, Escher, Bach" -> "godel escher bach"; "Ender's Game" -> "enders game"
+ * @param {string} text - Text
+ * @returns {string} Folded text
+ */
+function foldText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[ßæœøłđðþı]/g, letter => SPECIAL_LETTERS[letter])
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/['’`]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split text into folded word tokens
+ * @param {string} text - Text
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text) {
+  const folded = foldText(text);
+  return folded ? folded.split(' ') : [];
+}
+
+/**
+ * Levenshtein edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Minimum number of single-character insertions, deletions and substitutions
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Edit-distance similarity between 0 and 1
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} 1 - distance / longer length
+ */
+function levenshteinSimilarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Jaro-Winkler similarity between 0 and 1 (favours strings that share a prefix; suited to names)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity
+ */
+function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const matchedA = new Array(a.length).fill(false);
+  const matchedB = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const end = Math.min(i + window + 1, b.length);
+    for (let j = Math.max(0, i - window); j < end; j++) {
+      if (matchedB[j] || a[i] !== b[j]) continue;
+      matchedA[i] = true;
+      matchedB[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!matchedA[i]) continue;
+    while (!matchedB[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Token-set similarity between 0 and 1, insensitive to word order
+ * Words are paired one-to-one with their best counterpart (exact, or a close spelling for words of
+ * three letters or more, which absorbs OCR misreads); the score is the Dice coefficient of the pairs.
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity
+ */
+function tokenSetSimilarity(a, b) {
+  const tokensA = [...new Set(tokenize(a))];
+  const tokensB = [...new Set(tokenize(b))];
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+  const used = new Set();
+  let matched = 0;
+
+  for (const token of tokensA) {
+    let best = 0;
+    let bestIndex = -1;
+    tokensB.forEach((candidate, index) => {
+      if (used.has(index)) return;
+      const score = token === candidate
+        ? 1
+        : Math.min(token.length, candidate.length) >= 3 ? levenshteinSimilarity(token, candidate) : 0;
+      if (score > best) {
+        best = score;
+        bestIndex = index;
+      }
+    });
+
+    if (best >= 0.75) {
+      used.add(bestIndex);
+      matched += best;
+    }
+  }
+
+  return (2 * matched) / (tokensA.length + tokensB.length);
+}
+
+/**
+ * Parse a series number word, digit string or roman numeral
+ * @param {string} value - '2', 'two', 'ii'
+ * @returns {number|null} Number
+ */
+function parseSeriesNumber(value) {
+  const text = String(value).toLowerCase();
+  if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+  if (NUMBER_WORDS[text]) return NUMBER_WORDS[text];
+
+  const numerals = { i: 1, v: 5, x: 10 };
+  let total = 0;
+  for (let i = 0; i < text.length; i++) {
+    const current = numerals[text[i]];
+    const next = numerals[text[i + 1]] || 0;
+    total += current < next ? -current : current;
+  }
+  return total || null;
+}
+
+/**
+ * Split a series marker off a title
+ * "Catching Fire (The Hunger Games, #2)" -> {title: 'Catching Fire', seriesName: 'The Hunger Games', seriesNumber: 2}
+ * "Dune Messiah, Book Two" -> {title: 'Dune Messiah', seriesName: null, seriesNumber: 2}
+ * @param {string} title - Title
+ * @returns {object} {title, seriesName, seriesNumber}
+ */
+function parseSeries(title) {
+  let text = String(title || '');
+  let seriesName = null;
+  let seriesNumber = null;
+
+  const suffix = text.match(SERIES_SUFFIX);
+  if (suffix) {
+    seriesName = suffix[1].trim() || null;
+    seriesNumber = Number(suffix[2]);
+    text = text.slice(0, suffix.index);
+  } else {
+    const marker = text.match(SERIES_MARKER);
+    // A title that is only a marker ("Book One") keeps it
+    if (marker && text.replace(marker[0], '').trim()) {
+      seriesNumber = parseSeriesNumber(marker[1] || marker[2]);
+      text = `${text.slice(0, marker.index)} ${text.slice(marker.index + marker[0].length)}`;
+    }
+  }
+
+  return {
+    title: text.replace(/\(\s*\)|\[\s*\]/g, ' ').replace(/[\s,:;([-]+$/, '').replace(/\s+/g, ' ').trim(),
+    seriesName,
+    seriesNumber
+  };
+}
+
+/**
+ * Comparison form of a title: series marker removed, folded, leading article dropped
+ * @param {string} title - Title
+ * @returns {string} Folded title
+ */
+function titleMatchKey(title) {
+  return foldText(parseSeries(title).title).replace(LEADING_ARTICLES, '');
+}
+
+/**
+ * Title without the text that only describes it
+ * Series markers, bracketed text and descriptive subtitles are removed; a volume title after a
+ * separator is kept, so "The Hunger Games: Catching Fire" stays apart from "The Hunger Games".
+ * "Sapiens: A Brief History of Humankind" -> "Sapiens"; "The Hobbit (Illustrated)" -> "The Hobbit"
+ * @param {string} title - Title
+ * @returns {string} Main title
+ */
+function stripSubtitle(title) {
+  const text = parseSeries(title).title.replace(/\s*[([{][^()[\]{}]*[)\]}]/g, ' ').replace(/\s+/g, ' ').trim();
+  const separator = text.match(SUBTITLE_SEPARATOR);
+  if (!separator || separator.index === 0) return text || parseSeries(title).title;
+
+  const subtitle = foldText(text.slice(separator.index + separator[0].length));
+  const descriptive = DESCRIPTIVE_SUBTITLE.test(subtitle) || subtitle.split(' ').length >= DESCRIPTIVE_SUBTITLE_WORDS;
+  return descriptive ? text.slice(0, separator.index) : text;
+}
+
+/**
+ * Title folded with all spaces removed, article kept ("THEHOBBIT" and "The Hobbit" agree)
+ * @param {string} title - Title
+ * @returns {string} Compact title
+ */
+function compact(title) {
+  return foldText(parseSeries(title).title).replace(/ /g, '');
+}
+
+/**
+ * Fuzzy title similarity between 0 and 1
+ * Identical folded titles score 1 and run-together words ("THEHOBBIT") 0.95; a title that is the
+ * other's main title without a descriptive subtitle (see stripSubtitle) scores 0.9. Otherwise the
+ * better of edit-distance and token-set similarity is used, so a title followed by more words
+ * ("Dune" / "Dune Messiah") is a different book. Different series numbers halve the score.
+ * @param {string} title1 - First title
+ * @param {string} title2 - Second title
+ * @returns {number} Similarity
+ */
+function titleSimilarity(title1, title2) {
+  const series1 = parseSeries(title1).seriesNumber;
+  const series2 = parseSeries(title2).seriesNumber;
+  const a = titleMatchKey(title1);
+  const b = titleMatchKey(title2);
+
+  if (!a || !b) return 0;
+
+  let score;
+  if (a === b) {
+    score = 1;
+  } else if (compact(title1) === compact(title2) || a.replace(/ /g, '') === b.replace(/ /g, '')) {
+    score = 0.95;
+  } else if (titleMatchKey(stripSubtitle(title1)) === b || titleMatchKey(stripSubtitle(title2)) === a) {
+    // Spines often carry only the main title, without the subtitle
+    score = 0.9;
+  } else {
+    score = Math.max(levenshteinSimilarity(a, b), tokenSetSimilarity(a, b));
+  }
+
+  return series1 !== null && series2 !== null && series1 !== series2 ? score * 0.5 : score;
+}
+
+/**
+ * Whether two titles name the same book
+ * @param {string} title1 - First title
+ * @param {string} title2 - Second title
+ * @param {number} threshold - Minimum similarity
+ * @returns {boolean} Match
+ */
+function isSameTitle(title1, title2, threshold = TITLE_MATCH_THRESHOLD) {
+  return titleSimilarity(title1, title2) >= threshold;
+}
+
+/**
+ * Split an author field into individual names ("A and B", "A & B", "A; B", "A with B")
+ * @param {string} author - Author field
+ * @returns {Array<string>} Names, trimmed
+ */
+function splitAuthors(author) {
+  return String(author || '')
+    .split(/\s*;\s*|\s+(?:and|&)\s+|\s+with\s+/i)
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Display form of an author name: "by" prefix dropped, "Last, First" turned into "First Last"
+ * Applies to each name of a multi-author field.
+ * @param {string} author - Author name(s)
+ * @returns {string|null} Normalized name(s)
+ */
+function normalizeAuthorName(author) {
+  const names = splitAuthors(String(author || '').trim().replace(/^by\s+/i, '')).map(name => {
+    const parts = name.split(',').map(part => part.trim()).filter(Boolean);
+    // "Tolkien, J.R.R." -> "J.R.R. Tolkien"; "King, Stephen, Jr." and "Stephen King, Jr." keep their suffix
+    if (parts.length >= 2 && !NAME_SUFFIXES.has(foldText(parts[1]))) {
+      const suffixes = parts.slice(2).filter(part => NAME_SUFFIXES.has(foldText(part)));
+      return [`${parts[1]} ${parts[0]}`, ...suffixes].join(', ');
+    }
+    return parts.join(', ');
+  });
+
+  return names.length > 0 ? names.join(' and ') : null;
+}
+
+/**
+ * Name tokens of the first author, given names first, suffixes dropped
+ * @param {string} author - Author name(s)
+ * @returns {Array<string>} Tokens ("J.R.R. Tolkien" -> ['j', 'r', 'r', 'tolkien'])
+ */
+function authorTokens(author) {
+  const first = splitAuthors(normalizeAuthorName(author))[0] || '';
+  return tokenize(first.replace(/\./g, ' ')).filter(token => !NAME_SUFFIXES.has(token));
+}
+
+/**
+ * Surname of the first author, particles included and joined ("Ursula K. Le Guin" -> "leguin")
+ * @param {string} author - Author name(s)
+ * @returns {string} Surname, or '' when the author is unknown
+ */
+function authorSurname(author) {
+  const tokens = authorTokens(author);
+  if (tokens.length === 0) return '';
+
+  let start = tokens.length - 1;
+  while (start > 0 && SURNAME_PARTICLES.has(tokens[start - 1])) start--;
+  return tokens.slice(start).join('');
+}
+
+/**
+ * Fuzzy author similarity between 0 and 1
+ * The surname carries most of the weight; given names only count against a match when both are
+ * known and disagree (an initial agrees with any name starting with that letter).
+ * @param {string} author1 - First author
+ * @param {string} author2 - Second author
+ * @returns {number} Similarity (0 when either author is unknown)
+ */
+function authorSimilarity(author1, author2) {
+  const surname1 = authorSurname(author1);
+  const surname2 = authorSurname(author2);
+  if (!surname1 || !surname2) return 0;
+
+  const surnameScore = jaroWinkler(surname1, surname2);
+
+  const given1 = authorTokens(author1).slice(0, -1).filter(token => !SURNAME_PARTICLES.has(token));
+  const given2 = authorTokens(author2).slice(0, -1).filter(token => !SURNAME_PARTICLES.has(token));
+  let givenScore = 1;
+  if (given1.length > 0 && given2.length > 0) {
+    const [first1, first2] = [given1[0], given2[0]];
+    if (first1[0] !== first2[0]) givenScore = 0;
+    else if (first1.length > 1 && first2.length > 1) givenScore = jaroWinkler(first1, first2);
+  }
+
+  return surnameScore * 0.7 + givenScore * 0.3;
+}
+
+/**
+ * Whether two author names are the same person
+ * @param {string} author1 - First author
+ * @param {string} author2 - Second author
+ * @param {number} threshold - Minimum similarity
+ * @returns {boolean} Match
+ */
+function isSameAuthor(author1, author2, threshold = AUTHOR_MATCH_THRESHOLD) {
+  return authorSimilarity(author1, author2) >= threshold;
+}
+
+/**
+ * Find the candidate whose title best matches
+ * @param {string} title - Title looked for
+ * @param {Array} candidates - Books ({title}) or title strings
+ * @param {number} threshold - Minimum similarity
+ * @returns {object|null} {index, score} of the best match at or above the threshold
+ */
+function findBestTitleMatch(title, candidates, threshold = TITLE_MATCH_THRESHOLD) {
+  let best = null;
+  candidates.forEach((candidate, index) => {
+    const score = titleSimilarity(title, typeof candidate === 'string' ? candidate : candidate?.title);
+    if (score >= threshold && (!best || score > best.score)) {
+      best = { index, score };
+    }
+  });
+  return best;
+}
+
+module.exports = {
+  TITLE_MATCH_THRESHOLD,
+  AUTHOR_MATCH_THRESHOLD,
+  foldText,
+  tokenize,
+  levenshtein,
+  levenshteinSimilarity,
+  jaroWinkler,
+  tokenSetSimilarity,
+  parseSeries,
+  titleMatchKey,
+  stripSubtitle,
+  titleSimilarity,
+  isSameTitle,
+  splitAuthors,
+  normalizeAuthorName,
+  authorSurname,
+  authorSimilarity,
+  isSameAuthor,
+  findBestTitleMatch
+};
@@ -0,0 +1,380 @@
+const {
+  TITLE_MATCH_THRESHOLD,
+  AUTHOR_MATCH_THRESHOLD,
+  foldText,
+  tokenize,
+  levenshtein,
+  levenshteinSimilarity,
+  jaroWinkler,
+  tokenSetSimilarity,
+  parseSeries,
+  titleMatchKey,
+  stripSubtitle,
+  titleSimilarity,
+  isSameTitle,
+  splitAuthors,
+  normalizeAuthorName,
+  authorSurname,
+  authorSimilarity,
+  isSameAuthor,
+  findBestTitleMatch
+} = require('./bookMatching');
+
+describe('foldText', () => {
+  test('lowercases and strips diacritics', () => {
+    expect(foldText('Gödel, Escher, Bach')).toBe('godel escher bach');
+    expect(foldText('Cien años de soledad')).toBe('cien anos de soledad');
+    expect(foldText('García Márquez')).toBe('garcia marquez');
+  });
+
+  test('maps letters NFKD does not decompose', () => {
+    expect(foldText('Straße')).toBe('strasse');
+    expect(foldText('Søren Kierkegaard')).toBe('soren kierkegaard');
+    expect(foldText('Łódź')).toBe('lodz');
+  });
+
+  test('drops apostrophes and turns punctuation into spaces', () => {
+    expect(foldText("Ender's Game")).toBe('enders game');
+    expect(foldText('Ender’s Game')).toBe('enders game');
+    expect(foldText('Harry Potter: The Philosopher\'s Stone!')).toBe('harry potter the philosophers stone');
+  });
+
+  test('spells out ampersands', () => {
+    expect(foldText('Pride & Prejudice')).toBe('pride and prejudice');
+  });
+
+  test('handles empty input', () => {
+    expect(foldText(null)).toBe('');
+    expect(foldText(undefined)).toBe('');
+    expect(foldText('  ...  ')).toBe('');
+  });
+});
+
+describe('tokenize', () => {
+  test('splits folded text into words', () => {
+    expect(tokenize('The Left Hand of Darkness')).toEqual(['the', 'left', 'hand', 'of', 'darkness']);
+  });
+
+  test('returns no tokens for empty text', () => {
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize('--')).toEqual([]);
+  });
+});
+
+describe('levenshtein', () => {
+  test('counts insertions, deletions and substitutions', () => {
+    expect(levenshtein('kitten', 'sitting')).toBe(3);
+    expect(levenshtein('flaw', 'lawn')).toBe(2);
+    expect(levenshtein('dune', 'dune')).toBe(0);
+  });
+
+  test('distance to an empty string is the other length', () => {
+    expect(levenshtein('', 'abc')).toBe(3);
+    expect(levenshtein('abc', '')).toBe(3);
+  });
+
+  test('is symmetric', () => {
+    expect(levenshtein('hobbit', 'habit')).toBe(levenshtein('habit', 'hobbit'));
+  });
+});
+
+describe('levenshteinSimilarity', () => {
+  test('scales distance by the longer string', () => {
+    expect(levenshteinSimilarity('dune', 'dune')).toBe(1);
+    expect(levenshteinSimilarity('kitten', 'sitting')).toBeCloseTo(1 - 3 / 7);
+  });
+});
+
+describe('jaroWinkler', () => {
+  test('matches the reference values', () => {
+    expect(jaroWinkler('martha', 'marhta')).toBeCloseTo(0.9611, 3);
+    expect(jaroWinkler('dwayne', 'duane')).toBeCloseTo(0.84, 2);
+    expect(jaroWinkler('dixon', 'dicksonx')).toBeCloseTo(0.8133, 3);
+  });
+
+  test('scores identical strings 1 and disjoint strings 0', () => {
+    expect(jaroWinkler('tolkien', 'tolkien')).toBe(1);
+    expect(jaroWinkler('abc', 'xyz')).toBe(0);
+  });
+
+  test('rewards a shared prefix', () => {
+    expect(jaroWinkler('tolkien', 'tolkein')).toBeGreaterThan(jaroWinkler('tolkien', 'otlkien'));
+  });
+});
+
+describe('tokenSetSimilarity', () => {
+  test('ignores word order', () => {
+    expect(tokenSetSimilarity('Darkness Left Hand', 'Left Hand Darkness')).toBe(1);
+  });
+
+  test('counts near-miss words as partial matches', () => {
+    const score = tokenSetSimilarity('the hobbit', 'the hobblt');
+    expect(score).toBeGreaterThan(0.8);
+    expect(score).toBeLessThan(1);
+  });
+
+  test('scores unrelated titles low', () => {
+    expect(tokenSetSimilarity('War and Peace', 'Moby Dick')).toBe(0);
+  });
+
+  test('scores empty input 0', () => {
+    expect(tokenSetSimilarity('', 'Dune')).toBe(0);
+  });
+});
+
+describe('parseSeries', () => {
+  test('splits a Goodreads series suffix', () => {
+    expect(parseSeries('Catching Fire (The Hunger Games, #2)')).toEqual({
+      title: 'Catching Fire',
+      seriesName: 'The Hunger Games',
+      seriesNumber: 2
+    });
+    expect(parseSeries('Twelve Kings in Sharakhai (The Song of the Shattered Sands, #1.5)').seriesNumber).toBe(1.5);
+  });
+
+  test('reads inline markers with digits, number words and roman numerals', () => {
+    expect(parseSeries('Harry Potter Book 1')).toMatchObject({ title: 'Harry Potter', seriesNumber: 1 });
+    expect(parseSeries('Dune Messiah, Book Two')).toMatchObject({ title: 'Dune Messiah', seriesNumber: 2 });
+    expect(parseSeries('The Stormlight Archive Vol. III')).toMatchObject({ title: 'The Stormlight Archive', seriesNumber: 3 });
+    expect(parseSeries('Saga (Volume 4)')).toMatchObject({ title: 'Saga', seriesNumber: 4 });
+    expect(parseSeries('Wheel of Time #9')).toMatchObject({ title: 'Wheel of Time', seriesNumber: 9 });
+    expect(parseSeries('The Dark Tower Part IV')).toMatchObject({ title: 'The Dark Tower', seriesNumber: 4 });
+  });
+
+  test('leaves titles without a marker alone', () => {
+    expect(parseSeries('The Hobbit')).toEqual({ title: 'The Hobbit', seriesName: null, seriesNumber: null });
+  });
+
+  test('does not read words that merely contain a marker', () => {
+    expect(parseSeries('The Bookseller').seriesNumber).toBeNull();
+    expect(parseSeries('Partisan Review').seriesNumber).toBeNull();
+  });
+
+  test('keeps a title that is only a marker', () => {
+    expect(parseSeries('Book One')).toEqual({ title: 'Book One', seriesName: null, seriesNumber: null });
+  });
+});
+
+describe('titleMatchKey', () => {
+  test('folds, drops the leading article and the series marker', () => {
+    expect(titleMatchKey('The Two Towers (The Lord of the Rings, #2)')).toBe('two towers');
+    expect(titleMatchKey('A Game of Thrones')).toBe('game of thrones');
+  });
+});
+
+describe('stripSubtitle', () => {
+  test('drops descriptive subtitles and bracketed text', () => {
+    expect(stripSubtitle('Sapiens: A Brief History of Humankind')).toBe('Sapiens');
+    expect(stripSubtitle('Educated: A Memoir')).toBe('Educated');
+    expect(stripSubtitle('Dune - Deluxe Edition')).toBe('Dune');
+    expect(stripSubtitle('The Hobbit (Illustrated)')).toBe('The Hobbit');
+  });
+
+  test('keeps volume titles after a separator', () => {
+    expect(stripSubtitle('The Hunger Games: Catching Fire')).toBe('The Hunger Games: Catching Fire');
+    expect(stripSubtitle('Star Wars - Thrawn')).toBe('Star Wars - Thrawn');
+  });
+
+  test('leaves titles without a separator alone', () => {
+    expect(stripSubtitle('Foundation and Empire')).toBe('Foundation and Empire');
+    expect(stripSubtitle('Catching Fire (The Hunger Games, #2)')).toBe('Catching Fire');
+  });
+});
+
+describe('titleSimilarity', () => {
+  test('scores identical titles 1 regardless of case, accents and articles', () => {
+    expect(titleSimilarity('The Hobbit', 'the hobbit')).toBe(1);
+    expect(titleSimilarity('Hobbit', 'The Hobbit')).toBe(1);
+    expect(titleSimilarity('Cien Años de Soledad', 'Cien anos de soledad')).toBe(1);
+  });
+
+  test('matches run-together spine text', () => {
+    expect(titleSimilarity('THEHOBBIT', 'The Hobbit')).toBe(0.95);
+  });
+
+  test('matches a main title against the title with its subtitle', () => {
+    expect(titleSimilarity('Sapiens', 'Sapiens: A Brief History of Humankind')).toBe(0.9);
+    expect(titleSimilarity('The Hobbit', 'The Hobbit (Illustrated)')).toBe(0.9);
+  });
+
+  test('does not treat a title followed by more words as a subtitle', () => {
+    expect(titleSimilarity('Sapiens', 'Sapiens A Brief History of Humankind')).toBeLessThan(TITLE_MATCH_THRESHOLD);
+    expect(titleSimilarity('Emma', 'Emma Donoghue Room')).toBeLessThan(TITLE_MATCH_THRESHOLD);
+  });
+
+  test('keeps sequels apart from the first book', () => {
+    expect(titleSimilarity('Dune', 'Dune Messiah')).toBeLessThan(TITLE_MATCH_THRESHOLD);
+    expect(titleSimilarity('Foundation', 'Foundation and Empire')).toBeLessThan(TITLE_MATCH_THRESHOLD);
+    expect(titleSimilarity('The Hunger Games', 'The Hunger Games: Catching Fire')).toBeLessThan(TITLE_MATCH_THRESHOLD);
+    expect(titleSimilarity('The Hunger Games', 'Catching Fire (The Hunger Games, #2)')).toBeLessThan(TITLE_MATCH_THRESHOLD);
+  });
+
+  test('tolerates OCR misreads', () => {
+    expect(titleSimilarity('The Hobbit', 'The Hobblt')).toBeGreaterThanOrEqual(TITLE_MATCH_THRESHOLD);
+    expect(titleSimilarity('Neuromancer', 'Neur0mancer')).toBeGreaterThanOrEqual(TITLE_MATCH_THRESHOLD);
+  });
+
+  test('tolerates reordered words', () => {
+    expect(titleSimilarity('Left Hand of Darkness, The', 'The Left Hand of Darkness')).toBeGreaterThanOrEqual(TITLE_MATCH_THRESHOLD);
+  });
+
+  test('halves the score of different volumes of a series', () => {
+    expect(titleSimilarity('Harry Potter Book 1', 'Harry Potter Book 2')).toBe(0.5);
+    expect(isSameTitle('Saga Volume 1', 'Saga Volume 2')).toBe(false);
+  });
+
+  test('keeps the score when only one title carries a series number', () => {
+    expect(titleSimilarity('Catching Fire (The Hunger Games, #2)', 'Catching Fire')).toBe(1);
+  });
+
+  test('scores different books low', () => {
+    expect(titleSimilarity('Dune', 'Emma')).toBeLessThan(TITLE_MATCH_THRESHOLD);
+    expect(titleSimilarity('The Road', 'The Stand')).toBeLessThan(TITLE_MATCH_THRESHOLD);
+  });
+
+  test('does not treat a short word as a prefix match', () => {
+    expect(titleSimilarity('It', 'It Ends with Us')).toBeLessThan(TITLE_MATCH_THRESHOLD);
+  });
+
+  test('scores missing titles 0', () => {
+    expect(titleSimilarity('', 'Dune')).toBe(0);
+    expect(titleSimilarity(null, null)).toBe(0);
+  });
+
+  test('is symmetric', () => {
+    expect(titleSimilarity('The Hobbit', 'Hobbit or There and Back Again'))
+      .toBe(titleSimilarity('Hobbit or There and Back Again', 'The Hobbit'));
+  });
+});
+
+describe('isSameTitle', () => {
+  test('applies the default threshold', () => {
+    expect(isSameTitle('The Hobbit', 'THE HOBBIT')).toBe(true);
+    expect(isSameTitle('Dune', 'Emma')).toBe(false);
+  });
+
+  test('accepts a custom threshold', () => {
+    expect(isSameTitle('Sapiens', 'Sapiens: A Brief History of Humankind', 0.95)).toBe(false);
+  });
+});
+
+describe('splitAuthors', () => {
+  test('splits on and, ampersands, semicolons and with', () => {
+    expect(splitAuthors('Neil Gaiman and Terry Pratchett')).toEqual(['Neil Gaiman', 'Terry Pratchett']);
+    expect(splitAuthors('Gaiman, Neil; Pratchett, Terry')).toEqual(['Gaiman, Neil', 'Pratchett, Terry']);
+    expect(splitAuthors('Stephen King & Peter Straub')).toEqual(['Stephen King', 'Peter Straub']);
+    expect(splitAuthors('Michelle Obama with Someone Else')).toEqual(['Michelle Obama', 'Someone Else']);
+  });
+
+  test('returns no names for empty input', () => {
+    expect(splitAuthors(null)).toEqual([]);
+  });
+});
+
+describe('normalizeAuthorName', () => {
+  test('turns "Last, First" around', () => {
+    expect(normalizeAuthorName('Tolkien, J.R.R.')).toBe('J.R.R. Tolkien');
+    expect(normalizeAuthorName('Le Guin, Ursula K.')).toBe('Ursula K. Le Guin');
+  });
+
+  test('drops a "by" prefix', () => {
+    expect(normalizeAuthorName('by Stephen King')).toBe('Stephen King');
+  });
+
+  test('keeps name suffixes', () => {
+    expect(normalizeAuthorName('Stephen King, Jr.')).toBe('Stephen King, Jr.');
+    expect(normalizeAuthorName('King, Stephen, Jr.')).toBe('Stephen King, Jr.');
+  });
+
+  test('normalizes each name of a multi-author field', () => {
+    expect(normalizeAuthorName('Gaiman, Neil; Pratchett, Terry')).toBe('Neil Gaiman and Terry Pratchett');
+  });
+
+  test('returns null for a missing author', () => {
+    expect(normalizeAuthorName('')).toBeNull();
+    expect(normalizeAuthorName(null)).toBeNull();
+  });
+});
+
+describe('authorSurname', () => {
+  test('takes the last name in either order', () => {
+    expect(authorSurname('Stephen King')).toBe('king');
+    expect(authorSurname('King, Stephen')).toBe('king');
+    expect(authorSurname('J.R.R. Tolkien')).toBe('tolkien');
+  });
+
+  test('keeps surname particles', () => {
+    expect(authorSurname('Ursula K. Le Guin')).toBe('leguin');
+    expect(authorSurname('Ludwig van Beethoven')).toBe('vanbeethoven');
+  });
+
+  test('ignores suffixes, accents and co-authors', () => {
+    expect(authorSurname('Martin Luther King, Jr.')).toBe('king');
+    expect(authorSurname('Gabriel García Márquez')).toBe('marquez');
+    expect(authorSurname('Neil Gaiman and Terry Pratchett')).toBe('gaiman');
+  });
+
+  test('returns an empty string for a missing author', () => {
+    expect(authorSurname(null)).toBe('');
+  });
+});
+
+describe('authorSimilarity', () => {
+  test('matches the same author written differently', () => {
+    expect(authorSimilarity('Tolkien, J.R.R.', 'J. R. R. Tolkien')).toBe(1);
+    expect(authorSimilarity('Ursula K. Le Guin', 'Le Guin, Ursula')).toBe(1);
+    expect(authorSimilarity('Gabriel García Márquez', 'Gabriel Garcia Marquez')).toBe(1);
+  });
+
+  test('treats an initial as agreeing with a given name', () => {
+    expect(authorSimilarity('S. King', 'Stephen King')).toBe(1);
+  });
+
+  test('treats a missing given name as agreeing', () => {
+    expect(authorSimilarity('King', 'Stephen King')).toBe(1);
+  });
+
+  test('tolerates misspelt names', () => {
+    expect(authorSimilarity('Stephen King', 'Steven King')).toBeGreaterThanOrEqual(AUTHOR_MATCH_THRESHOLD);
+    expect(authorSimilarity('J.R.R. Tolkien', 'J.R.R. Tolkein')).toBeGreaterThanOrEqual(AUTHOR_MATCH_THRESHOLD);
+  });
+
+  test('tells apart authors who share a surname', () => {
+    expect(authorSimilarity('Tom King', 'Stephen King')).toBeCloseTo(0.7);
+    expect(isSameAuthor('Tom King', 'Stephen King')).toBe(false);
+  });
+
+  test('scores different surnames low', () => {
+    expect(isSameAuthor('Stephen King', 'Stephen Fry')).toBe(false);
+  });
+
+  test('scores an unknown author 0', () => {
+    expect(authorSimilarity(null, 'Stephen King')).toBe(0);
+    expect(authorSimilarity('', '')).toBe(0);
+  });
+});
+
+describe('findBestTitleMatch', () => {
+  const candidates = [
+    { title: 'The Fellowship of the Ring' },
+    { title: 'The Hobbit' },
+    { title: 'The Hobbit: An Illustrated Edition' }
+  ];
+
+  test('returns the best-scoring candidate', () => {
+    expect(findBestTitleMatch('THE HOBBIT', candidates)).toEqual({ index: 1, score: 1 });
+  });
+
+  test('accepts plain title strings', () => {
+    expect(findBestTitleMatch('Fellowship of the Ring', ['Dune', 'The Fellowship of the Ring'])).toEqual({ index: 1, score: 1 });
+  });
+
+  test('returns null when nothing reaches the threshold', () => {
+    expect(findBestTitleMatch('Dune', candidates)).toBeNull();
+    expect(findBestTitleMatch('Dune', [])).toBeNull();
+  });
+
+  test('skips candidates without a title', () => {
+    expect(findBestTitleMatch('Dune', [null, { author: 'Frank Herbert' }, { title: 'Dune' }])).toEqual({ index: 2, score: 1 });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * ISBN parsing and validation
+ * Handles ISBN-10 and ISBN-13 (including the EAN-13 digits printed under back-cover barcodes),
+ * checksum validation, ISBN-10 <-> ISBN-13 conversion and extraction from OCR text.
+ */
+
+// Digit runs in OCR text, optionally labelled "ISBN", "ISBN-10:", "ISBN 13" ...; runs never cross a line
+const CANDIDATE_PATTERN = /(ISBN(?:[\s-]*1[03])?[\s:]*)?(\d[\d \t-]{8,24}[\dXx])/gi;
+
+// Characters OCR commonly reads in place of digits, fixed only between digits
+const OCR_DIGIT_FIXES = [
+  [/(?<=\d[\s-]?)[Oo](?=[\s-]?\d)/g, '0'],
+  [/(?<=\d[\s-]?)[Il|](?=[\s-]?\d)/g, '1']
+];
+
+/**
+ * Strip separators and anything else that cannot be part of an ISBN
+ * @param {string} value - Raw ISBN ('978-0-261-10221-7', '0 261 10221 4', ...)
+ * @returns {string} Digits (and a trailing X for ISBN-10)
+ */
+function cleanIsbn(value) {
+  return String(value || '').toUpperCase().replace(/[^0-9X]/g, '');
+}
+
+/**
+ * Validate an ISBN-10 checksum (weights 10..1, sum divisible by 11; X = 10)
+ * @param {string} digits - Cleaned ISBN-10
+ * @returns {boolean} Valid
+ */
+function isValidIsbn10(digits) {
+  if (!/^\d{9}[\dX]$/.test(digits)) return false;
+
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const digit = digits[i] === 'X' ? 10 : Number(digits[i]);
+    sum += digit * (10 - i);
+  }
+  return sum % 11 === 0;
+}
+
+/**
+ * Validate an ISBN-13: an EAN-13 in the 978/979 "Bookland" prefix with a valid check digit
+ * @param {string} digits - Cleaned ISBN-13
+ * @returns {boolean} Valid
+ */
+function isValidIsbn13(digits) {
+  if (!/^97[89]\d{10}$/.test(digits)) return false;
+  return ean13CheckDigit(digits.slice(0, 12)) === Number(digits[12]);
+}
+
+/**
+ * Compute the EAN-13 check digit (weights alternating 1 and 3)
+ * @param {string} first12 - First twelve digits
+ * @returns {number} Check digit
+ */
+function ean13CheckDigit(first12) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(first12[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Convert a valid ISBN-10 to its ISBN-13
+ * @param {string} isbn10 - ISBN-10 (separators allowed)
+ * @returns {string|null} ISBN-13, or null if the input is not a valid ISBN-10
+ */
+function isbn10To13(isbn10) {
+  const digits = cleanIsbn(isbn10);
+  if (!isValidIsbn10(digits)) return null;
+
+  const first12 = `978${digits.slice(0, 9)}`;
+  return `${first12}${ean13CheckDigit(first12)}`;
+}
+
+/**
+ * Convert a valid ISBN-13 to its ISBN-10 (only 978-prefixed ISBNs have one)
+ * @param {string} isbn13 - ISBN-13 (separators allowed)
+ * @returns {string|null} ISBN-10, or null
+ */
+function isbn13To10(isbn13) {
+  const digits = cleanIsbn(isbn13);
+  if (!isValidIsbn13(digits) || !digits.startsWith('978')) return null;
+
+  const first9 = digits.slice(3, 12);
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += Number(first9[i]) * (10 - i);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return `${first9}${check === 10 ? 'X' : check}`;
+}
+
+/**
+ * Parse and validate an ISBN of either length
+ * @param {string} value - Raw ISBN-10 or ISBN-13
+ * @returns {object|null} {isbn13, isbn10}; isbn10 is null for 979-prefixed ISBNs. Null if invalid.
+ */
+function parseIsbn(value) {
+  const digits = cleanIsbn(value);
+
+  if (digits.length === 13 && isValidIsbn13(digits)) {
+    return { isbn13: digits, isbn10: isbn13To10(digits) };
+  }
+  if (digits.length === 10 && isValidIsbn10(digits)) {
+    return { isbn13: isbn10To13(digits), isbn10: digits };
+  }
+  return null;
+}
+
+/**
+ * Find every valid ISBN in OCR text
+ * ISBN-13s are recognised anywhere by their 978/979 prefix and check digit, which covers the
+ * digits under a back-cover barcode (including when a price add-on follows them). ISBN-10s have
+ * no distinctive prefix, so they are only taken when labelled "ISBN".
+ * @param {string} text - OCR text
+ * @returns {Array} [{isbn13, isbn10, raw, format: 'isbn13'|'isbn10'}] in order of appearance, one per ISBN-13
+ */
+function extractIsbns(text) {
+  const fixed = OCR_DIGIT_FIXES.reduce((current, [pattern, digit]) => current.replace(pattern, digit), String(text || ''));
+  const found = new Map();
+
+  for (const match of fixed.matchAll(CANDIDATE_PATTERN)) {
+    const labelled = Boolean(match[1]);
+    const raw = match[2].trim();
+    const digits = cleanIsbn(raw);
+    let isbn = null;
+
+    for (let start = 0; start + 13 <= digits.length && !isbn; start++) {
+      const window = digits.slice(start, start + 13);
+      if (isValidIsbn13(window)) {
+        isbn = { isbn13: window, isbn10: isbn13To10(window), raw, format: 'isbn13' };
+      }
+    }
+
+    if (!isbn && labelled && isValidIsbn10(digits.slice(0, 10))) {
+      isbn = { isbn13: isbn10To13(digits.slice(0, 10)), isbn10: digits.slice(0, 10), raw, format: 'isbn10' };
+    }
+
+    if (isbn && !found.has(isbn.isbn13)) {
+      found.set(isbn.isbn13, isbn);
+    }
+  }
+
+  return [...found.values()];
+}
+
+module.exports = {
+  cleanIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  isbn10To13,
+  isbn13To10,
+  parseIsbn,
+  extractIsbns
+};
@@ -0,0 +1,151 @@
+/**
+ * Minimal JSON Schema validator
+ * Supports the subset of draft-07 keywords our schemas use: type (string or array), enum, const,
+ * properties, required, additionalProperties, items, minItems, maxItems, minLength, maxLength,
+ * pattern, minimum, maximum, uniqueItems and anyOf.
+ */
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - Value
+ * @returns {string} JSON type ('null', 'array', 'integer', 'number', 'string', 'boolean', 'object')
+ */
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema type keyword
+ * @param {*} value - Value
+ * @param {string|Array<string>} expected - Expected type(s)
+ * @returns {boolean} Matches
+ */
+function matchesType(value, expected) {
+  const actual = getType(value);
+  const types = Array.isArray(expected) ? expected : [expected];
+
+  // Integers are numbers too
+  return types.includes(actual) || (actual === 'integer' && types.includes('number'));
+}
+
+/**
+ * Validate a value against a schema, collecting every error
+ * @param {*} value - Value to validate
+ * @param {object} schema - JSON schema
+ * @param {string} path - JSON path of the value (for error messages)
+ * @param {Array} errors - Error accumulator
+ * @returns {Array} Errors [{path, message}]
+ */
+function collectErrors(value, schema, path, errors) {
+  if (!schema || typeof schema !== 'object') return errors;
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+    errors.push({ path, message: `expected ${expected}, got ${getType(value)}` });
+    return errors; // Other keywords are meaningless on the wrong type
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({ path, message: `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+  }
+
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => collectErrors(value, option, path, []).length === 0);
+    if (!matches) {
+      errors.push({ path, message: 'does not match any allowed schema' });
+    }
+  }
+
+  const type = getType(value);
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (type === 'integer' || type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push({ path, message: 'must not contain duplicate items' });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => collectErrors(item, schema.items, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (type === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        collectErrors(propertyValue, properties[key], `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: 'is not an allowed property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        collectErrors(propertyValue, schema.additionalProperties, `${path}.${key}`, errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a value against a JSON schema
+ * @param {*} value - Value to validate
+ * @param {object} schema - JSON schema
+ * @returns {object} {valid, errors: [{path, message}]}
+ */
+function validate(value, schema) {
+  const errors = collectErrors(value, schema, '$', []);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Format validation errors as readable lines
+ * @param {Array} errors - Validation errors
+ * @returns {string} One error per line
+ */
+function formatErrors(errors) {
+  return errors.map(error => `${error.path} ${error.message}`).join('\n');
+}
+
+module.exports = {
+  validate,
+  formatErrors,
+  getType
+};